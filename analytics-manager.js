@@ -4,6 +4,7 @@
 
 const logger = require('./logger');
 const db = require('./db');
+const SegmentManager = require('./segment-manager');
 
 class AnalyticsManager {
   constructor() {
@@ -17,60 +18,40 @@ class AnalyticsManager {
 
   /**
    * Record message metric
+   * Outbound messages count once when sent (or failed); delivery and read
+   * receipts for the same message only bump their own counters.
    */
   async recordMessageMetric(clientId, message) {
     try {
       const today = new Date().toISOString().split('T')[0];
-
-      // Get or create daily metric
-      let metric = await db.query(
-        `SELECT id FROM message_metrics WHERE client_id = $1 AND date = $2`,
-        [clientId, today]
-      );
-
-      const baseUpdate = {};
+      const counters = [];
 
       if (message.direction === 'outbound') {
-        baseUpdate['outbound_count'] = 'outbound_count + 1';
-
         if (message.status === 'sent') {
-          baseUpdate['sent_count'] = 'sent_count + 1';
+          counters.push('sent_count', 'outbound_count');
         } else if (message.status === 'delivered') {
-          baseUpdate['delivered_count'] = 'delivered_count + 1';
+          counters.push('delivered_count');
         } else if (message.status === 'read') {
-          baseUpdate['read_count'] = 'read_count + 1';
+          counters.push('read_count');
         } else if (message.status === 'failed') {
           // Count as sent but failed
-          baseUpdate['sent_count'] = 'sent_count + 1';
-          baseUpdate['failed_count'] = 'failed_count + 1';
+          counters.push('sent_count', 'failed_count', 'outbound_count');
         }
       } else if (message.direction === 'inbound') {
-        baseUpdate['inbound_count'] = 'inbound_count + 1';
+        counters.push('inbound_count');
       }
 
-      if (metric.rows.length > 0) {
-        // Update existing metric
-        const setClauses = [];
-        for (const [key, value] of Object.entries(baseUpdate)) {
-          setClauses.push(`${key} = ${value}`);
-        }
+      if (counters.length === 0) return;
 
-        await db.query(
-          `UPDATE message_metrics SET ${setClauses.join(', ')} 
-           WHERE client_id = $1 AND date = $2`,
-          [clientId, today]
-        );
-      } else {
-        // Create new metric
-        await db.query(
-          `INSERT INTO message_metrics (client_id, date, sent_count, outbound_count, inbound_count) 
-           VALUES ($1, $2, $3, $4, $5)`,
-          [clientId, today, 
-           message.direction === 'outbound' ? 1 : 0,
-           message.direction === 'outbound' ? 1 : 0,
-           message.direction === 'inbound' ? 1 : 0]
-        );
-      }
+      // Create or update the daily metric row in one statement
+      await db.query(
+        `INSERT INTO message_metrics (client_id, date, ${counters.join(', ')})
+         VALUES ($1, $2, ${counters.map(() => '1').join(', ')})
+         ON CONFLICT (client_id, date) DO UPDATE SET
+         ${counters.map(column => `${column} = message_metrics.${column} + 1`).join(', ')},
+         updated_at = NOW()`,
+        [clientId, today]
+      );
 
       // Invalidate cache
       this.metricsCache.delete(`metrics:${clientId}:${today}`);
@@ -393,23 +374,19 @@ class AnalyticsManager {
   }
 
   /**
-   * Get contact segments
+   * Get contact segments with member counts evaluated from each segment's filter
    */
   async getContactSegments(organizationId) {
     try {
-      const result = await db.query(
-        `SELECT 
-           name,
-           COUNT(*) as contact_count,
-           AVG(c.message_count) as avg_messages
-         FROM segments s
-         LEFT JOIN contacts c ON s.organization_id = c.organization_id
-         WHERE s.organization_id = $1
-         GROUP BY s.id, s.name`,
-        [organizationId]
-      );
-
-      return result.rows;
+      const segmentManager = new SegmentManager();
+      const segments = await segmentManager.listSegments(organizationId, { withCounts: true });
+
+      return segments.map(segment => ({
+        id: segment.id,
+        name: segment.name,
+        contact_count: segment.contact_count,
+        avg_messages: segment.avg_messages
+      }));
     } catch (error) {
       logger.error('Error getting contact segments', { organizationId, error: error.message });
       throw error;
@@ -235,8 +235,13 @@ class AdvancedAntiBanManager {
 
   /**
    * Initialize rate limiter for client
+   * A client that reconnects keeps its limiter, so a reconnect doesn't reset the send counts
    */
   async initializeRateLimiter(clientId, organizationId) {
+    if (this.rateLimits.has(clientId)) {
+      return this.rateLimits.get(clientId);
+    }
+
     const limiter = {
       clientId,
       limits: {
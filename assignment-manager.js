@@ -0,0 +1,411 @@
+// ================================================
+// CONVERSATION ASSIGNMENT & AGENT PRESENCE
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+const STRATEGIES = ['round_robin', 'least_busy'];
+const PRESENCE_STATUSES = ['online', 'away', 'offline'];
+
+// Agents that stop sending heartbeats drop out of routing after this long
+const PRESENCE_TIMEOUT_SECONDS = 120;
+
+const DEFAULT_ROUTING = {
+  enabled: false,
+  strategy: 'round_robin'
+};
+
+class AssignmentManager {
+  constructor(options = {}) {
+    this.claimTtlMinutes = options.claimTtlMinutes || 10;
+  }
+
+  // ================================================
+  // PRESENCE
+  // ================================================
+
+  /**
+   * Set an agent's status; every call also counts as a heartbeat
+   */
+  async setPresence(organizationId, userId, { status, maxOpenConversations } = {}) {
+    if (status !== undefined && !PRESENCE_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${PRESENCE_STATUSES.join(', ')}`);
+    }
+    if (maxOpenConversations !== undefined && (!Number.isInteger(maxOpenConversations) || maxOpenConversations < 1)) {
+      throw new Error('maxOpenConversations must be a positive integer');
+    }
+
+    const result = await db.query(
+      `INSERT INTO agent_presence (user_id, organization_id, status, max_open_conversations, last_seen_at)
+       VALUES ($1, $2, COALESCE($3, 'online'), COALESCE($4, 20), NOW())
+       ON CONFLICT (user_id) DO UPDATE SET
+         status = COALESCE($3, agent_presence.status),
+         max_open_conversations = COALESCE($4, agent_presence.max_open_conversations),
+         last_seen_at = NOW()
+       RETURNING *`,
+      [userId, organizationId, status || null, maxOpenConversations || null]
+    );
+
+    if (status) {
+      logger.info('Agent presence updated', { organizationId, userId, status });
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Agents in an organization with presence and open conversation load
+   */
+  async listAgents(organizationId) {
+    const result = await db.query(
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.role,
+              COALESCE(p.status, 'offline') AS status,
+              p.last_seen_at, p.last_assigned_at,
+              COALESCE(p.max_open_conversations, 20) AS max_open_conversations,
+              (p.status = 'online' AND p.last_seen_at > NOW() - INTERVAL '1 second' * $2) IS TRUE AS available,
+              (SELECT COUNT(*) FROM conversations cv WHERE cv.assigned_to = u.id AND cv.status = 'open')::int AS open_conversations
+       FROM users u
+       LEFT JOIN agent_presence p ON p.user_id = u.id
+       WHERE u.organization_id = $1 AND u.status = 'active'
+       ORDER BY u.first_name, u.email`,
+      [organizationId, PRESENCE_TIMEOUT_SECONDS]
+    );
+
+    return result.rows;
+  }
+
+  // ================================================
+  // ROUTING SETTINGS
+  // ================================================
+
+  /**
+   * Routing settings for a WhatsApp client (whatsapp_clients.metadata.routing over the defaults)
+   */
+  async getRoutingSettings(clientId) {
+    const result = await db.query(
+      `SELECT metadata -> 'routing' AS routing FROM whatsapp_clients WHERE id = $1`,
+      [clientId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return { ...DEFAULT_ROUTING, ...(result.rows[0].routing || {}) };
+  }
+
+  /**
+   * Enable/disable automatic routing of new inbound conversations and pick the strategy
+   */
+  async updateRoutingSettings(clientId, { enabled, strategy } = {}) {
+    const current = await this.getRoutingSettings(clientId);
+    if (!current) {
+      return null;
+    }
+
+    if (strategy !== undefined && !STRATEGIES.includes(strategy)) {
+      throw new Error(`strategy must be one of: ${STRATEGIES.join(', ')}`);
+    }
+
+    const updated = {
+      ...current,
+      ...(enabled !== undefined ? { enabled: enabled === true } : {}),
+      ...(strategy !== undefined ? { strategy } : {})
+    };
+
+    await db.query(
+      `UPDATE whatsapp_clients SET metadata = jsonb_set(COALESCE(metadata, '{}'), '{routing}', $2::jsonb)
+       WHERE id = $1`,
+      [clientId, JSON.stringify(updated)]
+    );
+
+    logger.info('Conversation routing updated', { clientId, ...updated });
+    return updated;
+  }
+
+  // ================================================
+  // ASSIGNMENT
+  // ================================================
+
+  /**
+   * Route an unassigned open conversation to an available agent
+   * Agents must be online with a recent heartbeat and below their open conversation limit;
+   * agents restricted to specific numbers (team_members.assigned_clients) only get those numbers' chats
+   * Returns the updated conversation row, or null when it was already assigned or nobody is available
+   */
+  async autoAssign(conversationId, { strategy } = {}) {
+    try {
+      return await db.transaction(async (tx) => {
+        const conversation = await tx.query(
+          'SELECT * FROM conversations WHERE id = $1 FOR UPDATE',
+          [conversationId]
+        );
+        const row = conversation.rows[0];
+        if (!row || row.assigned_to || row.status !== 'open') {
+          return null;
+        }
+
+        if (!strategy) {
+          const settings = await this.getRoutingSettings(row.client_id);
+          strategy = settings ? settings.strategy : DEFAULT_ROUTING.strategy;
+        }
+
+        // Serialize routing per organization so round-robin order and capacity checks hold
+        await tx.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`routing:${row.organization_id}`]);
+
+        const order = strategy === 'least_busy'
+          ? 'open_count ASC, p.last_assigned_at ASC NULLS FIRST, u.id'
+          : 'p.last_assigned_at ASC NULLS FIRST, u.id';
+
+        const candidate = await tx.query(
+          `SELECT u.id, COUNT(cv.id) AS open_count
+           FROM users u
+           JOIN agent_presence p ON p.user_id = u.id
+           LEFT JOIN conversations cv ON cv.assigned_to = u.id AND cv.status = 'open'
+           WHERE u.organization_id = $1 AND u.status = 'active'
+             AND p.status = 'online' AND p.last_seen_at > NOW() - INTERVAL '1 second' * $2
+             AND NOT EXISTS (
+               SELECT 1 FROM team_members tm
+               WHERE tm.user_id = u.id
+                 AND jsonb_array_length(COALESCE(tm.assigned_clients, '[]')) > 0
+                 AND NOT tm.assigned_clients ? $3
+             )
+           GROUP BY u.id, p.last_assigned_at, p.max_open_conversations
+           HAVING COUNT(cv.id) < p.max_open_conversations
+           ORDER BY ${order}
+           LIMIT 1`,
+          [row.organization_id, PRESENCE_TIMEOUT_SECONDS, row.client_id]
+        );
+
+        if (candidate.rows.length === 0) {
+          logger.warn('No agent available for conversation', { conversationId, strategy });
+          return null;
+        }
+
+        const assigned = await this._assign(tx, row, candidate.rows[0].id, {
+          eventType: 'assigned',
+          note: `Routed automatically (${strategy})`
+        });
+
+        logger.info('Conversation routed', { conversationId, userId: candidate.rows[0].id, strategy });
+        return assigned;
+      });
+    } catch (error) {
+      logger.error('Error routing conversation', { conversationId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Manually assign, transfer (with a note) or unassign (toUserId null) a conversation
+   */
+  async assign(clientId, conversationId, toUserId, { actorUserId = null, note = null } = {}) {
+    try {
+      return await db.transaction(async (tx) => {
+        const conversation = await tx.query(
+          'SELECT * FROM conversations WHERE id = $1 AND client_id = $2 FOR UPDATE',
+          [conversationId, clientId]
+        );
+        const row = conversation.rows[0];
+        if (!row) {
+          return null;
+        }
+
+        if (toUserId) {
+          const agent = await tx.query(
+            `SELECT id FROM users WHERE id = $1 AND organization_id = $2 AND status = 'active'`,
+            [toUserId, row.organization_id]
+          );
+          if (agent.rows.length === 0) {
+            throw new Error('Agent not found in this organization');
+          }
+        }
+
+        if (row.assigned_to === toUserId) {
+          return row;
+        }
+
+        let eventType = 'assigned';
+        if (!toUserId) {
+          eventType = 'unassigned';
+        } else if (row.assigned_to) {
+          eventType = 'transferred';
+        }
+
+        const assigned = await this._assign(tx, row, toUserId, { eventType, actorUserId, note });
+
+        logger.info('Conversation assignment changed', {
+          conversationId,
+          eventType,
+          fromUserId: row.assigned_to,
+          toUserId
+        });
+
+        return assigned;
+      });
+    } catch (error) {
+      logger.error('Error assigning conversation', { clientId, conversationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Set the assignee, drop any claim and record the handoff
+   */
+  async _assign(tx, conversation, toUserId, { eventType, actorUserId = null, note = null }) {
+    const result = await tx.query(
+      `UPDATE conversations
+       SET assigned_to = $2, assigned_at = CASE WHEN $2::uuid IS NULL THEN NULL ELSE NOW() END,
+           claimed_by = NULL, claim_expires_at = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [conversation.id, toUserId]
+    );
+
+    if (toUserId) {
+      await tx.query('UPDATE agent_presence SET last_assigned_at = NOW() WHERE user_id = $1', [toUserId]);
+    }
+
+    await this._recordEvent(tx, conversation.id, eventType, {
+      fromUserId: conversation.assigned_to,
+      toUserId,
+      actorUserId,
+      note
+    });
+
+    return result.rows[0];
+  }
+
+  // ================================================
+  // CLAIM LOCK
+  // ================================================
+
+  /**
+   * Claim a conversation so no other agent answers it; refreshes the claim if already held
+   * Claiming an unassigned conversation also assigns it to the claimant
+   * Returns { claimed: true, conversation } or { claimed: false, claimedBy, claimExpiresAt }, or null if not found
+   */
+  async claim(clientId, conversationId, userId) {
+    return db.transaction(async (tx) => {
+      const conversation = await tx.query(
+        'SELECT * FROM conversations WHERE id = $1 AND client_id = $2 FOR UPDATE',
+        [conversationId, clientId]
+      );
+      const row = conversation.rows[0];
+      if (!row) {
+        return null;
+      }
+
+      const heldByOther = row.claimed_by && row.claimed_by !== userId && new Date(row.claim_expires_at) > new Date();
+      if (heldByOther) {
+        return { claimed: false, claimedBy: row.claimed_by, claimExpiresAt: row.claim_expires_at };
+      }
+
+      if (!row.assigned_to) {
+        await this._assign(tx, row, userId, { eventType: 'assigned', actorUserId: userId, note: 'Claimed' });
+      }
+
+      const result = await tx.query(
+        `UPDATE conversations SET claimed_by = $2, claim_expires_at = NOW() + INTERVAL '1 minute' * $3
+         WHERE id = $1
+         RETURNING *`,
+        [conversationId, userId, this.claimTtlMinutes]
+      );
+
+      if (row.claimed_by !== userId) {
+        await this._recordEvent(tx, conversationId, 'claimed', { actorUserId: userId, fromUserId: row.claimed_by });
+      }
+
+      return { claimed: true, conversation: result.rows[0] };
+    });
+  }
+
+  /**
+   * Release a claim; only the claimant can release unless force is set (managers/admins)
+   */
+  async release(clientId, conversationId, userId, { force = false } = {}) {
+    return db.transaction(async (tx) => {
+      const conversation = await tx.query(
+        'SELECT * FROM conversations WHERE id = $1 AND client_id = $2 FOR UPDATE',
+        [conversationId, clientId]
+      );
+      const row = conversation.rows[0];
+      if (!row) {
+        return null;
+      }
+
+      if (!row.claimed_by) {
+        return { released: true, conversation: row };
+      }
+      if (row.claimed_by !== userId && !force) {
+        return { released: false, claimedBy: row.claimed_by, claimExpiresAt: row.claim_expires_at };
+      }
+
+      const result = await tx.query(
+        `UPDATE conversations SET claimed_by = NULL, claim_expires_at = NULL WHERE id = $1 RETURNING *`,
+        [conversationId]
+      );
+      await this._recordEvent(tx, conversationId, 'released', { actorUserId: userId, fromUserId: row.claimed_by });
+
+      return { released: true, conversation: result.rows[0] };
+    });
+  }
+
+  // ================================================
+  // STATUS & HISTORY
+  // ================================================
+
+  /**
+   * Close or reopen a conversation; closing drops the claim and frees the agent's capacity
+   */
+  async setStatus(clientId, conversationId, status, actorUserId = null) {
+    if (!['open', 'closed'].includes(status)) {
+      throw new Error('status must be open or closed');
+    }
+
+    return db.transaction(async (tx) => {
+      const result = await tx.query(
+        `UPDATE conversations
+         SET status = $3,
+             claimed_by = CASE WHEN $3 = 'closed' THEN NULL ELSE claimed_by END,
+             claim_expires_at = CASE WHEN $3 = 'closed' THEN NULL ELSE claim_expires_at END
+         WHERE id = $1 AND client_id = $2
+         RETURNING *`,
+        [conversationId, clientId, status]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await this._recordEvent(tx, conversationId, status === 'closed' ? 'closed' : 'reopened', { actorUserId });
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Assignment and handoff history of a conversation, oldest first
+   */
+  async getEvents(clientId, conversationId) {
+    const result = await db.query(
+      `SELECT e.* FROM conversation_events e
+       JOIN conversations cv ON cv.id = e.conversation_id
+       WHERE e.conversation_id = $1 AND cv.client_id = $2
+       ORDER BY e.created_at ASC`,
+      [conversationId, clientId]
+    );
+
+    return result.rows;
+  }
+
+  async _recordEvent(tx, conversationId, eventType, { fromUserId = null, toUserId = null, actorUserId = null, note = null } = {}) {
+    await tx.query(
+      `INSERT INTO conversation_events (conversation_id, event_type, from_user_id, to_user_id, actor_user_id, note)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [conversationId, eventType, fromUserId, toUserId, actorUserId, note]
+    );
+  }
+}
+
+module.exports = AssignmentManager;
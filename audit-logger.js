@@ -167,6 +167,145 @@ class AuditLogger {
     return filtered.slice(-limit);
   }
 
+  // Find an outbound message by its WhatsApp message id
+  findMessage(clientId, whatsappMessageId) {
+    const clientMessages = this.messageHistory.get(clientId) || [];
+    return clientMessages.find(msg =>
+      msg.direction === 'outbound' && msg.metadata && msg.metadata.messageId === whatsappMessageId
+    ) || null;
+  }
+
+  // Update delivery status of an outbound message (delivered, read, failed)
+  updateMessageStatus(clientId, whatsappMessageId, status) {
+    const entry = this.findMessage(clientId, whatsappMessageId);
+    if (!entry) return null;
+
+    entry.status = status;
+    entry[`${status}At`] = new Date().toISOString();
+
+    // A read receipt implies delivery even when the device ack was skipped
+    if (status === 'read' && !entry.deliveredAt) {
+      entry.deliveredAt = entry.readAt;
+    }
+
+    this.logAuditEvent('message_status', clientId, {
+      messageId: whatsappMessageId,
+      status
+    });
+
+    return entry;
+  }
+
+  // Chat a message belongs to: the other party of the conversation
+  getChatId(entry) {
+    return entry.direction === 'inbound' ? entry.from : entry.to;
+  }
+
+  // Find any message (inbound or outbound) by its WhatsApp message id
+  findAnyMessage(clientId, whatsappMessageId) {
+    const clientMessages = this.messageHistory.get(clientId) || [];
+    return clientMessages.find(msg => msg.metadata && msg.metadata.messageId === whatsappMessageId) || null;
+  }
+
+  // Conversation threads grouped by chat, most recent activity first
+  getConversations(clientId, { unreadOnly = false, limit = 50, offset = 0 } = {}) {
+    const threads = new Map();
+
+    // History is in send/receive order, so later entries overwrite the last message
+    for (const entry of this.messageHistory.get(clientId) || []) {
+      const chatId = this.getChatId(entry);
+      if (!chatId) continue;
+
+      if (!threads.has(chatId)) {
+        threads.set(chatId, {
+          chatId,
+          isGroup: chatId.endsWith('@g.us'),
+          name: null,
+          messageCount: 0,
+          unreadCount: 0,
+          lastMessage: null
+        });
+      }
+
+      const thread = threads.get(chatId);
+      thread.messageCount++;
+      if (entry.direction === 'inbound' && !entry.seenAt) {
+        thread.unreadCount++;
+      }
+      if (entry.metadata && entry.metadata.senderName) {
+        thread.name = entry.metadata.senderName;
+      }
+      thread.lastMessage = {
+        id: entry.id,
+        messageId: entry.metadata ? entry.metadata.messageId || null : null,
+        preview: entry.message.substring(0, 120),
+        direction: entry.direction,
+        status: entry.status,
+        timestamp: entry.timestamp
+      };
+    }
+
+    let conversations = Array.from(threads.values())
+      .sort((a, b) => b.lastMessage.timestamp.localeCompare(a.lastMessage.timestamp));
+
+    if (unreadOnly) {
+      conversations = conversations.filter(thread => thread.unreadCount > 0);
+    }
+
+    return {
+      conversations: conversations.slice(offset, offset + limit),
+      total: conversations.length
+    };
+  }
+
+  // Messages in one chat, newest first; pass the last entry id of a page as `before` for older ones
+  getConversationMessages(clientId, chatId, { before = null, limit = 50 } = {}) {
+    let messages = (this.messageHistory.get(clientId) || [])
+      .filter(entry => this.getChatId(entry) === chatId)
+      .reverse();
+
+    if (before) {
+      const index = messages.findIndex(entry => entry.id === before);
+      messages = index === -1 ? [] : messages.slice(index + 1);
+    }
+
+    const page = messages.slice(0, limit).map(entry => {
+      const replyTo = entry.metadata && entry.metadata.replyTo;
+      if (!replyTo) {
+        return { ...entry, replyTo: null };
+      }
+
+      // The quoted message may be older than the retained history
+      const quoted = this.findAnyMessage(clientId, replyTo);
+      return {
+        ...entry,
+        replyTo: quoted
+          ? { id: quoted.id, messageId: replyTo, message: quoted.message, direction: quoted.direction, timestamp: quoted.timestamp }
+          : { id: null, messageId: replyTo, message: null, direction: null, timestamp: null }
+      };
+    });
+
+    return {
+      messages: page,
+      nextCursor: messages.length > limit ? page[page.length - 1].id : null
+    };
+  }
+
+  // Mark every inbound message in a chat as seen; returns how many were unread
+  markConversationRead(clientId, chatId) {
+    const seenAt = new Date().toISOString();
+    let marked = 0;
+
+    for (const entry of this.messageHistory.get(clientId) || []) {
+      if (entry.direction === 'inbound' && !entry.seenAt && entry.from === chatId) {
+        entry.seenAt = seenAt;
+        marked++;
+      }
+    }
+
+    return marked;
+  }
+
   // Get message statistics
   getMessageStats(clientId, dateFrom = null, dateTo = null) {
     const messages = this.getMessageHistory(clientId, 10000, null, dateFrom, dateTo);
@@ -176,6 +315,8 @@ class AuditLogger {
       outbound: messages.filter(m => m.direction === 'outbound').length,
       inbound: messages.filter(m => m.direction === 'inbound').length,
       failed: messages.filter(m => m.status === 'failed').length,
+      delivered: messages.filter(m => m.deliveredAt).length,
+      read: messages.filter(m => m.status === 'read').length,
       avgMessageLength: 0,
       topContacts: {},
       hourlyDistribution: new Array(24).fill(0),
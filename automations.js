@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const db = require('./db');
+const OptOutManager = require('./opt-out-manager');
 
 // Automation templates for common CRM use cases
 const automationTemplates = {
@@ -220,7 +222,12 @@ const campaignTemplates = {
 class AutomationMarketplace {
   constructor(logger) {
     this.logger = logger;
-    this.activeAutomations = new Map();
+    this.activeAutomations = new Map(); // cache of active automations, loaded per client
+    this.clientRows = new Map();
+    this.scheduler = null;
+    this.assignmentManager = null;
+    this.contactManager = null;
+    this.webhookManager = null;
     this.templates = {
       automations: automationTemplates,
       messages: messageTemplates,
@@ -242,38 +249,98 @@ class AutomationMarketplace {
   }
 
   // Activate automation for a client
-  activateAutomation(clientId, automationId, config = {}) {
+  // Automations live in the automations table, so the client must be registered in whatsapp_clients
+  // (by id or client_id key); an activation that couldn't be stored would silently vanish on restart
+  async activateAutomation(clientId, automationId, config = {}, options = {}) {
     const template = this.templates.automations[automationId];
     if (!template) {
       throw new Error(`Automation template ${automationId} not found`);
     }
 
-    const automation = {
-      id: `${clientId}_${automationId}_${Date.now()}`,
-      clientId,
+    const client = await this.resolveClient(clientId);
+    if (!client) {
+      throw new Error('Client is not registered in the database');
+    }
+
+    const activation = {
       templateId: automationId,
       config: { ...template.template, ...config },
-      activatedAt: Date.now(),
-      status: 'active',
-      stats: {
+      activatedAt: options.activatedAt || Date.now(),
+      status: options.status || 'active',
+      stats: options.stats || {
         triggers: 0,
         actions: 0,
+        actionResults: {},
         lastTriggered: null
       }
     };
 
+    const result = await db.query(
+      `INSERT INTO automations
+       (organization_id, client_id, name, type, template_id, trigger_type, config, stats,
+        is_active, activated_at, deactivated_at, created_by, metadata)
+       VALUES ($1, $2, $3, 'template', $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        client.organization_id,
+        client.id,
+        template.name,
+        automationId,
+        template.triggers[0],
+        JSON.stringify(activation.config),
+        JSON.stringify(activation.stats),
+        activation.status === 'active',
+        new Date(activation.activatedAt),
+        options.deactivatedAt ? new Date(options.deactivatedAt) : null,
+        options.userId || null,
+        JSON.stringify(options.legacyId ? { legacy_id: options.legacyId } : {})
+      ]
+    );
+    const automation = this.fromRow(result.rows[0], clientId);
+
     this.activeAutomations.set(automation.id, automation);
-    this.logger.info('Automation activated', { clientId, automationId, automationId: automation.id });
+    this.logger.info('Automation activated', { clientId, templateId: automationId, automationId: automation.id });
+
+    return automation;
+  }
+
+  // Change an active automation's config; merges into the current config unless replace is set
+  async updateAutomation(automationId, config = {}, { replace = false } = {}) {
+    const automation = this.activeAutomations.get(automationId);
+    if (!automation || automation.status !== 'active') {
+      return null;
+    }
+
+    const template = this.templates.automations[automation.templateId];
+    const updated = replace
+      ? { ...template.template, ...config }
+      : { ...automation.config, ...config };
+
+    if (automation.persisted) {
+      await db.query('UPDATE automations SET config = $2 WHERE id = $1', [automationId, JSON.stringify(updated)]);
+    }
+
+    automation.config = updated;
+    this.logger.info('Automation updated', { automationId, fields: Object.keys(config) });
 
     return automation;
   }
 
   // Deactivate automation
-  deactivateAutomation(automationId) {
+  async deactivateAutomation(automationId) {
     const automation = this.activeAutomations.get(automationId);
     if (automation) {
       automation.status = 'inactive';
       automation.deactivatedAt = Date.now();
+
+      if (automation.persisted) {
+        await db.query(
+          `UPDATE automations SET is_active = false, deactivated_at = NOW(), stats = $2 WHERE id = $1`,
+          [automationId, JSON.stringify(automation.stats)]
+        );
+      }
+
+      this.activeAutomations.delete(automationId);
       this.logger.info('Automation deactivated', { automationId });
       return true;
     }
@@ -286,7 +353,130 @@ class AutomationMarketplace {
       .filter(auto => auto.clientId === clientId && auto.status === 'active');
   }
 
+  // Load a client's active automations from the database (on boot, or when the client is created)
+  async loadAutomations(clientId) {
+    const client = await this.resolveClient(clientId);
+    if (!client) {
+      return 0;
+    }
+
+    const result = await db.query(
+      `SELECT * FROM automations
+       WHERE client_id = $1 AND type = 'template' AND is_active = true
+       ORDER BY activated_at ASC`,
+      [client.id]
+    );
+
+    for (const [id, automation] of this.activeAutomations) {
+      if (automation.clientId === clientId && automation.persisted) {
+        this.activeAutomations.delete(id);
+      }
+    }
+    for (const row of result.rows) {
+      if (this.templates.automations[row.template_id]) {
+        this.activeAutomations.set(row.id, this.fromRow(row, clientId));
+      }
+    }
+
+    if (result.rows.length > 0) {
+      this.logger.info('Automations loaded', { clientId, count: result.rows.length });
+    }
+
+    return result.rows.length;
+  }
+
+  // Import automations in the previous in-memory shape (as returned by GET /automations/my):
+  // [{ id, templateId, config, activatedAt, status, stats }]
+  // Entries already imported (same id) are skipped
+  async importAutomations(clientId, automations) {
+    const client = await this.resolveClient(clientId);
+    if (!client) {
+      throw new Error('Client is not registered in the database');
+    }
+    if (!Array.isArray(automations)) {
+      throw new Error('automations must be an array');
+    }
+
+    const imported = [];
+    const skipped = [];
+
+    for (const legacy of automations) {
+      if (!legacy || !this.templates.automations[legacy.templateId]) {
+        skipped.push({ id: legacy?.id || null, reason: `Unknown template ${legacy?.templateId}` });
+        continue;
+      }
+
+      const existing = await db.query(
+        `SELECT id FROM automations WHERE client_id = $1 AND type = 'template' AND metadata ->> 'legacy_id' = $2`,
+        [client.id, String(legacy.id)]
+      );
+      if (existing.rows.length > 0) {
+        skipped.push({ id: legacy.id, reason: 'Already imported' });
+        continue;
+      }
+
+      // Stored config already includes the template defaults
+      const automation = await this.activateAutomation(clientId, legacy.templateId, legacy.config || {}, {
+        activatedAt: legacy.activatedAt,
+        status: legacy.status === 'inactive' ? 'inactive' : 'active',
+        deactivatedAt: legacy.deactivatedAt,
+        stats: { triggers: 0, actions: 0, actionResults: {}, lastTriggered: null, ...(legacy.stats || {}) },
+        legacyId: String(legacy.id)
+      });
+
+      if (automation.status !== 'active') {
+        this.activeAutomations.delete(automation.id);
+      }
+      imported.push(automation);
+    }
+
+    this.logger.info('Automations imported', { clientId, imported: imported.length, skipped: skipped.length });
+    return { imported, skipped };
+  }
+
+  // Persist stats after a run; failures are logged, not thrown, so message handling carries on
+  async saveStats(automation) {
+    if (!automation.persisted) return;
+
+    try {
+      await db.query('UPDATE automations SET stats = $2 WHERE id = $1', [automation.id, JSON.stringify(automation.stats)]);
+    } catch (error) {
+      this.logger.error('Failed to save automation stats', { automationId: automation.id, error: error.message });
+    }
+  }
+
+  // whatsapp_clients row for a client key (v2 uses the row id, the simple server its client_id)
+  async resolveClient(clientId) {
+    if (this.clientRows.has(clientId)) {
+      return this.clientRows.get(clientId);
+    }
+
+    const row = await db.findClient(clientId);
+    if (!row) {
+      return null;
+    }
+
+    const client = { id: row.id, organization_id: row.organization_id };
+    this.clientRows.set(clientId, client);
+    return client;
+  }
+
+  // In-memory automation from an automations row
+  fromRow(row, clientId) {
+    return {
+      id: row.id,
+      clientId,
+      templateId: row.template_id,
+      config: row.config || {},
+      activatedAt: new Date(row.activated_at).getTime(),
+      status: row.is_active ? 'active' : 'inactive',
+      stats: { triggers: 0, actions: 0, actionResults: {}, lastTriggered: null, ...(row.stats || {}) },
+      persisted: true
+    };
+  }
+
   // Process message against automations
+  // context: { organizationId, conversationId, sendMessage(to, text) -> messageId, ... }
   async processMessage(clientId, message, context = {}) {
     const automations = this.getClientAutomations(clientId);
     const results = [];
@@ -298,6 +488,7 @@ class AutomationMarketplace {
           results.push(result);
           automation.stats.triggers++;
           automation.stats.lastTriggered = Date.now();
+          await this.saveStats(automation);
         }
       } catch (error) {
         this.logger.error('Automation execution failed', {
@@ -310,6 +501,37 @@ class AutomationMarketplace {
     return results;
   }
 
+  // Run automations for a non-message trigger (invoice_created, payment_due, order_status_change, ...)
+  // event: { to, variables } - the recipient and the values for the template placeholders
+  async processEvent(clientId, trigger, event, context = {}) {
+    const automations = this.getClientAutomations(clientId)
+      .filter(automation => this.templates.automations[automation.templateId].triggers.includes(trigger));
+    const message = { from: event.to, body: event.body || '' };
+    const results = [];
+
+    for (const automation of automations) {
+      try {
+        const actions = await this.runActions(automation, message, {
+          ...context,
+          trigger,
+          variables: event.variables || {}
+        });
+        results.push({ automationId: automation.id, triggered: true, actions });
+        automation.stats.triggers++;
+        automation.stats.lastTriggered = Date.now();
+        await this.saveStats(automation);
+      } catch (error) {
+        this.logger.error('Automation execution failed', {
+          automationId: automation.id,
+          trigger,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
   // Execute automation logic
   async executeAutomation(automation, message, context) {
     const template = this.templates.automations[automation.templateId];
@@ -333,24 +555,56 @@ class AutomationMarketplace {
 
     // Execute actions if triggered
     if (result.triggered) {
-      for (const action of template.actions) {
-        try {
-          const actionResult = await this.executeAction(automation, action, message, context);
-          result.actions.push(actionResult);
-          automation.stats.actions++;
-        } catch (error) {
-          this.logger.error('Action execution failed', {
-            automationId: automation.id,
-            action,
-            error: error.message
-          });
-        }
-      }
+      result.actions = await this.runActions(automation, message, { ...context, trigger: 'message_received' });
     }
 
     return result;
   }
 
+  // Run a template's actions in order; later actions see earlier results (category, score)
+  async runActions(automation, message, context) {
+    const template = this.templates.automations[automation.templateId];
+    const run = { results: {}, contact: undefined };
+    const actions = [];
+
+    for (const action of template.actions) {
+      let actionResult;
+      try {
+        actionResult = await this.executeAction(automation, action, message, { ...context, run });
+      } catch (error) {
+        this.logger.error('Action execution failed', {
+          automationId: automation.id,
+          action,
+          error: error.message
+        });
+        actionResult = { action, status: 'failed', error: error.message };
+      }
+
+      run.results[action] = actionResult;
+      actions.push(actionResult);
+      this.recordActionResult(automation, actionResult);
+    }
+
+    return actions;
+  }
+
+  // Count an action outcome in the automation's stats
+  recordActionResult(automation, actionResult) {
+    const stats = automation.stats;
+    stats.actionResults = stats.actionResults || {};
+
+    const counts = stats.actionResults[actionResult.action]
+      || (stats.actionResults[actionResult.action] = { completed: 0, skipped: 0, failed: 0, lastError: null });
+    counts[actionResult.status]++;
+
+    if (actionResult.status === 'failed') {
+      counts.lastError = actionResult.error;
+    }
+    if (actionResult.status === 'completed') {
+      stats.actions++;
+    }
+  }
+
   // Check if message triggers automation
   checkMessageTrigger(automation, message) {
     const config = automation.config;
@@ -367,35 +621,281 @@ class AutomationMarketplace {
   }
 
   // Execute automation action
+  // Returns { action, status: 'completed' | 'skipped' | 'failed', ... }
   async executeAction(automation, action, message, context) {
     const config = automation.config;
+    const variables = context.variables || {};
 
     switch (action) {
       case 'send_auto_response':
-        if (config.auto_response) {
-          return {
-            action: 'send_message',
-            message: config.auto_response,
-            to: message.from
-          };
+        return this.sendActionMessage(action, automation, message, context, config.auto_response);
+
+      case 'extract_contact_info': {
+        const data = this.extractContactInfo(message);
+        const contact = await this.getActionContact(message, context);
+
+        const updates = {};
+        if (contact && data.email && !contact.email) {
+          updates.email = data.email;
+        }
+        if (contact && !contact.name && message._data?.notifyName) {
+          updates.name = message._data.notifyName;
+        }
+        if (contact && Object.keys(updates).length > 0) {
+          context.run.contact = await this.contactManager.updateContact(context.organizationId, contact.id, updates);
         }
-        break;
 
-      case 'extract_contact_info':
-        return {
-          action: 'extract_data',
-          data: this.extractContactInfo(message)
-        };
+        return { action, status: 'completed', data, contactId: contact?.id || null, updated: Object.keys(updates) };
+      }
+
+      case 'score_lead': {
+        const score = this.scoreLead(message, config.lead_scoring);
+        const contact = await this.updateActionContact(message, context, {
+          tags: [`lead_${score}`],
+          customFields: { lead_score: score, lead_scored_at: new Date().toISOString() }
+        });
 
-      case 'score_lead':
-        return {
-          action: 'score',
-          score: this.scoreLead(message, config.lead_scoring)
+        return { action, status: 'completed', score, contactId: contact?.id || null };
+      }
+
+      case 'notify_sales_team': {
+        const lead = {
+          phone: message.from,
+          message: message.body,
+          score: context.run.results.score_lead?.score || null,
+          email: context.run.results.extract_contact_info?.data?.email || null
         };
 
+        const notified = [];
+        if (await this.notifyWebhooks(automation, context, { type: 'sales_lead', lead })) {
+          notified.push('webhook');
+        }
+        if (context.sendMessage && Array.isArray(config.sales_team_numbers)) {
+          const text = this.fillTemplate(
+            config.sales_notification || 'New lead from {phone} (score: {score}): {message}',
+            { ...lead, score: lead.score || 'unscored' }
+          );
+          for (const number of config.sales_team_numbers) {
+            await context.sendMessage(number, text);
+            notified.push(number);
+          }
+        }
+
+        return notified.length > 0
+          ? { action, status: 'completed', notified }
+          : { action, status: 'skipped', reason: 'No webhook or sales_team_numbers configured' };
+      }
+
+      case 'categorize_issue': {
+        const category = this.categorizeIssue(message, config.categories);
+        const contact = await this.updateActionContact(message, context, {
+          tags: [`support_${category}`],
+          customFields: { support_category: category }
+        });
+
+        return { action, status: 'completed', category, contactId: contact?.id || null };
+      }
+
+      case 'route_to_agent': {
+        if (!this.assignmentManager || !context.conversationId) {
+          return { action, status: 'skipped', reason: 'Conversation routing not available' };
+        }
+
+        const conversation = await this.assignmentManager.autoAssign(context.conversationId, {
+          strategy: config.routing_strategy
+        });
+
+        return conversation
+          ? { action, status: 'completed', conversationId: conversation.id, assignedTo: conversation.assigned_to }
+          : { action, status: 'skipped', reason: 'Already assigned or no agent available', conversationId: context.conversationId };
+      }
+
+      case 'send_acknowledgment': {
+        const category = context.run.results.categorize_issue?.category || 'general';
+        return this.sendActionMessage(action, automation, message, context, config.auto_responses?.[category]);
+      }
+
+      case 'send_reminder_message':
+      case 'send_reminder': {
+        // Reminder sends come from scheduled/due events; variables.reminder picks the message ('24h', '3d', 'overdue')
+        if (context.trigger === 'message_received' || !variables.reminder) {
+          return { action, status: 'skipped', reason: 'No reminder due' };
+        }
+        return this.sendActionMessage(action, automation, message, context, config.messages?.[variables.reminder]);
+      }
+
+      case 'confirm_appointment': {
+        const keyword = (config.confirm_keyword || 'CONFIRM').toUpperCase();
+        if (message.body.trim().toUpperCase() !== keyword) {
+          return { action, status: 'skipped', reason: 'No confirmation reply' };
+        }
+
+        await this.updateActionContact(message, context, {
+          customFields: { appointment_confirmed_at: new Date().toISOString() }
+        });
+        await this.notifyWebhooks(automation, context, { type: 'appointment_confirmed', phone: message.from });
+
+        return this.sendActionMessage(action, automation, message, context,
+          config.confirmation_message || 'Thanks, your appointment is confirmed.');
+      }
+
+      case 'follow_up':
+        return this.sendActionMessage(action, automation, message, context, config.follow_up_message);
+
+      case 'send_payment_link':
+        if (context.trigger !== 'invoice_created') {
+          return { action, status: 'skipped', reason: 'Payment links are sent when an invoice is created' };
+        }
+        return this.sendActionMessage(action, automation, message, context,
+          config.payment_link_message || 'Your invoice is ready. Pay here: {payment_link}');
+
+      case 'mark_overdue': {
+        if (variables.reminder !== 'overdue') {
+          return { action, status: 'skipped', reason: 'Payment not overdue' };
+        }
+
+        const contact = await this.updateActionContact(message, context, {
+          tags: ['payment_overdue'],
+          customFields: { payment_overdue_at: new Date().toISOString() }
+        });
+        await this.notifyWebhooks(automation, context, { type: 'payment_overdue', phone: message.from, variables });
+
+        return { action, status: 'completed', contactId: contact?.id || null };
+      }
+
+      case 'send_status_update':
+        return this.sendActionMessage(action, automation, message, context, config.messages?.[variables.status]);
+
+      case 'send_tracking_info': {
+        // The shipped status message already carries the tracking link
+        const statusText = config.messages?.[variables.status] || '';
+        if (!variables.tracking_link || statusText.includes('{tracking_link}')) {
+          return { action, status: 'skipped', reason: 'No separate tracking link to send' };
+        }
+        return this.sendActionMessage(action, automation, message, context,
+          config.tracking_message || 'Track order #{order_id}: {tracking_link}');
+      }
+
+      case 'request_feedback':
+        if (variables.status !== 'delivered') {
+          return { action, status: 'skipped', reason: 'Feedback is requested after delivery' };
+        }
+        return this.sendActionMessage(action, automation, message, context, config.feedback_request);
+
+      case 'send_personalized_message': {
+        const campaignType = variables.campaign_type || config.campaign_type;
+        return this.sendActionMessage(action, automation, message, context, config.templates?.[campaignType]);
+      }
+
+      case 'track_responses': {
+        if (context.trigger !== 'message_received') {
+          return { action, status: 'skipped', reason: 'No response to track' };
+        }
+
+        const contact = await this.updateActionContact(message, context, {
+          customFields: { campaign_response_at: new Date().toISOString() }
+        });
+        await this.notifyWebhooks(automation, context, { type: 'campaign_response', phone: message.from, body: message.body });
+
+        return { action, status: 'completed', contactId: contact?.id || null };
+      }
+
       default:
-        return { action, status: 'not_implemented' };
+        return { action, status: 'skipped', reason: 'Unknown action' };
+    }
+  }
+
+  // Fill a message template and send it to the message sender through the client's send function
+  async sendActionMessage(action, automation, message, context, template) {
+    if (!template) {
+      return { action, status: 'skipped', reason: 'No message configured' };
+    }
+    if (!context.sendMessage) {
+      return { action, status: 'skipped', reason: 'No WhatsApp client to send with' };
+    }
+
+    // Contacts who opted out get no automated messages
+    const contact = await this.getActionContact(message, context);
+    if (contact?.do_not_contact) {
+      return { action, status: 'skipped', reason: OptOutManager.SUPPRESSED_ERROR };
+    }
+
+    const text = this.fillTemplate(template, {
+      name: contact?.name || message._data?.notifyName || '',
+      ...(automation.config.variables || {}),
+      ...(context.variables || {})
+    });
+
+    const missing = (text.match(/\{(\w+)\}/g) || []).map(placeholder => placeholder.slice(1, -1));
+    if (missing.length > 0) {
+      return { action, status: 'skipped', reason: `Missing variables: ${missing.join(', ')}` };
+    }
+
+    const messageId = await context.sendMessage(message.from, text);
+    return { action, status: 'completed', to: message.from, message: text, messageId: messageId || null };
+  }
+
+  // Replace {placeholders} with the given values; unknown placeholders are left in place
+  fillTemplate(template, variables) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+      variables[key] !== undefined && variables[key] !== null ? String(variables[key]) : placeholder
+    );
+  }
+
+  // Contact for the message sender, created on first use; null without a contact store or organization
+  async getActionContact(message, context) {
+    if (!this.contactManager || !context.organizationId || !message.from?.endsWith('@c.us')) {
+      return null;
+    }
+    if (context.run.contact === undefined) {
+      context.run.contact = await this.contactManager.upsertContact(context.organizationId, message.from);
     }
+    return context.run.contact;
+  }
+
+  // Add tags and merge custom fields on the sender's contact
+  async updateActionContact(message, context, { tags = [], customFields = {} }) {
+    const contact = await this.getActionContact(message, context);
+    if (!contact) {
+      return null;
+    }
+
+    context.run.contact = await this.contactManager.updateContact(context.organizationId, contact.id, {
+      tags: [...new Set([...(contact.tags || []), ...tags])],
+      custom_fields: { ...(contact.custom_fields || {}), ...customFields }
+    });
+
+    return context.run.contact;
+  }
+
+  // Send an automation_triggered webhook; returns false when webhooks aren't available
+  async notifyWebhooks(automation, context, payload) {
+    if (!this.webhookManager || !context.organizationId) {
+      return false;
+    }
+
+    await this.webhookManager.triggerEvent(context.organizationId, 'automation_triggered', {
+      automationId: automation.id,
+      templateId: automation.templateId,
+      clientId: automation.clientId,
+      ...payload,
+      timestamp: new Date()
+    });
+
+    return true;
+  }
+
+  // Pick the first category with a matching keyword
+  categorizeIssue(message, categories = {}) {
+    const text = message.body.toLowerCase();
+
+    for (const [category, keywords] of Object.entries(categories)) {
+      if (keywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+        return category;
+      }
+    }
+
+    return 'general';
   }
 
   // Extract contact information from message
@@ -433,6 +933,111 @@ class AutomationMarketplace {
     return score;
   }
 
+  // Attach the message scheduler used by reminder automations
+  setScheduler(scheduler) {
+    this.scheduler = scheduler;
+  }
+
+  // Attach the conversation assignment manager used by route_to_agent
+  setAssignmentManager(assignmentManager) {
+    this.assignmentManager = assignmentManager;
+  }
+
+  // Attach the contact store used to tag, score and update message senders
+  setContactManager(contactManager) {
+    this.contactManager = contactManager;
+  }
+
+  // Attach the webhook manager used for automation_triggered notifications
+  setWebhookManager(webhookManager) {
+    this.webhookManager = webhookManager;
+  }
+
+  // Build the reminder sends for an appointment or payment due date
+  buildReminderJobs(templateId, config, eventTime) {
+    const eventMs = eventTime.getTime();
+
+    switch (templateId) {
+      case 'appointment_reminder':
+        return config.reminder_times.map(hours => {
+          const key = hours >= 1 ? `${hours}h` : `${Math.round(hours * 60)}min`;
+          return {
+            key,
+            sendAt: new Date(eventMs - hours * 60 * 60 * 1000),
+            template: config.messages[key]
+          };
+        });
+
+      case 'payment_reminder':
+        // Positive values are days before the due date; 0 and below send the overdue notice
+        return config.reminder_schedule.map(days => {
+          const key = days > 0 ? `${days}d` : 'overdue';
+          return {
+            key,
+            sendAt: new Date(eventMs - days * 24 * 60 * 60 * 1000),
+            template: config.messages[key]
+          };
+        });
+
+      default:
+        throw new Error(`Automation template ${templateId} does not support reminders`);
+    }
+  }
+
+  // Schedule reminder messages through the scheduler
+  // details: { to, eventTime, timezone, variables }
+  async scheduleReminders(clientId, templateId, details, config = {}) {
+    if (!this.scheduler) {
+      throw new Error('Message scheduler not configured');
+    }
+
+    const template = this.templates.automations[templateId];
+    if (!template) {
+      throw new Error(`Automation template ${templateId} not found`);
+    }
+
+    const { to, eventTime, timezone = 'UTC', variables = {} } = details;
+    if (!to || !eventTime) {
+      throw new Error('Recipient and event time required');
+    }
+
+    const mergedConfig = { ...template.template, ...config };
+    const eventDate = this.scheduler.resolveSendAt(eventTime, timezone);
+    const jobs = this.buildReminderJobs(templateId, mergedConfig, eventDate);
+
+    const scheduled = [];
+    const skipped = [];
+
+    for (const job of jobs) {
+      if (!job.template) {
+        skipped.push({ key: job.key, reason: 'no_message' });
+        continue;
+      }
+      if (job.sendAt.getTime() <= Date.now()) {
+        skipped.push({ key: job.key, reason: 'in_past' });
+        continue;
+      }
+
+      const body = Object.entries(variables).reduce(
+        (text, [key, value]) => text.replace(new RegExp(`{${key}}`, 'g'), value),
+        job.template
+      );
+
+      scheduled.push(await this.scheduler.scheduleMessage(clientId, {
+        to,
+        body,
+        sendAt: job.sendAt,
+        timezone,
+        source: templateId,
+        metadata: { reminder: job.key, eventTime: eventDate.toISOString() }
+      }));
+    }
+
+    this.logger.info('Reminders scheduled', { clientId, templateId, scheduled: scheduled.length, skipped: skipped.length });
+
+    return { scheduled, skipped };
+  }
+
   // Get automation statistics
   getAutomationStats(clientId = null) {
     let automations = Array.from(this.activeAutomations.values());
@@ -0,0 +1,233 @@
+const OptOutManager = require('./opt-out-manager');
+
+// Bulk message sending with per-recipient template rendering
+class BulkSendManager {
+  constructor(logger, antiBan, auditLogger, messageTemplates, optOutManager) {
+    this.logger = logger;
+    this.antiBan = antiBan;
+    this.auditLogger = auditLogger;
+    this.messageTemplates = messageTemplates;
+    this.optOutManager = optOutManager;
+    this.batches = new Map(); // batchId -> batch data
+    this.clientQueues = new Map(); // clientId -> promise of the batch currently sending
+    this.maxRecipients = 1000;
+    this.maxRateLimitRetries = 20;
+  }
+
+  // Resolve a template id against the client's custom templates, then the standard ones
+  resolveTemplate(clientId, templateId, businessType = 'general') {
+    const customTemplates = this.messageTemplates.getCustomTemplates(clientId);
+    return customTemplates[templateId] || this.messageTemplates.getTemplate(businessType, templateId);
+  }
+
+  // Render every recipient's message before anything is sent
+  prepareBatch(template, recipients) {
+    const errors = [];
+    const messages = [];
+
+    recipients.forEach((recipient, index) => {
+      if (!recipient || !recipient.to) {
+        errors.push({ index, to: recipient?.to || null, error: 'Recipient required' });
+        return;
+      }
+
+      try {
+        const message = this.messageTemplates.renderTemplate(template, recipient.variables || {});
+        messages.push({ to: recipient.to, message });
+      } catch (error) {
+        errors.push({ index, to: recipient.to, error: error.message });
+      }
+    });
+
+    return { messages, errors };
+  }
+
+  // Recipients on the client's suppression list (opted out via STOP or manually)
+  // Without a database there's no opt-out manager and no list to check
+  async findSuppressed(clientId, phones) {
+    if (!this.optOutManager) return [];
+    return this.optOutManager.findSuppressedForClient(clientId, phones);
+  }
+
+  // Create a batch and start sending it in the background
+  createBatch(clientId, templateId, template, messages, sendFunction) {
+    if (messages.length > this.maxRecipients) {
+      throw new Error(`Too many recipients (max ${this.maxRecipients})`);
+    }
+
+    const batch = {
+      id: `bulk_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      clientId,
+      templateId,
+      templateName: template.name,
+      status: 'queued',
+      createdAt: Date.now(),
+      total: messages.length,
+      counts: { pending: messages.length, sent: 0, failed: 0 },
+      results: messages.map(({ to, message }) => ({
+        to,
+        message,
+        status: 'pending',
+        messageId: null,
+        error: null,
+        attempts: 0
+      }))
+    };
+
+    this.batches.set(batch.id, batch);
+    this.logger.info('Bulk batch created', { clientId, batchId: batch.id, templateId, total: batch.total });
+    this.auditLogger.logAuditEvent('bulk_send_created', clientId, { batchId: batch.id, templateId, total: batch.total });
+
+    // Batches for the same client are sent one after another so pacing stays per client
+    const previous = this.clientQueues.get(clientId) || Promise.resolve();
+    const current = previous
+      .then(() => this.processBatch(batch, sendFunction))
+      .catch(error => {
+        this.logger.error('Bulk batch processing error', { clientId, batchId: batch.id, error: error.message });
+      })
+      .finally(() => {
+        if (this.clientQueues.get(clientId) === current) {
+          this.clientQueues.delete(clientId);
+        }
+      });
+    this.clientQueues.set(clientId, current);
+
+    return batch;
+  }
+
+  // Send each recipient through the anti-ban queue
+  async processBatch(batch, sendFunction) {
+    if (batch.status === 'cancelled') {
+      batch.completedAt = Date.now();
+      return;
+    }
+
+    batch.status = 'processing';
+    batch.startedAt = Date.now();
+
+    for (const result of batch.results) {
+      if (batch.status === 'cancelled') break;
+      await this.sendToRecipient(batch, result, sendFunction);
+    }
+
+    if (batch.status !== 'cancelled') {
+      batch.status = 'completed';
+    }
+    batch.completedAt = Date.now();
+
+    this.logger.info('Bulk batch finished', {
+      clientId: batch.clientId,
+      batchId: batch.id,
+      status: batch.status,
+      sent: batch.counts.sent,
+      failed: batch.counts.failed
+    });
+    this.auditLogger.logAuditEvent('bulk_send_completed', batch.clientId, {
+      batchId: batch.id,
+      status: batch.status,
+      ...batch.counts
+    });
+  }
+
+  // Send a single recipient, waiting out rate limit windows instead of failing
+  async sendToRecipient(batch, result, sendFunction) {
+    let rateLimitRetries = 0;
+
+    while (true) {
+      result.attempts++;
+
+      try {
+        // The recipient may have replied STOP since the batch was created
+        const suppressed = await this.findSuppressed(batch.clientId, [result.to]);
+        if (suppressed.length > 0) {
+          result.status = 'failed';
+          result.error = OptOutManager.SUPPRESSED_ERROR;
+          batch.counts.pending--;
+          batch.counts.failed++;
+          return;
+        }
+
+        const sendResult = await this.antiBan.queueMessage(batch.clientId, result.to, result.message, sendFunction);
+        result.status = 'sent';
+        result.messageId = sendResult.id.id;
+        result.sentAt = Date.now();
+        batch.counts.pending--;
+        batch.counts.sent++;
+        return;
+      } catch (error) {
+        const rateLimited = this.antiBan.isRateLimitError(error);
+
+        if (rateLimited && rateLimitRetries < this.maxRateLimitRetries && batch.status !== 'cancelled') {
+          rateLimitRetries++;
+          const waitMs = this.antiBan.getRetryDelay(batch.clientId, error.message);
+          this.logger.warn('Bulk send rate limited, waiting', {
+            clientId: batch.clientId,
+            batchId: batch.id,
+            to: result.to,
+            waitSeconds: Math.round(waitMs / 1000)
+          });
+          await new Promise(resolve => setTimeout(resolve, waitMs));
+          continue;
+        }
+
+        result.status = 'failed';
+        result.error = error.message;
+        batch.counts.pending--;
+        batch.counts.failed++;
+        this.logger.updateMetrics({
+          messagesFailed: this.logger.metrics.messagesFailed + 1
+        });
+        return;
+      }
+    }
+  }
+
+  // Stop sending the remaining recipients of a batch
+  cancelBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+
+    if (batch.status === 'queued' || batch.status === 'processing') {
+      batch.status = 'cancelled';
+      this.logger.info('Bulk batch cancelled', { clientId: batch.clientId, batchId });
+      this.auditLogger.logAuditEvent('bulk_send_cancelled', batch.clientId, { batchId });
+    }
+
+    return batch;
+  }
+
+  // Get batch by ID
+  getBatch(batchId) {
+    return this.batches.get(batchId) || null;
+  }
+
+  // Get batches for client (without per-recipient results)
+  getClientBatches(clientId) {
+    return Array.from(this.batches.values())
+      .filter(batch => batch.clientId === clientId)
+      .map(({ results, ...summary }) => summary);
+  }
+
+  // Clean up finished batches older than 7 days
+  cleanupOldBatches() {
+    const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
+    let cleaned = 0;
+
+    for (const [batchId, batch] of this.batches.entries()) {
+      if (batch.completedAt && batch.completedAt < sevenDaysAgo) {
+        this.batches.delete(batchId);
+        cleaned++;
+      }
+    }
+
+    if (cleaned > 0) {
+      this.logger.info('Cleaned up old bulk batches', { count: cleaned });
+    }
+  }
+}
+
+module.exports = {
+  BulkSendManager
+};
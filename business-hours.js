@@ -0,0 +1,367 @@
+// ================================================
+// BUSINESS HOURS & AWAY MODE
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+/*
+ * Each client's schedule is stored in whatsapp_clients.metadata.business_hours:
+ *
+ *   {
+ *     "enabled": true,
+ *     "timezone": "Europe/Berlin",
+ *     "days": { "mon": [["09:00", "13:00"], ["14:00", "18:00"]], ..., "sat": [["10:00", "14:00"]] },
+ *     "holidays": ["2026-12-24", "12-25", "01-01"],
+ *     "away_message": "Thanks for your message! We're closed right now and open again {opens_at}."
+ *   }
+ *
+ * Ranges are local times in the timezone (an end of "24:00" runs to midnight); days without ranges are
+ * closed, and holidays close the whole day (MM-DD repeats every year). While enabled, inbound messages
+ * outside hours get the away message at most once per contact per closed period, and promotional
+ * campaigns hold each recipient until the schedule is open in the recipient's timezone
+ * (contact custom_fields.timezone, else the schedule's). Rule business_hours conditions use the schedule
+ * whether or not it's enabled.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  timezone: 'UTC',
+  days: {
+    mon: [['09:00', '18:00']],
+    tue: [['09:00', '18:00']],
+    wed: [['09:00', '18:00']],
+    thu: [['09:00', '18:00']],
+    fri: [['09:00', '18:00']]
+  },
+  holidays: [],
+  away_message: null
+};
+
+const MAX_HOLIDAYS = 400;
+const MAX_AWAY_MESSAGE_LENGTH = 1000;
+const CACHE_TTL_MS = 60 * 1000;
+const LOOKAHEAD_DAYS = 400;
+
+const clockFormats = new Map();
+
+/**
+ * Day name, date and minutes since midnight of an instant in a timezone
+ */
+function localClock(date, timezone) {
+  if (!clockFormats.has(timezone)) {
+    clockFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+
+  const values = {};
+  clockFormats.get(timezone).formatToParts(date).forEach(({ type, value }) => { values[type] = value; });
+
+  return {
+    day: values.weekday.toLowerCase().slice(0, 3),
+    date: `${values.year}-${values.month}-${values.day}`,
+    minutes: parseInt(values.hour, 10) * 60 + parseInt(values.minute, 10)
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function isTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isHoliday(schedule, clock) {
+  return (schedule.holidays || []).some(holiday => holiday === clock.date || holiday === clock.date.slice(5));
+}
+
+class BusinessHoursManager {
+  constructor() {
+    this.cache = new Map(); // clientId -> { settings, expiresAt }
+  }
+
+  // ================================================
+  // SCHEDULES
+  // ================================================
+
+  /**
+   * Throw with a descriptive message if a weekly schedule is invalid
+   */
+  static validateSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object' || !schedule.days || typeof schedule.days !== 'object') {
+      throw new Error('schedule needs days: { mon: [["09:00", "18:00"]], ... }');
+    }
+    if (schedule.timezone !== undefined && !isTimezone(schedule.timezone)) {
+      throw new Error(`Invalid timezone: ${schedule.timezone}`);
+    }
+    for (const [day, ranges] of Object.entries(schedule.days)) {
+      if (!DAY_NAMES.includes(day)) {
+        throw new Error(`Unknown day in schedule: ${day}`);
+      }
+      const valid = Array.isArray(ranges) && ranges.every(range =>
+        Array.isArray(range) && isTime(range[0]) && (isTime(range[1]) || range[1] === '24:00') &&
+        toMinutes(range[1]) > toMinutes(range[0])
+      );
+      if (!valid) {
+        throw new Error(`schedule.days.${day} must be a list of ["HH:MM", "HH:MM"] ranges that end after they start`);
+      }
+    }
+    if (schedule.holidays !== undefined) {
+      const valid = Array.isArray(schedule.holidays) && schedule.holidays.length <= MAX_HOLIDAYS &&
+        schedule.holidays.every(holiday => typeof holiday === 'string' && /^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(holiday));
+      if (!valid) {
+        throw new Error(`holidays must be a list of up to ${MAX_HOLIDAYS} YYYY-MM-DD or MM-DD dates`);
+      }
+    }
+  }
+
+  /**
+   * Whether an instant falls inside a schedule; timezone overrides the schedule's own
+   */
+  static isOpen(schedule, date = new Date(), timezone = null) {
+    const clock = localClock(date, timezone || schedule.timezone || 'UTC');
+    if (isHoliday(schedule, clock)) {
+      return false;
+    }
+
+    return (schedule.days[clock.day] || []).some(([start, end]) =>
+      clock.minutes >= toMinutes(start) && clock.minutes < toMinutes(end)
+    );
+  }
+
+  /**
+   * First minute at or after `from` when the schedule is open; null if it never opens within a year
+   */
+  static nextOpening(schedule, from = new Date(), timezone = null) {
+    const zone = timezone || schedule.timezone || 'UTC';
+    let cursor = new Date(Math.floor(from.getTime() / 60000) * 60000);
+
+    // Each step lands on a range start or the next local midnight
+    for (let steps = 0; steps < LOOKAHEAD_DAYS * 4; steps++) {
+      if (BusinessHoursManager.isOpen(schedule, cursor, zone)) {
+        return cursor;
+      }
+
+      const clock = localClock(cursor, zone);
+      const starts = isHoliday(schedule, clock)
+        ? []
+        : (schedule.days[clock.day] || []).map(([start]) => toMinutes(start)).filter(start => start > clock.minutes);
+      const minutes = starts.length > 0 ? Math.min(...starts) - clock.minutes : 24 * 60 - clock.minutes;
+
+      cursor = new Date(cursor.getTime() + minutes * 60000);
+    }
+
+    return null;
+  }
+
+  // ================================================
+  // SETTINGS
+  // ================================================
+
+  /**
+   * A client's business hours, with defaults for anything not configured
+   * clientId is the whatsapp_clients id or its client_id key; null if the client isn't registered
+   */
+  async getSettings(clientId) {
+    const cached = this.cache.get(clientId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.settings;
+    }
+
+    const client = await db.findClient(clientId);
+    if (!client) {
+      return null;
+    }
+
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      ...(client.metadata?.business_hours || {}),
+      client_id: client.id
+    };
+    this.cache.set(clientId, { settings, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return settings;
+  }
+
+  /**
+   * Change a client's business hours; fields not given are kept
+   */
+  async updateSettings(clientId, updates = {}) {
+    try {
+      const current = await this.getSettings(clientId);
+      if (!current) {
+        return null;
+      }
+
+      const { client_id: id, ...stored } = current;
+      const settings = { ...stored };
+      for (const key of ['enabled', 'timezone', 'days', 'holidays', 'away_message']) {
+        if (updates[key] !== undefined) {
+          settings[key] = updates[key];
+        }
+      }
+
+      if (typeof settings.enabled !== 'boolean') {
+        throw new Error('enabled must be true or false');
+      }
+      if (!isTimezone(settings.timezone)) {
+        throw new Error(`Invalid timezone: ${settings.timezone}`);
+      }
+      BusinessHoursManager.validateSchedule(settings);
+      if (!Object.values(settings.days).some(ranges => ranges.length > 0)) {
+        throw new Error('days needs at least one open range');
+      }
+      if (settings.away_message !== null &&
+        (typeof settings.away_message !== 'string' || settings.away_message.length > MAX_AWAY_MESSAGE_LENGTH)) {
+        throw new Error(`away_message must be text of up to ${MAX_AWAY_MESSAGE_LENGTH} characters, or null`);
+      }
+      if (settings.away_message !== null && !settings.away_message.trim()) {
+        settings.away_message = null;
+      }
+
+      await db.query(
+        `UPDATE whatsapp_clients
+         SET metadata = jsonb_set(COALESCE(metadata, '{}'), '{business_hours}', $2::jsonb)
+         WHERE id = $1`,
+        [id, JSON.stringify(settings)]
+      );
+
+      this.cache.clear();
+      logger.info('Business hours updated', { clientId, enabled: settings.enabled, timezone: settings.timezone });
+
+      return { ...settings, client_id: id };
+    } catch (error) {
+      logger.error('Error updating business hours', { clientId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the client is open now, and when it next opens if not
+   */
+  async getStatus(clientId, now = new Date()) {
+    const settings = await this.getSettings(clientId);
+    if (!settings) {
+      return null;
+    }
+
+    const open = BusinessHoursManager.isOpen(settings, now);
+    return {
+      enabled: settings.enabled,
+      open,
+      next_opening: open ? null : BusinessHoursManager.nextOpening(settings, now)
+    };
+  }
+
+  // ================================================
+  // AWAY MODE & HOLDS
+  // ================================================
+
+  /**
+   * Away reply for an inbound message outside hours, or null
+   * Claims the chat's reply for the current closed period, so each contact gets it once until the next opening;
+   * contacts who opted out (do_not_contact) never get one
+   */
+  async claimAwayReply(clientId, chatId, now = new Date()) {
+    try {
+      const settings = await this.getSettings(clientId);
+      if (!settings?.enabled || !settings.away_message || BusinessHoursManager.isOpen(settings, now)) {
+        return null;
+      }
+
+      const suppressed = await db.query(
+        `SELECT 1 FROM contacts c
+         JOIN whatsapp_clients wc ON wc.organization_id = c.organization_id
+         WHERE wc.id = $1 AND c.phone_number = $2 AND c.do_not_contact = TRUE`,
+        [settings.client_id, db.normalizePhone(chatId)]
+      );
+      if (suppressed.rows.length > 0) {
+        return null;
+      }
+
+      const opensAt = BusinessHoursManager.nextOpening(settings, now);
+      const windowEndsAt = opensAt || new Date(now.getTime() + 24 * 60 * 60 * 1000);
+
+      const result = await db.query(
+        `INSERT INTO away_replies (client_id, chat_id, window_ends_at, sent_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (client_id, chat_id) DO UPDATE SET window_ends_at = EXCLUDED.window_ends_at, sent_at = EXCLUDED.sent_at
+         WHERE away_replies.window_ends_at <= EXCLUDED.sent_at
+         RETURNING chat_id`,
+        [settings.client_id, chatId, windowEndsAt, now]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return settings.away_message.replace(/\{opens_at\}/g, opensAt ? this.formatOpening(opensAt, settings.timezone) : 'soon');
+    } catch (error) {
+      logger.error('Error checking away reply', { clientId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * When a promotional send to a contact may go out: null if now, else the next opening in the contact's timezone
+   */
+  async promotionalHold(clientId, contact = null, now = new Date()) {
+    const settings = await this.getSettings(clientId);
+    if (!settings?.enabled) {
+      return null;
+    }
+
+    const contactTimezone = contact?.custom_fields?.timezone;
+    const timezone = isTimezone(contactTimezone) ? contactTimezone : settings.timezone;
+    if (BusinessHoursManager.isOpen(settings, now, timezone)) {
+      return null;
+    }
+
+    return BusinessHoursManager.nextOpening(settings, now, timezone) || new Date(now.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * "Monday 09:00" in the schedule's timezone
+   */
+  formatOpening(date, timezone) {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).format(date).replace(',', '');
+  }
+}
+
+BusinessHoursManager.DAY_NAMES = DAY_NAMES;
+BusinessHoursManager.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+BusinessHoursManager.localClock = localClock;
+BusinessHoursManager.toMinutes = toMinutes;
+BusinessHoursManager.isTime = isTime;
+BusinessHoursManager.isTimezone = isTimezone;
+
+module.exports = BusinessHoursManager;
@@ -0,0 +1,486 @@
+// ================================================
+// CONTACT IMPORT (CSV / vCard)
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+// Header names recognized without an explicit mapping
+const DEFAULT_COLUMN_MAP = {
+  phone: 'phone_number',
+  phone_number: 'phone_number',
+  mobile: 'phone_number',
+  whatsapp: 'phone_number',
+  number: 'phone_number',
+  name: 'name',
+  full_name: 'name',
+  email: 'email',
+  tags: 'tags',
+  do_not_contact: 'do_not_contact'
+};
+
+const MAX_STORED_ERRORS = 1000;
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line endings)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Semicolon-separated exports are common from spreadsheet apps
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parse vCard text (2.1 / 3.0 / 4.0) into contact records
+ */
+function parseVCards(text) {
+  // Unfold continuation lines
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const cards = [];
+  let card = null;
+
+  for (const line of lines) {
+    const upper = line.toUpperCase();
+
+    if (upper.startsWith('BEGIN:VCARD')) {
+      card = { name: null, phones: [], email: null, tags: [], custom_fields: {} };
+      continue;
+    }
+    if (upper.startsWith('END:VCARD')) {
+      if (card) cards.push(card);
+      card = null;
+      continue;
+    }
+    if (!card) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const property = line.slice(0, separator).split(';')[0].split('.').pop().toUpperCase();
+    const value = line.slice(separator + 1).trim();
+
+    switch (property) {
+      case 'FN':
+        card.name = value;
+        break;
+      case 'N':
+        if (!card.name) {
+          const [family, given] = value.split(';');
+          card.name = [given, family].filter(Boolean).join(' ') || null;
+        }
+        break;
+      case 'TEL':
+        card.phones.push(value.replace(/^tel:/i, ''));
+        break;
+      case 'EMAIL':
+        if (!card.email) card.email = value;
+        break;
+      case 'CATEGORIES':
+        card.tags.push(...value.split(',').map(tag => tag.trim()).filter(Boolean));
+        break;
+      case 'ORG':
+        card.custom_fields.company = value.split(';')[0];
+        break;
+      case 'TITLE':
+        card.custom_fields.title = value;
+        break;
+      case 'NOTE':
+        card.custom_fields.note = value;
+        break;
+    }
+  }
+
+  return cards;
+}
+
+class ContactImporter {
+  constructor(options = {}) {
+    this.chunkSize = options.chunkSize || 500;
+    this.leaseSeconds = options.leaseSeconds || 120;
+    this.active = new Set(); // ids of imports this process is running
+    this.heartbeatTimer = null;
+  }
+
+  // ================================================
+  // JOBS
+  // ================================================
+
+  /**
+   * Create an import job and process it in the background
+   * mapping: { "Column Header": "phone_number" | "name" | "email" | "tags" | "do_not_contact" | "custom_fields.<key>" | null }
+   */
+  async createImport(organizationId, userId, { format, content, mapping = {}, updateExisting = false, defaultTags = [] }) {
+    if (!['csv', 'vcard'].includes(format)) {
+      throw new Error('format must be csv or vcard');
+    }
+
+    const records = format === 'csv'
+      ? this.csvToRecords(content, mapping)
+      : this.vcardToRecords(content);
+
+    const result = await db.query(
+      `INSERT INTO contact_imports
+       (organization_id, created_by, format, status, total_rows, options, claimed_by, heartbeat_at)
+       VALUES ($1, $2, $3, 'queued', $4, $5, $6, NOW())
+       RETURNING *`,
+      [
+        organizationId,
+        userId || null,
+        format,
+        records.length,
+        JSON.stringify({ mapping, updateExisting, defaultTags }),
+        db.instanceId
+      ]
+    );
+
+    const job = result.rows[0];
+    logger.info('Contact import queued', { organizationId, importId: job.id, rows: records.length, format });
+
+    this._track(job.id);
+
+    setImmediate(() => {
+      this.processImport(job, records, { updateExisting, defaultTags }).catch(error => {
+        logger.error('Contact import crashed', { importId: job.id, error: error.message });
+      }).finally(() => this._untrack(job.id));
+    });
+
+    return job;
+  }
+
+  /**
+   * Get an import job with its progress and error report
+   */
+  async getImport(organizationId, importId) {
+    const result = await db.query(
+      'SELECT * FROM contact_imports WHERE id = $1 AND organization_id = $2',
+      [importId, organizationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List import jobs for an organization (without error reports)
+   */
+  async listImports(organizationId, limit = 20) {
+    const result = await db.query(
+      `SELECT id, format, status, total_rows, processed_rows, created_count, updated_count,
+              duplicate_count, error_count, created_at, started_at, completed_at
+       FROM contact_imports WHERE organization_id = $1
+       ORDER BY created_at DESC LIMIT $2`,
+      [organizationId, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Imports run in-process; mark any whose instance stopped heartbeating as failed
+   * Imports still running on other live instances keep a fresh lease and are left alone
+   */
+  async failInterruptedImports() {
+    try {
+      const result = await db.query(
+        `UPDATE contact_imports SET status = 'failed', failed_reason = 'Interrupted by service restart', completed_at = NOW()
+         WHERE status IN ('queued', 'processing')
+         AND COALESCE(heartbeat_at, updated_at) < NOW() - INTERVAL '1 second' * $1`,
+        [this.leaseSeconds]
+      );
+
+      if (result.rowCount > 0) {
+        logger.warn('Marked interrupted contact imports as failed', { count: result.rowCount });
+      }
+    } catch (error) {
+      logger.error('Error failing interrupted contact imports', { error: error.message });
+    }
+  }
+
+  /**
+   * Heartbeat imports while this process runs them
+   */
+  _track(importId) {
+    this.active.add(importId);
+
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => this._heartbeat(), this.leaseSeconds * 1000 / 3);
+    }
+  }
+
+  _untrack(importId) {
+    this.active.delete(importId);
+
+    if (this.active.size === 0) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  async _heartbeat() {
+    try {
+      await db.query(
+        `UPDATE contact_imports SET heartbeat_at = NOW()
+         WHERE id = ANY($1::uuid[]) AND claimed_by = $2`,
+        [Array.from(this.active), db.instanceId]
+      );
+    } catch (error) {
+      logger.error('Error refreshing contact import heartbeat', { error: error.message });
+    }
+  }
+
+  // ================================================
+  // PROCESSING
+  // ================================================
+
+  /**
+   * Validate, dedupe and upsert records chunk by chunk, saving progress after each chunk
+   */
+  async processImport(job, records, { updateExisting, defaultTags }) {
+    const stats = { processed: 0, created: 0, updated: 0, duplicates: 0, errors: 0 };
+    const errors = [];
+    const seenPhones = new Set();
+
+    const addError = (row, message) => {
+      stats.errors++;
+      if (errors.length < MAX_STORED_ERRORS) {
+        errors.push({ row, error: message });
+      }
+    };
+
+    await db.query(
+      `UPDATE contact_imports SET status = 'processing', started_at = NOW() WHERE id = $1`,
+      [job.id]
+    );
+
+    try {
+      for (let start = 0; start < records.length; start += this.chunkSize) {
+        const valid = [];
+
+        for (const record of records.slice(start, start + this.chunkSize)) {
+          stats.processed++;
+
+          if (record.error) {
+            addError(record.row, record.error);
+            continue;
+          }
+
+          const phoneNumber = db.normalizePhone(record.phone_number);
+          if (!phoneNumber) {
+            addError(record.row, record.phone_number ? `Invalid phone number: ${record.phone_number}` : 'Missing phone number');
+            continue;
+          }
+          if (record.email && !db.validateEmail(record.email)) {
+            addError(record.row, `Invalid email: ${record.email}`);
+            continue;
+          }
+          if (seenPhones.has(phoneNumber)) {
+            stats.duplicates++;
+            continue;
+          }
+
+          seenPhones.add(phoneNumber);
+          valid.push({
+            ...record,
+            phone_number: phoneNumber,
+            tags: Array.from(new Set([...defaultTags, ...(record.tags || [])]))
+          });
+        }
+
+        if (valid.length > 0) {
+          const upserted = await this._upsertChunk(job.organization_id, valid, updateExisting);
+          stats.created += upserted.created;
+          stats.updated += upserted.updated;
+          stats.duplicates += valid.length - upserted.created - upserted.updated;
+        }
+
+        await this._saveProgress(job.id, stats, errors);
+      }
+
+      await db.query(
+        `UPDATE contact_imports SET status = 'completed', completed_at = NOW() WHERE id = $1`,
+        [job.id]
+      );
+
+      logger.info('Contact import completed', { importId: job.id, ...stats });
+    } catch (error) {
+      await this._saveProgress(job.id, stats, errors);
+      await db.query(
+        `UPDATE contact_imports SET status = 'failed', failed_reason = $2, completed_at = NOW() WHERE id = $1`,
+        [job.id, error.message]
+      );
+
+      logger.error('Contact import failed', { importId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Insert a chunk in one statement; existing phone numbers are skipped or merged
+   */
+  async _upsertChunk(organizationId, records, updateExisting) {
+    const params = [organizationId];
+    const values = records.map(record => {
+      params.push(
+        record.phone_number,
+        record.name ? db.sanitizeString(record.name) : null,
+        record.email || null,
+        JSON.stringify(record.tags || []),
+        JSON.stringify(record.custom_fields || {}),
+        record.do_not_contact === true
+      );
+      const base = params.length - 6;
+      return `($1, $${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}::jsonb, $${base + 5}::jsonb, $${base + 6})`;
+    });
+
+    const conflict = updateExisting
+      ? `DO UPDATE SET
+           name = COALESCE(EXCLUDED.name, contacts.name),
+           email = COALESCE(EXCLUDED.email, contacts.email),
+           tags = (SELECT COALESCE(jsonb_agg(DISTINCT tag), '[]'::jsonb)
+                   FROM jsonb_array_elements(contacts.tags || EXCLUDED.tags) AS tag),
+           custom_fields = contacts.custom_fields || EXCLUDED.custom_fields,
+           do_not_contact = contacts.do_not_contact OR EXCLUDED.do_not_contact`
+      : 'DO NOTHING';
+
+    const result = await db.query(
+      `INSERT INTO contacts (organization_id, phone_number, name, email, tags, custom_fields, do_not_contact)
+       VALUES ${values.join(', ')}
+       ON CONFLICT (organization_id, phone_number) ${conflict}
+       RETURNING (xmax = 0) AS inserted`,
+      params
+    );
+
+    const created = result.rows.filter(row => row.inserted).length;
+    return { created, updated: result.rows.length - created };
+  }
+
+  async _saveProgress(importId, stats, errors) {
+    await db.query(
+      `UPDATE contact_imports SET
+         processed_rows = $2, created_count = $3, updated_count = $4,
+         duplicate_count = $5, error_count = $6, errors = $7
+       WHERE id = $1`,
+      [importId, stats.processed, stats.created, stats.updated, stats.duplicates, stats.errors, JSON.stringify(errors)]
+    );
+  }
+
+  // ================================================
+  // PARSING
+  // ================================================
+
+  /**
+   * Map CSV rows to contact records using the header row
+   */
+  csvToRecords(content, mapping = {}) {
+    const rows = parseCsv(content.replace(/^\uFEFF/, ''));
+    if (rows.length === 0 || rows[0].every(value => value.trim() === '')) {
+      throw new Error('CSV file is empty');
+    }
+
+    const headers = rows[0].map(header => header.trim());
+    const targets = headers.map(header => {
+      if (Object.prototype.hasOwnProperty.call(mapping, header)) {
+        return mapping[header];
+      }
+      const key = header.toLowerCase().replace(/[\s-]+/g, '_');
+      return DEFAULT_COLUMN_MAP[key] || `custom_fields.${key}`;
+    });
+
+    if (!targets.includes('phone_number')) {
+      throw new Error('No phone number column found; map one with mapping: { "<header>": "phone_number" }');
+    }
+
+    const records = [];
+
+    rows.slice(1).forEach((fields, index) => {
+      if (fields.every(value => value.trim() === '')) return;
+
+      // Row numbers match the spreadsheet (header is row 1)
+      const record = { row: index + 2, custom_fields: {}, tags: [] };
+
+      if (fields.length > headers.length) {
+        record.error = `Expected ${headers.length} columns, found ${fields.length}`;
+        records.push(record);
+        return;
+      }
+
+      targets.forEach((target, column) => {
+        const value = (fields[column] || '').trim();
+        if (!target || value === '') return;
+
+        if (target.startsWith('custom_fields.')) {
+          record.custom_fields[target.slice('custom_fields.'.length)] = value;
+        } else if (target === 'tags') {
+          record.tags = value.split(/[;|,]/).map(tag => tag.trim()).filter(Boolean);
+        } else if (target === 'do_not_contact') {
+          record.do_not_contact = ['true', 'yes', '1', 'y'].includes(value.toLowerCase());
+        } else {
+          record[target] = value;
+        }
+      });
+
+      records.push(record);
+    });
+
+    return records;
+  }
+
+  /**
+   * Map vCards to contact records (the first TEL of each card is used)
+   */
+  vcardToRecords(content) {
+    const cards = parseVCards(content);
+    if (cards.length === 0) {
+      throw new Error('No vCards found');
+    }
+
+    return cards.map((card, index) => ({
+      row: index + 1,
+      name: card.name,
+      phone_number: card.phones[0] || null,
+      email: card.email,
+      tags: card.tags,
+      custom_fields: card.custom_fields
+    }));
+  }
+}
+
+module.exports = ContactImporter;
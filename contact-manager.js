@@ -0,0 +1,221 @@
+// ================================================
+// CONTACT MANAGEMENT
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+// Columns a client may set on create/update
+const EDITABLE_FIELDS = ['name', 'email', 'tags', 'custom_fields', 'do_not_contact', 'metadata'];
+const JSON_FIELDS = ['tags', 'custom_fields', 'metadata'];
+
+class ContactManager {
+  // ================================================
+  // QUERIES
+  // ================================================
+
+  /**
+   * List contacts with search, tag filters and pagination
+   * tagMode 'any' matches contacts with at least one tag, 'all' requires every tag
+   */
+  async listContacts(organizationId, { search, tags, tagMode = 'any', doNotContact, limit = 50, offset = 0 } = {}) {
+    try {
+      const conditions = ['organization_id = $1'];
+      const params = [organizationId];
+
+      if (search) {
+        params.push(`%${search}%`);
+        conditions.push(`(name ILIKE $${params.length} OR phone_number ILIKE $${params.length} OR email ILIKE $${params.length})`);
+      }
+
+      if (tags && tags.length > 0) {
+        if (tagMode === 'all') {
+          params.push(JSON.stringify(tags));
+          conditions.push(`tags @> $${params.length}::jsonb`);
+        } else {
+          params.push(tags);
+          conditions.push(`tags ?| $${params.length}::text[]`);
+        }
+      }
+
+      if (doNotContact !== undefined) {
+        params.push(doNotContact);
+        conditions.push(`do_not_contact = $${params.length}`);
+      }
+
+      const where = conditions.join(' AND ');
+
+      const countResult = await db.query(`SELECT COUNT(*) as count FROM contacts WHERE ${where}`, params);
+
+      const result = await db.query(
+        `SELECT * FROM contacts WHERE ${where}
+         ORDER BY updated_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        contacts: result.rows,
+        total: parseInt(countResult.rows[0].count)
+      };
+    } catch (error) {
+      logger.error('Error listing contacts', { organizationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a contact by id
+   */
+  async getContact(organizationId, contactId) {
+    const result = await db.query(
+      'SELECT * FROM contacts WHERE id = $1 AND organization_id = $2',
+      [contactId, organizationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a contact by normalized phone number
+   */
+  async getContactByPhone(organizationId, phoneNumber) {
+    const result = await db.query(
+      'SELECT * FROM contacts WHERE organization_id = $1 AND phone_number = $2',
+      [organizationId, phoneNumber]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // ================================================
+  // MUTATIONS
+  // ================================================
+
+  /**
+   * Create a contact; returns null when the phone number already exists
+   */
+  async createContact(organizationId, phoneNumber, data = {}) {
+    try {
+      const fields = this._pickFields(data);
+      const columns = ['organization_id', 'phone_number', ...Object.keys(fields)];
+      const values = [organizationId, phoneNumber, ...Object.values(fields)];
+
+      const result = await db.query(
+        `INSERT INTO contacts (${columns.join(', ')})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+         ON CONFLICT (organization_id, phone_number) DO NOTHING
+         RETURNING *`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      logger.info('Contact created', { organizationId, contactId: result.rows[0].id });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating contact', { organizationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update editable fields of a contact; fields not given are left unchanged
+   */
+  async updateContact(organizationId, contactId, data = {}) {
+    try {
+      const fields = this._pickFields(data);
+      const columns = Object.keys(fields);
+
+      if (columns.length === 0) {
+        return this.getContact(organizationId, contactId);
+      }
+
+      const result = await db.query(
+        `UPDATE contacts SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')}
+         WHERE id = $1 AND organization_id = $2
+         RETURNING *`,
+        [contactId, organizationId, ...Object.values(fields)]
+      );
+
+      if (result.rows.length > 0) {
+        logger.info('Contact updated', { organizationId, contactId, fields: columns });
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating contact', { organizationId, contactId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a contact
+   */
+  async deleteContact(organizationId, contactId) {
+    const result = await db.query(
+      'DELETE FROM contacts WHERE id = $1 AND organization_id = $2',
+      [contactId, organizationId]
+    );
+
+    if (result.rowCount > 0) {
+      logger.info('Contact deleted', { organizationId, contactId });
+    }
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Find or create a contact by phone number without counting a message
+   * Pass a transaction client as executor to run inside a caller's transaction
+   */
+  async upsertContact(organizationId, phoneNumber, executor = db) {
+    const result = await executor.query(
+      `INSERT INTO contacts (organization_id, phone_number, first_contact_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (organization_id, phone_number) DO UPDATE SET updated_at = NOW()
+       RETURNING *`,
+      [organizationId, phoneNumber]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Upsert the contact on the other side of a sent or received message
+   */
+  async recordMessage(organizationId, phoneNumber, direction) {
+    try {
+      const result = await db.query(
+        `INSERT INTO contacts (organization_id, phone_number, first_contact_at, last_contacted_at, message_count)
+         VALUES ($1, $2, NOW(), NOW(), 1)
+         ON CONFLICT (organization_id, phone_number) DO UPDATE SET
+           first_contact_at = COALESCE(contacts.first_contact_at, NOW()),
+           last_contacted_at = NOW(),
+           message_count = contacts.message_count + 1
+         RETURNING *`,
+        [organizationId, phoneNumber]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error recording contact message', { organizationId, direction, error: error.message });
+      return null;
+    }
+  }
+
+  _pickFields(data) {
+    const fields = {};
+
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] === undefined) continue;
+      fields[field] = JSON_FIELDS.includes(field) ? JSON.stringify(data[field]) : data[field];
+    }
+
+    return fields;
+  }
+}
+
+module.exports = ContactManager;
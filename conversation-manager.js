@@ -0,0 +1,253 @@
+// ================================================
+// CONVERSATIONS (UNIFIED INBOX)
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+const PREVIEW_LENGTH = 120;
+
+/**
+ * Short text shown for a thread's last message
+ */
+function buildPreview(body, type) {
+  if (body) {
+    return body.length > PREVIEW_LENGTH ? `${body.slice(0, PREVIEW_LENGTH)}…` : body;
+  }
+  return type && type !== 'text' ? `[${type}]` : '';
+}
+
+class ConversationManager {
+  // ================================================
+  // THREAD UPDATES
+  // ================================================
+
+  /**
+   * Add a stored message to its chat's thread, creating the thread on first message
+   * Inbound messages count as unread and reopen a closed thread
+   */
+  async recordMessage({ organizationId, clientId, chatId, messageId, body, type, direction, displayName = null }) {
+    try {
+      const isGroup = chatId.endsWith('@g.us');
+
+      const result = await db.query(
+        `INSERT INTO conversations
+         (organization_id, client_id, chat_id, is_group, contact_id, name,
+          last_message_id, last_message_at, last_message_preview, last_message_direction, unread_count)
+         VALUES ($1, $2, $3, $4,
+           (SELECT id FROM contacts WHERE organization_id = $1 AND phone_number = $3),
+           $5, $6, NOW(), $7, $8, CASE WHEN $8 = 'inbound' THEN 1 ELSE 0 END)
+         ON CONFLICT (client_id, chat_id) DO UPDATE SET
+           contact_id = COALESCE(conversations.contact_id, EXCLUDED.contact_id),
+           name = COALESCE(EXCLUDED.name, conversations.name),
+           last_message_id = EXCLUDED.last_message_id,
+           last_message_at = EXCLUDED.last_message_at,
+           last_message_preview = EXCLUDED.last_message_preview,
+           last_message_direction = EXCLUDED.last_message_direction,
+           unread_count = conversations.unread_count + EXCLUDED.unread_count,
+           status = CASE WHEN EXCLUDED.last_message_direction = 'inbound' THEN 'open' ELSE conversations.status END
+         RETURNING id`,
+        [organizationId, clientId, chatId, isGroup, displayName, messageId, buildPreview(body, type), direction]
+      );
+
+      const conversationId = result.rows[0].id;
+      await db.query('UPDATE messages SET conversation_id = $1 WHERE id = $2', [conversationId, messageId]);
+
+      return conversationId;
+    } catch (error) {
+      logger.error('Error recording conversation message', { clientId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Mark a thread as read
+   */
+  async markRead(clientId, conversationId) {
+    const result = await db.query(
+      `UPDATE conversations SET unread_count = 0, last_read_at = NOW()
+       WHERE id = $1 AND client_id = $2
+       RETURNING id`,
+      [conversationId, clientId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // ================================================
+  // QUERIES
+  // ================================================
+
+  /**
+   * List threads by last activity
+   * assignedTo is a user id, or 'unassigned' for threads without an assignee
+   */
+  async listConversations(clientId, { status, assignedTo, unreadOnly = false, search, limit = 50, offset = 0 } = {}) {
+    try {
+      const conditions = ['cv.client_id = $1'];
+      const params = [clientId];
+
+      if (status) {
+        params.push(status);
+        conditions.push(`cv.status = $${params.length}`);
+      }
+      if (assignedTo === 'unassigned') {
+        conditions.push('cv.assigned_to IS NULL');
+      } else if (assignedTo) {
+        params.push(assignedTo);
+        conditions.push(`cv.assigned_to = $${params.length}`);
+      }
+      if (unreadOnly) {
+        conditions.push('cv.unread_count > 0');
+      }
+      if (search) {
+        params.push(`%${search}%`);
+        conditions.push(`(cv.chat_id ILIKE $${params.length} OR cv.name ILIKE $${params.length} OR c.name ILIKE $${params.length})`);
+      }
+
+      const where = conditions.join(' AND ');
+      const from = `FROM conversations cv
+         LEFT JOIN contacts c ON c.id = cv.contact_id
+         LEFT JOIN users u ON u.id = cv.assigned_to
+         WHERE ${where}`;
+
+      const countResult = await db.query(`SELECT COUNT(*) AS count ${from}`, params);
+
+      const result = await db.query(
+        `SELECT cv.*, c.name AS contact_name, c.do_not_contact,
+                u.email AS assignee_email, u.first_name AS assignee_first_name, u.last_name AS assignee_last_name
+         ${from}
+         ORDER BY cv.last_message_at DESC NULLS LAST
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        conversations: result.rows.map(row => this.formatConversation(row)),
+        total: parseInt(countResult.rows[0].count)
+      };
+    } catch (error) {
+      logger.error('Error listing conversations', { clientId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single thread
+   */
+  async getConversation(clientId, conversationId) {
+    const result = await db.query(
+      `SELECT cv.*, c.name AS contact_name, c.do_not_contact,
+              u.email AS assignee_email, u.first_name AS assignee_first_name, u.last_name AS assignee_last_name
+       FROM conversations cv
+       LEFT JOIN contacts c ON c.id = cv.contact_id
+       LEFT JOIN users u ON u.id = cv.assigned_to
+       WHERE cv.id = $1 AND cv.client_id = $2`,
+      [conversationId, clientId]
+    );
+
+    return result.rows[0] ? this.formatConversation(result.rows[0]) : null;
+  }
+
+  /**
+   * Messages in a thread, newest first, with quoted-reply context
+   * Pass the last message id of a page as `before` to get the next (older) page
+   */
+  async getMessages(clientId, conversationId, { before, limit = 50 } = {}) {
+    const params = [conversationId, clientId];
+    let cursor = '';
+
+    if (before) {
+      params.push(before);
+      cursor = `AND (m.created_at, m.id) < (SELECT created_at, id FROM messages WHERE id = $${params.length})`;
+    }
+
+    params.push(limit + 1);
+
+    const result = await db.query(
+      `SELECT m.id, m.direction, m.sender, m.recipient, m.message_body, m.message_type,
+              m.media_url, m.media_type, m.status, m.message_id, m.created_at, m.delivered_at, m.read_at,
+              m.metadata ->> 'sentBy' AS sent_by,
+              COALESCE(m.metadata ->> 'fileId', m.metadata -> 'media' ->> 'fileId') AS media_file_id,
+              q.id AS reply_id, q.message_body AS reply_body, q.message_type AS reply_type,
+              q.direction AS reply_direction, q.sender AS reply_sender, q.created_at AS reply_created_at
+       FROM messages m
+       LEFT JOIN messages q ON q.id = m.reply_to_id
+       WHERE m.conversation_id = $1 AND m.client_id = $2 ${cursor}
+       ORDER BY m.created_at DESC, m.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+    return {
+      messages: rows.map(({ reply_id, reply_body, reply_type, reply_direction, reply_sender, reply_created_at, ...message }) => ({
+        ...message,
+        reply_to: reply_id
+          ? {
+            id: reply_id,
+            message_body: reply_body,
+            message_type: reply_type,
+            direction: reply_direction,
+            sender: reply_sender,
+            created_at: reply_created_at
+          }
+          : null
+      })),
+      nextCursor: hasMore ? rows[rows.length - 1].id : null
+    };
+  }
+
+  /**
+   * Stored id of a message by its WhatsApp id, for linking quoted replies
+   */
+  async findMessageId(clientId, whatsappMessageId) {
+    const result = await db.query(
+      'SELECT id FROM messages WHERE client_id = $1 AND message_id = $2 LIMIT 1',
+      [clientId, whatsappMessageId]
+    );
+
+    return result.rows[0]?.id || null;
+  }
+
+  /**
+   * Shape a thread row for the API
+   */
+  formatConversation(row) {
+    return {
+      id: row.id,
+      chat_id: row.chat_id,
+      is_group: row.is_group,
+      name: row.contact_name || row.name || row.chat_id.split('@')[0],
+      contact_id: row.contact_id,
+      do_not_contact: row.do_not_contact || false,
+      status: row.status,
+      unread_count: row.unread_count,
+      last_read_at: row.last_read_at,
+      last_message: row.last_message_id
+        ? {
+          id: row.last_message_id,
+          preview: row.last_message_preview,
+          direction: row.last_message_direction,
+          created_at: row.last_message_at
+        }
+        : null,
+      assignee: row.assigned_to
+        ? {
+          id: row.assigned_to,
+          email: row.assignee_email,
+          name: [row.assignee_first_name, row.assignee_last_name].filter(Boolean).join(' ') || null
+        }
+        : null,
+      assigned_at: row.assigned_at,
+      claimed_by: row.claim_expires_at && new Date(row.claim_expires_at) > new Date() ? row.claimed_by : null,
+      claim_expires_at: row.claim_expires_at && new Date(row.claim_expires_at) > new Date() ? row.claim_expires_at : null,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+}
+
+module.exports = ConversationManager;
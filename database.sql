@@ -98,18 +98,24 @@ CREATE TABLE messages (
   recipient VARCHAR(255) NOT NULL, -- phone@c.us or group@g.us
   sender VARCHAR(255),
   message_body TEXT,
-  message_type VARCHAR(50) DEFAULT 'text', -- text, image, video, file, audio, document
+  message_type VARCHAR(50) DEFAULT 'text', -- text, image, video, file, audio, voice, document
   media_url TEXT,
-  media_type VARCHAR(50), -- image/jpeg, video/mp4, etc
+  media_type VARCHAR(100), -- image/jpeg, video/mp4, etc
   media_size BIGINT,
   direction VARCHAR(20) DEFAULT 'outbound', -- inbound, outbound
   status VARCHAR(50) DEFAULT 'sent', -- sent, delivered, read, failed, pending
   message_id VARCHAR(255), -- WhatsApp message ID
   reply_to_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  conversation_id UUID, -- conversations.id (foreign key added with the conversations table)
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   delivered_at TIMESTAMP,
   read_at TIMESTAMP,
   failed_reason TEXT,
+  attempts INT DEFAULT 0, -- outbound queue send attempts
+  next_attempt_at TIMESTAMP, -- earliest retry time for pending messages
+  claimed_by VARCHAR(255), -- instance sending it while status is 'sending'
+  heartbeat_at TIMESTAMP, -- refreshed by the claiming instance; stale claims go back to pending
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   metadata JSONB DEFAULT '{}'
 );
 
@@ -119,6 +125,29 @@ CREATE INDEX idx_messages_direction ON messages(direction);
 CREATE INDEX idx_messages_status ON messages(status);
 CREATE INDEX idx_messages_created_at ON messages(created_at DESC);
 CREATE INDEX idx_messages_type ON messages(message_type);
+CREATE INDEX idx_messages_conversation ON messages(conversation_id, created_at DESC);
+CREATE INDEX idx_messages_client_message_id ON messages(client_id, message_id);
+
+CREATE TABLE scheduled_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID NOT NULL REFERENCES whatsapp_clients(id) ON DELETE CASCADE,
+  recipient VARCHAR(255) NOT NULL,
+  message_body TEXT,
+  message_type VARCHAR(50) DEFAULT 'text',
+  media_url TEXT,
+  media_type VARCHAR(50),
+  send_at TIMESTAMPTZ NOT NULL, -- absolute send time (UTC)
+  timezone VARCHAR(100) DEFAULT 'UTC', -- IANA zone the send time was given in
+  status VARCHAR(50) DEFAULT 'scheduled', -- scheduled, queued, cancelled
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL, -- queued outbound message
+  source VARCHAR(100) DEFAULT 'api', -- api, appointment_reminder, payment_reminder
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  metadata JSONB DEFAULT '{}'
+);
+
+CREATE INDEX idx_scheduled_messages_client_id ON scheduled_messages(client_id);
+CREATE INDEX idx_scheduled_messages_due ON scheduled_messages(send_at) WHERE status = 'scheduled';
 
 -- ================================================
 -- CONTACTS & SEGMENTS
@@ -146,6 +175,90 @@ CREATE INDEX idx_contacts_phone ON contacts(phone_number);
 CREATE INDEX idx_contacts_tags ON contacts USING GIN(tags);
 CREATE UNIQUE INDEX idx_contacts_org_phone ON contacts(organization_id, phone_number);
 
+CREATE TABLE contact_imports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id),
+  format VARCHAR(20) NOT NULL, -- csv, vcard
+  status VARCHAR(50) DEFAULT 'queued', -- queued, processing, completed, failed
+  options JSONB DEFAULT '{}', -- column mapping, updateExisting, defaultTags
+  total_rows INT DEFAULT 0,
+  processed_rows INT DEFAULT 0,
+  created_count INT DEFAULT 0,
+  updated_count INT DEFAULT 0,
+  duplicate_count INT DEFAULT 0, -- repeated in the file, or already present when not updating
+  error_count INT DEFAULT 0,
+  errors JSONB DEFAULT '[]', -- [{row, error}], first 1000 only
+  failed_reason TEXT,
+  claimed_by VARCHAR(255), -- instance running the import
+  heartbeat_at TIMESTAMP, -- refreshed while it runs; a stale one means the instance died
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_contact_imports_org_id ON contact_imports(organization_id, created_at DESC);
+
+-- One thread per chat (contact or group) per client
+CREATE TABLE conversations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES whatsapp_clients(id) ON DELETE CASCADE,
+  chat_id VARCHAR(255) NOT NULL, -- phone@c.us or group@g.us
+  is_group BOOLEAN DEFAULT FALSE,
+  contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+  name VARCHAR(255), -- WhatsApp push name when there's no contact name
+  status VARCHAR(50) DEFAULT 'open', -- open, closed
+  assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+  assigned_at TIMESTAMP,
+  claimed_by UUID REFERENCES users(id) ON DELETE SET NULL, -- agent currently answering; others can't reply
+  claim_expires_at TIMESTAMP, -- claims lapse so an idle agent doesn't block the thread
+  unread_count INT DEFAULT 0, -- inbound messages since the thread was last read
+  last_read_at TIMESTAMP,
+  last_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  last_message_at TIMESTAMP,
+  last_message_preview TEXT,
+  last_message_direction VARCHAR(20),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  metadata JSONB DEFAULT '{}'
+);
+
+CREATE UNIQUE INDEX idx_conversations_client_chat ON conversations(client_id, chat_id);
+CREATE INDEX idx_conversations_last_message ON conversations(client_id, last_message_at DESC);
+CREATE INDEX idx_conversations_assigned_to ON conversations(assigned_to) WHERE status = 'open';
+
+ALTER TABLE messages ADD CONSTRAINT fk_messages_conversation
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE SET NULL;
+
+-- Assignment and handoff history
+CREATE TABLE conversation_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL, -- assigned, transferred, unassigned, claimed, released, closed, reopened
+  from_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  to_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for automatic routing
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_conversation_events_conversation ON conversation_events(conversation_id, created_at);
+
+-- Agent availability for conversation routing
+CREATE TABLE agent_presence (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  status VARCHAR(20) DEFAULT 'offline', -- online, away, offline
+  max_open_conversations INT DEFAULT 20,
+  last_seen_at TIMESTAMP, -- heartbeat; online agents that stop sending it drop out of routing
+  last_assigned_at TIMESTAMP, -- round-robin order
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_agent_presence_org ON agent_presence(organization_id, status);
+
 CREATE TABLE segments (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
@@ -168,12 +281,19 @@ CREATE TABLE automations (
   organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
   client_id UUID NOT NULL REFERENCES whatsapp_clients(id) ON DELETE CASCADE,
   name VARCHAR(255) NOT NULL,
-  type VARCHAR(50), -- auto_reply, welcome, away, sequence, etc
-  trigger_type VARCHAR(50), -- message_received, contact_added, time_based
+  type VARCHAR(50), -- auto_reply, welcome, away, sequence, rule, template (marketplace), etc
+  template_id VARCHAR(100), -- templates: marketplace template the automation was activated from
+  trigger_type VARCHAR(50), -- message_received, contact_added, tag_added, time_based, webhook
   trigger_keywords JSONB DEFAULT '[]',
+  trigger_config JSONB DEFAULT '{}', -- rules: tag for tag_added, schedule and segment for time_based
+  conditions JSONB, -- rules: condition tree, NULL matches everything
   response_template TEXT,
   actions JSONB DEFAULT '[]', -- array of actions
+  config JSONB DEFAULT '{}', -- templates: template defaults merged with the client's config
+  stats JSONB DEFAULT '{}', -- templates: triggers, actions, per-action results, last triggered
   is_active BOOLEAN DEFAULT TRUE,
+  activated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deactivated_at TIMESTAMP,
   created_by UUID REFERENCES users(id),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -183,6 +303,83 @@ CREATE TABLE automations (
 CREATE INDEX idx_automations_org_id ON automations(organization_id);
 CREATE INDEX idx_automations_client_id ON automations(client_id);
 CREATE INDEX idx_automations_active ON automations(is_active);
+CREATE INDEX idx_automations_template ON automations(client_id, type) WHERE is_active = true;
+
+-- Rule executions; runs paused on a wait resume from remaining_actions at resume_at
+CREATE TABLE automation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  automation_id UUID NOT NULL REFERENCES automations(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES whatsapp_clients(id) ON DELETE CASCADE,
+  contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+  phone_number VARCHAR(20),
+  trigger_type VARCHAR(50) NOT NULL,
+  status VARCHAR(50) DEFAULT 'running', -- running, waiting, completed, stopped, failed
+  context JSONB DEFAULT '{}', -- triggering message, variables, conversation
+  remaining_actions JSONB DEFAULT '[]',
+  resume_at TIMESTAMP,
+  steps JSONB DEFAULT '[]', -- per-action results
+  error TEXT,
+  claimed_by VARCHAR(255), -- instance executing it while status is 'running'
+  heartbeat_at TIMESTAMP, -- refreshed while it runs; a stale one means the instance died
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_automation_runs_automation ON automation_runs(automation_id, created_at DESC);
+CREATE INDEX idx_automation_runs_resume ON automation_runs(resume_at) WHERE status = 'waiting';
+
+-- One away reply per chat per closed period; window_ends_at is when the client next opens
+CREATE TABLE away_replies (
+  client_id UUID NOT NULL REFERENCES whatsapp_clients(id) ON DELETE CASCADE,
+  chat_id VARCHAR(100) NOT NULL,
+  window_ends_at TIMESTAMP NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (client_id, chat_id)
+);
+
+-- Chatbot flows: a tree of nodes (see flow-engine.js) walked by a per-chat session
+CREATE TABLE flows (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES whatsapp_clients(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  start_node VARCHAR(64) NOT NULL,
+  nodes JSONB NOT NULL DEFAULT '{}', -- node id -> { type: message|menu|input|jump|handoff|end, ... }
+  keywords JSONB DEFAULT '[]', -- start (or restart) the flow
+  resume_keywords JSONB DEFAULT '[]', -- pick up an expired session where it stopped
+  is_default BOOLEAN DEFAULT FALSE, -- started by any inbound message outside a session
+  session_timeout_minutes INT DEFAULT 30,
+  timeout_message TEXT,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_flows_client_id ON flows(client_id);
+CREATE UNIQUE INDEX idx_flows_default ON flows(client_id) WHERE is_default = TRUE AND is_active = TRUE;
+
+CREATE TABLE flow_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  flow_id UUID NOT NULL REFERENCES flows(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES whatsapp_clients(id) ON DELETE CASCADE,
+  chat_id VARCHAR(100) NOT NULL,
+  contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+  current_node VARCHAR(64), -- menu or input node waiting for a reply
+  status VARCHAR(50) DEFAULT 'active', -- active, completed, handed_off, expired, restarted, opted_out
+  variables JSONB DEFAULT '{}', -- captured answers
+  retries INT DEFAULT 0, -- invalid replies at the current node
+  expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_flow_sessions_active ON flow_sessions(client_id, chat_id) WHERE status = 'active';
+CREATE INDEX idx_flow_sessions_chat ON flow_sessions(client_id, chat_id, updated_at DESC);
+CREATE INDEX idx_flow_sessions_flow ON flow_sessions(flow_id, created_at DESC);
+CREATE INDEX idx_flow_sessions_expires ON flow_sessions(expires_at) WHERE status = 'active';
 
 CREATE TABLE campaigns (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -195,7 +392,7 @@ CREATE TABLE campaigns (
   delivered_count INT DEFAULT 0,
   failed_count INT DEFAULT 0,
   read_count INT DEFAULT 0,
-  status VARCHAR(50) DEFAULT 'draft', -- draft, scheduled, running, completed, paused, failed
+  status VARCHAR(50) DEFAULT 'draft', -- draft, scheduled, running, completed, paused, cancelled, failed
   scheduled_for TIMESTAMP,
   started_at TIMESTAMP,
   completed_at TIMESTAMP,
@@ -214,14 +411,45 @@ CREATE TABLE campaign_recipients (
   campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
   contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
   message_id UUID REFERENCES messages(id),
-  status VARCHAR(50) DEFAULT 'pending', -- pending, sent, delivered, failed, read
+  whatsapp_message_id VARCHAR(255), -- WhatsApp message ID, used to match delivery receipts
+  variables JSONB DEFAULT '{}', -- per-recipient template variables
+  status VARCHAR(50) DEFAULT 'pending', -- pending, sending, sent, delivered, read, failed, cancelled
   failed_reason TEXT,
+  hold_until TIMESTAMP, -- promotional sends held for the recipient's business-hours window
+  claimed_by VARCHAR(255), -- instance sending it while status is 'sending'
+  heartbeat_at TIMESTAMP, -- refreshed by the claiming instance; stale claims are failed as interrupted
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_campaign_recipients_campaign_id ON campaign_recipients(campaign_id);
 CREATE INDEX idx_campaign_recipients_contact_id ON campaign_recipients(contact_id);
+CREATE INDEX idx_campaign_recipients_pending ON campaign_recipients(campaign_id, created_at) WHERE status = 'pending';
+CREATE INDEX idx_campaign_recipients_wa_message_id ON campaign_recipients(whatsapp_message_id);
+
+CREATE TABLE sequence_enrollments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES whatsapp_clients(id) ON DELETE CASCADE,
+  contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  sequence_id VARCHAR(100) NOT NULL, -- key in campaignTemplates (welcome_series, ...)
+  variables JSONB DEFAULT '{}',
+  status VARCHAR(50) DEFAULT 'active', -- active, completed, replied, opted_out, cancelled
+  current_step INT DEFAULT 0, -- index of the next step to send
+  enrolled_at TIMESTAMPTZ DEFAULT NOW(), -- step delays are measured from here
+  next_step_at TIMESTAMPTZ,
+  last_step_sent_at TIMESTAMPTZ,
+  last_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  stopped_at TIMESTAMPTZ,
+  stop_reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_sequence_enrollments_client_id ON sequence_enrollments(client_id);
+CREATE INDEX idx_sequence_enrollments_contact_id ON sequence_enrollments(contact_id);
+CREATE INDEX idx_sequence_enrollments_due ON sequence_enrollments(next_step_at) WHERE status = 'active';
+CREATE UNIQUE INDEX idx_sequence_enrollments_active ON sequence_enrollments(sequence_id, contact_id) WHERE status = 'active';
 
 -- ================================================
 -- TEMPLATES
@@ -452,23 +680,56 @@ CREATE INDEX idx_team_members_user_id ON team_members(user_id);
 -- FILE STORAGE
 -- ================================================
 
+-- Stored objects, addressed by SHA-256 of their content; identical bytes
+-- uploaded again by the same organization reference the same object
+CREATE TABLE media_blobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  content_hash VARCHAR(64) NOT NULL, -- hex SHA-256
+  mime_type VARCHAR(100),
+  file_size BIGINT NOT NULL,
+  storage_driver VARCHAR(20) NOT NULL DEFAULT 'local',
+  storage_path TEXT NOT NULL,
+  ref_count INTEGER NOT NULL DEFAULT 0, -- file_uploads rows pointing here; the object is deleted at 0
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(organization_id, content_hash)
+);
+
 CREATE TABLE file_uploads (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   client_id UUID NOT NULL REFERENCES whatsapp_clients(id) ON DELETE CASCADE,
   message_id UUID REFERENCES messages(id),
+  parent_id UUID REFERENCES file_uploads(id) ON DELETE CASCADE, -- original a derivative was made from
+  variant VARCHAR(20) DEFAULT 'original', -- original, compressed, thumbnail, voice
   filename VARCHAR(255) NOT NULL,
   original_filename VARCHAR(255),
   mime_type VARCHAR(100),
   file_size BIGINT,
-  storage_path TEXT, -- S3 path or local path
+  storage_driver VARCHAR(20) DEFAULT 'local', -- local, s3
+  storage_path TEXT, -- S3 object key or local path
+  blob_id UUID REFERENCES media_blobs(id), -- shared stored object; NULL for files stored before deduplication
+  content_hash VARCHAR(64),
+  scan_status VARCHAR(20) DEFAULT 'unscanned', -- clean, quarantined, unscanned
   url TEXT,
   uploaded_by UUID REFERENCES users(id),
+  metadata JSONB DEFAULT '{}', -- width, height, duration, codecs
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   expires_at TIMESTAMP
 );
 
 CREATE INDEX idx_file_uploads_client_id ON file_uploads(client_id);
 CREATE INDEX idx_file_uploads_message_id ON file_uploads(message_id);
+CREATE UNIQUE INDEX idx_file_uploads_variant ON file_uploads(parent_id, variant) WHERE parent_id IS NOT NULL;
+CREATE INDEX idx_file_uploads_expires_at ON file_uploads(expires_at) WHERE expires_at IS NOT NULL;
+CREATE INDEX idx_file_uploads_blob_id ON file_uploads(blob_id);
+
+-- Spent single-use signed download URLs
+CREATE TABLE media_url_uses (
+  nonce VARCHAR(64) PRIMARY KEY,
+  file_id UUID REFERENCES file_uploads(id) ON DELETE CASCADE,
+  used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL -- when the link would have expired; rows are purged after
+);
 
 -- ================================================
 -- COMPLIANCE & DATA PROTECTION
@@ -565,12 +826,36 @@ CREATE TRIGGER update_whatsapp_clients_updated_at BEFORE UPDATE ON whatsapp_clie
 CREATE TRIGGER update_messages_updated_at BEFORE UPDATE ON messages
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_scheduled_messages_updated_at BEFORE UPDATE ON scheduled_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_sequence_enrollments_updated_at BEFORE UPDATE ON sequence_enrollments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_contacts_updated_at BEFORE UPDATE ON contacts
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_agent_presence_updated_at BEFORE UPDATE ON agent_presence
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_contact_imports_updated_at BEFORE UPDATE ON contact_imports
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_automations_updated_at BEFORE UPDATE ON automations
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_automation_runs_updated_at BEFORE UPDATE ON automation_runs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_flows_updated_at BEFORE UPDATE ON flows
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_flow_sessions_updated_at BEFORE UPDATE ON flow_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- ================================================
 -- COMMENTS FOR DOCUMENTATION
 -- ================================================
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const { Pool } = require('pg');
 const crypto = require('crypto');
+const os = require('os');
 const logger = require('./logger');
 
 // ================================================
@@ -233,6 +234,8 @@ function decryptSensitive(encryptedText) {
 // INPUT VALIDATION & SANITIZATION
 // ================================================
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 function validateEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return emailRegex.test(email);
@@ -244,6 +247,16 @@ function validatePhone(phone) {
   return phoneRegex.test(phone);
 }
 
+// Normalize "+1 (415) 555-1234", "14155551234" or "14155551234@c.us" to a chat id; null if invalid
+function normalizePhone(phone) {
+  if (typeof phone !== 'string' && typeof phone !== 'number') return null;
+
+  const [user, server = 'c.us'] = String(phone).trim().split('@');
+  const normalized = `${user.replace(/\D/g, '')}@${server}`;
+
+  return validatePhone(normalized) ? normalized : null;
+}
+
 function sanitizeString(str, maxLength = 255) {
   if (typeof str !== 'string') return '';
   return str.slice(0, maxLength).trim();
@@ -283,6 +296,21 @@ async function findById(table, id) {
   return result.rows[0];
 }
 
+// whatsapp_clients row for a client key: v2 passes the row id, the simple server its client_id.
+// client_id is only unique per organization, so a key shared across organizations resolves to null
+async function findClient(clientId) {
+  const key = String(clientId);
+  const result = UUID_PATTERN.test(key)
+    ? await query('SELECT * FROM whatsapp_clients WHERE id = $1', [key])
+    : await query('SELECT * FROM whatsapp_clients WHERE client_id = $1 LIMIT 2', [key]);
+
+  if (result.rows.length > 1) {
+    logger.warn('Client key matches clients in several organizations', { clientId: key });
+    return null;
+  }
+  return result.rows[0] || null;
+}
+
 async function findAll(table, options = {}) {
   let qb = new QueryBuilder(table).select();
   
@@ -352,6 +380,15 @@ async function recordAction(clientId, action, details) {
   );
 }
 
+// ================================================
+// PROCESS IDENTITY
+// ================================================
+
+// Stamped on rows this process claims, so leases can tell a live owner from a
+// dead one; the random part keeps a restarted process from inheriting its
+// predecessor's claims when hostname and pid repeat (pid 1 in a container)
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
 // ================================================
 // EXPORTS
 // ================================================
@@ -365,13 +402,16 @@ module.exports = {
   decryptSensitive,
   validateEmail,
   validatePhone,
+  normalizePhone,
   sanitizeString,
   sanitizeJSON,
   findById,
+  findClient,
   findAll,
   insert,
   update,
   deleteRecord,
   checkRateLimit,
-  recordAction
+  recordAction,
+  instanceId
 };
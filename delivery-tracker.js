@@ -0,0 +1,144 @@
+// ================================================
+// DELIVERY & READ RECEIPT TRACKING
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+// whatsapp-web.js ACK values (see MessageAck in whatsapp-web.js)
+const ACK_STATUS = {
+  '-1': 'failed', // ACK_ERROR
+  '1': 'sent', // ACK_SERVER
+  '2': 'delivered', // ACK_DEVICE
+  '3': 'read', // ACK_READ
+  '4': 'read' // ACK_PLAYED (voice notes, videos)
+};
+
+// Statuses a message may be in before reaching each receipt status
+const PREVIOUS_STATUSES = {
+  sent: ['pending', 'sending'],
+  delivered: ['pending', 'sending', 'sent'],
+  read: ['pending', 'sending', 'sent', 'delivered'],
+  failed: ['pending', 'sending', 'sent']
+};
+
+class DeliveryTracker {
+  constructor(analyticsManager, webhookManager, retryDelayMs = 2000) {
+    this.analyticsManager = analyticsManager;
+    this.webhookManager = webhookManager;
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  /**
+   * Map a whatsapp-web.js ack value to a message status
+   */
+  static ackToStatus(ack) {
+    return ACK_STATUS[String(ack)] || null;
+  }
+
+  /**
+   * Check whether moving from one status to another is a forward transition
+   */
+  static isStatusAdvance(currentStatus, nextStatus) {
+    const previous = PREVIOUS_STATUSES[nextStatus];
+    return !!previous && previous.includes(currentStatus);
+  }
+
+  /**
+   * Handle a message_ack event for an outbound message
+   */
+  async handleAck(clientId, organizationId, message, ack, isRetry = false) {
+    try {
+      const status = DeliveryTracker.ackToStatus(ack);
+      if (!status || !message.fromMe) return null;
+
+      const updated = await this._applyStatus(clientId, message.id._serialized, status);
+      if (!updated) {
+        // The ack may arrive before the queue has stored the WhatsApp message id
+        if (!isRetry) {
+          setTimeout(() => this.handleAck(clientId, organizationId, message, ack, true), this.retryDelayMs);
+        }
+        return null;
+      }
+
+      await this.recordReceipt(clientId, organizationId, {
+        messageId: updated.id,
+        whatsappMessageId: message.id._serialized,
+        to: updated.recipient,
+        status,
+        skippedDelivered: updated.previous_status !== 'delivered'
+      });
+
+      logger.info('Message status updated from ack', {
+        clientId,
+        messageId: updated.id,
+        previousStatus: updated.previous_status,
+        status
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error handling message ack', { clientId, ack, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Count a delivery or read receipt and emit its webhook
+   * A read receipt that skipped the delivery receipt (`skippedDelivered`) counts as delivered too.
+   */
+  async recordReceipt(clientId, organizationId, { messageId, whatsappMessageId, to, status, skippedDelivered = false }) {
+    if (status !== 'delivered' && status !== 'read') return;
+
+    if (status === 'read' && skippedDelivered) {
+      await this.analyticsManager.recordMessageMetric(clientId, {
+        direction: 'outbound',
+        status: 'delivered'
+      });
+    }
+
+    await this.analyticsManager.recordMessageMetric(clientId, {
+      direction: 'outbound',
+      status
+    });
+
+    await this.webhookManager.triggerEvent(
+      organizationId,
+      `message_${status}`,
+      {
+        messageId,
+        whatsappMessageId,
+        clientId,
+        to,
+        status,
+        timestamp: new Date()
+      }
+    );
+  }
+
+  /**
+   * Move the stored row forward to the new status; returns null for stale or unknown acks
+   */
+  async _applyStatus(clientId, whatsappMessageId, status) {
+    const result = await db.query(
+      `UPDATE messages m SET
+         status = $3,
+         delivered_at = CASE WHEN $3 IN ('delivered', 'read') THEN COALESCE(m.delivered_at, NOW()) ELSE m.delivered_at END,
+         read_at = CASE WHEN $3 = 'read' THEN COALESCE(m.read_at, NOW()) ELSE m.read_at END,
+         failed_reason = CASE WHEN $3 = 'failed' THEN 'WhatsApp reported a delivery error' ELSE m.failed_reason END
+       FROM (
+         SELECT id, status AS previous_status FROM messages
+         WHERE client_id = $1 AND message_id = $2 AND direction = 'outbound'
+         AND status = ANY($4::text[])
+         FOR UPDATE
+       ) prev
+       WHERE m.id = prev.id
+       RETURNING m.id, m.recipient, m.metadata, prev.previous_status`,
+      [clientId, whatsappMessageId, status, PREVIOUS_STATUSES[status]]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = DeliveryTracker;
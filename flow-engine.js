@@ -0,0 +1,981 @@
+// ================================================
+// CHATBOT FLOWS
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+/*
+ * Flows are menu trees walked one inbound message at a time:
+ *
+ *   {
+ *     "name": "Main menu",
+ *     "start": "welcome",
+ *     "keywords": ["menu"],
+ *     "resume_keywords": ["continue"],
+ *     "is_default": true,
+ *     "session_timeout_minutes": 30,
+ *     "timeout_message": "We've closed this chat for now. Reply MENU to start again.",
+ *     "nodes": {
+ *       "welcome": { "type": "menu", "text": "Hi {name}! How can we help?", "options": [
+ *         { "label": "Opening hours", "next": "hours" },
+ *         { "label": "Get a quote", "next": "ask_email", "keywords": ["quote", "price"] },
+ *         { "label": "Talk to a person", "next": "agent" }
+ *       ] },
+ *       "hours": { "type": "message", "text": "We're open Mon-Fri 9:00-18:00.", "next": "welcome" },
+ *       "ask_email": { "type": "input", "text": "What's your email?", "field": "email", "validate": "email", "next": "thanks" },
+ *       "thanks": { "type": "end", "text": "Thanks! We'll send the quote to {variables.ask_email}." },
+ *       "agent": { "type": "handoff", "text": "Connecting you to an agent..." }
+ *     }
+ *   }
+ *
+ * Nodes:
+ *   message  { text, next? }             send text, then continue at next (or end the session)
+ *   menu     { text, options: [{ label, next, keywords? }], invalid_text?, max_retries?, fallback? }
+ *                                         send text with numbered options and wait; a reply picks an option by
+ *                                         number, label or keyword; max_retries invalid replies go to fallback
+ *   input    { text, field?, variable?, validate?, invalid_text?, next? }
+ *                                         send text and wait; a valid reply (text, email, number, phone) is saved
+ *                                         to variables.<variable or node id> and, with field, to the contact
+ *                                         (name, email or custom_fields.<key>)
+ *   jump     { to } | { flow }            continue at another node, or at the start of another of the client's flows
+ *   handoff  { text?, note? }             send text, route the conversation to an agent and end the session
+ *   end      { text? }                    send text and end the session
+ *
+ * Texts use {name}, {phone}, {message}, {variables.<key>} and {custom_fields.<key>}; missing values are blank.
+ *
+ * A session waits on a menu or input node and expires session_timeout_minutes after the last reply. A flow
+ * keyword (re)starts its flow at any time, a resume keyword re-asks the node an expired session stopped at,
+ * and the client's default flow starts on any other message outside a session unless the conversation is
+ * assigned to an agent or a session ended less than a timeout ago.
+ */
+
+const NODE_TYPES = ['message', 'menu', 'input', 'jump', 'handoff', 'end'];
+const NODE_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SETTABLE_FIELDS = /^(name|email|custom_fields\.[A-Za-z0-9_-]{1,64})$/;
+
+const INPUT_VALIDATORS = {
+  text: value => value.length > 0,
+  email: value => db.validateEmail(value),
+  number: value => /^-?\d+(\.\d+)?$/.test(value),
+  phone: value => db.normalizePhone(value) !== null
+};
+const INVALID_INPUT_TEXT = {
+  text: 'Please type a reply.',
+  email: 'That doesn\'t look like an email address. Please try again.',
+  number: 'Please reply with a number.',
+  phone: 'That doesn\'t look like a phone number. Please include the country code.'
+};
+const INVALID_OPTION_TEXT = 'Sorry, I didn\'t get that. Please reply with one of the numbers below.';
+
+const MAX_NODES = 200;
+const MAX_OPTIONS = 20;
+const MAX_KEYWORDS = 20;
+const MAX_STEPS = 25; // nodes entered for one reply, so message/jump loops end
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+class FlowEngine {
+  constructor(messageQueue, webhookManager, assignmentManager, options = {}) {
+    this.messageQueue = messageQueue;
+    this.webhookManager = webhookManager;
+    this.assignmentManager = assignmentManager;
+    this.pollIntervalMs = options.pollIntervalMs || 60000;
+    this.timer = null;
+  }
+
+  // ================================================
+  // VALIDATION
+  // ================================================
+
+  /**
+   * Throw with a descriptive message if a flow definition is invalid
+   */
+  static validateFlow({ name, start, nodes, keywords, resume_keywords, session_timeout_minutes, timeout_message } = {}) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw new Error('Flow name required');
+    }
+    if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes)) {
+      throw new Error('nodes must be an object of node id -> node');
+    }
+
+    const ids = Object.keys(nodes);
+    if (ids.length === 0 || ids.length > MAX_NODES) {
+      throw new Error(`A flow needs between 1 and ${MAX_NODES} nodes`);
+    }
+    for (const id of ids) {
+      if (!NODE_ID.test(id)) {
+        throw new Error(`Invalid node id: ${id}`);
+      }
+    }
+    if (!nodes[start]) {
+      throw new Error('start must be one of the flow\'s nodes');
+    }
+
+    FlowEngine._validateKeywords(keywords, 'keywords');
+    FlowEngine._validateKeywords(resume_keywords, 'resume_keywords');
+
+    if (session_timeout_minutes !== undefined &&
+      (!Number.isInteger(session_timeout_minutes) || session_timeout_minutes < 1 || session_timeout_minutes > 24 * 60)) {
+      throw new Error('session_timeout_minutes must be between 1 and 1440');
+    }
+    if (timeout_message !== undefined && timeout_message !== null && typeof timeout_message !== 'string') {
+      throw new Error('timeout_message must be a string');
+    }
+
+    for (const id of ids) {
+      FlowEngine.validateNode(id, nodes[id], nodes);
+    }
+  }
+
+  /**
+   * Throw if a node is malformed or points at a node that doesn't exist
+   */
+  static validateNode(id, node, nodes) {
+    if (!node || typeof node !== 'object' || !NODE_TYPES.includes(node.type)) {
+      throw new Error(`Node ${id}: type must be one of ${NODE_TYPES.join(', ')}`);
+    }
+
+    const requireText = (value, key) => {
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`Node ${id}: ${key} required`);
+      }
+    };
+    const optionalText = (value, key) => {
+      if (value !== undefined && typeof value !== 'string') {
+        throw new Error(`Node ${id}: ${key} must be a string`);
+      }
+    };
+    const reference = (target, key, required = false) => {
+      if (target === undefined && !required) return;
+      if (!nodes[target]) {
+        throw new Error(`Node ${id}: ${key} points to unknown node ${target}`);
+      }
+    };
+
+    switch (node.type) {
+      case 'message':
+        requireText(node.text, 'text');
+        reference(node.next, 'next');
+        break;
+
+      case 'menu':
+        requireText(node.text, 'text');
+        if (!Array.isArray(node.options) || node.options.length === 0 || node.options.length > MAX_OPTIONS) {
+          throw new Error(`Node ${id}: menus need between 1 and ${MAX_OPTIONS} options`);
+        }
+        node.options.forEach((option, index) => {
+          requireText(option?.label, `options[${index}].label`);
+          reference(option.next, `options[${index}].next`, true);
+          FlowEngine._validateKeywords(option.keywords, `Node ${id}: options[${index}].keywords`);
+        });
+        optionalText(node.invalid_text, 'invalid_text');
+        if (node.max_retries !== undefined && (!Number.isInteger(node.max_retries) || node.max_retries < 1 || node.max_retries > 10)) {
+          throw new Error(`Node ${id}: max_retries must be between 1 and 10`);
+        }
+        reference(node.fallback, 'fallback');
+        break;
+
+      case 'input':
+        requireText(node.text, 'text');
+        if (node.field !== undefined && !SETTABLE_FIELDS.test(node.field)) {
+          throw new Error(`Node ${id}: field must be name, email or custom_fields.<key>`);
+        }
+        if (node.variable !== undefined && !NODE_ID.test(node.variable)) {
+          throw new Error(`Node ${id}: invalid variable name`);
+        }
+        if (node.validate !== undefined && !INPUT_VALIDATORS[node.validate]) {
+          throw new Error(`Node ${id}: validate must be one of ${Object.keys(INPUT_VALIDATORS).join(', ')}`);
+        }
+        optionalText(node.invalid_text, 'invalid_text');
+        reference(node.next, 'next');
+        break;
+
+      case 'jump':
+        if ((node.to === undefined) === (node.flow === undefined)) {
+          throw new Error(`Node ${id}: jump needs either to or flow`);
+        }
+        if (node.flow !== undefined && (typeof node.flow !== 'string' || !UUID.test(node.flow))) {
+          throw new Error(`Node ${id}: flow must be a flow id`);
+        }
+        reference(node.to, 'to');
+        break;
+
+      case 'handoff':
+        optionalText(node.text, 'text');
+        optionalText(node.note, 'note');
+        break;
+
+      case 'end':
+        optionalText(node.text, 'text');
+        break;
+    }
+  }
+
+  static _validateKeywords(keywords, key) {
+    if (keywords === undefined) return;
+    if (!Array.isArray(keywords) || keywords.length > MAX_KEYWORDS ||
+      keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim() || keyword.length > 50)) {
+      throw new Error(`${key} must be an array of up to ${MAX_KEYWORDS} words`);
+    }
+  }
+
+  // ================================================
+  // FLOWS
+  // ================================================
+
+  /**
+   * List a client's flows
+   */
+  async listFlows(clientId) {
+    const result = await db.query(
+      'SELECT * FROM flows WHERE client_id = $1 ORDER BY created_at ASC',
+      [clientId]
+    );
+
+    return result.rows.map(row => this.formatFlow(row));
+  }
+
+  /**
+   * Get a single flow
+   */
+  async getFlow(clientId, flowId) {
+    const result = await db.query(
+      'SELECT * FROM flows WHERE id = $1 AND client_id = $2',
+      [flowId, clientId]
+    );
+
+    return result.rows[0] ? this.formatFlow(result.rows[0]) : null;
+  }
+
+  /**
+   * Create a flow; making it the default replaces the client's current default flow
+   */
+  async createFlow(clientId, userId, flow) {
+    try {
+      FlowEngine.validateFlow(flow);
+
+      const client = await db.query('SELECT organization_id FROM whatsapp_clients WHERE id = $1', [clientId]);
+      if (client.rows.length === 0) {
+        throw new Error('Client not found');
+      }
+
+      const row = await db.transaction(async (tx) => {
+        if (flow.is_default) {
+          await tx.query('UPDATE flows SET is_default = false WHERE client_id = $1 AND is_default = true', [clientId]);
+        }
+
+        const result = await tx.query(
+          `INSERT INTO flows
+           (organization_id, client_id, name, start_node, nodes, keywords, resume_keywords,
+            is_default, session_timeout_minutes, timeout_message, is_active, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+           RETURNING *`,
+          [
+            client.rows[0].organization_id,
+            clientId,
+            flow.name.trim(),
+            flow.start,
+            JSON.stringify(flow.nodes),
+            JSON.stringify(normalizeKeywords(flow.keywords)),
+            JSON.stringify(normalizeKeywords(flow.resume_keywords)),
+            Boolean(flow.is_default),
+            flow.session_timeout_minutes || DEFAULT_TIMEOUT_MINUTES,
+            flow.timeout_message || null,
+            flow.is_active !== false,
+            userId
+          ]
+        );
+        return result.rows[0];
+      });
+
+      logger.info('Chatbot flow created', { clientId, flowId: row.id });
+      return this.formatFlow(row);
+    } catch (error) {
+      logger.error('Error creating chatbot flow', { clientId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a flow; fields not given are kept and the merged flow is validated
+   * Sessions waiting on a node that no longer exists end on their next reply
+   */
+  async updateFlow(clientId, flowId, updates = {}) {
+    try {
+      const current = await this.getFlow(clientId, flowId);
+      if (!current) {
+        return null;
+      }
+
+      const flow = { ...current };
+      for (const key of ['name', 'start', 'nodes', 'keywords', 'resume_keywords', 'is_default',
+        'session_timeout_minutes', 'timeout_message', 'is_active']) {
+        if (updates[key] !== undefined) {
+          flow[key] = updates[key];
+        }
+      }
+      FlowEngine.validateFlow(flow);
+
+      const row = await db.transaction(async (tx) => {
+        if (flow.is_default) {
+          await tx.query(
+            'UPDATE flows SET is_default = false WHERE client_id = $1 AND id <> $2 AND is_default = true',
+            [clientId, flowId]
+          );
+        }
+
+        const result = await tx.query(
+          `UPDATE flows
+           SET name = $3, start_node = $4, nodes = $5, keywords = $6, resume_keywords = $7,
+               is_default = $8, session_timeout_minutes = $9, timeout_message = $10, is_active = $11
+           WHERE id = $1 AND client_id = $2
+           RETURNING *`,
+          [
+            flowId,
+            clientId,
+            flow.name.trim(),
+            flow.start,
+            JSON.stringify(flow.nodes),
+            JSON.stringify(normalizeKeywords(flow.keywords)),
+            JSON.stringify(normalizeKeywords(flow.resume_keywords)),
+            Boolean(flow.is_default),
+            flow.session_timeout_minutes || DEFAULT_TIMEOUT_MINUTES,
+            flow.timeout_message || null,
+            flow.is_active !== false
+          ]
+        );
+        return result.rows[0];
+      });
+
+      logger.info('Chatbot flow updated', { clientId, flowId });
+      return this.formatFlow(row);
+    } catch (error) {
+      logger.error('Error updating chatbot flow', { clientId, flowId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a flow (its sessions go with it)
+   */
+  async deleteFlow(clientId, flowId) {
+    const result = await db.query(
+      'DELETE FROM flows WHERE id = $1 AND client_id = $2',
+      [flowId, clientId]
+    );
+
+    if (result.rowCount > 0) {
+      logger.info('Chatbot flow deleted', { clientId, flowId });
+    }
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Recent sessions of a flow, newest first
+   */
+  async getSessions(clientId, flowId, { status, limit = 50 } = {}) {
+    const params = [flowId, clientId];
+    let query = 'SELECT * FROM flow_sessions WHERE flow_id = $1 AND client_id = $2';
+
+    if (status) {
+      params.push(status);
+      query += ` AND status = $${params.length}`;
+    }
+
+    params.push(limit);
+    query += ` ORDER BY updated_at DESC LIMIT $${params.length}`;
+
+    const result = await db.query(query, params);
+    return result.rows.map(row => this.formatSession(row));
+  }
+
+  /**
+   * Shape a flows row as a flow definition
+   */
+  formatFlow(row) {
+    return {
+      id: row.id,
+      client_id: row.client_id,
+      name: row.name,
+      start: row.start_node,
+      nodes: row.nodes,
+      keywords: row.keywords || [],
+      resume_keywords: row.resume_keywords || [],
+      is_default: row.is_default,
+      session_timeout_minutes: row.session_timeout_minutes,
+      timeout_message: row.timeout_message,
+      is_active: row.is_active,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Shape a flow_sessions row for the API
+   */
+  formatSession(row) {
+    return {
+      id: row.id,
+      flow_id: row.flow_id,
+      chat_id: row.chat_id,
+      contact_id: row.contact_id,
+      current_node: row.current_node,
+      status: row.status,
+      variables: row.variables || {},
+      expires_at: row.expires_at,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  // ================================================
+  // INBOUND MESSAGES
+  // ================================================
+
+  /**
+   * Run an inbound message through the client's flows
+   * Returns the session that handled the message, or null when no flow applies
+   */
+  async handleInboundMessage({ organizationId, clientId, chatId, body, contact = null, conversationId = null }) {
+    try {
+      if (contact?.do_not_contact) {
+        return null;
+      }
+
+      const text = String(body || '').trim();
+      const keyword = text.toLowerCase();
+      const ctx = { organizationId, clientId, chatId, contact, conversationId, message: text };
+
+      let session = await this._activeSession(clientId, chatId);
+      if (session && (!session.flow_active || new Date(session.expires_at) <= new Date())) {
+        await this._endSession(session.id, session.flow_active ? 'expired' : 'completed');
+        session = null;
+      }
+
+      const flows = await this._activeFlows(clientId);
+
+      const keywordFlow = flows.find(flow => flow.keywords.includes(keyword));
+      if (keywordFlow) {
+        if (session) {
+          await this._endSession(session.id, 'restarted');
+        }
+        return await this._start(keywordFlow, ctx);
+      }
+
+      if (session) {
+        return await this._reply(session, text, ctx);
+      }
+
+      const last = await this._lastSession(clientId, chatId);
+      if (last?.status === 'expired') {
+        const flow = flows.find(candidate => candidate.id === last.flow_id);
+        if (flow && flow.resume_keywords.includes(keyword)) {
+          return await this._resume(flow, last, ctx);
+        }
+      }
+
+      const defaultFlow = flows.find(flow => flow.is_default);
+      if (defaultFlow && !(await this._defaultFlowPaused(defaultFlow, last, conversationId))) {
+        return await this._start(defaultFlow, ctx);
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('Error running chatbot flow', { clientId, chatId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Walk a flow against sample replies without sending anything or touching sessions
+   * Pass the returned session back in to continue a simulation
+   */
+  async simulate(clientId, flow, { messages = [], contact = {}, session = null } = {}) {
+    FlowEngine.validateFlow(flow);
+    if (!Array.isArray(messages)) {
+      throw new Error('messages must be an array');
+    }
+
+    const sample = { name: null, email: null, tags: [], custom_fields: {}, ...(contact || {}) };
+    const ctx = {
+      clientId,
+      chatId: db.normalizePhone(sample.phone_number) || '10000000000@c.us',
+      contact: sample,
+      message: null
+    };
+    const io = {
+      sent: [],
+      send: async (text) => { io.sent.push(text); },
+      setField: async (field, value) => applyField(sample, field, value),
+      loadFlow: (flowId) => this._loadFlow(clientId, flowId)
+    };
+
+    const normalized = {
+      ...flow,
+      keywords: normalizeKeywords(flow.keywords),
+      resume_keywords: normalizeKeywords(flow.resume_keywords)
+    };
+    let state = null;
+    if (session?.status === 'active' && session.current_node) {
+      const current = session.flow_id && session.flow_id !== flow.id
+        ? await this._loadFlow(clientId, session.flow_id)
+        : normalized;
+      if (!current) {
+        throw new Error('Session flow not found');
+      }
+      state = { flow: current, node: session.current_node, variables: { ...(session.variables || {}) }, retries: session.retries || 0, status: 'active' };
+    }
+
+    const transcript = [];
+    if (!state) {
+      state = { flow: normalized, node: null, variables: {}, retries: 0, status: 'active' };
+      await this._enter(state, normalized.start, ctx, io);
+      transcript.push({ in: null, out: io.sent.splice(0), node: state.node, status: state.status });
+    }
+
+    for (const message of messages) {
+      if (state.status !== 'active') {
+        transcript.push({ in: message, out: [], node: state.node, status: state.status, ignored: true });
+        continue;
+      }
+
+      ctx.message = String(message).trim();
+      await this._answer(state, ctx.message, ctx, io);
+      transcript.push({ in: message, out: io.sent.splice(0), node: state.node, status: state.status });
+    }
+
+    return {
+      transcript,
+      session: {
+        flow_id: state.flow.id || null,
+        current_node: state.node,
+        status: state.status,
+        variables: state.variables,
+        retries: state.retries
+      },
+      contact: sample
+    };
+  }
+
+  async _start(flow, ctx) {
+    const state = { flow, node: null, variables: {}, retries: 0, status: 'active' };
+    await this._enter(state, flow.start, ctx, this._liveIO(ctx));
+    return this._saveSession(state, ctx);
+  }
+
+  async _reply(session, text, ctx) {
+    const flow = await this._loadFlow(ctx.clientId, session.flow_id);
+    if (!flow) {
+      await this._endSession(session.id, 'completed');
+      return null;
+    }
+
+    const state = { flow, node: session.current_node, variables: session.variables || {}, retries: session.retries, status: 'active' };
+
+    await this._answer(state, text, ctx, this._liveIO(ctx));
+    return this._saveSession(state, ctx, session.id);
+  }
+
+  async _resume(flow, session, ctx) {
+    const state = { flow, node: null, variables: session.variables || {}, retries: 0, status: 'active' };
+
+    await this._enter(state, session.current_node, ctx, this._liveIO(ctx));
+    return this._saveSession(state, ctx, session.id);
+  }
+
+  /**
+   * Apply a reply to the menu or input node the session is waiting on
+   */
+  async _answer(state, text, ctx, io) {
+    const node = state.flow.nodes[state.node];
+
+    if (node?.type === 'menu') {
+      const option = matchOption(node, text);
+      if (option) {
+        return this._enter(state, option.next, ctx, io);
+      }
+      return this._retry(state, node, node.invalid_text || INVALID_OPTION_TEXT, ctx, io);
+    }
+
+    if (node?.type === 'input') {
+      const validate = node.validate || 'text';
+      if (!INPUT_VALIDATORS[validate](text)) {
+        return this._retry(state, node, node.invalid_text || INVALID_INPUT_TEXT[validate], ctx, io);
+      }
+
+      const value = validate === 'number' ? Number(text) : validate === 'phone' ? db.normalizePhone(text) : text;
+      state.variables[node.variable || state.node] = value;
+      if (node.field) {
+        await io.setField(node.field, value);
+      }
+      return this._enter(state, node.next, ctx, io);
+    }
+
+    // The node was removed or changed type since the session reached it
+    state.status = 'completed';
+  }
+
+  async _retry(state, node, invalidText, ctx, io) {
+    state.retries++;
+
+    if (node.fallback && state.retries >= (node.max_retries || DEFAULT_MAX_RETRIES)) {
+      return this._enter(state, node.fallback, ctx, io);
+    }
+
+    const text = this.renderText(invalidText, state, ctx);
+    await io.send(node.type === 'menu' ? `${text}\n\n${this._prompt(node, state, ctx)}` : text);
+  }
+
+  /**
+   * Enter a node and follow message/jump nodes until the flow waits for a reply or ends
+   */
+  async _enter(state, nodeId, ctx, io) {
+    state.retries = 0;
+
+    for (let steps = 0; steps < MAX_STEPS; steps++) {
+      const node = nodeId ? state.flow.nodes[nodeId] : null;
+      if (!node) {
+        state.status = 'completed';
+        return;
+      }
+
+      state.node = nodeId;
+
+      switch (node.type) {
+        case 'message':
+          await io.send(this.renderText(node.text, state, ctx));
+          nodeId = node.next;
+          break;
+
+        case 'menu':
+        case 'input':
+          await io.send(this._prompt(node, state, ctx));
+          return;
+
+        case 'jump':
+          if (node.flow) {
+            const flow = await io.loadFlow(node.flow);
+            if (!flow) {
+              state.status = 'completed';
+              return;
+            }
+            state.flow = flow;
+            nodeId = flow.start;
+          } else {
+            nodeId = node.to;
+          }
+          break;
+
+        case 'handoff':
+          if (node.text) {
+            await io.send(this.renderText(node.text, state, ctx));
+          }
+          state.status = 'handed_off';
+          state.note = node.note || null;
+          return;
+
+        case 'end':
+          if (node.text) {
+            await io.send(this.renderText(node.text, state, ctx));
+          }
+          state.status = 'completed';
+          return;
+      }
+    }
+
+    logger.warn('Chatbot flow stopped after too many steps without a reply', { flowId: state.flow.id, node: nodeId });
+    state.status = 'completed';
+  }
+
+  /**
+   * Text sent when entering a menu or input node; menus list their options by number
+   */
+  _prompt(node, state, ctx) {
+    const text = this.renderText(node.text, state, ctx);
+    if (node.type !== 'menu') {
+      return text;
+    }
+
+    const options = node.options.map((option, index) => `${index + 1}. ${this.renderText(option.label, state, ctx)}`);
+    return `${text}\n\n${options.join('\n')}`;
+  }
+
+  /**
+   * Fill {name}, {phone}, {message}, {variables.<key>} and {custom_fields.<key>} placeholders
+   */
+  renderText(template, state, ctx) {
+    const contact = ctx.contact || {};
+
+    return template.replace(/\{([\w.]+)\}/g, (placeholder, key) => {
+      let value;
+      if (key === 'name') {
+        value = contact.name;
+      } else if (key === 'phone') {
+        value = ctx.chatId ? ctx.chatId.split('@')[0] : null;
+      } else if (key === 'message') {
+        value = ctx.message;
+      } else if (key.startsWith('variables.')) {
+        value = (state.variables || {})[key.slice('variables.'.length)];
+      } else if (key.startsWith('custom_fields.')) {
+        value = (contact.custom_fields || {})[key.slice('custom_fields.'.length)];
+      } else {
+        return placeholder;
+      }
+      return value !== undefined && value !== null ? String(value) : '';
+    });
+  }
+
+  /**
+   * Sends go through the client's outbound queue; captured fields are written to the contact
+   */
+  _liveIO(ctx) {
+    return {
+      send: async (text) => {
+        await this.messageQueue.enqueue(ctx.clientId, {
+          to: ctx.chatId,
+          body: text,
+          metadata: { source: 'flow', conversationId: ctx.conversationId }
+        });
+      },
+      setField: async (field, value) => {
+        if (!ctx.contact) return;
+
+        applyField(ctx.contact, field, value);
+        if (field.startsWith('custom_fields.')) {
+          await db.query('UPDATE contacts SET custom_fields = $2 WHERE id = $1', [ctx.contact.id, JSON.stringify(ctx.contact.custom_fields)]);
+        } else {
+          await db.query(`UPDATE contacts SET ${field} = $2 WHERE id = $1`, [ctx.contact.id, value]);
+        }
+      },
+      loadFlow: (flowId) => this._loadFlow(ctx.clientId, flowId)
+    };
+  }
+
+  async _saveSession(state, ctx, sessionId = null) {
+    const expiresAt = new Date(Date.now() + (state.flow.session_timeout_minutes || DEFAULT_TIMEOUT_MINUTES) * 60000);
+    let result;
+
+    if (sessionId) {
+      result = await db.query(
+        `UPDATE flow_sessions
+         SET flow_id = $2, current_node = $3, status = $4, variables = $5, retries = $6, expires_at = $7
+         WHERE id = $1
+         RETURNING *`,
+        [sessionId, state.flow.id, state.node, state.status, JSON.stringify(state.variables), state.retries, expiresAt]
+      );
+    } else {
+      result = await db.query(
+        `INSERT INTO flow_sessions
+         (flow_id, organization_id, client_id, chat_id, contact_id, current_node, status, variables, retries, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          state.flow.id,
+          ctx.organizationId,
+          ctx.clientId,
+          ctx.chatId,
+          ctx.contact?.id || null,
+          state.node,
+          state.status,
+          JSON.stringify(state.variables),
+          state.retries,
+          expiresAt
+        ]
+      );
+    }
+
+    const session = this.formatSession(result.rows[0]);
+
+    if (state.status === 'handed_off' || state.status === 'completed') {
+      const assigned = state.status === 'handed_off' && ctx.conversationId
+        ? await this.assignmentManager.autoAssign(ctx.conversationId)
+        : null;
+
+      await this.webhookManager.triggerEvent(
+        ctx.organizationId,
+        state.status === 'handed_off' ? 'flow_handoff' : 'flow_completed',
+        {
+          flowId: state.flow.id,
+          sessionId: session.id,
+          clientId: ctx.clientId,
+          chatId: ctx.chatId,
+          contactId: ctx.contact?.id || null,
+          conversationId: ctx.conversationId,
+          variables: state.variables,
+          note: state.note || undefined,
+          assignedTo: assigned ? assigned.assigned_to : undefined,
+          timestamp: new Date()
+        }
+      );
+    }
+
+    return session;
+  }
+
+  /**
+   * End the chat's active session, e.g. when the contact opts out; returns whether one was active
+   */
+  async endChatSession(clientId, chatId, status = 'opted_out') {
+    const result = await db.query(
+      `UPDATE flow_sessions SET status = $3, updated_at = NOW()
+       WHERE client_id = $1 AND chat_id = $2 AND status = 'active'`,
+      [clientId, chatId, status]
+    );
+
+    if (result.rowCount > 0) {
+      logger.info('Chatbot flow session ended', { clientId, chatId, status });
+    }
+    return result.rowCount > 0;
+  }
+
+  async _endSession(sessionId, status) {
+    await db.query('UPDATE flow_sessions SET status = $2 WHERE id = $1', [sessionId, status]);
+  }
+
+  async _activeSession(clientId, chatId) {
+    const result = await db.query(
+      `SELECT s.*, f.is_active AS flow_active
+       FROM flow_sessions s
+       JOIN flows f ON f.id = s.flow_id
+       WHERE s.client_id = $1 AND s.chat_id = $2 AND s.status = 'active'`,
+      [clientId, chatId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async _lastSession(clientId, chatId) {
+    const result = await db.query(
+      `SELECT * FROM flow_sessions WHERE client_id = $1 AND chat_id = $2
+       ORDER BY updated_at DESC LIMIT 1`,
+      [clientId, chatId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async _activeFlows(clientId) {
+    const result = await db.query(
+      'SELECT * FROM flows WHERE client_id = $1 AND is_active = true ORDER BY created_at ASC',
+      [clientId]
+    );
+
+    return result.rows.map(row => this.formatFlow(row));
+  }
+
+  async _loadFlow(clientId, flowId) {
+    const result = await db.query(
+      'SELECT * FROM flows WHERE id = $1 AND client_id = $2 AND is_active = true',
+      [flowId, clientId]
+    );
+
+    return result.rows[0] ? this.formatFlow(result.rows[0]) : null;
+  }
+
+  /**
+   * The default flow stays quiet while an agent has the conversation and for a timeout after a session ended
+   */
+  async _defaultFlowPaused(flow, last, conversationId) {
+    if (last && last.status !== 'expired' &&
+      Date.now() - new Date(last.updated_at).getTime() < flow.session_timeout_minutes * 60000) {
+      return true;
+    }
+    if (!conversationId) {
+      return false;
+    }
+
+    const result = await db.query('SELECT assigned_to FROM conversations WHERE id = $1', [conversationId]);
+    return Boolean(result.rows[0]?.assigned_to);
+  }
+
+  // ================================================
+  // TIMEOUTS
+  // ================================================
+
+  /**
+   * Start expiring idle sessions
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.expireSessions(), this.pollIntervalMs);
+    logger.info('Flow engine started', { pollIntervalMs: this.pollIntervalMs });
+  }
+
+  /**
+   * Stop expiring sessions
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Expire sessions idle past their flow's timeout and send the flow's timeout message
+   * Contacts who opted out meanwhile get no timeout message.
+   */
+  async expireSessions() {
+    try {
+      const result = await db.query(
+        `UPDATE flow_sessions s SET status = 'expired'
+         FROM flows f
+         WHERE f.id = s.flow_id AND s.status = 'active' AND s.expires_at <= NOW()
+         RETURNING s.client_id, s.chat_id, s.variables, f.timeout_message,
+           (SELECT c.do_not_contact FROM contacts c WHERE c.id = s.contact_id) AS do_not_contact`
+      );
+
+      for (const row of result.rows) {
+        if (!row.timeout_message || row.do_not_contact) continue;
+
+        await this.messageQueue.enqueue(row.client_id, {
+          to: row.chat_id,
+          body: this.renderText(row.timeout_message, { variables: row.variables }, { chatId: row.chat_id }),
+          metadata: { source: 'flow', reason: 'timeout' }
+        });
+      }
+
+      if (result.rowCount > 0) {
+        logger.info('Chatbot flow sessions expired', { count: result.rowCount });
+      }
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error expiring chatbot flow sessions', { error: error.message });
+      return 0;
+    }
+  }
+}
+
+/**
+ * Keywords are matched against the whole trimmed, lowercased reply
+ */
+function normalizeKeywords(keywords) {
+  return (keywords || []).map(keyword => keyword.trim().toLowerCase());
+}
+
+/**
+ * Menu option picked by a reply: its number, label or one of its keywords
+ */
+function matchOption(node, text) {
+  const reply = text.trim().toLowerCase();
+
+  if (/^\d+$/.test(reply)) {
+    return node.options[parseInt(reply) - 1] || null;
+  }
+
+  return node.options.find(option =>
+    option.label.trim().toLowerCase() === reply ||
+    (option.keywords || []).some(keyword => keyword.trim().toLowerCase() === reply)
+  ) || null;
+}
+
+function applyField(contact, field, value) {
+  if (field.startsWith('custom_fields.')) {
+    contact.custom_fields = { ...(contact.custom_fields || {}), [field.slice('custom_fields.'.length)]: value };
+  } else {
+    contact[field] = value;
+  }
+}
+
+module.exports = FlowEngine;
@@ -3,16 +3,60 @@
 // ================================================
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
 const mime = require('mime-types');
 const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
 const logger = require('./logger');
 const db = require('./db');
+const { createStorageDrivers } = require('./storage-drivers');
+const { createMediaScanners, listZipEntries } = require('./media-scanners');
+
+const GB = 1024 * 1024 * 1024;
+
+// Storage quota per organizations.plan; STORAGE_QUOTA_<PLAN> overrides, null means unlimited
+const PLAN_QUOTAS = {
+  starter: 5 * GB,
+  pro: 50 * GB,
+  enterprise: 500 * GB
+};
+
+// Days a file is kept, by how it was used; null keeps it forever
+const DEFAULT_LIFECYCLE = {
+  inboundDays: null, // received from customers
+  outboundDays: null, // sent to customers
+  unsentDays: null // uploaded but never sent
+};
+
+const QUOTA_EXCEEDED_ERROR = 'Storage quota exceeded';
+
+// Media URLs may not reach the host itself, the private network or cloud metadata endpoints
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+const MAX_MEDIA_REDIRECTS = 3;
+const QUARANTINED_ERROR = 'File quarantined';
+const SCAN_FAILED_ERROR = 'Media scan failed';
 
 class MediaManager {
-  constructor(storageDir = './uploads') {
+  constructor(webhookManager = null, storageDir = process.env.UPLOAD_DIR || './uploads') {
+    this.webhookManager = webhookManager;
     this.storageDir = storageDir;
-    this.maxFileSize = 100 * 1024 * 1024; // 100MB
+    this.maxFileSize = parseInt(process.env.UPLOAD_MAX_SIZE) || 100 * 1024 * 1024; // 100MB
     this.allowedMimeTypes = {
       image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
       video: ['video/mp4', 'video/quicktime', 'video/x-msvideo'],
@@ -23,9 +67,56 @@ class MediaManager {
                  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
     };
 
-    // Create storage directory if not exists
-    if (!fs.existsSync(storageDir)) {
-      fs.mkdirSync(storageDir, { recursive: true });
+    // Pre-signed download URLs; without a configured secret they only last until restart,
+    // and each instance would reject the others' links, so production needs one
+    if (!process.env.MEDIA_URL_SECRET && process.env.NODE_ENV === 'production') {
+      throw new Error('MEDIA_URL_SECRET must be set in production');
+    }
+    this.urlSecret = process.env.MEDIA_URL_SECRET || crypto.randomBytes(32).toString('hex');
+    this.signedUrlTtl = parseInt(process.env.MEDIA_URL_TTL) || 60 * 60; // seconds
+    this.publicUrl = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+    if (!process.env.MEDIA_URL_SECRET) {
+      logger.warn('MEDIA_URL_SECRET not set; signed media URLs expire on restart');
+    }
+
+    // Processing limits for media sent to WhatsApp
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+    this.processing = {
+      maxImageDimension: 1600,
+      maxImageSize: 1024 * 1024, // recompress images over 1MB
+      imageQuality: 80,
+      thumbnailSize: 320,
+      maxVideoSize: 16 * 1024 * 1024, // WhatsApp video limit
+      maxVideoDimension: 1280,
+      timeoutMs: 5 * 60 * 1000
+    };
+
+    // Inbound media defaults; organizations override them in metadata.inbound_media
+    this.inboundDefaults = {
+      enabled: process.env.INBOUND_MEDIA_ENABLED !== 'false',
+      maxSize: parseInt(process.env.INBOUND_MEDIA_MAX_SIZE) || 16 * 1024 * 1024, // 16MB
+      allowedTypes: process.env.INBOUND_MEDIA_TYPES
+        ? process.env.INBOUND_MEDIA_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+        : ['image', 'audio', 'document']
+    };
+
+    // Base64 payloads of recently sent content by SHA-256, least recently used evicted first
+    this.mediaCache = new Map();
+    this.mediaCacheBytes = 0;
+    this.mediaCacheSize = parseInt(process.env.MEDIA_CACHE_SIZE) || 64 * 1024 * 1024;
+
+    // Scanning stage run on every upload and received file; see media-scanners.js
+    this.scanners = createMediaScanners();
+    this.scanOnError = process.env.MEDIA_SCAN_ON_ERROR === 'allow' ? 'allow' : 'reject';
+    this.quarantineDays = parseInt(process.env.MEDIA_QUARANTINE_DAYS) || 30;
+
+    // Storage backends; organizations pick one in metadata.storage, existing files stay where they were written
+    this.drivers = createStorageDrivers(storageDir);
+    this.defaultDriver = process.env.STORAGE_DRIVER || 'local';
+    if (!this.drivers[this.defaultDriver]) {
+      logger.warn('Storage driver not configured, using local disk', { driver: this.defaultDriver });
+      this.defaultDriver = 'local';
     }
   }
 
@@ -35,50 +126,75 @@ class MediaManager {
 
   /**
    * Upload file from buffer
+   *
+   * The stored MIME type comes from the file's signature; the declared
+   * type and filename are only used when the signature is ambiguous.
+   * Content the organization already stored is not written again: the new
+   * upload references the existing object.
+   *
+   * Files the scanners flag are quarantined instead and the upload fails
+   * with QUARANTINED_ERROR; `messageId` ties the quarantine to a received message.
    */
-  async uploadFile(buffer, originalFilename, mimeType, clientId, organizationId) {
+  async uploadFile(buffer, originalFilename, mimeType, clientId, organizationId, { messageId = null } = {}) {
     try {
+      mimeType = this.detectMimeType(buffer, mimeType, originalFilename);
+      originalFilename = originalFilename || `${this.getMediaCategory(mimeType) || 'file'}.${mime.extension(mimeType) || 'bin'}`;
+
       // Validate file
       this._validateFile(buffer, mimeType);
 
-      // Generate safe filename
-      const fileHash = crypto.randomBytes(16).toString('hex');
-      const ext = mime.extension(mimeType) || 'bin';
-      const safeFilename = `${fileHash}.${ext}`;
+      const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
 
-      // Create organized storage path: /uploads/org/{orgId}/client/{clientId}/
-      const clientStoragePath = path.join(this.storageDir, organizationId, clientId);
-      if (!fs.existsSync(clientStoragePath)) {
-        fs.mkdirSync(clientStoragePath, { recursive: true });
+      const scan = await this.scanFile(buffer, { mimeType, filename: originalFilename });
+      if (scan.status === 'infected') {
+        await this._quarantine(buffer, {
+          originalFilename, mimeType, clientId, organizationId, contentHash, scan, messageId
+        });
       }
 
-      const filepath = path.join(clientStoragePath, safeFilename);
+      const existing = await this.findBlob(organizationId, contentHash);
+      if (!existing) {
+        await this.checkQuota(organizationId, buffer.length);
+      }
 
-      // Write file
-      fs.writeFileSync(filepath, buffer);
+      const driver = await this.getOrganizationDriver(organizationId);
 
-      // Store metadata in database
-      const result = await db.query(
-        `INSERT INTO file_uploads 
-         (client_id, filename, original_filename, mime_type, file_size, storage_path) 
-         VALUES ($1, $2, $3, $4, $5, $6)
-         RETURNING id, filename, storage_path`,
-        [clientId, safeFilename, originalFilename, mimeType, buffer.length, filepath]
-      );
+      const file = await db.transaction(async (client) => {
+        const blob = await this._retainBlob(client, organizationId, driver, {
+          contentHash,
+          mimeType,
+          source: buffer,
+          size: buffer.length
+        });
+
+        const result = await client.query(
+          `INSERT INTO file_uploads 
+           (client_id, filename, original_filename, mime_type, file_size, storage_driver, storage_path, blob_id, content_hash, scan_status) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           RETURNING id, filename, storage_path`,
+          [clientId, path.basename(blob.storage_path), originalFilename, mimeType, buffer.length,
+            blob.storage_driver, blob.storage_path, blob.id, contentHash, scan.status]
+        );
+
+        return { ...result.rows[0], deduplicated: blob.ref_count > 1 };
+      });
 
       logger.info('File uploaded', { 
-        filename: safeFilename, 
+        filename: file.filename, 
         size: buffer.length, 
-        mimeType 
+        mimeType,
+        deduplicated: file.deduplicated
       });
 
       return {
-        id: result.rows[0].id,
-        filename: result.rows[0].filename,
+        id: file.id,
+        filename: file.filename,
         originalFilename,
         mimeType,
         size: buffer.length,
-        storagePath: result.rows[0].storage_path
+        contentHash,
+        deduplicated: file.deduplicated,
+        storagePath: file.storage_path
       };
     } catch (error) {
       logger.error('File upload failed', { error: error.message });
@@ -87,13 +203,13 @@ class MediaManager {
   }
 
   /**
-   * Get file metadata
+   * Get file metadata, optionally scoped to the owning client
    */
-  async getFile(fileId) {
+  async getFile(fileId, clientId = null) {
     try {
       const result = await db.query(
-        `SELECT * FROM file_uploads WHERE id = $1`,
-        [fileId]
+        `SELECT * FROM file_uploads WHERE id = $1 AND ($2::uuid IS NULL OR client_id = $2)`,
+        [fileId, clientId]
       );
 
       if (result.rows.length === 0) {
@@ -108,22 +224,41 @@ class MediaManager {
   }
 
   /**
-   * Download file
+   * File metadata if it belongs to one of the organization's clients
+   */
+  async getOrganizationFile(fileId, organizationId) {
+    const result = await db.query(
+      `SELECT f.* FROM file_uploads f
+       JOIN whatsapp_clients wc ON wc.id = f.client_id
+       WHERE f.id = $1 AND wc.organization_id = $2`,
+      [fileId, organizationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Download file as a stream from its storage backend
    */
   async downloadFile(fileId) {
     try {
       const file = await this.getFile(fileId);
-      
+      if (file.scan_status === 'quarantined') {
+        throw new Error(QUARANTINED_ERROR);
+      }
+      const driver = this.getDriver(file.storage_driver);
+
       // Check file exists
-      if (!fs.existsSync(file.storage_path)) {
-        throw new Error('File not found on disk');
+      const stored = await driver.stat(file.storage_path);
+      if (!stored) {
+        throw new Error('File not found in storage');
       }
 
-      const buffer = fs.readFileSync(file.storage_path);
       return {
-        buffer,
+        stream: await driver.createReadStream(file.storage_path),
         filename: file.original_filename,
-        mimeType: file.mime_type
+        mimeType: file.mime_type,
+        size: stored.size
       };
     } catch (error) {
       logger.error('Error downloading file', { fileId, error: error.message });
@@ -131,22 +266,57 @@ class MediaManager {
     }
   }
 
+  /**
+   * Read a whole file into memory (WhatsApp media has to be sent as base64)
+   */
+  async readFile(fileId) {
+    const file = await this.downloadFile(fileId);
+
+    const chunks = [];
+    for await (const chunk of file.stream) {
+      chunks.push(chunk);
+    }
+
+    return { buffer: Buffer.concat(chunks), filename: file.filename, mimeType: file.mimeType };
+  }
+
   /**
    * Delete file
+   *
+   * Drops the upload and its derivatives; stored objects are only removed
+   * once no other upload references them.
    */
   async deleteFile(fileId) {
     try {
       const file = await this.getFile(fileId);
+      const derivatives = await this.getDerivatives(fileId);
 
-      // Delete from disk
-      if (fs.existsSync(file.storage_path)) {
-        fs.unlinkSync(file.storage_path);
-      }
+      // Delete from database (derivative rows go with the original) and release the stored objects
+      const orphaned = await db.transaction(async (client) => {
+        await client.query(
+          `DELETE FROM file_uploads WHERE id = $1`,
+          [fileId]
+        );
 
-      // Delete from database
+        const unreferenced = [];
+        for (const stored of [file, ...derivatives]) {
+          if (stored.blob_id) {
+            const released = await this._releaseBlob(client, stored.blob_id);
+            if (released) unreferenced.push(released);
+          } else if (stored.storage_path) {
+            unreferenced.push(stored);
+          }
+        }
+        return unreferenced;
+      });
+
+      // Only once the rows are gone for good: a rollback must not leave them pointing at nothing
+      await this._deleteStored(orphaned);
+
+      // Messages keep their metadata but lose the download link
       await db.query(
-        `DELETE FROM file_uploads WHERE id = $1`,
-        [fileId]
+        `UPDATE messages SET media_url = NULL WHERE media_url = $1`,
+        [this.getDownloadPath(fileId)]
       );
 
       logger.info('File deleted', { fileId });
@@ -157,310 +327,1827 @@ class MediaManager {
   }
 
   // ================================================
-  // MEDIA MESSAGE SENDING
+  // CONTENT-ADDRESSED STORAGE
   // ================================================
 
   /**
-   * Send image message
+   * Stored object for content an organization already has, if any
    */
-  async sendImageMessage(client, to, imagePath, caption = '') {
-    try {
-      const { MessageMedia } = require('whatsapp-web.js');
-      
-      // Read file
-      const buffer = fs.readFileSync(imagePath);
-      const mimeType = mime.lookup(imagePath) || 'image/jpeg';
-      
-      // Create message media
-      const media = new MessageMedia(
-        mimeType,
-        buffer.toString('base64'),
-        path.basename(imagePath)
-      );
+  async findBlob(organizationId, contentHash) {
+    const result = await db.query(
+      `SELECT * FROM media_blobs WHERE organization_id = $1 AND content_hash = $2`,
+      [organizationId, contentHash]
+    );
 
-      const response = await client.sendMessage(to, media, { caption });
-      return response;
-    } catch (error) {
-      logger.error('Error sending image', { to, error: error.message });
-      throw error;
-    }
+    return result.rows[0] || null;
   }
 
   /**
-   * Send video message
+   * Add a reference to the object holding this content, writing it first
+   * if the organization doesn't have it yet
+   *
+   * Runs inside the caller's transaction: the blob row stays locked until
+   * commit, so a concurrent upload of the same bytes waits for the write
+   * instead of referencing an object that isn't there yet, and a failed
+   * write rolls the row back. New objects go to `driver`; existing ones
+   * stay on the backend they were written to.
    */
-  async sendVideoMessage(client, to, videoPath, caption = '') {
-    try {
-      const { MessageMedia } = require('whatsapp-web.js');
-      
-      const buffer = fs.readFileSync(videoPath);
-      const mimeType = 'video/mp4';
-      
-      const media = new MessageMedia(
-        mimeType,
-        buffer.toString('base64'),
-        path.basename(videoPath)
-      );
+  async _retainBlob(executor, organizationId, driver, { contentHash, mimeType, source, size }) {
+    // Unique per blob, so an object released and deleted after commit can't be
+    // one that a later upload of the same content has just written
+    const suffix = crypto.randomBytes(4).toString('hex');
+    const location = driver.locationFor(`${organizationId}/sha256/${contentHash}-${suffix}.${mime.extension(mimeType) || 'bin'}`);
 
-      const response = await client.sendMessage(to, media, { caption });
-      return response;
-    } catch (error) {
-      logger.error('Error sending video', { to, error: error.message });
-      throw error;
+    const result = await executor.query(
+      `INSERT INTO media_blobs
+       (organization_id, content_hash, mime_type, file_size, storage_driver, storage_path, ref_count)
+       VALUES ($1, $2, $3, $4, $5, $6, 1)
+       ON CONFLICT (organization_id, content_hash)
+       DO UPDATE SET ref_count = media_blobs.ref_count + 1
+       RETURNING *`,
+      [organizationId, contentHash, mimeType, size, driver.name, location]
+    );
+    const blob = result.rows[0];
+
+    if (blob.ref_count === 1) {
+      await driver.put(location, typeof source === 'function' ? source() : source, { contentType: mimeType, contentLength: size });
     }
+
+    return blob;
   }
 
   /**
-   * Send document message
+   * Drop a reference; the last one removes the blob row and returns its
+   * { storage_driver, storage_path } for the caller to delete after commit
    */
-  async sendDocumentMessage(client, to, documentPath, filename = '') {
-    try {
-      const { MessageMedia } = require('whatsapp-web.js');
-      
-      const buffer = fs.readFileSync(documentPath);
-      const mimeType = mime.lookup(documentPath) || 'application/octet-stream';
-      
-      const media = new MessageMedia(
-        mimeType,
-        buffer.toString('base64'),
-        filename || path.basename(documentPath)
-      );
+  async _releaseBlob(executor, blobId) {
+    const result = await executor.query(
+      `UPDATE media_blobs SET ref_count = ref_count - 1 WHERE id = $1 RETURNING *`,
+      [blobId]
+    );
+    const blob = result.rows[0];
 
-      const response = await client.sendMessage(to, media);
-      return response;
-    } catch (error) {
-      logger.error('Error sending document', { to, error: error.message });
-      throw error;
+    if (!blob || blob.ref_count > 0) {
+      return null;
     }
+
+    await executor.query(`DELETE FROM media_blobs WHERE id = $1`, [blobId]);
+    return { storage_driver: blob.storage_driver, storage_path: blob.storage_path };
   }
 
   /**
-   * Send audio message
+   * Delete stored objects nothing references any more
+   * A failure leaves an orphaned object behind, which is logged rather than thrown
    */
-  async sendAudioMessage(client, to, audioPath, isVoiceMessage = true) {
-    try {
-      const { MessageMedia } = require('whatsapp-web.js');
-      
-      const buffer = fs.readFileSync(audioPath);
-      const mimeType = mime.lookup(audioPath) || 'audio/mpeg';
-      
-      const media = new MessageMedia(
-        mimeType,
-        buffer.toString('base64'),
-        path.basename(audioPath)
-      );
-
-      const options = isVoiceMessage ? { sendAudioAsVoice: true } : {};
-      const response = await client.sendMessage(to, media, options);
-      return response;
-    } catch (error) {
-      logger.error('Error sending audio', { to, error: error.message });
-      throw error;
+  async _deleteStored(locations) {
+    for (const { storage_driver: driver, storage_path: location } of locations) {
+      try {
+        await this.getDriver(driver).delete(location);
+      } catch (error) {
+        logger.warn('Stored media object not deleted', { driver, location, error: error.message });
+      }
     }
   }
 
   // ================================================
-  // MEDIA STREAMING
+  // SCANNING & QUARANTINE
   // ================================================
 
   /**
-   * Get file stream for download
+   * Add a scanner to the stage (anything with a name and scan(buffer, { mimeType, filename }))
    */
-  getFileStream(fileId) {
-    try {
-      const file = this.getFileSync(fileId);
-      
-      if (!fs.existsSync(file.storage_path)) {
-        throw new Error('File not found');
+  addScanner(scanner) {
+    this.scanners.push(scanner);
+  }
+
+  /**
+   * Run the file past every scanner
+   *
+   * Returns { status: 'infected', scanner, signature } for the first scanner
+   * that flags it, otherwise 'clean', or 'unscanned' when no scanner is
+   * configured. A scanner that can't reach a verdict fails the scan unless
+   * MEDIA_SCAN_ON_ERROR=allow, in which case the file passes as unscanned.
+   */
+  async scanFile(buffer, { mimeType = null, filename = null } = {}) {
+    let status = this.scanners.length > 0 ? 'clean' : 'unscanned';
+
+    for (const scanner of this.scanners) {
+      let verdict;
+      try {
+        verdict = await scanner.scan(buffer, { mimeType, filename });
+      } catch (error) {
+        logger.error('Media scanner unavailable', { scanner: scanner.name, error: error.message });
+        if (this.scanOnError !== 'allow') {
+          throw new Error(`${SCAN_FAILED_ERROR}: ${error.message}`);
+        }
+        status = 'unscanned';
+        continue;
       }
 
-      return fs.createReadStream(file.storage_path);
-    } catch (error) {
-      logger.error('Error creating file stream', { fileId, error: error.message });
-      throw error;
+      if (verdict.infected) {
+        return { status: 'infected', scanner: scanner.name, signature: verdict.signature };
+      }
     }
+
+    return { status };
   }
 
   /**
-   * Stream file to client (for downloads)
+   * Keep a flagged file out of reach and report it
+   *
+   * The bytes go to a quarantine key of their own (never shared with clean
+   * uploads), the row can't be downloaded or sent, and it expires after
+   * MEDIA_QUARANTINE_DAYS. Emits media_quarantined, then throws QUARANTINED_ERROR
+   * with the row as `error.file`.
    */
-  streamFileToResponse(fileId, response) {
-    try {
-      const file = this.getFileSync(fileId);
-      
-      if (!fs.existsSync(file.storage_path)) {
-        return response.status(404).json({ error: 'File not found' });
-      }
+  async _quarantine(buffer, { originalFilename, mimeType, clientId, organizationId, contentHash, scan, messageId }) {
+    const driver = await this.getOrganizationDriver(organizationId);
+    const filename = `${crypto.randomBytes(16).toString('hex')}.quarantined`;
+    const location = driver.locationFor(`${organizationId}/quarantine/${filename}`);
 
-      response.setHeader('Content-Type', file.mime_type);
-      response.setHeader('Content-Disposition', 
-        `attachment; filename="${file.original_filename}"`);
+    await driver.put(location, buffer, { contentType: 'application/octet-stream' });
 
-      const stream = fs.createReadStream(file.storage_path);
-      stream.pipe(response);
-    } catch (error) {
-      logger.error('Error streaming file', { fileId, error: error.message });
-      response.status(500).json({ error: 'Error streaming file' });
+    const result = await db.query(
+      `INSERT INTO file_uploads
+       (client_id, message_id, filename, original_filename, mime_type, file_size, storage_driver, storage_path,
+        content_hash, scan_status, metadata, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'quarantined', $10, NOW() + $11 * INTERVAL '1 day')
+       RETURNING *`,
+      [
+        clientId,
+        messageId,
+        filename,
+        originalFilename,
+        mimeType,
+        buffer.length,
+        driver.name,
+        location,
+        contentHash,
+        JSON.stringify({ scan: { scanner: scan.scanner, signature: scan.signature, scannedAt: new Date() } }),
+        this.quarantineDays
+      ]
+    );
+    const file = result.rows[0];
+
+    logger.warn('Media quarantined', {
+      fileId: file.id, clientId, messageId, scanner: scan.scanner, signature: scan.signature
+    });
+
+    if (this.webhookManager) {
+      await this.webhookManager.triggerEvent(organizationId, 'media_quarantined', {
+        fileId: file.id,
+        clientId,
+        messageId,
+        filename: originalFilename,
+        mimeType,
+        size: buffer.length,
+        sha256: contentHash,
+        scanner: scan.scanner,
+        signature: scan.signature,
+        timestamp: new Date()
+      });
     }
+
+    const error = new Error(`${QUARANTINED_ERROR}: ${scan.signature}`);
+    error.file = file;
+    throw error;
   }
 
   // ================================================
-  // MEDIA PROCESSING & OPTIMIZATION
+  // STORAGE BACKENDS
   // ================================================
 
   /**
-   * Get media info (dimensions, duration, etc)
+   * Driver by name; rows written before drivers existed are local
    */
-  async getMediaInfo(filepath, mimeType) {
+  getDriver(name) {
+    const driver = this.drivers[name || 'local'];
+    if (!driver) {
+      throw new Error(`Storage driver ${name} is not configured`);
+    }
+    return driver;
+  }
+
+  /**
+   * Storage settings for an organization (organizations.metadata.storage over the default driver)
+   */
+  async getStorageSettings(organizationId) {
+    const result = await db.query(
+      `SELECT metadata -> 'storage' AS storage FROM organizations WHERE id = $1`,
+      [organizationId]
+    );
+
+    return {
+      driver: this.defaultDriver,
+      ...(result.rows[0]?.storage || {}),
+      available: Object.keys(this.drivers)
+    };
+  }
+
+  /**
+   * Choose the backend new uploads of an organization are written to
+   */
+  async updateStorageSettings(organizationId, { driver } = {}) {
     try {
-      const stats = fs.statSync(filepath);
-      
-      const mediaInfo = {
-        filename: path.basename(filepath),
-        size: stats.size,
-        mimeType,
-        createdAt: stats.birthtime,
-        modifiedAt: stats.mtime
-      };
+      if (!this.drivers[driver]) {
+        throw new Error(`driver must be one of: ${Object.keys(this.drivers).join(', ')}`);
+      }
 
-      // TODO: Add ffprobe for video duration, audio duration, image dimensions
-      
-      return mediaInfo;
+      await db.query(
+        `UPDATE organizations SET metadata = jsonb_set(COALESCE(metadata, '{}'), '{storage}', $2::jsonb)
+         WHERE id = $1`,
+        [organizationId, JSON.stringify({ driver })]
+      );
+
+      logger.info('Storage settings updated', { organizationId, driver });
+      return this.getStorageSettings(organizationId);
     } catch (error) {
-      logger.error('Error getting media info', { error: error.message });
+      logger.error('Error updating storage settings', { organizationId, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Compress image before sending
+   * Driver new uploads of an organization go to; falls back to the default
+   * when the chosen driver isn't configured on this instance
    */
-  async compressImage(inputPath, outputPath, quality = 80) {
-    // TODO: Use sharp library for image compression
-    // This is a placeholder for the actual implementation
-    logger.info('Image compression not yet implemented');
-    return inputPath;
+  async getOrganizationDriver(organizationId) {
+    const settings = await this.getStorageSettings(organizationId);
+    if (!this.drivers[settings.driver]) {
+      logger.warn('Organization storage driver not configured', { organizationId, driver: settings.driver });
+      return this.drivers[this.defaultDriver];
+    }
+    return this.drivers[settings.driver];
   }
 
   /**
-   * Compress video before sending
+   * Move stored files from one backend to another
+   *
+   * Objects are streamed across, the copy's size is checked and the rows are
+   * repointed only if they still point at the source. A content-addressed
+   * object moves once for all uploads referencing it. The source object is
+   * removed when deleteSource is set. Returns { migrated, failed, bytes }.
    */
-  async compressVideo(inputPath, outputPath) {
-    // TODO: Use ffmpeg for video compression
-    // This is a placeholder for the actual implementation
-    logger.info('Video compression not yet implemented');
-    return inputPath;
+  async migrateStorage({ from, to, organizationId = null, limit = null, deleteSource = false, dryRun = false, onProgress = null }) {
+    const source = this.getDriver(from);
+    const target = this.getDriver(to);
+    if (source === target) {
+      throw new Error('Source and target storage must differ');
+    }
+
+    // Shared objects, then files stored before deduplication
+    const result = await db.query(
+      `SELECT * FROM (
+         SELECT b.id, TRUE AS is_blob, b.organization_id, NULL::uuid AS client_id, b.storage_path,
+                b.mime_type, NULL AS scan_status, b.created_at
+         FROM media_blobs b
+         WHERE b.storage_driver = $1 AND ($2::uuid IS NULL OR b.organization_id = $2)
+         UNION ALL
+         SELECT f.id, FALSE, wc.organization_id, f.client_id, f.storage_path, f.mime_type, f.scan_status, f.created_at
+         FROM file_uploads f
+         JOIN whatsapp_clients wc ON wc.id = f.client_id
+         WHERE COALESCE(f.storage_driver, 'local') = $1 AND f.storage_path IS NOT NULL AND f.blob_id IS NULL
+           AND ($2::uuid IS NULL OR wc.organization_id = $2)
+       ) stored
+       ORDER BY created_at
+       LIMIT $3`,
+      [from, organizationId, limit]
+    );
+
+    const summary = { migrated: 0, failed: 0, bytes: 0, total: result.rows.length };
+
+    for (const file of result.rows) {
+      const folder = file.is_blob ? 'sha256' : file.scan_status === 'quarantined' ? 'quarantine' : file.client_id;
+      const location = target.locationFor(`${file.organization_id}/${folder}/${path.basename(file.storage_path)}`);
+
+      try {
+        const stored = await source.stat(file.storage_path);
+        if (!stored) {
+          throw new Error('Source file missing');
+        }
+
+        if (!dryRun) {
+          await target.put(location, await source.createReadStream(file.storage_path), {
+            contentType: file.mime_type,
+            contentLength: stored.size
+          });
+
+          const copied = await target.stat(location);
+          if (!copied || copied.size !== stored.size) {
+            throw new Error('Copied size does not match');
+          }
+
+          const updated = await db.transaction(async (client) => {
+            if (!file.is_blob) {
+              return client.query(
+                `UPDATE file_uploads SET storage_driver = $2, storage_path = $3
+                 WHERE id = $1 AND storage_path = $4`,
+                [file.id, target.name, location, file.storage_path]
+              );
+            }
+
+            const blob = await client.query(
+              `UPDATE media_blobs SET storage_driver = $2, storage_path = $3
+               WHERE id = $1 AND storage_path = $4`,
+              [file.id, target.name, location, file.storage_path]
+            );
+            await client.query(
+              `UPDATE file_uploads SET storage_driver = $2, storage_path = $3 WHERE blob_id = $1`,
+              [file.id, target.name, location]
+            );
+            return blob;
+          });
+
+          if (updated.rowCount === 0) {
+            // Changed underneath us (deleted or already moved); drop the copy
+            await target.delete(location);
+            throw new Error('File changed during migration');
+          }
+
+          if (deleteSource) {
+            await source.delete(file.storage_path);
+          }
+        }
+
+        summary.migrated++;
+        summary.bytes += stored.size;
+        if (onProgress) onProgress({ file, location, status: 'migrated' });
+      } catch (error) {
+        summary.failed++;
+        logger.error('Storage migration failed for file', { fileId: file.id, error: error.message });
+        if (onProgress) onProgress({ file, location, status: 'failed', error: error.message });
+      }
+    }
+
+    logger.info('Storage migration finished', { from, to, ...summary, dryRun });
+    return summary;
   }
 
   // ================================================
-  // VALIDATION
+  // INBOUND MEDIA
   // ================================================
 
   /**
-   * Validate file before upload
+   * Inbound media settings for an organization (organizations.metadata.inbound_media over the defaults)
    */
-  _validateFile(buffer, mimeType) {
-    // Check file size
-    if (buffer.length > this.maxFileSize) {
-      throw new Error(`File size exceeds maximum of ${this.maxFileSize / 1024 / 1024}MB`);
-    }
+  async getInboundSettings(organizationId) {
+    const result = await db.query(
+      `SELECT metadata -> 'inbound_media' AS inbound_media FROM organizations WHERE id = $1`,
+      [organizationId]
+    );
 
-    // Check mime type
-    const isAllowed = Object.values(this.allowedMimeTypes)
-      .flat()
-      .includes(mimeType);
+    return { ...this.inboundDefaults, ...(result.rows[0]?.inbound_media || {}) };
+  }
 
-    if (!isAllowed) {
-      throw new Error(`MIME type ${mimeType} is not allowed`);
-    }
+  /**
+   * Update an organization's inbound media settings
+   *
+   * allowedTypes takes categories (image, video, audio, document) or exact MIME types.
+   */
+  async updateInboundSettings(organizationId, settings = {}) {
+    try {
+      const current = await this.getInboundSettings(organizationId);
+      const updated = { ...current };
 
-    // Check file magic bytes (file signature)
-    this._validateMagicBytes(buffer, mimeType);
+      if (settings.enabled !== undefined) {
+        updated.enabled = settings.enabled === true;
+      }
+      if (settings.maxSize !== undefined) {
+        const maxSize = parseInt(settings.maxSize);
+        if (!Number.isInteger(maxSize) || maxSize <= 0 || maxSize > this.maxFileSize) {
+          throw new Error(`maxSize must be between 1 and ${this.maxFileSize} bytes`);
+        }
+        updated.maxSize = maxSize;
+      }
+      if (settings.allowedTypes !== undefined) {
+        if (!Array.isArray(settings.allowedTypes)) {
+          throw new Error('allowedTypes must be an array');
+        }
+        const unknown = settings.allowedTypes.filter(type =>
+          !this.allowedMimeTypes[type] && !this.getMediaCategory(type));
+        if (unknown.length > 0) {
+          throw new Error(`Unsupported media types: ${unknown.join(', ')}`);
+        }
+        updated.allowedTypes = settings.allowedTypes;
+      }
+
+      await db.query(
+        `UPDATE organizations SET metadata = jsonb_set(COALESCE(metadata, '{}'), '{inbound_media}', $2::jsonb)
+         WHERE id = $1`,
+        [organizationId, JSON.stringify(updated)]
+      );
+
+      logger.info('Inbound media settings updated', { organizationId });
+      return updated;
+    } catch (error) {
+      logger.error('Error updating inbound media settings', { organizationId, error: error.message });
+      throw error;
+    }
   }
 
   /**
-   * Validate file magic bytes
+   * Download a received message's media, store it and link it to the stored message
+   *
+   * Never throws: returns { status: 'stored', file } or { status: 'skipped' | 'failed', reason },
+   * and the outcome is kept in messages.metadata.media for the history. A file the
+   * scanners flag comes back as { status: 'quarantined', reason: 'infected', file, signature }
+   * and the message is flagged.
    */
-  _validateMagicBytes(buffer, mimeType) {
-    const signatures = {
-      'image/jpeg': Buffer.from([0xFF, 0xD8, 0xFF]),
-      'image/png': Buffer.from([0x89, 0x50, 0x4E, 0x47]),
-      'image/gif': Buffer.from([0x47, 0x49, 0x46]),
-      'application/pdf': Buffer.from([0x25, 0x50, 0x44, 0x46]),
-      'video/mp4': null, // Complex signature, skip
-      'audio/mpeg': Buffer.from([0xFF, 0xFB])
-    };
+  async storeInboundMedia(msg, clientId, organizationId, messageId) {
+    let outcome;
 
-    const signature = signatures[mimeType];
-    if (!signature) return; // Skip validation if no signature
+    try {
+      const settings = await this.getInboundSettings(organizationId);
+      const isAllowed = (mimeType) => settings.allowedTypes.includes(mimeType) ||
+        settings.allowedTypes.includes(this.getMediaCategory(mimeType));
 
-    const fileSignature = buffer.slice(0, signature.length);
-    if (!fileSignature.equals(signature)) {
-      logger.warn('Invalid file signature', { mimeType });
-      throw new Error('Invalid file format');
+      // WhatsApp reports size and type up front, so oversized or unwanted files aren't downloaded
+      const announcedType = (msg._data?.mimetype || '').split(';')[0] || null;
+      const announcedSize = msg._data?.size || 0;
+
+      if (!settings.enabled) {
+        outcome = { status: 'skipped', reason: 'disabled' };
+      } else if (announcedSize > settings.maxSize) {
+        outcome = { status: 'skipped', reason: 'too_large' };
+      } else if (announcedType && !isAllowed(announcedType)) {
+        outcome = { status: 'skipped', reason: 'type_not_allowed' };
+      } else {
+        const media = await msg.downloadMedia();
+
+        if (!media || !media.data) {
+          outcome = { status: 'failed', reason: 'unavailable' };
+        } else {
+          const buffer = Buffer.from(media.data, 'base64');
+          const mimeType = this.detectMimeType(buffer, media.mimetype?.split(';')[0], media.filename);
+
+          if (buffer.length > settings.maxSize) {
+            outcome = { status: 'skipped', reason: 'too_large' };
+          } else if (!isAllowed(mimeType)) {
+            outcome = { status: 'skipped', reason: 'type_not_allowed' };
+          } else {
+            const file = await this.uploadFile(buffer, media.filename || null, mimeType, clientId, organizationId, { messageId });
+            outcome = { status: 'stored', file };
+
+            // Dimensions, duration and a thumbnail for the inbox; the original stays as received
+            await this.processFile(file.id, { compress: false }).catch(() => null);
+          }
+        }
+      }
+    } catch (error) {
+      if (error.message.startsWith(QUARANTINED_ERROR)) {
+        outcome = {
+          status: 'quarantined',
+          reason: 'infected',
+          file: error.file,
+          signature: error.file.metadata.scan.signature
+        };
+      } else {
+        logger.error('Inbound media not stored', { clientId, messageId, error: error.message });
+        outcome = {
+          status: 'failed',
+          reason: error.message.startsWith(QUOTA_EXCEEDED_ERROR) ? 'quota_exceeded'
+            : error.message.startsWith(SCAN_FAILED_ERROR) ? 'scan_failed'
+              : error.message
+        };
+      }
     }
-  }
 
-  // ================================================
-  // DATABASE HELPER
-  // ================================================
+    try {
+      if (outcome.status === 'stored') {
+        const { file } = outcome;
+        await db.transaction(async (client) => {
+          await this.linkToMessage(file.id, messageId, client);
+          await client.query(
+            `UPDATE messages
+             SET media_url = $2, media_type = $3, media_size = $4,
+                 metadata = jsonb_set(COALESCE(metadata, '{}'), '{media}', $5::jsonb)
+             WHERE id = $1`,
+            [messageId, this.getDownloadPath(file.id), file.mimeType, file.size,
+              JSON.stringify({ status: 'stored', fileId: file.id, filename: file.originalFilename })]
+          );
+        });
+      } else if (outcome.status === 'quarantined') {
+        await db.query(
+          `UPDATE messages SET metadata = COALESCE(metadata, '{}') || $2::jsonb WHERE id = $1`,
+          [messageId, JSON.stringify({
+            flagged: 'media_quarantined',
+            media: {
+              status: 'quarantined',
+              reason: outcome.reason,
+              fileId: outcome.file.id,
+              signature: outcome.signature,
+              mimeType: outcome.file.mime_type,
+              size: parseInt(outcome.file.file_size)
+            }
+          })]
+        );
+      } else {
+        await db.query(
+          `UPDATE messages SET metadata = jsonb_set(COALESCE(metadata, '{}'), '{media}', $2::jsonb) WHERE id = $1`,
+          [messageId, JSON.stringify({
+            status: outcome.status,
+            reason: outcome.reason,
+            mimeType: msg._data?.mimetype || null,
+            size: msg._data?.size || null
+          })]
+        );
+      }
+    } catch (error) {
+      logger.error('Error linking inbound media', { clientId, messageId, error: error.message });
+    }
+
+    return outcome;
+  }
 
   /**
-   * Get file sync (for internal use)
+   * API path that downloads a stored file
    */
-  getFileSync(fileId) {
-    // This is a synchronous wrapper - in production, use async version
-    // Placeholder for synchronous file lookup
-    return {
-      id: fileId,
-      storage_path: path.join(this.storageDir, 'file'),
-      mime_type: 'application/octet-stream',
-      original_filename: 'file'
-    };
+  getDownloadPath(fileId) {
+    return `/api/media/${fileId}/download`;
   }
 
   // ================================================
-  // CLEANUP & MAINTENANCE
+  // MEDIA MESSAGE SENDING
   // ================================================
 
   /**
-   * Clean up expired files
+   * Resolve outbound media to a stored upload
+   *
+   * Accepts exactly one source: an existing upload (`mediaId`), a URL that
+   * is fetched and stored, or a base64 payload (optionally a data URI).
+   * Returns the file_uploads row.
    */
-  async cleanupExpiredFiles() {
-    try {
-      const result = await db.query(
-        `SELECT * FROM file_uploads WHERE expires_at IS NOT NULL AND expires_at < NOW()`
-      );
+  async prepareOutboundMedia(clientId, organizationId, { mediaId, mediaUrl, media, mimeType, filename } = {}) {
+    const sources = [mediaId, mediaUrl, media].filter(Boolean);
+    if (sources.length !== 1) {
+      throw new Error('Provide exactly one of mediaId, mediaUrl or media');
+    }
 
-      for (const file of result.rows) {
-        await this.deleteFile(file.id);
+    if (mediaId) {
+      const file = await this.getFile(mediaId, clientId);
+      if (file.scan_status === 'quarantined') {
+        throw new Error(QUARANTINED_ERROR);
       }
+      return file;
+    }
 
-      logger.info('Cleaned up expired files', { count: result.rows.length });
-    } catch (error) {
-      logger.error('Error cleaning up files', { error: error.message });
+    let buffer;
+    if (mediaUrl) {
+      const fetched = await this._fetchMedia(mediaUrl);
+      buffer = fetched.buffer;
+      mimeType = mimeType || fetched.mimeType;
+      filename = filename || fetched.filename;
+    } else {
+      const dataUri = /^data:([^;,]+)?(?:;[^,]*)?,/.exec(media);
+      if (dataUri) {
+        mimeType = mimeType || dataUri[1];
+        media = media.slice(dataUri[0].length);
+      }
+      buffer = Buffer.from(media, 'base64');
+    }
+
+    if (buffer.length === 0) {
+      throw new Error('Media is empty');
     }
+
+    const uploaded = await this.uploadFile(buffer, filename, mimeType, clientId, organizationId);
+    return this.getFile(uploaded.id);
   }
 
   /**
-   * Get storage usage
+   * Build a MessageMedia from a stored upload
+   *
+   * Images and videos are sent as their compressed derivative when the
+   * original is over WhatsApp's limits, and voice notes as OGG/Opus.
+   * Nothing is built here; without a derivative the original is sent unchanged.
+   *
+   * Repeat sends of the same content hand WhatsApp the same bytes (uploads
+   * of identical content share their derivatives), which WhatsApp Web keys
+   * its uploaded media by, so it can reuse the earlier upload; the base64
+   * payload is cached here so it isn't read from storage again.
    */
-  async getStorageUsage(organizationId) {
-    try {
-      const result = await db.query(
-        `SELECT SUM(file_size) as total_size FROM file_uploads 
-         WHERE client_id IN (
-           SELECT id FROM whatsapp_clients WHERE organization_id = $1
-         )`,
-        [organizationId]
-      );
+  async toMessageMedia(fileId, { voice = false, asDocument = false } = {}) {
+    const { MessageMedia } = require('whatsapp-web.js');
 
-      return result.rows[0].total_size || 0;
-    } catch (error) {
-      logger.error('Error getting storage usage', { error: error.message });
-      throw error;
+    const sendable = await this.getSendableFile(fileId, { voice, asDocument })
+      .catch(() => null) || await this.getFile(fileId);
+    const filename = sendable.original_filename || sendable.filename;
+
+    const cached = sendable.content_hash && this.mediaCache.get(sendable.content_hash);
+    if (cached) {
+      // Move to the most recently used end
+      this.mediaCache.delete(sendable.content_hash);
+      this.mediaCache.set(sendable.content_hash, cached);
+      return new MessageMedia(cached.mimeType, cached.data, filename);
     }
-  }
-}
+
+    const file = await this.readFile(sendable.id);
+    const data = file.buffer.toString('base64');
+
+    if (sendable.content_hash && data.length <= this.mediaCacheSize) {
+      this.mediaCache.set(sendable.content_hash, { mimeType: file.mimeType, data });
+      this.mediaCacheBytes += data.length;
+
+      for (const [hash, entry] of this.mediaCache) {
+        if (this.mediaCacheBytes <= this.mediaCacheSize) break;
+        this.mediaCache.delete(hash);
+        this.mediaCacheBytes -= entry.data.length;
+      }
+    }
+
+    return new MessageMedia(file.mimeType, data, filename);
+  }
+
+  /**
+   * Link an upload to the message it was sent with
+   *
+   * An upload sent several times stays linked to the first message.
+   */
+  async linkToMessage(fileId, messageId, executor = db) {
+    await executor.query(
+      `UPDATE file_uploads SET message_id = COALESCE(message_id, $2) WHERE id = $1`,
+      [fileId, messageId]
+    );
+  }
+
+  /**
+   * Send image message
+   */
+  async sendImageMessage(client, to, image, caption = '') {
+    try {
+      const media = this._toMessageMedia(image, 'image/jpeg');
+      const response = await client.sendMessage(to, media, { caption });
+      return response;
+    } catch (error) {
+      logger.error('Error sending image', { to, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Send video message
+   */
+  async sendVideoMessage(client, to, video, caption = '') {
+    try {
+      const media = this._toMessageMedia(video, 'video/mp4');
+      const response = await client.sendMessage(to, media, { caption });
+      return response;
+    } catch (error) {
+      logger.error('Error sending video', { to, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Send document message
+   */
+  async sendDocumentMessage(client, to, document, filename = '', caption = '') {
+    try {
+      const media = this._toMessageMedia(document, 'application/octet-stream', filename);
+      const response = await client.sendMessage(to, media, {
+        sendMediaAsDocument: true,
+        caption: caption || undefined
+      });
+      return response;
+    } catch (error) {
+      logger.error('Error sending document', { to, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Send audio message
+   */
+  async sendAudioMessage(client, to, audio, isVoiceMessage = true) {
+    try {
+      const media = this._toMessageMedia(audio, 'audio/mpeg');
+      const options = isVoiceMessage ? { sendAudioAsVoice: true } : {};
+      const response = await client.sendMessage(to, media, options);
+      return response;
+    } catch (error) {
+      logger.error('Error sending audio', { to, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Accept either a MessageMedia or a file path
+   */
+  _toMessageMedia(source, defaultMimeType, filename = '') {
+    const { MessageMedia } = require('whatsapp-web.js');
+
+    if (source instanceof MessageMedia) {
+      if (filename) source.filename = filename;
+      return source;
+    }
+
+    const buffer = fs.readFileSync(source);
+    return new MessageMedia(
+      this.detectMimeType(buffer, mime.lookup(source) || defaultMimeType, source),
+      buffer.toString('base64'),
+      filename || path.basename(source)
+    );
+  }
+
+  /**
+   * Fetch remote media, bounded by the maximum file size
+   *
+   * Only public addresses are fetched: the host is checked as resolved for
+   * the connection itself, and redirects are followed by hand so every hop
+   * is checked again.
+   */
+  async _fetchMedia(url) {
+    let current;
+    try {
+      current = new URL(url);
+    } catch (error) {
+      throw new Error('Invalid media URL');
+    }
+
+    try {
+      for (let redirects = 0; ; redirects++) {
+        if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+          throw new Error('Media URL must be http or https');
+        }
+        const hostname = current.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+          throw new Error('Media URL points to a private address');
+        }
+
+        const response = await axios.get(current.href, {
+          responseType: 'arraybuffer',
+          timeout: 30000,
+          maxContentLength: this.maxFileSize,
+          maxBodyLength: this.maxFileSize,
+          maxRedirects: 0,
+          validateStatus: status => status >= 200 && status < 400,
+          httpAgent: new http.Agent({ lookup: publicLookup }),
+          httpsAgent: new https.Agent({ lookup: publicLookup })
+        });
+
+        if (response.status >= 300) {
+          if (!response.headers.location) {
+            throw new Error(`Redirect without a location (${response.status})`);
+          }
+          if (redirects >= MAX_MEDIA_REDIRECTS) {
+            throw new Error('Too many redirects');
+          }
+          current = new URL(response.headers.location, current);
+          continue;
+        }
+
+        return {
+          buffer: Buffer.from(response.data),
+          mimeType: (response.headers['content-type'] || '').split(';')[0].trim() || null,
+          filename: decodeURIComponent(path.basename(current.pathname)) || null
+        };
+      }
+    } catch (error) {
+      logger.error('Error fetching media', { url, error: error.message });
+      throw new Error(`Could not fetch media: ${error.message}`);
+    }
+  }
+
+  // ================================================
+  // MEDIA STREAMING
+  // ================================================
+
+  /**
+   * Get file stream for download
+   */
+  async getFileStream(fileId) {
+    try {
+      const { stream } = await this.downloadFile(fileId);
+      return stream;
+    } catch (error) {
+      logger.error('Error creating file stream', { fileId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Stream file to client (for downloads)
+   *
+   * Supports a single `Range: bytes=start-end` header so players can seek
+   * in large videos; pass `inline` to let browsers display the file.
+   */
+  async streamFileToResponse(fileId, response, { range = null, inline = false } = {}) {
+    try {
+      let file;
+      try {
+        file = await this.getFile(fileId);
+      } catch (error) {
+        return response.status(404).json({ error: 'File not found' });
+      }
+      if (file.scan_status === 'quarantined') {
+        return response.status(403).json({ error: QUARANTINED_ERROR });
+      }
+
+      const driver = this.getDriver(file.storage_driver);
+      const stored = file.storage_path ? await driver.stat(file.storage_path) : null;
+      if (!stored) {
+        return response.status(404).json({ error: 'File not found' });
+      }
+
+      const size = stored.size;
+      const filename = (file.original_filename || file.filename).replace(/["\\\r\n]/g, '_');
+
+      response.setHeader('Content-Type', file.mime_type);
+      response.setHeader('Accept-Ranges', 'bytes');
+      response.setHeader('Content-Disposition', 
+        `${inline ? 'inline' : 'attachment'}; filename="${filename}"`);
+
+      let start = 0;
+      let end = size - 1;
+
+      if (range) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+        if (match && (match[1] || match[2])) {
+          if (match[1]) {
+            start = parseInt(match[1]);
+            end = match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+          } else {
+            // Suffix range: the last N bytes
+            start = Math.max(size - parseInt(match[2]), 0);
+          }
+
+          if (start >= size || start > end) {
+            response.setHeader('Content-Range', `bytes */${size}`);
+            return response.status(416).json({ error: 'Range not satisfiable' });
+          }
+
+          response.status(206);
+          response.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+      }
+
+      response.setHeader('Content-Length', size === 0 ? 0 : end - start + 1);
+      if (size === 0) {
+        return response.end();
+      }
+
+      const stream = await driver.createReadStream(file.storage_path, { start, end });
+      stream.on('error', (error) => {
+        logger.error('Error reading file', { fileId, error: error.message });
+        response.destroy(error);
+      });
+      stream.pipe(response);
+    } catch (error) {
+      logger.error('Error streaming file', { fileId, error: error.message });
+      response.status(500).json({ error: 'Error streaming file' });
+    }
+  }
+
+  // ================================================
+  // SIGNED DOWNLOAD URLS
+  // ================================================
+
+  /**
+   * Pre-signed download URL for a stored file
+   *
+   * The signature covers the file id, expiry and (for single-use links) a
+   * nonce, so the URL works without an API key until it expires.
+   */
+  createSignedUrl(fileId, { expiresIn = this.signedUrlTtl, singleUse = false } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + Math.max(parseInt(expiresIn) || this.signedUrlTtl, 1);
+    const nonce = singleUse ? crypto.randomBytes(12).toString('hex') : null;
+
+    const params = new URLSearchParams({ expires: String(expires) });
+    if (nonce) params.set('nonce', nonce);
+    params.set('signature', this._signDownload(fileId, expires, nonce));
+
+    return {
+      url: `${this.publicUrl}${this.getDownloadPath(fileId)}?${params}`,
+      expiresAt: new Date(expires * 1000),
+      singleUse
+    };
+  }
+
+  /**
+   * Check a signed download request; single-use links are spent here
+   * Returns { valid: true } or { valid: false, status, error }
+   *
+   * A single-use link answers exactly one request; Range follow-ups are refused
+   * like any other repeat, since nothing ties them to the first requester.
+   */
+  async verifySignedUrl(fileId, { expires, nonce, signature } = {}) {
+    const expected = Buffer.from(this._signDownload(fileId, expires, nonce || null));
+    const given = Buffer.from(String(signature || ''));
+
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return { valid: false, status: 403, error: 'Invalid signature' };
+    }
+    if (!(parseInt(expires) * 1000 > Date.now())) {
+      return { valid: false, status: 410, error: 'Link expired' };
+    }
+
+    if (nonce) {
+      const result = await db.query(
+        `INSERT INTO media_url_uses (nonce, file_id, expires_at)
+         VALUES ($1, $2, to_timestamp($3))
+         ON CONFLICT (nonce) DO NOTHING`,
+        [nonce, fileId, parseInt(expires)]
+      );
+      if (result.rowCount === 0) {
+        return { valid: false, status: 410, error: 'Link already used' };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Signed download URL for a stored message's media, or null
+   */
+  signMessageMedia(message) {
+    if (!message.media_url) return null;
+
+    const fileId = message.media_file_id || message.metadata?.fileId || message.metadata?.media?.fileId;
+    return fileId ? this.createSignedUrl(fileId) : null;
+  }
+
+  /**
+   * HMAC over the download parameters
+   */
+  _signDownload(fileId, expires, nonce) {
+    return crypto.createHmac('sha256', this.urlSecret)
+      .update(`${fileId}:${expires}:${nonce || ''}`)
+      .digest('hex');
+  }
+
+  // ================================================
+  // MEDIA PROCESSING & OPTIMIZATION
+  // ================================================
+
+  /**
+   * Get media info (dimensions, duration, etc)
+   */
+  async getMediaInfo(filepath, mimeType) {
+    try {
+      const stats = fs.statSync(filepath);
+      
+      const mediaInfo = {
+        filename: path.basename(filepath),
+        size: stats.size,
+        mimeType,
+        createdAt: stats.birthtime,
+        modifiedAt: stats.mtime
+      };
+
+      const category = this.getMediaCategory(mimeType);
+      try {
+        if (category === 'image') {
+          const sharp = require('sharp');
+          const metadata = await sharp(filepath).metadata();
+          // EXIF orientations 5-8 are rotated a quarter turn
+          const rotated = metadata.orientation >= 5;
+          mediaInfo.width = rotated ? metadata.height : metadata.width;
+          mediaInfo.height = rotated ? metadata.width : metadata.height;
+        } else if (category === 'video' || category === 'audio') {
+          const probe = JSON.parse(await this._run(this.ffprobePath, [
+            '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filepath
+          ]));
+          const video = (probe.streams || []).find(stream => stream.codec_type === 'video');
+          const audio = (probe.streams || []).find(stream => stream.codec_type === 'audio');
+
+          mediaInfo.duration = probe.format?.duration ? parseFloat(probe.format.duration) : null;
+          if (video) {
+            mediaInfo.width = video.width;
+            mediaInfo.height = video.height;
+            mediaInfo.videoCodec = video.codec_name;
+          }
+          if (audio) {
+            mediaInfo.audioCodec = audio.codec_name;
+          }
+        }
+      } catch (error) {
+        // Info stays partial when sharp or ffprobe can't read the file
+        logger.warn('Media probe failed', { filepath, error: error.message });
+      }
+      
+      return mediaInfo;
+    } catch (error) {
+      logger.error('Error getting media info', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Compress image before sending
+   *
+   * Fits the image within the maximum dimension and re-encodes it as JPEG,
+   * applying the EXIF orientation.
+   */
+  async compressImage(inputPath, outputPath, quality = this.processing.imageQuality) {
+    const sharp = require('sharp');
+    const max = this.processing.maxImageDimension;
+
+    await sharp(inputPath)
+      .rotate()
+      .resize({ width: max, height: max, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality, mozjpeg: true })
+      .toFile(outputPath);
+
+    return outputPath;
+  }
+
+  /**
+   * Compress video before sending
+   *
+   * H.264/AAC MP4 no larger than the maximum dimension, with the index up
+   * front so WhatsApp can start playing before the download finishes.
+   */
+  async compressVideo(inputPath, outputPath) {
+    const max = this.processing.maxVideoDimension;
+
+    await this._run(this.ffmpegPath, [
+      '-y', '-i', inputPath,
+      '-vf', `scale='if(gt(iw,ih),min(${max},iw),-2)':'if(gt(iw,ih),-2,min(${max},ih))'`,
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '128k',
+      '-movflags', '+faststart',
+      outputPath
+    ]);
+
+    return outputPath;
+  }
+
+  /**
+   * Create a JPEG thumbnail of an image or a video's first second
+   */
+  async createThumbnail(inputPath, outputPath, mimeType) {
+    const size = this.processing.thumbnailSize;
+
+    if (this.getMediaCategory(mimeType) === 'video') {
+      await this._run(this.ffmpegPath, [
+        '-y', '-ss', '1', '-i', inputPath, '-frames:v', '1',
+        '-vf', `scale=${size}:-2`, outputPath
+      ]).catch(() => null);
+      // Clips shorter than a second have no frame at 00:01
+      if (!fs.existsSync(outputPath)) {
+        await this._run(this.ffmpegPath, [
+          '-y', '-i', inputPath, '-frames:v', '1', '-vf', `scale=${size}:-2`, outputPath
+        ]);
+      }
+      return outputPath;
+    }
+
+    const sharp = require('sharp');
+    await sharp(inputPath)
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 70 })
+      .toFile(outputPath);
+
+    return outputPath;
+  }
+
+  /**
+   * Convert audio to OGG/Opus, the only format WhatsApp plays as a voice note
+   */
+  async convertToVoiceNote(inputPath, outputPath) {
+    await this._run(this.ffmpegPath, [
+      '-y', '-i', inputPath, '-vn',
+      '-c:a', 'libopus', '-b:a', '32k', '-ac', '1', '-ar', '48000', '-application', 'voip',
+      outputPath
+    ]);
+
+    return outputPath;
+  }
+
+  /**
+   * Run the processing pipeline for a stored file
+   *
+   * Records dimensions/duration on the original and stores derivatives as
+   * file_uploads rows pointing at it: `thumbnail` for images and videos,
+   * `compressed` when an image or video exceeds WhatsApp-friendly limits
+   * and `voice` for audio that isn't already OGG/Opus. Existing
+   * derivatives are reused. Returns { file, info, derivatives }.
+   */
+  async processFile(fileId, { compress = true, thumbnail = true, voice = false } = {}) {
+    try {
+      const file = await this.getFile(fileId);
+      if (file.scan_status === 'quarantined') {
+        throw new Error(QUARANTINED_ERROR);
+      }
+      return await this._withLocalCopy(file, inputPath => this._processLocal(file, inputPath, { compress, thumbnail, voice }));
+    } catch (error) {
+      logger.error('Media processing failed', { fileId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Processing steps for a file readable at inputPath
+   */
+  async _processLocal(file, inputPath, { compress, thumbnail, voice }) {
+    const fileId = file.id;
+    const category = this.getMediaCategory(file.mime_type);
+    const info = await this.getMediaInfo(inputPath, file.mime_type);
+    const existing = await this.getDerivatives(fileId);
+    const derivatives = Object.fromEntries(existing.map(row => [row.variant, row]));
+
+    await db.query(
+      `UPDATE file_uploads SET metadata = COALESCE(metadata, '{}') || $2 WHERE id = $1`,
+      [fileId, JSON.stringify(this._pickInfo(info))]
+    );
+
+    const derive = async (variant, ext, mimeType, build) => {
+      if (derivatives[variant]) return;
+      try {
+        derivatives[variant] = await this._storeDerivative(file, variant, ext, mimeType, build);
+      } catch (error) {
+        logger.warn('Media derivative not created', { fileId, variant, error: error.message });
+      }
+    };
+
+    if (thumbnail && (category === 'image' || category === 'video')) {
+      await derive('thumbnail', 'jpg', 'image/jpeg', output =>
+        this.createThumbnail(inputPath, output, file.mime_type));
+    }
+
+    if (compress && category === 'image' && file.mime_type !== 'image/gif') {
+      const oversized = Math.max(info.width || 0, info.height || 0) > this.processing.maxImageDimension ||
+        info.size > this.processing.maxImageSize ||
+        file.mime_type === 'image/webp';
+      if (oversized) {
+        await derive('compressed', 'jpg', 'image/jpeg', output =>
+          this.compressImage(inputPath, output));
+      }
+    }
+
+    if (compress && category === 'video') {
+      const needsTranscode = info.size > this.processing.maxVideoSize ||
+        file.mime_type !== 'video/mp4' ||
+        (info.videoCodec && info.videoCodec !== 'h264') ||
+        Math.max(info.width || 0, info.height || 0) > this.processing.maxVideoDimension;
+      if (needsTranscode) {
+        await derive('compressed', 'mp4', 'video/mp4', output =>
+          this.compressVideo(inputPath, output));
+      }
+    }
+
+    if (voice && category === 'audio' && !(file.mime_type === 'audio/ogg' && info.audioCodec === 'opus')) {
+      await derive('voice', 'ogg', 'audio/ogg', output =>
+        this.convertToVoiceNote(inputPath, output));
+    }
+
+    return { file, info, derivatives: Object.values(derivatives) };
+  }
+
+  /**
+   * Stored file to send for an upload: the WhatsApp-ready derivative when
+   * there is one, otherwise the original
+   *
+   * Only picks among stored files; derivatives are built by processFile when
+   * the media is uploaded or queued, never on the send path.
+   */
+  async getSendableFile(fileId, { voice = false, asDocument = false } = {}) {
+    // Documents go out byte-for-byte
+    if (asDocument) {
+      return this.getFile(fileId);
+    }
+
+    const variant = voice ? 'voice' : 'compressed';
+    const derivatives = await this.getDerivatives(fileId);
+
+    return derivatives.find(row => row.variant === variant) || this.getFile(fileId);
+  }
+
+  /**
+   * Derivatives stored for an original upload
+   */
+  async getDerivatives(fileId) {
+    const result = await db.query(
+      `SELECT * FROM file_uploads WHERE parent_id = $1 ORDER BY created_at`,
+      [fileId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Build a derivative in a temporary directory, store it on the
+   * original's backend and record it in file_uploads
+   *
+   * When another upload of the same content already has this variant, its
+   * stored object is referenced instead of building it again.
+   */
+  async _storeDerivative(file, variant, ext, mimeType, build) {
+    const originalBase = path.parse(file.original_filename || file.filename).name;
+    const organizationId = await this._getOrganizationId(file.client_id);
+
+    const shared = file.blob_id ? await db.query(
+      `SELECT d.blob_id, d.metadata FROM file_uploads d
+       JOIN file_uploads p ON p.id = d.parent_id
+       WHERE p.blob_id = $1 AND d.variant = $2 AND d.blob_id IS NOT NULL
+       LIMIT 1`,
+      [file.blob_id, variant]
+    ) : { rows: [] };
+
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'media-'));
+    const outputPath = path.join(tempDir, `${variant}.${ext}`);
+
+    try {
+      let built = null;
+      let metadata = shared.rows[0]?.metadata || {};
+
+      if (!shared.rows[0]) {
+        await build(outputPath);
+        const info = await this.getMediaInfo(outputPath, mimeType);
+        built = { contentHash: await this._hashFile(outputPath), size: info.size };
+        metadata = this._pickInfo(info);
+      }
+
+      const { row, orphaned } = await db.transaction(async (client) => {
+        let blob;
+        if (built) {
+          blob = await this._retainBlob(client, organizationId, this.getDriver(file.storage_driver), {
+            contentHash: built.contentHash,
+            mimeType,
+            source: () => fs.createReadStream(outputPath),
+            size: built.size
+          });
+        } else {
+          const retained = await client.query(
+            `UPDATE media_blobs SET ref_count = ref_count + 1 WHERE id = $1 RETURNING *`,
+            [shared.rows[0].blob_id]
+          );
+          blob = retained.rows[0];
+        }
+
+        // A variant rebuilt for the same original replaces the previous one
+        const previous = await client.query(
+          `DELETE FROM file_uploads WHERE parent_id = $1 AND variant = $2 RETURNING blob_id, storage_driver, storage_path`,
+          [file.id, variant]
+        );
+        const unreferenced = [];
+        for (const stale of previous.rows) {
+          if (stale.blob_id) {
+            const released = await this._releaseBlob(client, stale.blob_id);
+            if (released) unreferenced.push(released);
+          } else if (stale.storage_path) {
+            unreferenced.push(stale);
+          }
+        }
+
+        const result = await client.query(
+          `INSERT INTO file_uploads
+           (client_id, parent_id, variant, filename, original_filename, mime_type, file_size,
+            storage_driver, storage_path, blob_id, content_hash, metadata)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+           RETURNING *`,
+          [
+            file.client_id,
+            file.id,
+            variant,
+            path.basename(blob.storage_path),
+            `${originalBase}.${ext}`,
+            mimeType,
+            blob.file_size,
+            blob.storage_driver,
+            blob.storage_path,
+            blob.id,
+            blob.content_hash,
+            JSON.stringify(metadata)
+          ]
+        );
+
+        return { row: result.rows[0], orphaned: unreferenced };
+      });
+
+      await this._deleteStored(orphaned);
+
+      logger.info('Media derivative stored', { fileId: file.id, variant, size: row.file_size, reused: !built });
+      return row;
+    } finally {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Hex SHA-256 of a file on disk
+   */
+  async _hashFile(filepath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filepath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Organization a client belongs to
+   */
+  async _getOrganizationId(clientId) {
+    const result = await db.query('SELECT organization_id FROM whatsapp_clients WHERE id = $1', [clientId]);
+    return result.rows[0]?.organization_id || null;
+  }
+
+  /**
+   * Run fn with a local path to the file; remote files are copied to a
+   * temporary directory first since sharp and ffmpeg read from disk
+   */
+  async _withLocalCopy(file, fn) {
+    const driver = this.getDriver(file.storage_driver);
+    if (driver.localPath) {
+      return fn(driver.localPath(file.storage_path));
+    }
+
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'media-'));
+    const localPath = path.join(tempDir, file.filename);
+
+    try {
+      await pipeline(await driver.createReadStream(file.storage_path), fs.createWriteStream(localPath));
+      return await fn(localPath);
+    } finally {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Dimensions and duration worth keeping in file_uploads.metadata
+   */
+  _pickInfo(info) {
+    const picked = {};
+    for (const key of ['width', 'height', 'duration', 'videoCodec', 'audioCodec']) {
+      if (info[key] !== undefined && info[key] !== null) picked[key] = info[key];
+    }
+    return picked;
+  }
+
+  /**
+   * Run ffmpeg/ffprobe and resolve with stdout
+   */
+  _run(command, args) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, {
+        timeout: this.processing.timeoutMs,
+        maxBuffer: 10 * 1024 * 1024
+      }, (error, stdout, stderr) => {
+        if (error) {
+          const detail = (stderr || '').trim().split('\n').pop();
+          return reject(new Error(`${path.basename(command)} failed: ${detail || error.message}`));
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  // ================================================
+  // VALIDATION
+  // ================================================
+
+  /**
+   * Media category (image, video, audio, document) for a MIME type
+   */
+  getMediaCategory(mimeType) {
+    const entry = Object.entries(this.allowedMimeTypes)
+      .find(([, types]) => types.includes(mimeType));
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Detect a MIME type from the file signature
+   *
+   * Containers that share a signature (ZIP for docx/xlsx, OLE for doc/xls,
+   * WebM for audio/video) are told apart by the declared type or filename.
+   */
+  detectMimeType(buffer, declaredType = null, filename = null) {
+    const hint = declaredType || (filename && mime.lookup(filename)) || null;
+    const ascii = (start, end) => buffer.slice(start, end).toString('latin1');
+    const oneOf = (types, fallback) => (types.includes(hint) ? hint : fallback);
+
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+    if (ascii(0, 4) === '\x89PNG') return 'image/png';
+    if (ascii(0, 4) === 'GIF8') return 'image/gif';
+    if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+    if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+
+    if (ascii(0, 4) === 'RIFF') {
+      const format = ascii(8, 12);
+      if (format === 'WEBP') return 'image/webp';
+      if (format === 'WAVE') return 'audio/wav';
+      if (format === 'AVI ') return 'video/x-msvideo';
+    }
+
+    if (ascii(4, 8) === 'ftyp') {
+      const brand = ascii(8, 12);
+      if (brand === 'qt  ') return 'video/quicktime';
+      if (brand.startsWith('M4A')) return 'audio/mp4';
+      return 'video/mp4';
+    }
+
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1A45DFA3) {
+      return oneOf(['video/webm'], 'audio/webm');
+    }
+
+    if (ascii(0, 3) === 'ID3' ||
+        (buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE6) === 0xE2)) {
+      return 'audio/mpeg';
+    }
+
+    // Office Open XML is a ZIP; the entries tell a Word document from a workbook
+    if (ascii(0, 4) === 'PK\x03\x04') {
+      const entries = listZipEntries(buffer) || [];
+      if (entries.some(name => name.startsWith('word/'))) {
+        return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      }
+      if (entries.some(name => name.startsWith('xl/'))) {
+        return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+      }
+      return 'application/zip';
+    }
+
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0xD0CF11E0) {
+      return oneOf(['application/msword', 'application/vnd.ms-excel'], 'application/msword');
+    }
+
+    return hint || 'application/octet-stream';
+  }
+
+  /**
+   * Validate file before upload
+   */
+  _validateFile(buffer, mimeType) {
+    // Check file size
+    if (buffer.length > this.maxFileSize) {
+      throw new Error(`File size exceeds maximum of ${this.maxFileSize / 1024 / 1024}MB`);
+    }
+
+    // Check mime type
+    if (!this.getMediaCategory(mimeType)) {
+      throw new Error(`MIME type ${mimeType} is not allowed`);
+    }
+
+    // Check file magic bytes (file signature)
+    this._validateMagicBytes(buffer, mimeType);
+  }
+
+  /**
+   * Validate file magic bytes
+   *
+   * Each type lists its accepted signatures; container formats are checked
+   * past the first bytes (the RIFF form type, the ISO BMFF box, the ZIP entries).
+   */
+  _validateMagicBytes(buffer, mimeType) {
+    const at = (offset, text) => buffer.slice(offset, offset + text.length).toString('latin1') === text;
+    const bytes = (...values) => buffer.slice(0, values.length).equals(Buffer.from(values));
+    const ooxml = (prefix) => {
+      const entries = listZipEntries(buffer) || [];
+      return entries.includes('[Content_Types].xml') && entries.some(name => name.startsWith(prefix));
+    };
+    const ole = () => bytes(0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1);
+
+    const signatures = {
+      'image/jpeg': [() => bytes(0xFF, 0xD8, 0xFF)],
+      'image/png': [() => bytes(0x89, 0x50, 0x4E, 0x47)],
+      'image/gif': [() => at(0, 'GIF87a'), () => at(0, 'GIF89a')],
+      'image/webp': [() => at(0, 'RIFF') && at(8, 'WEBP')],
+      'application/pdf': [() => at(0, '%PDF-')],
+      'video/mp4': [() => at(4, 'ftyp') && !at(8, 'qt  ')],
+      'video/quicktime': [() => at(4, 'ftyp'), () => ['moov', 'mdat', 'wide', 'free'].some(box => at(4, box))],
+      'video/x-msvideo': [() => at(0, 'RIFF') && at(8, 'AVI ')],
+      'audio/mpeg': [
+        () => bytes(0xFF, 0xFB),
+        () => bytes(0xFF, 0xF3),
+        () => bytes(0xFF, 0xF2),
+        () => bytes(0xFF, 0xFA),
+        () => at(0, 'ID3')
+      ],
+      'audio/ogg': [() => at(0, 'OggS')],
+      'audio/wav': [() => at(0, 'RIFF') && at(8, 'WAVE')],
+      'audio/webm': [() => bytes(0x1A, 0x45, 0xDF, 0xA3)],
+      'application/msword': [ole],
+      'application/vnd.ms-excel': [ole],
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [() => ooxml('word/')],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [() => ooxml('xl/')]
+    };
+
+    const candidates = signatures[mimeType];
+    if (!candidates) return; // Skip validation if no signature
+
+    const matches = candidates.some(check => check());
+    if (!matches) {
+      logger.warn('Invalid file signature', { mimeType });
+      throw new Error('Invalid file format');
+    }
+  }
+
+  // ================================================
+  // CLEANUP & MAINTENANCE
+  // ================================================
+
+  /**
+   * Clean up expired files
+   */
+  async cleanupExpiredFiles(batchSize = 500) {
+    try {
+      const result = await db.query(
+        `SELECT * FROM file_uploads WHERE expires_at IS NOT NULL AND expires_at < NOW()
+         ORDER BY expires_at LIMIT $1`,
+        [batchSize]
+      );
+
+      let deleted = 0;
+      for (const file of result.rows) {
+        try {
+          await this.deleteFile(file.id);
+          deleted++;
+        } catch (error) {
+          // Already gone with its original, or storage unavailable; retried next run
+        }
+      }
+
+      // Spent single-use links only matter until they would have expired anyway
+      await db.query(`DELETE FROM media_url_uses WHERE expires_at < NOW()`);
+
+      logger.info('Cleaned up expired files', { count: deleted });
+      return deleted;
+    } catch (error) {
+      logger.error('Error cleaning up files', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Get storage usage
+   * Bytes actually stored: a shared object counts once however many uploads reference it.
+   */
+  async getStorageUsage(organizationId) {
+    try {
+      const result = await db.query(
+        `SELECT
+           (SELECT COALESCE(SUM(file_size), 0) FROM media_blobs WHERE organization_id = $1) +
+           (SELECT COALESCE(SUM(file_size), 0) FROM file_uploads
+            WHERE blob_id IS NULL AND client_id IN (
+              SELECT id FROM whatsapp_clients WHERE organization_id = $1
+            )) AS total_size`,
+        [organizationId]
+      );
+
+      return parseInt(result.rows[0].total_size) || 0;
+    } catch (error) {
+      logger.error('Error getting storage usage', { error: error.message });
+      throw error;
+    }
+  }
+
+  // ================================================
+  // QUOTAS & LIFECYCLE
+  // ================================================
+
+  /**
+   * Storage quota in bytes for an organization's plan; null when unlimited
+   */
+  async getQuota(organizationId) {
+    const result = await db.query('SELECT plan FROM organizations WHERE id = $1', [organizationId]);
+    const plan = result.rows[0]?.plan || 'starter';
+
+    const configured = process.env[`STORAGE_QUOTA_${plan.toUpperCase()}`];
+    if (configured !== undefined) {
+      return { plan, quota: configured === 'unlimited' ? null : parseInt(configured) };
+    }
+
+    const quota = PLAN_QUOTAS[plan] !== undefined
+      ? PLAN_QUOTAS[plan]
+      : parseInt(process.env.STORAGE_QUOTA) || PLAN_QUOTAS.starter;
+    return { plan, quota };
+  }
+
+  /**
+   * Reject an upload that would take the organization over its quota
+   */
+  async checkQuota(organizationId, incomingBytes) {
+    const { plan, quota } = await this.getQuota(organizationId);
+    if (quota === null) return;
+
+    const used = await this.getStorageUsage(organizationId);
+    if (used + incomingBytes > quota) {
+      const mb = bytes => `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+      logger.warn('Storage quota exceeded', { organizationId, plan, used, quota, incomingBytes });
+      throw new Error(`${QUOTA_EXCEEDED_ERROR}: ${mb(used)} of ${mb(quota)} used on the ${plan} plan, file is ${mb(incomingBytes)}`);
+    }
+  }
+
+  /**
+   * Usage with quota, broken down by client and media category
+   * Derivatives (thumbnails, compressed copies) count toward the client and category of their original.
+   * The breakdown counts every upload's size; `used` counts shared objects once and
+   * `deduplicatedBytes` is the difference.
+   */
+  async getStorageBreakdown(organizationId) {
+    try {
+      const { plan, quota } = await this.getQuota(organizationId);
+
+      const result = await db.query(
+        `SELECT wc.id AS client_id, wc.name AS client_name,
+                COALESCE(p.mime_type, f.mime_type) AS mime_type,
+                (f.parent_id IS NOT NULL) AS is_derivative,
+                COUNT(f.id)::int AS files, COALESCE(SUM(f.file_size), 0)::bigint AS bytes
+         FROM whatsapp_clients wc
+         JOIN file_uploads f ON f.client_id = wc.id
+         LEFT JOIN file_uploads p ON p.id = f.parent_id
+         WHERE wc.organization_id = $1
+         GROUP BY wc.id, wc.name, COALESCE(p.mime_type, f.mime_type), (f.parent_id IS NOT NULL)`,
+        [organizationId]
+      );
+
+      const empty = () => ({ files: 0, bytes: 0 });
+      const clients = new Map();
+      const categories = {};
+      let uploaded = 0;
+
+      for (const row of result.rows) {
+        const bytes = parseInt(row.bytes);
+        const files = row.is_derivative ? 0 : row.files;
+        const category = this.getMediaCategory(row.mime_type) || 'other';
+        uploaded += bytes;
+
+        if (!clients.has(row.client_id)) {
+          clients.set(row.client_id, { clientId: row.client_id, name: row.client_name, ...empty(), categories: {} });
+        }
+        const client = clients.get(row.client_id);
+        client.files += files;
+        client.bytes += bytes;
+        client.categories[category] = client.categories[category] || empty();
+        client.categories[category].files += files;
+        client.categories[category].bytes += bytes;
+
+        categories[category] = categories[category] || empty();
+        categories[category].files += files;
+        categories[category].bytes += bytes;
+      }
+
+      const used = await this.getStorageUsage(organizationId);
+
+      return {
+        organizationId,
+        plan,
+        quota,
+        used,
+        deduplicatedBytes: Math.max(uploaded - used, 0),
+        available: quota === null ? null : Math.max(quota - used, 0),
+        percentUsed: quota ? Math.round((used / quota) * 1000) / 10 : null,
+        byCategory: categories,
+        byClient: [...clients.values()].sort((a, b) => b.bytes - a.bytes),
+        lifecycle: await this.getLifecycleSettings(organizationId)
+      };
+    } catch (error) {
+      logger.error('Error getting storage breakdown', { organizationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Lifecycle rules for an organization (organizations.metadata.media_lifecycle over the defaults)
+   */
+  async getLifecycleSettings(organizationId) {
+    const result = await db.query(
+      `SELECT metadata -> 'media_lifecycle' AS media_lifecycle FROM organizations WHERE id = $1`,
+      [organizationId]
+    );
+
+    return { ...DEFAULT_LIFECYCLE, ...(result.rows[0]?.media_lifecycle || {}) };
+  }
+
+  /**
+   * Update an organization's lifecycle rules and re-date its files
+   */
+  async updateLifecycleSettings(organizationId, settings = {}) {
+    try {
+      const current = await this.getLifecycleSettings(organizationId);
+      const updated = { ...current };
+
+      for (const key of Object.keys(DEFAULT_LIFECYCLE)) {
+        if (settings[key] === undefined) continue;
+        if (settings[key] !== null && !(Number.isInteger(settings[key]) && settings[key] > 0)) {
+          throw new Error(`${key} must be a positive number of days or null to keep files`);
+        }
+        updated[key] = settings[key];
+      }
+
+      await db.query(
+        `UPDATE organizations SET metadata = jsonb_set(COALESCE(metadata, '{}'), '{media_lifecycle}', $2::jsonb)
+         WHERE id = $1`,
+        [organizationId, JSON.stringify(updated)]
+      );
+
+      const dated = await this.applyLifecycle(organizationId, updated);
+
+      logger.info('Media lifecycle updated', { organizationId, dated });
+      return updated;
+    } catch (error) {
+      logger.error('Error updating media lifecycle', { organizationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Set expires_at on an organization's original files from its lifecycle rules
+   *
+   * Files are classed by the message they were first linked to (inbound or
+   * outbound) or as unsent; derivatives are deleted with their original.
+   * Quarantined files keep the expiry they were quarantined with.
+   * Returns the number of files whose expiry changed.
+   */
+  async applyLifecycle(organizationId, rules = null) {
+    const lifecycle = rules || await this.getLifecycleSettings(organizationId);
+
+    const result = await db.query(
+      `UPDATE file_uploads f
+       SET expires_at = s.expires_at
+       FROM (
+         SELECT f2.id,
+                f2.created_at + (CASE
+                  WHEN m.direction = 'inbound' THEN $2::int
+                  WHEN m.direction = 'outbound' THEN $3::int
+                  WHEN f2.message_id IS NULL THEN $4::int
+                END) * INTERVAL '1 day' AS expires_at
+         FROM file_uploads f2
+         JOIN whatsapp_clients wc ON wc.id = f2.client_id
+         LEFT JOIN messages m ON m.id = f2.message_id
+         WHERE wc.organization_id = $1 AND f2.parent_id IS NULL
+           AND f2.scan_status IS DISTINCT FROM 'quarantined'
+       ) s
+       WHERE f.id = s.id AND f.expires_at IS DISTINCT FROM s.expires_at`,
+      [organizationId, lifecycle.inboundDays, lifecycle.outboundDays, lifecycle.unsentDays]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Apply every organization's lifecycle rules, then delete what expired
+   */
+  async runLifecycle() {
+    try {
+      const orgs = await db.query(
+        `SELECT id FROM organizations WHERE metadata ? 'media_lifecycle'`
+      );
+      for (const org of orgs.rows) {
+        await this.applyLifecycle(org.id);
+      }
+
+      return await this.cleanupExpiredFiles();
+    } catch (error) {
+      logger.error('Media lifecycle run failed', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Start hourly lifecycle sweeps (rules and expiry dates live in Postgres, so restarts resume them)
+   */
+  start(intervalMs = 60 * 60 * 1000) {
+    if (this.lifecycleTimer) return;
+    this.lifecycleTimer = setInterval(() => this.runLifecycle(), intervalMs);
+    logger.info('Media lifecycle started', { intervalMs });
+    this.runLifecycle();
+  }
+
+  /**
+   * Stop lifecycle sweeps
+   */
+  stop() {
+    clearInterval(this.lifecycleTimer);
+    this.lifecycleTimer = null;
+  }
+}
+
+/**
+ * Whether an address is loopback, private, link-local or otherwise not public
+ */
+function isPrivateAddress(address) {
+  // BlockList also matches IPv4-mapped IPv6 (::ffff:127.0.0.1) against the IPv4 ranges
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup for outbound media fetches that refuses non-public addresses
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Media URL resolves to a private address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+MediaManager.QUOTA_EXCEEDED_ERROR = QUOTA_EXCEEDED_ERROR;
+MediaManager.QUARANTINED_ERROR = QUARANTINED_ERROR;
+MediaManager.SCAN_FAILED_ERROR = SCAN_FAILED_ERROR;
+MediaManager.PLAN_QUOTAS = PLAN_QUOTAS;
+MediaManager.DEFAULT_LIFECYCLE = DEFAULT_LIFECYCLE;
 
 module.exports = MediaManager;
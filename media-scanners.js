@@ -0,0 +1,179 @@
+// ================================================
+// MEDIA SCANNERS
+// ================================================
+
+const net = require('net');
+
+/*
+ * Every scanner implements the same interface:
+ *
+ *   name
+ *   scan(buffer, { mimeType, filename })  -> { infected, signature }
+ *
+ * and throws when it can't reach a verdict (daemon down, timeout), so the
+ * caller decides whether an unscanned file is let through.
+ */
+
+// OLE storage name of a VBA project, as stored (UTF-16LE)
+const OLE_VBA_PROJECT = Buffer.from('_VBA_PROJECT', 'utf16le');
+
+// Archive entries that have no business inside a document or media upload
+const EXECUTABLE_ENTRY = /\.(exe|dll|scr|com|bat|cmd|msi|ps1|vbs|vbe|js|jse|wsf|hta|jar|lnk)$/i;
+
+class ClamAVScanner {
+  /**
+   * Talks to clamd (or anything speaking its INSTREAM protocol) over a
+   * Unix socket or TCP
+   */
+  constructor({ socketPath = null, host = '127.0.0.1', port = 3310, timeoutMs = 30000, chunkSize = 64 * 1024 } = {}) {
+    this.name = 'clamav';
+    this.socketPath = socketPath;
+    this.host = host;
+    this.port = port;
+    this.timeoutMs = timeoutMs;
+    this.chunkSize = chunkSize;
+  }
+
+  async scan(buffer) {
+    const reply = await this._instream(buffer);
+
+    // "stream: OK", "stream: Eicar-Test-Signature FOUND" or "<reason> ERROR"
+    const found = /^stream: (.+) FOUND$/.exec(reply);
+    if (found) {
+      return { infected: true, signature: found[1] };
+    }
+    if (reply === 'stream: OK') {
+      return { infected: false, signature: null };
+    }
+    throw new Error(`ClamAV scan failed: ${reply.replace(/ ERROR$/, '') || 'no reply'}`);
+  }
+
+  /**
+   * Stream the buffer as length-prefixed chunks and resolve with the reply
+   */
+  _instream(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socketPath
+        ? net.createConnection(this.socketPath)
+        : net.createConnection(this.port, this.host);
+      let reply = '';
+
+      socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('ClamAV scan timed out')));
+      const finish = () => resolve(reply.replace(/\0/g, '').trim());
+
+      // clamd may answer and hang up before the upload is done (size limit)
+      socket.on('error', error => (reply ? finish() : reject(error)));
+      socket.on('data', (data) => {
+        reply += data.toString();
+      });
+      socket.on('end', finish);
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += this.chunkSize) {
+          const chunk = buffer.subarray(offset, offset + this.chunkSize);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          socket.write(length);
+          socket.write(chunk);
+        }
+        socket.write(Buffer.alloc(4)); // zero-length chunk ends the stream
+      });
+    });
+  }
+}
+
+class ContainerScanner {
+  /**
+   * Flags documents carrying macros and archives carrying executables;
+   * runs in-process, no daemon needed
+   */
+  constructor() {
+    this.name = 'container';
+  }
+
+  async scan(buffer) {
+    const entries = listZipEntries(buffer);
+
+    if (entries) {
+      if (entries.some(name => /(^|\/)vbaProject\.bin$/i.test(name))) {
+        return { infected: true, signature: 'Container.Macro' };
+      }
+      const executable = entries.find(name => EXECUTABLE_ENTRY.test(name));
+      if (executable) {
+        return { infected: true, signature: `Container.Executable (${executable})` };
+      }
+    }
+
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0xD0CF11E0 && buffer.includes(OLE_VBA_PROJECT)) {
+      return { infected: true, signature: 'Container.Macro' };
+    }
+
+    return { infected: false, signature: null };
+  }
+}
+
+/**
+ * Entry names from a ZIP's central directory, or null if the buffer isn't a readable ZIP
+ */
+function listZipEntries(buffer) {
+  if (buffer.length < 22 || buffer.readUInt32LE(0) !== 0x04034B50) {
+    return null;
+  }
+
+  // The end of central directory record sits in the last 22 bytes plus an optional comment
+  const earliest = Math.max(0, buffer.length - 22 - 0xFFFF);
+  for (let i = buffer.length - 22; i >= earliest; i--) {
+    if (buffer.readUInt32LE(i) !== 0x06054B50) continue;
+
+    const count = buffer.readUInt16LE(i + 10);
+    let offset = buffer.readUInt32LE(i + 16);
+    const names = [];
+
+    for (let n = 0; n < count; n++) {
+      if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014B50) {
+        return null;
+      }
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return names;
+  }
+
+  return null;
+}
+
+/**
+ * Scanners configured from the environment, in the order they run
+ * The container check is on unless MEDIA_SCAN_CONTAINERS=false; ClamAV when
+ * CLAMAV_SOCKET or CLAMAV_HOST is set.
+ */
+function createMediaScanners(env = process.env) {
+  const scanners = [];
+
+  if (env.MEDIA_SCAN_CONTAINERS !== 'false') {
+    scanners.push(new ContainerScanner());
+  }
+
+  if (env.CLAMAV_SOCKET || env.CLAMAV_HOST) {
+    scanners.push(new ClamAVScanner({
+      socketPath: env.CLAMAV_SOCKET || null,
+      host: env.CLAMAV_HOST || '127.0.0.1',
+      port: parseInt(env.CLAMAV_PORT) || 3310,
+      timeoutMs: parseInt(env.CLAMAV_TIMEOUT) || 30000
+    }));
+  }
+
+  return scanners;
+}
+
+module.exports = {
+  ClamAVScanner,
+  ContainerScanner,
+  listZipEntries,
+  createMediaScanners
+};
@@ -0,0 +1,344 @@
+// ================================================
+// PERSISTENT OUTBOUND MESSAGE QUEUE
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+class MessageQueue {
+  constructor(antiBanManager, options = {}) {
+    this.antiBanManager = antiBanManager;
+    this.pollIntervalMs = options.pollIntervalMs || 5000;
+    this.batchSize = options.batchSize || 10;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelayMs = options.retryDelayMs || 30000;
+    this.staleAfterSeconds = options.staleAfterSeconds || 300;
+    this.workers = new Map(); // clientId -> worker state
+    this.heartbeatTimer = null;
+  }
+
+  // ================================================
+  // ENQUEUEING
+  // ================================================
+
+  /**
+   * Store an outbound message as pending and wake the client's worker
+   * Pass a transaction client as executor to enqueue inside a caller's transaction
+   */
+  async enqueue(clientId, message, executor = db) {
+    try {
+      const result = await executor.query(
+        `INSERT INTO messages
+         (client_id, recipient, message_body, message_type, media_url, media_type, media_size, direction, status, reply_to_id, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'outbound', 'pending', $8, $9)
+         RETURNING id, client_id, recipient, status, created_at`,
+        [
+          clientId,
+          message.to,
+          message.body || null,
+          message.type || 'text',
+          message.mediaUrl || null,
+          message.mediaType || null,
+          message.mediaSize || null,
+          message.replyToId || null,
+          JSON.stringify(message.metadata || {})
+        ]
+      );
+
+      logger.info('Message queued', { clientId, messageId: result.rows[0].id });
+
+      this._wake(clientId);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error queueing message', { clientId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a queued message with its current status
+   */
+  async getMessage(clientId, messageId) {
+    const result = await db.query(
+      `SELECT id, recipient, message_type, status, message_id, attempts,
+              failed_reason, created_at, delivered_at, read_at
+       FROM messages WHERE id = $1 AND client_id = $2`,
+      [messageId, clientId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count pending messages for a client
+   */
+  async getPendingCount(clientId) {
+    const result = await db.query(
+      `SELECT COUNT(*) as count FROM messages WHERE client_id = $1 AND status = 'pending'`,
+      [clientId]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
+  // ================================================
+  // WORKER MANAGEMENT
+  // ================================================
+
+  /**
+   * Start draining a client's queue
+   * handlers.send(row) performs the actual WhatsApp send and returns the sent message,
+   * handlers.onSent(row, sent) and handlers.onFailed(row, error) are optional hooks
+   */
+  startWorker(clientId, handlers) {
+    this.stopWorker(clientId);
+
+    const worker = {
+      clientId,
+      handlers,
+      running: false,
+      timer: null,
+      stopped: false
+    };
+
+    this.workers.set(clientId, worker);
+    logger.info('Queue worker started', { clientId });
+
+    // Keeps this process's claims fresh, however long a send takes
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => this._heartbeat(), this.staleAfterSeconds * 1000 / 3);
+    }
+
+    this._schedule(worker, 0);
+    return worker;
+  }
+
+  /**
+   * Stop a client's worker (pending rows stay in the database)
+   */
+  stopWorker(clientId) {
+    const worker = this.workers.get(clientId);
+    if (!worker) return false;
+
+    worker.stopped = true;
+    clearTimeout(worker.timer);
+    this.workers.delete(clientId);
+
+    logger.info('Queue worker stopped', { clientId });
+    return true;
+  }
+
+  /**
+   * Stop every worker (used on shutdown)
+   */
+  stopAll() {
+    for (const clientId of Array.from(this.workers.keys())) {
+      this.stopWorker(clientId);
+    }
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Return messages left in 'sending' by a crashed process to the queue
+   * A claim is only stale once its owner has stopped heartbeating, so a slow
+   * send that's still in flight is never handed to a second worker
+   */
+  async recoverStaleMessages() {
+    try {
+      const result = await db.query(
+        `UPDATE messages SET status = 'pending', claimed_by = NULL
+         WHERE status = 'sending'
+         AND COALESCE(heartbeat_at, updated_at) < NOW() - INTERVAL '1 second' * $1`,
+        [this.staleAfterSeconds]
+      );
+
+      if (result.rowCount > 0) {
+        logger.warn('Recovered stale queued messages', { count: result.rowCount });
+      }
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error recovering stale messages', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Refresh the heartbeat on every message this process has claimed
+   */
+  async _heartbeat() {
+    try {
+      await db.query(
+        `UPDATE messages SET heartbeat_at = NOW()
+         WHERE status = 'sending' AND claimed_by = $1`,
+        [db.instanceId]
+      );
+    } catch (error) {
+      logger.error('Error refreshing queue heartbeat', { error: error.message });
+    }
+  }
+
+  // ================================================
+  // QUEUE PROCESSING
+  // ================================================
+
+  _wake(clientId) {
+    const worker = this.workers.get(clientId);
+    if (worker && !worker.running) {
+      this._schedule(worker, 0);
+    }
+  }
+
+  _schedule(worker, delay) {
+    clearTimeout(worker.timer);
+    worker.timer = setTimeout(() => this._drain(worker), delay);
+  }
+
+  /**
+   * Send pending messages one at a time until the queue is empty or rate limited
+   */
+  async _drain(worker) {
+    if (worker.running || worker.stopped) return;
+    worker.running = true;
+
+    let nextDelay = this.pollIntervalMs;
+
+    try {
+      const rows = await this._claimBatch(worker.clientId);
+
+      for (let i = 0; i < rows.length; i++) {
+        if (worker.stopped) {
+          await this._release(rows.slice(i));
+          break;
+        }
+
+        const check = await this.antiBanManager.canSendMessage(worker.clientId);
+        if (!check.allowed) {
+          logger.warn('Queue paused by rate limiter', {
+            clientId: worker.clientId,
+            reason: check.reason,
+            retryAfter: check.retryAfter
+          });
+          await this._release(rows.slice(i));
+          nextDelay = (check.retryAfter || 60) * 1000;
+          break;
+        }
+
+        await this._process(worker, rows[i]);
+
+        // Human-like pause between consecutive sends
+        if (i < rows.length - 1) {
+          await this.antiBanManager.simulateHumanBehavior(worker.clientId, 'message');
+        }
+      }
+
+      // More work may be waiting behind this batch
+      if (rows.length === this.batchSize && nextDelay === this.pollIntervalMs) {
+        nextDelay = 0;
+      }
+    } catch (error) {
+      logger.error('Queue worker error', { clientId: worker.clientId, error: error.message });
+    } finally {
+      worker.running = false;
+      if (!worker.stopped) {
+        this._schedule(worker, nextDelay);
+      }
+    }
+  }
+
+  /**
+   * Atomically move the next batch of due messages to 'sending'
+   */
+  async _claimBatch(clientId) {
+    const result = await db.query(
+      `UPDATE messages SET status = 'sending', attempts = attempts + 1,
+       claimed_by = $3, heartbeat_at = NOW()
+       WHERE id IN (
+         SELECT id FROM messages
+         WHERE client_id = $1 AND status = 'pending'
+         AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+         ORDER BY created_at ASC
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [clientId, this.batchSize, db.instanceId]
+    );
+
+    return result.rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  /**
+   * Put claimed but unsent messages back without spending an attempt
+   */
+  async _release(rows) {
+    if (rows.length === 0) return;
+
+    await db.query(
+      `UPDATE messages SET status = 'pending', attempts = GREATEST(attempts - 1, 0), claimed_by = NULL
+       WHERE id = ANY($1::uuid[])`,
+      [rows.map(row => row.id)]
+    );
+  }
+
+  /**
+   * Send a single claimed message and record the outcome
+   */
+  async _process(worker, row) {
+    const { handlers, clientId } = worker;
+    let sent;
+
+    try {
+      sent = await handlers.send(row);
+      this.antiBanManager.recordMessageSend(clientId);
+
+      await db.query(
+        `UPDATE messages SET status = 'sent', message_id = $1, failed_reason = NULL
+         WHERE id = $2`,
+        [sent && sent.id ? sent.id._serialized : null, row.id]
+      );
+
+      logger.info('Queued message sent', { clientId, messageId: row.id });
+    } catch (error) {
+      const exhausted = row.attempts >= this.maxAttempts;
+
+      await db.query(
+        `UPDATE messages SET status = $1, failed_reason = $2,
+         next_attempt_at = NOW() + INTERVAL '1 millisecond' * $3
+         WHERE id = $4`,
+        [exhausted ? 'failed' : 'pending', error.message, this.retryDelayMs * row.attempts, row.id]
+      );
+
+      logger.error('Queued message send failed', {
+        clientId,
+        messageId: row.id,
+        attempt: row.attempts,
+        willRetry: !exhausted,
+        error: error.message
+      });
+
+      if (exhausted && handlers.onFailed) {
+        await this._runHook(clientId, 'onFailed', () => handlers.onFailed(row, error));
+      }
+      return;
+    }
+
+    if (handlers.onSent) {
+      await this._runHook(clientId, 'onSent', () => handlers.onSent(row, sent));
+    }
+  }
+
+  /**
+   * Hooks must never change the stored outcome of a send
+   */
+  async _runHook(clientId, name, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      logger.error('Queue hook failed', { clientId, hook: name, error: error.message });
+    }
+  }
+}
+
+module.exports = MessageQueue;
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Move stored media between storage backends
+ *
+ * Usage:
+ *   node migrate-storage.js --from local --to s3 [--org <orgId>] [--limit <n>] [--delete-source] [--dry-run]
+ *
+ * Backends come from the same environment as the server (STORAGE_DRIVER,
+ * S3_* variables). Files keep their ids, so messages and signed URLs keep
+ * working; run it again to retry files that failed.
+ */
+
+require('dotenv').config();
+const MediaManager = require('./media-manager');
+const db = require('./db');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const name = arg.slice(2);
+    if (name === 'delete-source' || name === 'dry-run' || name === 'help') {
+      args[name] = true;
+    } else {
+      args[name] = argv[++i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || !args.from || !args.to) {
+    console.log('Usage: node migrate-storage.js --from <driver> --to <driver> [--org <orgId>] [--limit <n>] [--delete-source] [--dry-run]');
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  const mediaManager = new MediaManager();
+
+  const summary = await mediaManager.migrateStorage({
+    from: args.from,
+    to: args.to,
+    organizationId: args.org || null,
+    limit: args.limit ? parseInt(args.limit) : null,
+    deleteSource: args['delete-source'] === true,
+    dryRun: args['dry-run'] === true,
+    onProgress: ({ file, location, status, error }) => {
+      console.log(`${status === 'migrated' ? 'ok  ' : 'FAIL'} ${file.id} -> ${location}${error ? ` (${error})` : ''}`);
+    }
+  });
+
+  console.log(`${args['dry-run'] ? 'Would migrate' : 'Migrated'} ${summary.migrated}/${summary.total} files ` +
+    `(${(summary.bytes / 1024 / 1024).toFixed(1)}MB), ${summary.failed} failed`);
+  process.exitCode = summary.failed > 0 ? 1 : 0;
+}
+
+main()
+  .catch((error) => {
+    console.error(`Storage migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
@@ -18,6 +18,8 @@ class Logger {
       totalClients: 0,
       connectedClients: 0,
       messagesSent: 0,
+      messagesDelivered: 0,
+      messagesRead: 0,
       messagesFailed: 0,
       qrCodesGenerated: 0,
       sessionRecoveries: 0,
@@ -395,6 +397,24 @@ class AntiBanManager {
     });
   }
 
+  // How long until the rate limit window behind a "Message blocked: rate_limit_*" error resets
+  getRetryDelay(clientId, reason) {
+    const status = this.getRateLimitStatus(clientId);
+
+    if (reason.endsWith('rate_limit_burst')) {
+      return (status.burstRemaining || 0) + 1000;
+    }
+    if (reason.endsWith('rate_limit_minute')) {
+      return ((status.minuteRemaining || 0) + 1) * 1000;
+    }
+    return ((status.hourRemaining || 0) + 1) * 1000;
+  }
+
+  // Whether an error from queueMessage was a rate limit block (worth retrying later)
+  isRateLimitError(error) {
+    return error.message.startsWith('Message blocked: rate_limit');
+  }
+
   // Get rate limit status for client
   getRateLimitStatus(clientId) {
     const rateLimit = this.rateLimits.get(clientId);
@@ -0,0 +1,344 @@
+// ================================================
+// OPT-OUT KEYWORDS & SUPPRESSION LIST
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+// Built-in keyword sets; an organization picks which languages apply
+const DEFAULT_KEYWORDS = {
+  en: {
+    stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'OPT OUT'],
+    start: ['START', 'UNSTOP', 'SUBSCRIBE', 'OPTIN', 'OPT IN'],
+    confirmations: {
+      stop: 'You have been unsubscribed and will no longer receive messages from us. Reply START to resubscribe.',
+      start: 'You have been resubscribed. Reply STOP at any time to unsubscribe.'
+    }
+  },
+  es: {
+    stop: ['BAJA', 'PARAR', 'ALTO', 'CANCELAR', 'DETENER'],
+    start: ['ALTA', 'INICIAR', 'SUSCRIBIR'],
+    confirmations: {
+      stop: 'Te has dado de baja y no recibirás más mensajes. Responde ALTA para volver a suscribirte.',
+      start: 'Te has vuelto a suscribir. Responde BAJA en cualquier momento para darte de baja.'
+    }
+  },
+  pt: {
+    stop: ['SAIR', 'PARAR', 'CANCELAR', 'DESCADASTRAR'],
+    start: ['VOLTAR', 'INICIAR', 'CADASTRAR'],
+    confirmations: {
+      stop: 'Você foi descadastrado e não receberá mais mensagens. Responda VOLTAR para se cadastrar novamente.',
+      start: 'Você foi cadastrado novamente. Responda SAIR a qualquer momento para cancelar.'
+    }
+  },
+  fr: {
+    stop: ['ARRET', 'ARRÊT', 'STOP', 'DESABONNER', 'DÉSABONNER'],
+    start: ['REPRENDRE', 'ABONNER'],
+    confirmations: {
+      stop: 'Vous êtes désabonné et ne recevrez plus de messages. Répondez REPRENDRE pour vous réabonner.',
+      start: 'Vous êtes réabonné. Répondez ARRET à tout moment pour vous désabonner.'
+    }
+  },
+  hi: {
+    stop: ['बंद', 'रोकें', 'BAND', 'ROKO'],
+    start: ['शुरू', 'SHURU'],
+    confirmations: {
+      stop: 'आपकी सदस्यता समाप्त कर दी गई है। दोबारा सदस्यता के लिए शुरू लिखें।',
+      start: 'आपकी सदस्यता फिर से शुरू कर दी गई है। सदस्यता समाप्त करने के लिए बंद लिखें।'
+    }
+  }
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  languages: ['en'],
+  stopKeywords: [], // org-specific additions, answered in the first language
+  startKeywords: [],
+  confirmations: {}, // { <language>: { stop, start } } overrides
+  sendConfirmation: true
+};
+
+// Error used by every send path that refuses a suppressed recipient
+const SUPPRESSED_ERROR = 'Contact opted out';
+
+/**
+ * Normalize an inbound message for keyword matching: case, accents kept, punctuation and spacing ignored
+ */
+function normalizeKeyword(text) {
+  return String(text || '')
+    .toUpperCase()
+    .replace(/[.!?,;:"'()]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+class OptOutManager {
+  // ================================================
+  // SETTINGS
+  // ================================================
+
+  /**
+   * Opt-out settings for an organization (organizations.metadata.opt_out over the defaults)
+   */
+  async getSettings(organizationId) {
+    const result = await db.query(
+      `SELECT metadata -> 'opt_out' AS opt_out FROM organizations WHERE id = $1`,
+      [organizationId]
+    );
+
+    return { ...DEFAULT_SETTINGS, ...(result.rows[0]?.opt_out || {}) };
+  }
+
+  /**
+   * Update an organization's opt-out settings
+   */
+  async updateSettings(organizationId, settings = {}) {
+    try {
+      const current = await this.getSettings(organizationId);
+      const updated = { ...current };
+
+      if (settings.enabled !== undefined) {
+        updated.enabled = settings.enabled === true;
+      }
+      if (settings.sendConfirmation !== undefined) {
+        updated.sendConfirmation = settings.sendConfirmation === true;
+      }
+      if (settings.languages !== undefined) {
+        if (!Array.isArray(settings.languages) || settings.languages.length === 0) {
+          throw new Error('languages must be a non-empty array');
+        }
+        const unknown = settings.languages.filter(language => !DEFAULT_KEYWORDS[language]);
+        if (unknown.length > 0) {
+          throw new Error(`Unsupported languages: ${unknown.join(', ')} (available: ${Object.keys(DEFAULT_KEYWORDS).join(', ')})`);
+        }
+        updated.languages = settings.languages;
+      }
+      for (const key of ['stopKeywords', 'startKeywords']) {
+        if (settings[key] === undefined) continue;
+        if (!Array.isArray(settings[key]) || settings[key].some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+          throw new Error(`${key} must be an array of non-empty strings`);
+        }
+        updated[key] = settings[key].map(normalizeKeyword);
+      }
+      if (settings.confirmations !== undefined) {
+        if (typeof settings.confirmations !== 'object' || Array.isArray(settings.confirmations)) {
+          throw new Error('confirmations must be an object of { <language>: { stop, start } }');
+        }
+        updated.confirmations = settings.confirmations;
+      }
+
+      await db.query(
+        `UPDATE organizations SET metadata = jsonb_set(COALESCE(metadata, '{}'), '{opt_out}', $2::jsonb)
+         WHERE id = $1`,
+        [organizationId, JSON.stringify(updated)]
+      );
+
+      logger.info('Opt-out settings updated', { organizationId });
+      return updated;
+    } catch (error) {
+      logger.error('Error updating opt-out settings', { organizationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Available keyword sets
+   */
+  getDefaultKeywords() {
+    return DEFAULT_KEYWORDS;
+  }
+
+  // ================================================
+  // KEYWORD HANDLING
+  // ================================================
+
+  /**
+   * Match a message against the organization's keywords
+   * Returns { action: 'stop' | 'start', language, keyword } or null
+   * Only a message that is exactly a keyword counts, so "please don't stop" is not an opt-out
+   */
+  matchKeyword(settings, text) {
+    const keyword = normalizeKeyword(text);
+    if (!keyword || keyword.length > 20) return null;
+
+    for (const action of ['stop', 'start']) {
+      if ((settings[`${action}Keywords`] || []).includes(keyword)) {
+        return { action, language: settings.languages[0], keyword };
+      }
+      for (const language of settings.languages) {
+        const keywords = DEFAULT_KEYWORDS[language]?.[action] || [];
+        if (keywords.includes(keyword)) {
+          return { action, language, keyword };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Confirmation text for an action in a language
+   */
+  getConfirmation(settings, action, language) {
+    return settings.confirmations?.[language]?.[action]
+      || DEFAULT_KEYWORDS[language]?.confirmations[action]
+      || DEFAULT_KEYWORDS.en.confirmations[action];
+  }
+
+  /**
+   * Handle an inbound message; on a keyword, flip do_not_contact and return the confirmation to send
+   * Returns { action, language, keyword, contact, confirmation } or null when the message is not a keyword
+   */
+  async handleInboundMessage(organizationId, phoneNumber, text) {
+    try {
+      const settings = await this.getSettings(organizationId);
+      if (!settings.enabled) return null;
+
+      const match = this.matchKeyword(settings, text);
+      if (!match) return null;
+
+      const contact = match.action === 'stop'
+        ? await this.suppress(organizationId, phoneNumber, { source: 'keyword', keyword: match.keyword })
+        : await this.unsuppress(organizationId, phoneNumber, { source: 'keyword', keyword: match.keyword });
+
+      return {
+        ...match,
+        contact,
+        confirmation: settings.sendConfirmation ? this.getConfirmation(settings, match.action, match.language) : null
+      };
+    } catch (error) {
+      logger.error('Error handling opt-out keyword', { organizationId, error: error.message });
+      return null;
+    }
+  }
+
+  // ================================================
+  // SUPPRESSION LIST
+  // ================================================
+
+  /**
+   * Mark a number do-not-contact (creating the contact if needed) and stop its active sequences
+   */
+  async suppress(organizationId, phoneNumber, { source = 'manual', keyword = null } = {}) {
+    const contact = await db.transaction(async (tx) => {
+      const result = await tx.query(
+        `INSERT INTO contacts (organization_id, phone_number, first_contact_at, do_not_contact, metadata)
+         VALUES ($1, $2, NOW(), TRUE, $3)
+         ON CONFLICT (organization_id, phone_number) DO UPDATE SET
+           do_not_contact = TRUE,
+           metadata = COALESCE(contacts.metadata, '{}') || $3
+         RETURNING *`,
+        [organizationId, phoneNumber, JSON.stringify({
+          opted_out_at: new Date().toISOString(),
+          opt_out_source: source,
+          opt_out_keyword: keyword
+        })]
+      );
+
+      await tx.query(
+        `UPDATE sequence_enrollments
+         SET status = 'opted_out', stop_reason = 'opted_out', stopped_at = NOW(), next_step_at = NULL
+         WHERE contact_id = $1 AND status = 'active'`,
+        [result.rows[0].id]
+      );
+
+      return result.rows[0];
+    });
+
+    logger.info('Contact opted out', { organizationId, contactId: contact.id, source, keyword });
+    return contact;
+  }
+
+  /**
+   * Clear do-not-contact for a number
+   */
+  async unsuppress(organizationId, phoneNumber, { source = 'manual', keyword = null } = {}) {
+    const result = await db.query(
+      `UPDATE contacts SET
+         do_not_contact = FALSE,
+         metadata = COALESCE(metadata, '{}') || $3
+       WHERE organization_id = $1 AND phone_number = $2
+       RETURNING *`,
+      [organizationId, phoneNumber, JSON.stringify({
+        opted_in_at: new Date().toISOString(),
+        opt_in_source: source,
+        opt_in_keyword: keyword
+      })]
+    );
+
+    if (result.rows.length > 0) {
+      logger.info('Contact opted back in', { organizationId, contactId: result.rows[0].id, source, keyword });
+    }
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List suppressed numbers
+   */
+  async listSuppressed(organizationId, { limit = 100, offset = 0 } = {}) {
+    const countResult = await db.query(
+      'SELECT COUNT(*) AS count FROM contacts WHERE organization_id = $1 AND do_not_contact = TRUE',
+      [organizationId]
+    );
+
+    const result = await db.query(
+      `SELECT id, phone_number, name,
+         metadata ->> 'opted_out_at' AS opted_out_at,
+         metadata ->> 'opt_out_source' AS source,
+         metadata ->> 'opt_out_keyword' AS keyword
+       FROM contacts
+       WHERE organization_id = $1 AND do_not_contact = TRUE
+       ORDER BY updated_at DESC
+       LIMIT $2 OFFSET $3`,
+      [organizationId, limit, offset]
+    );
+
+    return {
+      contacts: result.rows,
+      total: parseInt(countResult.rows[0].count)
+    };
+  }
+
+  /**
+   * Suppressed numbers among the given ones (normalized chat ids)
+   */
+  async findSuppressed(organizationId, phoneNumbers) {
+    if (phoneNumbers.length === 0) return [];
+
+    const result = await db.query(
+      `SELECT phone_number FROM contacts
+       WHERE organization_id = $1 AND do_not_contact = TRUE AND phone_number = ANY($2::text[])`,
+      [organizationId, phoneNumbers]
+    );
+
+    return result.rows.map(row => row.phone_number);
+  }
+
+  /**
+   * Organization a client belongs to, by its whatsapp_clients.client_id key
+   * Returns null for clients that aren't registered in the database
+   */
+  async getClientOrganization(clientKey) {
+    const result = await db.query(
+      'SELECT organization_id FROM whatsapp_clients WHERE client_id = $1',
+      [clientKey]
+    );
+
+    return result.rows[0]?.organization_id || null;
+  }
+
+  /**
+   * Suppressed numbers among the given ones for a client key (see getClientOrganization)
+   */
+  async findSuppressedForClient(clientKey, phoneNumbers) {
+    const organizationId = await this.getClientOrganization(clientKey);
+    if (!organizationId) return [];
+
+    return this.findSuppressed(organizationId, phoneNumbers.map(phone => db.normalizePhone(phone)).filter(Boolean));
+  }
+}
+
+OptOutManager.SUPPRESSED_ERROR = SUPPRESSED_ERROR;
+
+module.exports = OptOutManager;
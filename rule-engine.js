@@ -0,0 +1,1248 @@
+// ================================================
+// AUTOMATION RULES
+// ================================================
+
+const crypto = require('crypto');
+const vm = require('vm');
+const logger = require('./logger');
+const db = require('./db');
+const SegmentManager = require('./segment-manager');
+const OptOutManager = require('./opt-out-manager');
+const BusinessHoursManager = require('./business-hours');
+
+/*
+ * Rules are stored in the automations table with type 'rule':
+ *
+ *   {
+ *     "name": "Refund requests from VIPs",
+ *     "trigger": { "type": "message_received" },
+ *     "conditions": { "all": [
+ *       { "field": "message.body", "op": "matches", "value": "refund|money back", "flags": "i" },
+ *       { "field": "contact.tags", "op": "has", "value": "vip" }
+ *     ] },
+ *     "actions": [
+ *       { "type": "add_tag", "tag": "refund" },
+ *       { "type": "if", "condition": { "field": "business_hours", "op": "eq", "value": true },
+ *         "then": [ { "type": "assign_conversation" } ],
+ *         "else": [ { "type": "send_message", "text": "Hi {name}, we'll get back to you tomorrow." } ] },
+ *       { "type": "wait", "hours": 24 },
+ *       { "type": "send_message", "text": "Did we sort out your refund?" }
+ *     ]
+ *   }
+ *
+ * Triggers:
+ *   message_received                      every inbound message on the rule's client
+ *   contact_added                         contact created through the API or by a first message
+ *   tag_added      { tag? }               a tag (or a specific tag) added to a contact
+ *   time_based     { at, days?, timezone?, segmentId }
+ *                                         daily at a local time, for every contact in the segment
+ *   webhook                               POST to the rule's webhook URL with { phone, variables }
+ *
+ * Conditions use the segment filter shape ({ all }, { any }, { not }, { field, op, value }) over:
+ *   message.body, contact.name, contact.email, contact.phone_number
+ *                                         eq, neq, contains, contains_any, starts_with, ends_with, matches, in, exists,
+ *                                         not_exists
+ *   message.type                          eq, neq, in
+ *   contact.tags                          has, not_has, has_any, has_all, empty
+ *   contact.message_count, contact.score  eq, neq, gt, gte, lt, lte, between
+ *   contact.lead_score                    eq, neq, in (high, medium, low from lead scoring)
+ *   contact.custom_fields.<key>,
+ *   variables.<key>                       eq, neq, contains, contains_any, matches, in, gt, gte, lt, lte, exists,
+ *                                         not_exists
+ *   business_hours                        eq true/false; the client's business hours (see business-hours.js), or an
+ *                                         explicit "schedule": { timezone, days: { mon: [["09:00", "18:00"]] }, holidays }
+ *
+ * Actions: send_message { text }, add_tag / remove_tag { tag }, set_field { field, value },
+ * set_score { value }, adjust_score { by }, assign_conversation { strategy? }, notify_webhook { payload? },
+ * wait { seconds | minutes | hours | days }, if { condition, then, else }, stop
+ *
+ * contains, contains_any, starts_with and ends_with ignore case. matches takes a regular expression of up to
+ * MAX_PATTERN_LENGTH characters with optional "flags" (i, m, s, u); a tenant-supplied pattern can backtrack for seconds
+ * on a crafted message, so it runs with a time limit and counts as not matching when it runs out.
+ */
+
+const TRIGGER_TYPES = ['message_received', 'contact_added', 'tag_added', 'time_based', 'webhook'];
+const { DAY_NAMES, localClock, toMinutes, isTime, isTimezone } = BusinessHoursManager;
+
+const TEXT_OPS = ['eq', 'neq', 'contains', 'contains_any', 'starts_with', 'ends_with', 'matches', 'in', 'exists', 'not_exists'];
+const NUMBER_OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between'];
+const VALUE_OPS = ['eq', 'neq', 'contains', 'contains_any', 'matches', 'in', 'gt', 'gte', 'lt', 'lte', 'exists', 'not_exists'];
+const FIELD_OPS = {
+  'message.body': TEXT_OPS,
+  'message.type': ['eq', 'neq', 'in'],
+  'contact.name': TEXT_OPS,
+  'contact.email': TEXT_OPS,
+  'contact.phone_number': TEXT_OPS,
+  'contact.tags': ['has', 'not_has', 'has_any', 'has_all', 'empty'],
+  'contact.message_count': NUMBER_OPS,
+  'contact.score': NUMBER_OPS,
+  'contact.lead_score': ['eq', 'neq', 'in'],
+  business_hours: ['eq']
+};
+const DYNAMIC_FIELD = /^(contact\.custom_fields|variables)\.[A-Za-z0-9_-]{1,64}$/;
+
+const ACTION_TYPES = [
+  'send_message', 'add_tag', 'remove_tag', 'set_field', 'set_score', 'adjust_score',
+  'assign_conversation', 'notify_webhook', 'wait', 'if', 'stop'
+];
+const SETTABLE_FIELDS = /^(name|email|custom_fields\.[A-Za-z0-9_-]{1,64})$/;
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const MAX_ACTIONS = 50;
+const MAX_PHRASES = 50;
+const MAX_PHRASE_LENGTH = 200;
+const MAX_PATTERN_LENGTH = 200;
+const PATTERN_FLAGS = /^(?!.*(.).*\1)[imsu]*$/;
+const PATTERN_TIMEOUT_MS = 50;
+const MAX_WAIT_SECONDS = 30 * 24 * 60 * 60;
+// add_tag can fire tag_added rules, which can add tags in turn
+const MAX_CHAIN_DEPTH = 3;
+const MAX_SCHEDULED_CONTACTS = 1000;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Patterns run in a separate context so the time limit can interrupt a runaway match
+const patternContext = vm.createContext({});
+const patternScript = new vm.Script('new RegExp(pattern, flags).test(text)');
+
+function testPattern(pattern, flags, text) {
+  Object.assign(patternContext, { pattern, flags: flags || '', text });
+  try {
+    return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS }) === true;
+  } catch (error) {
+    logger.warn('Rule pattern failed to match', { pattern, error: error.message });
+    return false;
+  } finally {
+    Object.assign(patternContext, { pattern: null, flags: null, text: null });
+  }
+}
+
+class RuleEngine {
+  constructor(messageQueue, webhookManager, assignmentManager, businessHoursManager, options = {}) {
+    this.messageQueue = messageQueue;
+    this.webhookManager = webhookManager;
+    this.assignmentManager = assignmentManager;
+    this.businessHoursManager = businessHoursManager;
+    this.pollIntervalMs = options.pollIntervalMs || 30000;
+    this.batchSize = options.batchSize || 50;
+    this.leaseSeconds = options.leaseSeconds || 120;
+    this.timer = null;
+    this.heartbeatTimer = null;
+    this.running = false;
+  }
+
+  // ================================================
+  // VALIDATION
+  // ================================================
+
+  /**
+   * Throw with a descriptive message if a rule definition is invalid
+   */
+  static validateRule({ name, trigger, conditions, actions } = {}) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw new Error('Rule name required');
+    }
+    RuleEngine.validateTrigger(trigger);
+    if (conditions !== undefined && conditions !== null) {
+      RuleEngine.validateCondition(conditions);
+    }
+    if (!Array.isArray(actions) || actions.length === 0) {
+      throw new Error('Rule needs at least one action');
+    }
+    RuleEngine._validateActions(actions, 0, { actions: 0 });
+  }
+
+  static validateTrigger(trigger) {
+    if (!trigger || typeof trigger !== 'object' || !TRIGGER_TYPES.includes(trigger.type)) {
+      throw new Error(`trigger.type must be one of: ${TRIGGER_TYPES.join(', ')}`);
+    }
+
+    if (trigger.type === 'tag_added' && trigger.tag !== undefined && (typeof trigger.tag !== 'string' || !trigger.tag)) {
+      throw new Error('trigger.tag must be a non-empty string');
+    }
+
+    if (trigger.type === 'time_based') {
+      if (!isTime(trigger.at)) {
+        throw new Error('time_based trigger needs "at" as HH:MM');
+      }
+      if (trigger.days !== undefined && (!Array.isArray(trigger.days) || trigger.days.some(day => !DAY_NAMES.includes(day)))) {
+        throw new Error(`trigger.days must be an array of: ${DAY_NAMES.join(', ')}`);
+      }
+      if (trigger.timezone !== undefined && !isTimezone(trigger.timezone)) {
+        throw new Error(`Invalid timezone: ${trigger.timezone}`);
+      }
+      if (!trigger.segmentId) {
+        throw new Error('time_based trigger needs a segmentId to pick its contacts');
+      }
+    }
+  }
+
+  /**
+   * Throw if a condition tree cannot be evaluated
+   */
+  static validateCondition(node, depth = 0, state = { conditions: 0 }) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw new Error('Condition must be an object');
+    }
+    if (depth > MAX_DEPTH) {
+      throw new Error(`Conditions are nested more than ${MAX_DEPTH} levels`);
+    }
+
+    if (node.all || node.any) {
+      const children = node.all || node.any;
+      if (!Array.isArray(children)) {
+        throw new Error('"all" and "any" must be arrays');
+      }
+      children.forEach(child => RuleEngine.validateCondition(child, depth + 1, state));
+      return;
+    }
+    if (node.not) {
+      RuleEngine.validateCondition(node.not, depth + 1, state);
+      return;
+    }
+
+    if (++state.conditions > MAX_CONDITIONS) {
+      throw new Error(`Rule has more than ${MAX_CONDITIONS} conditions`);
+    }
+
+    const { field, op, value } = node;
+    const ops = FIELD_OPS[field] || (DYNAMIC_FIELD.test(field || '') ? VALUE_OPS : null);
+    if (!ops) {
+      throw new Error(`Unknown condition field: ${field}`);
+    }
+    if (!ops.includes(op)) {
+      throw new Error(`Operator "${op}" is not supported for field "${field}"`);
+    }
+
+    if (op === 'matches') {
+      if (typeof value !== 'string' || value === '' || value.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`matches needs a pattern of at most ${MAX_PATTERN_LENGTH} characters`);
+      }
+      if (node.flags !== undefined && (typeof node.flags !== 'string' || !PATTERN_FLAGS.test(node.flags))) {
+        throw new Error('matches flags may only combine i, m, s and u');
+      }
+      try {
+        new RegExp(value, node.flags || '');
+      } catch (error) {
+        throw new Error(`Invalid pattern for ${field}: ${error.message}`);
+      }
+    }
+
+    if (op === 'contains_any') {
+      const valid = Array.isArray(value) && value.length > 0 && value.length <= MAX_PHRASES &&
+        value.every(phrase => typeof phrase === 'string' && phrase !== '' && phrase.length <= MAX_PHRASE_LENGTH);
+      if (!valid) {
+        throw new Error(`${field} contains_any needs 1 to ${MAX_PHRASES} phrases of at most ${MAX_PHRASE_LENGTH} characters`);
+      }
+    }
+    if (['in', 'has_any', 'has_all'].includes(op) && !Array.isArray(value)) {
+      throw new Error(`${field} ${op} requires an array value`);
+    }
+    if (op === 'between' && (!Array.isArray(value) || value.length !== 2)) {
+      throw new Error(`${field} between requires [min, max]`);
+    }
+    if (['gt', 'gte', 'lt', 'lte'].includes(op) && isNaN(Number(value))) {
+      throw new Error(`${field} ${op} requires a number`);
+    }
+    if (field === 'business_hours') {
+      if (typeof value !== 'boolean') {
+        throw new Error('business_hours eq requires true or false');
+      }
+      if (node.schedule !== undefined) {
+        RuleEngine.validateSchedule(node.schedule);
+      }
+    }
+  }
+
+  static validateSchedule(schedule) {
+    BusinessHoursManager.validateSchedule(schedule);
+  }
+
+  static _validateActions(actions, depth, state) {
+    if (depth > MAX_DEPTH) {
+      throw new Error(`Branches are nested more than ${MAX_DEPTH} levels`);
+    }
+
+    for (const action of actions) {
+      if (!action || !ACTION_TYPES.includes(action.type)) {
+        throw new Error(`Action type must be one of: ${ACTION_TYPES.join(', ')}`);
+      }
+      if (++state.actions > MAX_ACTIONS) {
+        throw new Error(`Rule has more than ${MAX_ACTIONS} actions`);
+      }
+
+      switch (action.type) {
+        case 'send_message':
+          if (typeof action.text !== 'string' || !action.text.trim()) {
+            throw new Error('send_message needs text');
+          }
+          break;
+        case 'add_tag':
+        case 'remove_tag':
+          if (typeof action.tag !== 'string' || !action.tag.trim()) {
+            throw new Error(`${action.type} needs a tag`);
+          }
+          break;
+        case 'set_field':
+          if (!SETTABLE_FIELDS.test(action.field || '')) {
+            throw new Error('set_field field must be name, email or custom_fields.<key>');
+          }
+          if (action.value === undefined) {
+            throw new Error('set_field needs a value');
+          }
+          break;
+        case 'set_score':
+          if (typeof action.value !== 'number') {
+            throw new Error('set_score needs a numeric value');
+          }
+          break;
+        case 'adjust_score':
+          if (typeof action.by !== 'number') {
+            throw new Error('adjust_score needs a numeric "by"');
+          }
+          break;
+        case 'wait': {
+          const seconds = RuleEngine.waitSeconds(action);
+          if (!(seconds > 0) || seconds > MAX_WAIT_SECONDS) {
+            throw new Error('wait needs a positive seconds, minutes, hours or days of at most 30 days');
+          }
+          break;
+        }
+        case 'if':
+          if (!action.condition) {
+            throw new Error('if needs a condition');
+          }
+          RuleEngine.validateCondition(action.condition);
+          if (action.then !== undefined && !Array.isArray(action.then)) {
+            throw new Error('if "then" must be an array of actions');
+          }
+          if (action.else !== undefined && !Array.isArray(action.else)) {
+            throw new Error('if "else" must be an array of actions');
+          }
+          RuleEngine._validateActions(action.then || [], depth + 1, state);
+          RuleEngine._validateActions(action.else || [], depth + 1, state);
+          break;
+      }
+    }
+  }
+
+  static waitSeconds({ seconds = 0, minutes = 0, hours = 0, days = 0 }) {
+    return Number(seconds) + Number(minutes) * 60 + Number(hours) * 3600 + Number(days) * 86400;
+  }
+
+  // ================================================
+  // RULES
+  // ================================================
+
+  /**
+   * List a client's rules
+   */
+  async listRules(clientId) {
+    const result = await db.query(
+      `SELECT * FROM automations WHERE client_id = $1 AND type = 'rule' ORDER BY created_at ASC`,
+      [clientId]
+    );
+
+    return result.rows.map(row => this.formatRule(row));
+  }
+
+  /**
+   * Get a single rule
+   */
+  async getRule(clientId, ruleId) {
+    const result = await db.query(
+      `SELECT * FROM automations WHERE id = $1 AND client_id = $2 AND type = 'rule'`,
+      [ruleId, clientId]
+    );
+
+    return result.rows[0] ? this.formatRule(result.rows[0]) : null;
+  }
+
+  /**
+   * Create a rule; webhook-triggered rules get a secret token for their webhook URL
+   */
+  async createRule(clientId, userId, rule) {
+    try {
+      RuleEngine.validateRule(rule);
+
+      const client = await db.query('SELECT organization_id FROM whatsapp_clients WHERE id = $1', [clientId]);
+      if (client.rows.length === 0) {
+        throw new Error('Client not found');
+      }
+
+      const { type: triggerType, ...triggerConfig } = rule.trigger;
+      const result = await db.query(
+        `INSERT INTO automations
+         (organization_id, client_id, name, type, trigger_type, trigger_config, conditions, actions, is_active, created_by, metadata)
+         VALUES ($1, $2, $3, 'rule', $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          client.rows[0].organization_id,
+          clientId,
+          rule.name.trim(),
+          triggerType,
+          JSON.stringify(triggerConfig),
+          rule.conditions ? JSON.stringify(rule.conditions) : null,
+          JSON.stringify(rule.actions),
+          rule.is_active !== false,
+          userId,
+          JSON.stringify({ webhook_token: crypto.randomBytes(24).toString('hex') })
+        ]
+      );
+
+      logger.info('Automation rule created', { clientId, ruleId: result.rows[0].id, triggerType });
+      return this.formatRule(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating automation rule', { clientId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a rule; fields not given are kept and the merged rule is validated
+   */
+  async updateRule(clientId, ruleId, updates = {}) {
+    try {
+      const current = await this.getRule(clientId, ruleId);
+      if (!current) {
+        return null;
+      }
+
+      const rule = {
+        name: updates.name !== undefined ? updates.name : current.name,
+        trigger: updates.trigger !== undefined ? updates.trigger : current.trigger,
+        conditions: updates.conditions !== undefined ? updates.conditions : current.conditions,
+        actions: updates.actions !== undefined ? updates.actions : current.actions
+      };
+      RuleEngine.validateRule(rule);
+
+      const { type: triggerType, ...triggerConfig } = rule.trigger;
+      const result = await db.query(
+        `UPDATE automations
+         SET name = $3, trigger_type = $4, trigger_config = $5, conditions = $6, actions = $7,
+             is_active = COALESCE($8, is_active)
+         WHERE id = $1 AND client_id = $2 AND type = 'rule'
+         RETURNING *`,
+        [
+          ruleId,
+          clientId,
+          rule.name.trim(),
+          triggerType,
+          JSON.stringify(triggerConfig),
+          rule.conditions ? JSON.stringify(rule.conditions) : null,
+          JSON.stringify(rule.actions),
+          typeof updates.is_active === 'boolean' ? updates.is_active : null
+        ]
+      );
+
+      logger.info('Automation rule updated', { clientId, ruleId });
+      return this.formatRule(result.rows[0]);
+    } catch (error) {
+      logger.error('Error updating automation rule', { clientId, ruleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a rule (its runs, including waiting ones, go with it)
+   */
+  async deleteRule(clientId, ruleId) {
+    const result = await db.query(
+      `DELETE FROM automations WHERE id = $1 AND client_id = $2 AND type = 'rule'`,
+      [ruleId, clientId]
+    );
+
+    if (result.rowCount > 0) {
+      logger.info('Automation rule deleted', { clientId, ruleId });
+    }
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Recent runs of a rule, newest first
+   */
+  async getRuns(clientId, ruleId, { status, limit = 50 } = {}) {
+    const params = [ruleId, clientId];
+    let query = `SELECT * FROM automation_runs WHERE automation_id = $1 AND client_id = $2`;
+
+    if (status) {
+      params.push(status);
+      query += ` AND status = $${params.length}`;
+    }
+
+    params.push(limit);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+    const result = await db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Shape an automations row as a rule definition
+   */
+  formatRule(row) {
+    return {
+      id: row.id,
+      client_id: row.client_id,
+      name: row.name,
+      trigger: { type: row.trigger_type, ...(row.trigger_config || {}) },
+      conditions: row.conditions,
+      actions: row.actions,
+      is_active: row.is_active,
+      webhook_token: row.trigger_type === 'webhook' ? row.metadata?.webhook_token || null : undefined,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  // ================================================
+  // TRIGGERS
+  // ================================================
+
+  /**
+   * Run the client's message_received rules for an inbound message
+   */
+  async handleInboundMessage({ organizationId, clientId, phone, body, type = 'text', conversationId = null }) {
+    const rules = await this._activeRules('client_id = $1', [clientId], 'message_received');
+    if (rules.length === 0) return [];
+
+    const contact = phone ? await this._loadContact(organizationId, phone) : null;
+    return this._runRules(rules, {
+      organizationId,
+      clientId,
+      phone,
+      contact,
+      message: { body: body || '', type },
+      conversationId
+    });
+  }
+
+  /**
+   * Run the organization's contact_added rules for a new contact
+   */
+  async handleContactAdded(organizationId, contact) {
+    try {
+      const rules = await this._activeRules('organization_id = $1', [organizationId], 'contact_added');
+      return await this._runRules(rules, { organizationId, phone: contact.phone_number, contact });
+    } catch (error) {
+      logger.error('Error running contact_added rules', { organizationId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Run the organization's tag_added rules for tags newly added to a contact
+   */
+  async handleTagsAdded(organizationId, contact, tags, depth = 0) {
+    if (tags.length === 0 || depth >= MAX_CHAIN_DEPTH) return [];
+
+    try {
+      const rules = await this._activeRules('organization_id = $1', [organizationId], 'tag_added');
+      const results = [];
+
+      for (const tag of tags) {
+        const matching = rules.filter(rule => !rule.trigger_config?.tag || rule.trigger_config.tag === tag);
+        results.push(...await this._runRules(matching, {
+          organizationId,
+          phone: contact.phone_number,
+          contact,
+          variables: { tag },
+          depth
+        }));
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('Error running tag_added rules', { organizationId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Run a webhook-triggered rule; the token must match the rule's webhook_token
+   * Returns null when the rule doesn't exist or the token is wrong
+   */
+  async handleWebhook(ruleId, token, { phone, variables = {} } = {}) {
+    // Anything else can't name a rule, and would fail the uuid cast in Postgres
+    if (!UUID.test(String(ruleId))) {
+      return null;
+    }
+
+    const result = await db.query(
+      `SELECT * FROM automations WHERE id = $1 AND type = 'rule' AND trigger_type = 'webhook' AND is_active = true`,
+      [ruleId]
+    );
+    const rule = result.rows[0];
+
+    const expected = Buffer.from(rule?.metadata?.webhook_token || '');
+    const given = Buffer.from(String(token || ''));
+    if (!rule || expected.length === 0 || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return null;
+    }
+
+    const normalized = phone ? db.normalizePhone(phone) : null;
+    if (phone && !normalized) {
+      throw new Error('Invalid phone number');
+    }
+
+    const contact = normalized ? await this._upsertContact(rule.organization_id, normalized) : null;
+    const [run] = await this._runRules([rule], {
+      organizationId: rule.organization_id,
+      phone: normalized,
+      contact,
+      variables
+    });
+
+    return run || { ruleId, matched: false };
+  }
+
+  // ================================================
+  // DRY RUN
+  // ================================================
+
+  /**
+   * Evaluate a rule against a sample without sending, storing or changing anything
+   * sample: { message: { body, type }, contact: { name, tags, custom_fields, ... }, variables, now }
+   * business_hours conditions use the given client's schedule
+   */
+  async dryRun(rule, sample = {}, clientId = null) {
+    RuleEngine.validateRule(rule);
+
+    const now = sample.now ? new Date(sample.now) : new Date();
+    if (isNaN(now.getTime())) {
+      throw new Error('Invalid sample time');
+    }
+
+    const ctx = {
+      dryRun: true,
+      now,
+      clientId,
+      businessHours: clientId ? await this._businessHours(clientId) : BusinessHoursManager.DEFAULT_SETTINGS,
+      phone: sample.contact?.phone_number ? db.normalizePhone(sample.contact.phone_number) : null,
+      contact: { tags: [], custom_fields: {}, message_count: 0, ...(sample.contact || {}) },
+      message: { body: '', type: 'text', ...(sample.message || {}) },
+      variables: sample.variables || {},
+      conversationId: null
+    };
+
+    const trace = [];
+    const matched = rule.conditions ? this.evaluateCondition(rule.conditions, ctx, trace) : true;
+    const steps = [];
+    if (matched) {
+      await this._runActions(rule.actions, ctx, steps);
+    }
+
+    return { matched, conditions: trace, actions: steps, contact: ctx.contact };
+  }
+
+  // ================================================
+  // CONDITIONS
+  // ================================================
+
+  /**
+   * Evaluate a condition tree; each leaf's outcome is appended to trace when given
+   */
+  evaluateCondition(node, ctx, trace = null) {
+    if (node.all) {
+      return node.all.map(child => this.evaluateCondition(child, ctx, trace)).every(Boolean);
+    }
+    if (node.any) {
+      return node.any.map(child => this.evaluateCondition(child, ctx, trace)).some(Boolean);
+    }
+    if (node.not) {
+      return !this.evaluateCondition(node.not, ctx, trace);
+    }
+
+    const actual = this._resolveField(node, ctx);
+    const result = this._compare(node, actual);
+
+    if (trace) {
+      trace.push({ field: node.field, op: node.op, value: node.value, actual, result });
+    }
+
+    return result;
+  }
+
+  _resolveField({ field, schedule }, ctx) {
+    const contact = ctx.contact || {};
+    const customFields = contact.custom_fields || {};
+
+    if (field === 'business_hours') {
+      return this.isWithinSchedule(schedule || ctx.businessHours || BusinessHoursManager.DEFAULT_SETTINGS, ctx.now || new Date());
+    }
+    if (field === 'contact.score') {
+      const score = Number(customFields.score);
+      return isNaN(score) ? 0 : score;
+    }
+    if (field === 'contact.lead_score') {
+      return customFields.lead_score || null;
+    }
+    if (field.startsWith('contact.custom_fields.')) {
+      return customFields[field.slice('contact.custom_fields.'.length)];
+    }
+    if (field.startsWith('variables.')) {
+      return (ctx.variables || {})[field.slice('variables.'.length)];
+    }
+    if (field.startsWith('message.')) {
+      return (ctx.message || {})[field.slice('message.'.length)];
+    }
+    return contact[field.slice('contact.'.length)];
+  }
+
+  _compare({ op, value, flags }, actual) {
+    const text = actual === undefined || actual === null ? '' : String(actual);
+    const tags = Array.isArray(actual) ? actual : [];
+
+    switch (op) {
+      case 'eq': return typeof value === 'boolean' ? actual === value : text === String(value);
+      case 'neq': return text !== String(value);
+      case 'contains': return text.toLowerCase().includes(String(value).toLowerCase());
+      case 'contains_any': return value.some(phrase => text.toLowerCase().includes(String(phrase).toLowerCase()));
+      case 'starts_with': return text.toLowerCase().startsWith(String(value).toLowerCase());
+      case 'ends_with': return text.toLowerCase().endsWith(String(value).toLowerCase());
+      case 'matches': return testPattern(value, flags, text);
+      case 'in': return value.map(String).includes(text);
+      case 'exists': return text !== '';
+      case 'not_exists': return text === '';
+      case 'gt': return Number(actual) > Number(value);
+      case 'gte': return Number(actual) >= Number(value);
+      case 'lt': return Number(actual) < Number(value);
+      case 'lte': return Number(actual) <= Number(value);
+      case 'between': return Number(actual) >= Number(value[0]) && Number(actual) <= Number(value[1]);
+      case 'has': return tags.includes(value);
+      case 'not_has': return !tags.includes(value);
+      case 'has_any': return value.some(tag => tags.includes(tag));
+      case 'has_all': return value.every(tag => tags.includes(tag));
+      case 'empty': return tags.length === 0;
+      default: return false;
+    }
+  }
+
+  /**
+   * Whether an instant falls inside a weekly schedule
+   */
+  isWithinSchedule(schedule, date) {
+    return BusinessHoursManager.isOpen(schedule, date);
+  }
+
+  // ================================================
+  // EXECUTION
+  // ================================================
+
+  async _activeRules(scope, params, triggerType) {
+    const result = await db.query(
+      `SELECT * FROM automations
+       WHERE ${scope} AND type = 'rule' AND is_active = true AND trigger_type = $${params.length + 1}
+       ORDER BY created_at ASC`,
+      [...params, triggerType]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Evaluate each rule and run the matching ones; one failing rule doesn't stop the others
+   */
+  async _runRules(rules, base) {
+    const runs = [];
+
+    for (const rule of rules) {
+      const ctx = {
+        ...base,
+        clientId: rule.client_id,
+        businessHours: await this._businessHours(rule.client_id),
+        variables: base.variables || {},
+        depth: base.depth || 0,
+        now: new Date()
+      };
+
+      try {
+        if (rule.conditions && !this.evaluateCondition(rule.conditions, ctx)) {
+          continue;
+        }
+        runs.push(await this._startRun(rule, ctx));
+      } catch (error) {
+        logger.error('Automation rule failed', { ruleId: rule.id, error: error.message });
+      }
+    }
+
+    return runs;
+  }
+
+  async _startRun(rule, ctx) {
+    const result = await db.query(
+      `INSERT INTO automation_runs
+       (automation_id, organization_id, client_id, contact_id, phone_number, trigger_type, context, claimed_by, heartbeat_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+       RETURNING id`,
+      [
+        rule.id,
+        rule.organization_id,
+        rule.client_id,
+        ctx.contact?.id || null,
+        ctx.phone,
+        rule.trigger_type,
+        JSON.stringify({ message: ctx.message || null, variables: ctx.variables, conversationId: ctx.conversationId || null }),
+        db.instanceId
+      ]
+    );
+
+    ctx.runId = result.rows[0].id;
+    ctx.ruleId = rule.id;
+    return this._continueRun(ctx, rule.actions, []);
+  }
+
+  /**
+   * Execute actions and record the outcome; a wait stores the remaining actions for the poller
+   */
+  async _continueRun(ctx, actions, previousSteps) {
+    const steps = [...previousSteps];
+
+    try {
+      const outcome = await this._runActions(actions, ctx, steps);
+
+      if (outcome.status === 'waiting') {
+        await db.query(
+          `UPDATE automation_runs
+           SET status = 'waiting', remaining_actions = $2, resume_at = NOW() + INTERVAL '1 second' * $3, steps = $4
+           WHERE id = $1`,
+          [ctx.runId, JSON.stringify(outcome.remaining), outcome.waitSeconds, JSON.stringify(steps)]
+        );
+      } else {
+        await db.query(
+          `UPDATE automation_runs
+           SET status = $2, remaining_actions = '[]', resume_at = NULL, steps = $3
+           WHERE id = $1`,
+          [ctx.runId, outcome.status, JSON.stringify(steps)]
+        );
+      }
+
+      return { runId: ctx.runId, ruleId: ctx.ruleId, status: outcome.status, steps };
+    } catch (error) {
+      await db.query(
+        `UPDATE automation_runs SET status = 'failed', error = $2, steps = $3, resume_at = NULL WHERE id = $1`,
+        [ctx.runId, error.message, JSON.stringify(steps)]
+      );
+      logger.error('Automation run failed', { runId: ctx.runId, error: error.message });
+      return { runId: ctx.runId, ruleId: ctx.ruleId, status: 'failed', error: error.message, steps };
+    }
+  }
+
+  /**
+   * Run actions in order, descending into if/else branches
+   * Returns { status: 'completed' | 'stopped' } or { status: 'waiting', waitSeconds, remaining }
+   * A dry run notes waits and carries on, so the whole plan is shown
+   */
+  async _runActions(actions, ctx, steps) {
+    for (let i = 0; i < actions.length; i++) {
+      const action = actions[i];
+
+      if (action.type === 'wait') {
+        const waitSeconds = RuleEngine.waitSeconds(action);
+        steps.push({ type: 'wait', status: ctx.dryRun ? 'dry_run' : 'waiting', seconds: waitSeconds });
+        if (ctx.dryRun) continue;
+        return { status: 'waiting', waitSeconds, remaining: actions.slice(i + 1) };
+      }
+
+      if (action.type === 'stop') {
+        steps.push({ type: 'stop', status: 'completed' });
+        return { status: 'stopped' };
+      }
+
+      if (action.type === 'if') {
+        const matched = this.evaluateCondition(action.condition, ctx);
+        steps.push({ type: 'if', status: 'completed', branch: matched ? 'then' : 'else' });
+
+        const outcome = await this._runActions((matched ? action.then : action.else) || [], ctx, steps);
+        if (outcome.status === 'waiting') {
+          return { ...outcome, remaining: [...outcome.remaining, ...actions.slice(i + 1)] };
+        }
+        if (outcome.status === 'stopped') {
+          return outcome;
+        }
+        continue;
+      }
+
+      let step;
+      try {
+        step = await this._executeAction(action, ctx);
+      } catch (error) {
+        step = { type: action.type, status: 'failed', error: error.message };
+      }
+      steps.push(step);
+    }
+
+    return { status: 'completed' };
+  }
+
+  async _executeAction(action, ctx) {
+    const { type } = action;
+    const contact = ctx.contact;
+
+    switch (type) {
+      case 'send_message': {
+        if (!ctx.phone) {
+          return { type, status: 'skipped', reason: 'No recipient' };
+        }
+        if (contact?.do_not_contact) {
+          return { type, status: 'skipped', reason: OptOutManager.SUPPRESSED_ERROR };
+        }
+
+        const text = this.renderText(action.text, ctx);
+        const missing = (text.match(/\{([\w.]+)\}/g) || []).map(placeholder => placeholder.slice(1, -1));
+        if (missing.length > 0) {
+          return { type, status: 'skipped', reason: `Missing variables: ${missing.join(', ')}` };
+        }
+        if (ctx.dryRun) {
+          return { type, status: 'dry_run', to: ctx.phone, text };
+        }
+
+        const queued = await this.messageQueue.enqueue(ctx.clientId, {
+          to: ctx.phone,
+          body: text,
+          metadata: { source: 'automation_rule', ruleId: ctx.ruleId, runId: ctx.runId }
+        });
+        return { type, status: 'completed', to: ctx.phone, messageId: queued.id };
+      }
+
+      case 'add_tag':
+      case 'remove_tag': {
+        if (!contact) {
+          return { type, status: 'skipped', reason: 'No contact' };
+        }
+
+        const tags = contact.tags || [];
+        const changed = type === 'add_tag' ? !tags.includes(action.tag) : tags.includes(action.tag);
+        if (!changed) {
+          return { type, status: 'skipped', reason: type === 'add_tag' ? 'Tag already present' : 'Tag not present' };
+        }
+
+        contact.tags = type === 'add_tag' ? [...tags, action.tag] : tags.filter(tag => tag !== action.tag);
+        if (ctx.dryRun) {
+          return { type, status: 'dry_run', tag: action.tag };
+        }
+
+        await db.query('UPDATE contacts SET tags = $2 WHERE id = $1', [contact.id, JSON.stringify(contact.tags)]);
+        if (type === 'add_tag') {
+          await this.handleTagsAdded(ctx.organizationId, contact, [action.tag], ctx.depth + 1);
+        }
+        return { type, status: 'completed', tag: action.tag };
+      }
+
+      case 'set_field': {
+        if (!contact) {
+          return { type, status: 'skipped', reason: 'No contact' };
+        }
+
+        const value = typeof action.value === 'string' ? this.renderText(action.value, ctx) : action.value;
+        if (action.field.startsWith('custom_fields.')) {
+          contact.custom_fields = { ...(contact.custom_fields || {}), [action.field.slice('custom_fields.'.length)]: value };
+        } else {
+          contact[action.field] = value;
+        }
+        if (ctx.dryRun) {
+          return { type, status: 'dry_run', field: action.field, value };
+        }
+
+        if (action.field.startsWith('custom_fields.')) {
+          await db.query('UPDATE contacts SET custom_fields = $2 WHERE id = $1', [contact.id, JSON.stringify(contact.custom_fields)]);
+        } else {
+          await db.query(`UPDATE contacts SET ${action.field} = $2 WHERE id = $1`, [contact.id, value]);
+        }
+        return { type, status: 'completed', field: action.field, value };
+      }
+
+      case 'set_score':
+      case 'adjust_score': {
+        if (!contact) {
+          return { type, status: 'skipped', reason: 'No contact' };
+        }
+
+        const current = Number(contact.custom_fields?.score) || 0;
+        const score = type === 'set_score' ? action.value : current + action.by;
+        contact.custom_fields = { ...(contact.custom_fields || {}), score };
+        if (ctx.dryRun) {
+          return { type, status: 'dry_run', score };
+        }
+
+        await db.query('UPDATE contacts SET custom_fields = $2 WHERE id = $1', [contact.id, JSON.stringify(contact.custom_fields)]);
+        return { type, status: 'completed', score };
+      }
+
+      case 'assign_conversation': {
+        if (!ctx.conversationId) {
+          return { type, status: 'skipped', reason: 'No conversation' };
+        }
+        if (ctx.dryRun) {
+          return { type, status: 'dry_run' };
+        }
+
+        const conversation = await this.assignmentManager.autoAssign(ctx.conversationId, { strategy: action.strategy });
+        return conversation
+          ? { type, status: 'completed', assignedTo: conversation.assigned_to }
+          : { type, status: 'skipped', reason: 'Already assigned or no agent available' };
+      }
+
+      case 'notify_webhook': {
+        const payload = {
+          ruleId: ctx.ruleId,
+          runId: ctx.runId,
+          clientId: ctx.clientId,
+          phone: ctx.phone,
+          contactId: contact?.id || null,
+          message: ctx.message || null,
+          data: action.payload || {},
+          timestamp: new Date()
+        };
+        if (ctx.dryRun) {
+          return { type, status: 'dry_run', payload };
+        }
+
+        await this.webhookManager.triggerEvent(ctx.organizationId, 'automation_triggered', payload);
+        return { type, status: 'completed' };
+      }
+
+      default:
+        return { type, status: 'skipped', reason: 'Unknown action' };
+    }
+  }
+
+  /**
+   * Fill {name}, {phone}, {message}, {variables.<key>} and {custom_fields.<key>} placeholders
+   * Unknown placeholders are left in place so the caller can refuse to send them
+   */
+  renderText(template, ctx) {
+    const contact = ctx.contact || {};
+    const values = {
+      name: contact.name,
+      phone: ctx.phone ? ctx.phone.split('@')[0] : null,
+      message: ctx.message?.body
+    };
+
+    return template.replace(/\{([\w.]+)\}/g, (placeholder, key) => {
+      let value = values[key];
+      if (key.startsWith('variables.')) {
+        value = (ctx.variables || {})[key.slice('variables.'.length)];
+      } else if (key.startsWith('custom_fields.')) {
+        value = (contact.custom_fields || {})[key.slice('custom_fields.'.length)];
+      }
+      return value !== undefined && value !== null && value !== '' ? String(value) : placeholder;
+    });
+  }
+
+  /**
+   * The client's schedule for business_hours conditions; the default schedule if it can't be loaded
+   */
+  async _businessHours(clientId) {
+    const settings = await this.businessHoursManager.getSettings(clientId).catch(() => null);
+    return settings || BusinessHoursManager.DEFAULT_SETTINGS;
+  }
+
+  async _loadContact(organizationId, phone) {
+    const result = await db.query(
+      'SELECT * FROM contacts WHERE organization_id = $1 AND phone_number = $2',
+      [organizationId, phone]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async _upsertContact(organizationId, phone) {
+    const result = await db.query(
+      `INSERT INTO contacts (organization_id, phone_number, first_contact_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (organization_id, phone_number) DO UPDATE SET updated_at = NOW()
+       RETURNING *`,
+      [organizationId, phone]
+    );
+
+    return result.rows[0];
+  }
+
+  // ================================================
+  // WAITS & SCHEDULES
+  // ================================================
+
+  /**
+   * Start polling for waiting runs and time-based rules (both live in Postgres, so restarts resume them)
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.dispatchDue(), this.pollIntervalMs);
+    this.heartbeatTimer = setInterval(() => this._heartbeat(), this.leaseSeconds * 1000 / 3);
+    logger.info('Rule engine started', { pollIntervalMs: this.pollIntervalMs });
+    this.dispatchDue();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    clearInterval(this.heartbeatTimer);
+    this.timer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Runs still marked running whose instance stopped heartbeating were cut off partway through their actions
+   * Runs in progress on other live instances keep a fresh lease and are left alone
+   */
+  async failInterruptedRuns() {
+    try {
+      const result = await db.query(
+        `UPDATE automation_runs SET status = 'failed', error = 'Interrupted by a restart'
+         WHERE status = 'running'
+         AND COALESCE(heartbeat_at, updated_at) < NOW() - INTERVAL '1 second' * $1`,
+        [this.leaseSeconds]
+      );
+
+      if (result.rowCount > 0) {
+        logger.warn('Interrupted automation runs marked failed', { count: result.rowCount });
+      }
+    } catch (error) {
+      logger.error('Error failing interrupted automation runs', { error: error.message });
+    }
+  }
+
+  /**
+   * Refresh the lease on every run this process is executing
+   */
+  async _heartbeat() {
+    try {
+      await db.query(
+        `UPDATE automation_runs SET heartbeat_at = NOW()
+         WHERE status = 'running' AND claimed_by = $1`,
+        [db.instanceId]
+      );
+    } catch (error) {
+      logger.error('Error refreshing automation run heartbeat', { error: error.message });
+    }
+  }
+
+  /**
+   * Resume due waits and fire time-based rules
+   */
+  async dispatchDue() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let resumed = 0;
+
+    try {
+      let batch;
+      do {
+        batch = await this._resumeBatch();
+        resumed += batch;
+      } while (batch === this.batchSize);
+
+      if (resumed > 0) {
+        logger.info('Automation runs resumed', { count: resumed });
+      }
+
+      await this._dispatchScheduledRules();
+    } catch (error) {
+      logger.error('Error dispatching automation rules', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+
+    return resumed;
+  }
+
+  async _resumeBatch() {
+    const due = await db.query(
+      `UPDATE automation_runs SET status = 'running', claimed_by = $2, heartbeat_at = NOW()
+       WHERE id IN (
+         SELECT id FROM automation_runs
+         WHERE status = 'waiting' AND resume_at <= NOW()
+         ORDER BY resume_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [this.batchSize, db.instanceId]
+    );
+
+    for (const run of due.rows) {
+      // Reload the contact so changes made during the wait (tags, opt-out) count
+      const contact = run.contact_id
+        ? (await db.query('SELECT * FROM contacts WHERE id = $1', [run.contact_id])).rows[0] || null
+        : null;
+
+      await this._continueRun({
+        runId: run.id,
+        ruleId: run.automation_id,
+        organizationId: run.organization_id,
+        clientId: run.client_id,
+        businessHours: await this._businessHours(run.client_id),
+        phone: run.phone_number,
+        contact,
+        message: run.context.message,
+        variables: run.context.variables || {},
+        conversationId: run.context.conversationId,
+        depth: 0,
+        now: new Date()
+      }, run.remaining_actions, run.steps || []);
+    }
+
+    return due.rows.length;
+  }
+
+  /**
+   * Fire each time-based rule once per local day, at or after its time
+   */
+  async _dispatchScheduledRules() {
+    const rules = await db.query(
+      `SELECT * FROM automations WHERE type = 'rule' AND is_active = true AND trigger_type = 'time_based'`
+    );
+
+    for (const rule of rules.rows) {
+      const config = rule.trigger_config || {};
+      const clock = localClock(new Date(), config.timezone || 'UTC');
+
+      if (config.days && !config.days.includes(clock.day)) continue;
+      if (clock.minutes < toMinutes(config.at)) continue;
+
+      // Claim today's run so a second instance doesn't fire it too
+      const claimed = await db.query(
+        `UPDATE automations
+         SET metadata = jsonb_set(COALESCE(metadata, '{}'), '{last_scheduled_date}', to_jsonb($2::text))
+         WHERE id = $1 AND COALESCE(metadata ->> 'last_scheduled_date', '') <> $2
+         RETURNING id`,
+        [rule.id, clock.date]
+      );
+      if (claimed.rows.length === 0) continue;
+
+      try {
+        const segment = await db.query(
+          'SELECT filter_criteria FROM segments WHERE id = $1 AND organization_id = $2',
+          [config.segmentId, rule.organization_id]
+        );
+        if (segment.rows.length === 0) {
+          logger.warn('Time-based rule segment not found', { ruleId: rule.id, segmentId: config.segmentId });
+          continue;
+        }
+
+        const params = [];
+        const where = SegmentManager.buildWhere(rule.organization_id, segment.rows[0].filter_criteria, params);
+        const contacts = await db.query(
+          `SELECT c.* FROM contacts c WHERE ${where} AND c.do_not_contact = FALSE
+           ORDER BY c.created_at ASC LIMIT ${MAX_SCHEDULED_CONTACTS}`,
+          params
+        );
+
+        for (const contact of contacts.rows) {
+          await this._runRules([rule], { organizationId: rule.organization_id, phone: contact.phone_number, contact });
+        }
+
+        logger.info('Time-based rule fired', { ruleId: rule.id, contacts: contacts.rows.length });
+      } catch (error) {
+        logger.error('Error firing time-based rule', { ruleId: rule.id, error: error.message });
+      }
+    }
+  }
+}
+
+module.exports = RuleEngine;
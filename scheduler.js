@@ -0,0 +1,332 @@
+// ================================================
+// SCHEDULED MESSAGES
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+/**
+ * Check that a timezone is a valid IANA zone name
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Offset in milliseconds between a timezone's wall clock and UTC at a given instant
+ */
+function getTimezoneOffset(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(({ type, value }) => { values[type] = parseInt(value, 10); });
+
+  const wallClock = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return wallClock - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Convert a send time to an absolute Date
+ * Times with an explicit offset (or Z) are used as-is; bare local times
+ * such as "2024-05-01T09:00" are interpreted in the given timezone
+ */
+function resolveSendAt(sendAt, timezone = 'UTC') {
+  if (sendAt instanceof Date) {
+    return sendAt;
+  }
+
+  if (typeof sendAt !== 'string') {
+    throw new Error('sendAt must be an ISO 8601 date string');
+  }
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(sendAt)) {
+    const date = new Date(sendAt);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid sendAt');
+    }
+    return date;
+  }
+
+  const match = sendAt.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) {
+    throw new Error('Invalid sendAt');
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+
+  // Apply the zone offset, then correct once more in case the guess crossed a DST change
+  let utc = wallClock - getTimezoneOffset(new Date(wallClock), timezone);
+  utc = wallClock - getTimezoneOffset(new Date(utc), timezone);
+
+  return new Date(utc);
+}
+
+class MessageScheduler {
+  constructor(messageQueue, options = {}) {
+    this.messageQueue = messageQueue;
+    this.pollIntervalMs = options.pollIntervalMs || 15000;
+    this.batchSize = options.batchSize || 50;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ================================================
+  // SCHEDULING API
+  // ================================================
+
+  /**
+   * Resolve a send time given in a client's timezone to an absolute Date
+   */
+  resolveSendAt(sendAt, timezone = 'UTC') {
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+    return resolveSendAt(sendAt, timezone);
+  }
+
+  /**
+   * Schedule a message for a future send time
+   */
+  async scheduleMessage(clientId, { to, body, type, mediaUrl, mediaType, sendAt, timezone = 'UTC', source = 'api', metadata = {} }) {
+    try {
+      if (!to || (!body && !mediaUrl)) {
+        throw new Error('Recipient and message/media required');
+      }
+
+      if (!isValidTimezone(timezone)) {
+        throw new Error(`Invalid timezone: ${timezone}`);
+      }
+
+      const sendAtDate = resolveSendAt(sendAt, timezone);
+      if (sendAtDate.getTime() <= Date.now()) {
+        throw new Error('sendAt must be in the future');
+      }
+
+      const result = await db.query(
+        `INSERT INTO scheduled_messages
+         (client_id, recipient, message_body, message_type, media_url, media_type, send_at, timezone, source, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          clientId,
+          to,
+          body || null,
+          type || (mediaUrl ? 'image' : 'text'),
+          mediaUrl || null,
+          mediaType || null,
+          sendAtDate,
+          timezone,
+          source,
+          JSON.stringify(metadata)
+        ]
+      );
+
+      logger.info('Message scheduled', {
+        clientId,
+        scheduledId: result.rows[0].id,
+        sendAt: sendAtDate.toISOString(),
+        source
+      });
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error scheduling message', { clientId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List scheduled messages for a client
+   */
+  async getScheduledMessages(clientId, { status, limit = 50, offset = 0 } = {}) {
+    let query = 'SELECT * FROM scheduled_messages WHERE client_id = $1';
+    const params = [clientId];
+
+    if (status) {
+      params.push(status);
+      query += ` AND status = $${params.length}`;
+    }
+
+    params.push(limit, offset);
+    query += ` ORDER BY send_at ASC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Get a single scheduled message
+   */
+  async getScheduledMessage(clientId, scheduledId) {
+    const result = await db.query(
+      'SELECT * FROM scheduled_messages WHERE id = $1 AND client_id = $2',
+      [scheduledId, clientId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Move a scheduled message to a new send time (only while still scheduled)
+   */
+  async reschedule(clientId, scheduledId, sendAt, timezone = null) {
+    try {
+      const existing = await this.getScheduledMessage(clientId, scheduledId);
+      if (!existing) {
+        return null;
+      }
+
+      const zone = timezone || existing.timezone;
+      if (!isValidTimezone(zone)) {
+        throw new Error(`Invalid timezone: ${zone}`);
+      }
+
+      const sendAtDate = resolveSendAt(sendAt, zone);
+      if (sendAtDate.getTime() <= Date.now()) {
+        throw new Error('sendAt must be in the future');
+      }
+
+      const result = await db.query(
+        `UPDATE scheduled_messages SET send_at = $3, timezone = $4
+         WHERE id = $1 AND client_id = $2 AND status = 'scheduled'
+         RETURNING *`,
+        [scheduledId, clientId, sendAtDate, zone]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Cannot reschedule a message that is ${existing.status}`);
+      }
+
+      logger.info('Scheduled message rescheduled', { clientId, scheduledId, sendAt: sendAtDate.toISOString() });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error rescheduling message', { clientId, scheduledId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a scheduled message (only while still scheduled)
+   */
+  async cancel(clientId, scheduledId) {
+    const existing = await this.getScheduledMessage(clientId, scheduledId);
+    if (!existing) {
+      return null;
+    }
+
+    const result = await db.query(
+      `UPDATE scheduled_messages SET status = 'cancelled'
+       WHERE id = $1 AND client_id = $2 AND status = 'scheduled'
+       RETURNING *`,
+      [scheduledId, clientId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Cannot cancel a message that is ${existing.status}`);
+    }
+
+    logger.info('Scheduled message cancelled', { clientId, scheduledId });
+    return result.rows[0];
+  }
+
+  // ================================================
+  // DISPATCH
+  // ================================================
+
+  /**
+   * Start polling for due messages
+   * Due rows live in Postgres, so anything that came due while the
+   * service was down is picked up on the first poll after a restart
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.dispatchDue(), this.pollIntervalMs);
+    logger.info('Message scheduler started', { pollIntervalMs: this.pollIntervalMs });
+    this.dispatchDue();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Hand every due scheduled message to the outbound queue
+   */
+  async dispatchDue() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let dispatched = 0;
+
+    try {
+      let batch;
+      do {
+        batch = await db.transaction(client => this._dispatchBatch(client));
+        dispatched += batch;
+      } while (batch === this.batchSize);
+
+      if (dispatched > 0) {
+        logger.info('Scheduled messages dispatched', { count: dispatched });
+      }
+    } catch (error) {
+      logger.error('Error dispatching scheduled messages', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+
+    return dispatched;
+  }
+
+  /**
+   * Claim one batch of due rows and enqueue them in the same transaction
+   */
+  async _dispatchBatch(client) {
+    const due = await client.query(
+      `SELECT * FROM scheduled_messages
+       WHERE status = 'scheduled' AND send_at <= NOW()
+       ORDER BY send_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [this.batchSize]
+    );
+
+    for (const row of due.rows) {
+      const queued = await this.messageQueue.enqueue(row.client_id, {
+        to: row.recipient,
+        body: row.message_body,
+        type: row.message_type,
+        mediaUrl: row.media_url,
+        mediaType: row.media_type,
+        metadata: { ...row.metadata, scheduledMessageId: row.id }
+      }, client);
+
+      await client.query(
+        `UPDATE scheduled_messages SET status = 'queued', message_id = $2 WHERE id = $1`,
+        [row.id, queued.id]
+      );
+    }
+
+    return due.rows.length;
+  }
+}
+
+module.exports = MessageScheduler;
@@ -0,0 +1,405 @@
+// ================================================
+// CONTACT SEGMENTS
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+
+/*
+ * Filter language (stored in segments.filter_criteria)
+ *
+ *   { "all": [ <filter>, ... ] }     every filter matches
+ *   { "any": [ <filter>, ... ] }     at least one filter matches
+ *   { "not": <filter> }              filter does not match
+ *   { "field": "...", "op": "...", "value": ... }
+ *
+ * Fields and operators:
+ *   name, email, phone_number           eq, neq, contains, starts_with, in, exists, not_exists
+ *   tags                                has, not_has, has_any, has_all, empty
+ *   custom_fields.<key>                 eq, neq, contains, in, gt, gte, lt, lte, exists, not_exists
+ *   message_count                       eq, neq, gt, gte, lt, lte, between
+ *   last_contacted_at, first_contact_at,
+ *   created_at                          before, after, within_days, older_than_days, exists, not_exists
+ *   do_not_contact                      eq
+ *
+ * Example: VIPs who haven't messaged in 30 days
+ *   { "all": [
+ *       { "field": "tags", "op": "has", "value": "vip" },
+ *       { "field": "last_contacted_at", "op": "older_than_days", "value": 30 }
+ *   ] }
+ */
+
+const TEXT_FIELDS = ['name', 'email', 'phone_number'];
+const DATE_FIELDS = ['last_contacted_at', 'first_contact_at', 'created_at'];
+const CUSTOM_FIELD_KEY = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+class SegmentManager {
+  // ================================================
+  // FILTER COMPILATION
+  // ================================================
+
+  /**
+   * Compile a filter to a SQL condition over contacts aliased as `c`
+   * Values are appended to params; field names only ever come from the whitelists above
+   */
+  static compileFilter(filter, params) {
+    const state = { conditions: 0 };
+    return SegmentManager._compileNode(SegmentManager.normalizeFilter(filter), params, 0, state);
+  }
+
+  /**
+   * Accept the legacy { tags: [...] } shape and an empty filter (matches every contact)
+   */
+  static normalizeFilter(filter) {
+    if (!filter || (typeof filter === 'object' && Object.keys(filter).length === 0)) {
+      return { all: [] };
+    }
+    if (Array.isArray(filter.tags) && !filter.field && !filter.all && !filter.any && !filter.not) {
+      return { field: 'tags', op: 'has_any', value: filter.tags };
+    }
+    return filter;
+  }
+
+  /**
+   * Throw with a descriptive message if a filter cannot be compiled
+   */
+  static validateFilter(filter) {
+    SegmentManager.compileFilter(filter, []);
+  }
+
+  static _compileNode(node, params, depth, state) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw new Error('Segment filter must be an object');
+    }
+    if (depth > MAX_DEPTH) {
+      throw new Error(`Segment filter is nested more than ${MAX_DEPTH} levels`);
+    }
+
+    if (node.all || node.any) {
+      const children = node.all || node.any;
+      if (!Array.isArray(children)) {
+        throw new Error('"all" and "any" must be arrays');
+      }
+      if (children.length === 0) {
+        return node.all ? 'TRUE' : 'FALSE';
+      }
+      const joined = children
+        .map(child => SegmentManager._compileNode(child, params, depth + 1, state))
+        .join(node.all ? ' AND ' : ' OR ');
+      return `(${joined})`;
+    }
+
+    if (node.not) {
+      return `NOT (${SegmentManager._compileNode(node.not, params, depth + 1, state)})`;
+    }
+
+    if (++state.conditions > MAX_CONDITIONS) {
+      throw new Error(`Segment filter has more than ${MAX_CONDITIONS} conditions`);
+    }
+
+    return SegmentManager._compileCondition(node, params);
+  }
+
+  static _compileCondition({ field, op, value }, params) {
+    const param = (val) => {
+      params.push(val);
+      return `$${params.length}`;
+    };
+    const unsupported = () => new Error(`Operator "${op}" is not supported for field "${field}"`);
+
+    if (typeof field !== 'string') {
+      throw new Error('Segment condition requires a field');
+    }
+
+    if (TEXT_FIELDS.includes(field)) {
+      const column = `c.${field}`;
+      switch (op) {
+        case 'eq': return `${column} = ${param(String(value))}`;
+        case 'neq': return `${column} IS DISTINCT FROM ${param(String(value))}`;
+        case 'contains': return `${column} ILIKE ${param(`%${value}%`)}`;
+        case 'starts_with': return `${column} ILIKE ${param(`${value}%`)}`;
+        case 'in': return `${column} = ANY(${param(SegmentManager._array(value, field))}::text[])`;
+        case 'exists': return `COALESCE(${column}, '') <> ''`;
+        case 'not_exists': return `COALESCE(${column}, '') = ''`;
+        default: throw unsupported();
+      }
+    }
+
+    if (field === 'tags') {
+      switch (op) {
+        case 'has': return `c.tags ? ${param(String(value))}`;
+        case 'not_has': return `NOT (COALESCE(c.tags, '[]'::jsonb) ? ${param(String(value))})`;
+        case 'has_any': return `c.tags ?| ${param(SegmentManager._array(value, field))}::text[]`;
+        case 'has_all': return `c.tags @> ${param(JSON.stringify(SegmentManager._array(value, field)))}::jsonb`;
+        case 'empty': return `COALESCE(jsonb_array_length(c.tags), 0) = 0`;
+        default: throw unsupported();
+      }
+    }
+
+    if (field.startsWith('custom_fields.')) {
+      const key = field.slice('custom_fields.'.length);
+      if (!CUSTOM_FIELD_KEY.test(key)) {
+        throw new Error(`Invalid custom field name: ${key}`);
+      }
+      const column = `(c.custom_fields ->> ${param(key)})`;
+      // Non-numeric values compare as NULL instead of failing the whole query
+      const numeric = `(CASE WHEN ${column} ~ '^-?[0-9]+(\\.[0-9]+)?$' THEN ${column}::numeric END)`;
+
+      switch (op) {
+        case 'eq': return `${column} = ${param(String(value))}`;
+        case 'neq': return `${column} IS DISTINCT FROM ${param(String(value))}`;
+        case 'contains': return `${column} ILIKE ${param(`%${value}%`)}`;
+        case 'in': return `${column} = ANY(${param(SegmentManager._array(value, field).map(String))}::text[])`;
+        case 'gt': return `${numeric} > ${param(SegmentManager._number(value, field))}`;
+        case 'gte': return `${numeric} >= ${param(SegmentManager._number(value, field))}`;
+        case 'lt': return `${numeric} < ${param(SegmentManager._number(value, field))}`;
+        case 'lte': return `${numeric} <= ${param(SegmentManager._number(value, field))}`;
+        case 'exists': return `COALESCE(${column}, '') <> ''`;
+        case 'not_exists': return `COALESCE(${column}, '') = ''`;
+        default: throw unsupported();
+      }
+    }
+
+    if (field === 'message_count') {
+      const column = 'COALESCE(c.message_count, 0)';
+      switch (op) {
+        case 'eq': return `${column} = ${param(SegmentManager._number(value, field))}`;
+        case 'neq': return `${column} <> ${param(SegmentManager._number(value, field))}`;
+        case 'gt': return `${column} > ${param(SegmentManager._number(value, field))}`;
+        case 'gte': return `${column} >= ${param(SegmentManager._number(value, field))}`;
+        case 'lt': return `${column} < ${param(SegmentManager._number(value, field))}`;
+        case 'lte': return `${column} <= ${param(SegmentManager._number(value, field))}`;
+        case 'between': {
+          if (!Array.isArray(value) || value.length !== 2) {
+            throw new Error('message_count between requires [min, max]');
+          }
+          return `${column} BETWEEN ${param(SegmentManager._number(value[0], field))} AND ${param(SegmentManager._number(value[1], field))}`;
+        }
+        default: throw unsupported();
+      }
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+      const column = `c.${field}`;
+      switch (op) {
+        case 'before': return `${column} < ${param(SegmentManager._date(value, field))}`;
+        case 'after': return `${column} > ${param(SegmentManager._date(value, field))}`;
+        case 'within_days': return `${column} >= NOW() - INTERVAL '1 day' * ${param(SegmentManager._number(value, field))}`;
+        // Contacts never active count as inactive
+        case 'older_than_days': return `(${column} IS NULL OR ${column} < NOW() - INTERVAL '1 day' * ${param(SegmentManager._number(value, field))})`;
+        case 'exists': return `${column} IS NOT NULL`;
+        case 'not_exists': return `${column} IS NULL`;
+        default: throw unsupported();
+      }
+    }
+
+    if (field === 'do_not_contact') {
+      if (op !== 'eq' || typeof value !== 'boolean') {
+        throw new Error('do_not_contact supports only eq with a boolean value');
+      }
+      return `COALESCE(c.do_not_contact, FALSE) = ${param(value)}`;
+    }
+
+    throw new Error(`Unknown segment field: ${field}`);
+  }
+
+  static _array(value, field) {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error(`${field} requires a non-empty array value`);
+    }
+    return value;
+  }
+
+  static _number(value, field) {
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) {
+      throw new Error(`${field} requires a numeric value`);
+    }
+    return number;
+  }
+
+  static _date(value, field) {
+    const date = new Date(value);
+    if (typeof value !== 'string' || isNaN(date.getTime())) {
+      throw new Error(`${field} requires an ISO 8601 date`);
+    }
+    return date;
+  }
+
+  /**
+   * WHERE clause selecting an organization's contacts that match a filter
+   * Params start with the organization id at $1
+   */
+  static buildWhere(organizationId, filter, params = []) {
+    params.push(organizationId);
+    const orgParam = `$${params.length}`;
+    return `c.organization_id = ${orgParam} AND ${SegmentManager.compileFilter(filter, params)}`;
+  }
+
+  // ================================================
+  // SEGMENTS
+  // ================================================
+
+  /**
+   * List an organization's segments, optionally with live member counts
+   */
+  async listSegments(organizationId, { withCounts = false } = {}) {
+    const result = await db.query(
+      'SELECT * FROM segments WHERE organization_id = $1 ORDER BY created_at DESC',
+      [organizationId]
+    );
+
+    if (!withCounts) {
+      return result.rows;
+    }
+
+    return Promise.all(result.rows.map(async segment => ({
+      ...segment,
+      ...(await this.getSegmentStats(organizationId, segment.filter_criteria))
+    })));
+  }
+
+  /**
+   * Get a segment by id
+   */
+  async getSegment(organizationId, segmentId) {
+    const result = await db.query(
+      'SELECT * FROM segments WHERE id = $1 AND organization_id = $2',
+      [segmentId, organizationId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a segment; the filter is validated before it is stored
+   */
+  async createSegment(organizationId, userId, { name, description, filter_criteria: filterCriteria }) {
+    try {
+      if (!name) {
+        throw new Error('Segment name required');
+      }
+      SegmentManager.validateFilter(filterCriteria);
+
+      const result = await db.query(
+        `INSERT INTO segments (organization_id, name, description, filter_criteria, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [organizationId, db.sanitizeString(name), description || null, JSON.stringify(filterCriteria || {}), userId || null]
+      );
+
+      logger.info('Segment created', { organizationId, segmentId: result.rows[0].id });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error creating segment', { organizationId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a segment's name, description or filter
+   */
+  async updateSegment(organizationId, segmentId, { name, description, filter_criteria: filterCriteria }) {
+    try {
+      if (filterCriteria !== undefined) {
+        SegmentManager.validateFilter(filterCriteria);
+      }
+
+      const result = await db.query(
+        `UPDATE segments SET
+           name = COALESCE($3, name),
+           description = COALESCE($4, description),
+           filter_criteria = COALESCE($5, filter_criteria),
+           updated_at = NOW()
+         WHERE id = $1 AND organization_id = $2
+         RETURNING *`,
+        [
+          segmentId,
+          organizationId,
+          name ? db.sanitizeString(name) : null,
+          description === undefined ? null : description,
+          filterCriteria === undefined ? null : JSON.stringify(filterCriteria)
+        ]
+      );
+
+      if (result.rows.length > 0) {
+        logger.info('Segment updated', { organizationId, segmentId });
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating segment', { organizationId, segmentId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a segment
+   */
+  async deleteSegment(organizationId, segmentId) {
+    const result = await db.query(
+      'DELETE FROM segments WHERE id = $1 AND organization_id = $2',
+      [segmentId, organizationId]
+    );
+
+    if (result.rowCount > 0) {
+      logger.info('Segment deleted', { organizationId, segmentId });
+    }
+
+    return result.rowCount > 0;
+  }
+
+  // ================================================
+  // EVALUATION
+  // ================================================
+
+  /**
+   * Member count and average message count for a filter
+   */
+  async getSegmentStats(organizationId, filter) {
+    const params = [];
+    const where = SegmentManager.buildWhere(organizationId, filter, params);
+
+    const result = await db.query(
+      `SELECT COUNT(*) AS contact_count, COALESCE(AVG(c.message_count), 0) AS avg_messages
+       FROM contacts c WHERE ${where}`,
+      params
+    );
+
+    return {
+      contact_count: parseInt(result.rows[0].contact_count),
+      avg_messages: parseFloat(result.rows[0].avg_messages)
+    };
+  }
+
+  /**
+   * Contacts matching a filter, with the total count
+   */
+  async getMembers(organizationId, filter, { limit = 50, offset = 0 } = {}) {
+    try {
+      const params = [];
+      const where = SegmentManager.buildWhere(organizationId, filter, params);
+
+      const countResult = await db.query(`SELECT COUNT(*) AS count FROM contacts c WHERE ${where}`, params);
+
+      const result = await db.query(
+        `SELECT c.* FROM contacts c WHERE ${where}
+         ORDER BY c.updated_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        contacts: result.rows,
+        total: parseInt(countResult.rows[0].count)
+      };
+    } catch (error) {
+      logger.error('Error evaluating segment', { organizationId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = SegmentManager;
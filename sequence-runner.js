@@ -0,0 +1,391 @@
+// ================================================
+// DRIP SEQUENCES
+// ================================================
+
+const logger = require('./logger');
+const db = require('./db');
+const { campaignTemplates } = require('./automations');
+
+// Variables filled from the contact record rather than the enrollment
+const CONTACT_VARIABLES = ['name', 'phone'];
+
+class SequenceRunner {
+  constructor(messageQueue, options = {}) {
+    this.messageQueue = messageQueue;
+    this.sequences = options.sequences || campaignTemplates;
+    this.pollIntervalMs = options.pollIntervalMs || 30000;
+    this.batchSize = options.batchSize || 50;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ================================================
+  // SEQUENCES
+  // ================================================
+
+  /**
+   * List available sequences with their steps
+   */
+  getSequences() {
+    return Object.entries(this.sequences).map(([id, sequence]) => ({
+      id,
+      name: sequence.name,
+      description: sequence.description,
+      steps: sequence.messages.map((step, index) => ({
+        step: index,
+        delay: step.delay,
+        message: step.message
+      })),
+      variables: this.getSequenceVariables(sequence)
+    }));
+  }
+
+  /**
+   * Placeholders used across a sequence's steps
+   */
+  getSequenceVariables(sequence) {
+    const variables = new Set();
+    sequence.messages.forEach(step => {
+      (step.message.match(/{(\w+)}/g) || []).forEach(match => variables.add(match.slice(1, -1)));
+    });
+    return Array.from(variables);
+  }
+
+  // ================================================
+  // ENROLLMENT
+  // ================================================
+
+  /**
+   * Enroll a contact in a sequence; step 0 is due `delay` after enrollment
+   * Step delays are measured from the enrollment time, not from the previous step
+   */
+  async enroll(clientId, sequenceId, { to, contactId, variables = {} }) {
+    try {
+      const sequence = this.sequences[sequenceId];
+      if (!sequence) {
+        throw new Error(`Sequence ${sequenceId} not found`);
+      }
+
+      const missing = this.getSequenceVariables(sequence)
+        .filter(variable => !CONTACT_VARIABLES.includes(variable) && variables[variable] === undefined);
+      if (missing.length > 0) {
+        throw new Error(`Missing sequence variables: ${missing.join(', ')}`);
+      }
+
+      const client = await db.query(
+        'SELECT id, organization_id FROM whatsapp_clients WHERE id = $1',
+        [clientId]
+      );
+      if (client.rows.length === 0) {
+        throw new Error('Client not found');
+      }
+      const organizationId = client.rows[0].organization_id;
+
+      return await db.transaction(async (tx) => {
+        let contact;
+        if (contactId) {
+          contact = await tx.query(
+            'SELECT id, do_not_contact FROM contacts WHERE id = $1 AND organization_id = $2',
+            [contactId, organizationId]
+          );
+        } else if (to) {
+          contact = await tx.query(
+            `INSERT INTO contacts (organization_id, phone_number, first_contact_at)
+             VALUES ($1, $2, NOW())
+             ON CONFLICT (organization_id, phone_number) DO UPDATE SET updated_at = NOW()
+             RETURNING id, do_not_contact`,
+            [organizationId, to]
+          );
+        } else {
+          throw new Error('Phone number or contactId required');
+        }
+
+        if (contact.rows.length === 0) {
+          throw new Error('Contact not found');
+        }
+        if (contact.rows[0].do_not_contact) {
+          throw new Error('Contact has opted out');
+        }
+
+        const result = await tx.query(
+          `INSERT INTO sequence_enrollments
+           (organization_id, client_id, contact_id, sequence_id, variables, next_step_at)
+           VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '1 millisecond' * $6)
+           ON CONFLICT (sequence_id, contact_id) WHERE status = 'active' DO NOTHING
+           RETURNING *`,
+          [organizationId, clientId, contact.rows[0].id, sequenceId, JSON.stringify(variables), sequence.messages[0].delay]
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Contact is already enrolled in this sequence');
+        }
+
+        logger.info('Contact enrolled in sequence', {
+          clientId,
+          sequenceId,
+          contactId: contact.rows[0].id,
+          enrollmentId: result.rows[0].id
+        });
+
+        return result.rows[0];
+      });
+    } catch (error) {
+      logger.error('Error enrolling contact in sequence', { clientId, sequenceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get enrollments for a client, optionally for one contact (by id or phone)
+   */
+  async getEnrollments(clientId, { contactId, phone, sequenceId, status, limit = 50, offset = 0 } = {}) {
+    const params = [clientId];
+    let query = `SELECT e.*, c.phone_number, c.name AS contact_name
+       FROM sequence_enrollments e JOIN contacts c ON c.id = e.contact_id
+       WHERE e.client_id = $1`;
+
+    if (contactId) {
+      params.push(contactId);
+      query += ` AND e.contact_id = $${params.length}`;
+    }
+    if (phone) {
+      params.push(phone);
+      query += ` AND c.phone_number = $${params.length}`;
+    }
+    if (sequenceId) {
+      params.push(sequenceId);
+      query += ` AND e.sequence_id = $${params.length}`;
+    }
+    if (status) {
+      params.push(status);
+      query += ` AND e.status = $${params.length}`;
+    }
+
+    params.push(limit, offset);
+    query += ` ORDER BY e.enrolled_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await db.query(query, params);
+    return result.rows.map(row => this.formatEnrollment(row));
+  }
+
+  /**
+   * Shape an enrollment row with step progress
+   */
+  formatEnrollment(row) {
+    const sequence = this.sequences[row.sequence_id];
+    return {
+      ...row,
+      total_steps: sequence ? sequence.messages.length : null,
+      steps_sent: row.current_step
+    };
+  }
+
+  /**
+   * Stop a contact's active enrollments; status is replied, opted_out or cancelled
+   */
+  async stopEnrollments(clientId, contactId, status, enrollmentId = null) {
+    const params = [clientId, contactId, status];
+    let query = `UPDATE sequence_enrollments
+       SET status = $3, stop_reason = $3, stopped_at = NOW(), next_step_at = NULL
+       WHERE client_id = $1 AND contact_id = $2 AND status = 'active'`;
+
+    if (enrollmentId) {
+      params.push(enrollmentId);
+      query += ` AND id = $${params.length}`;
+    }
+
+    const result = await db.query(query + ' RETURNING id, sequence_id', params);
+
+    if (result.rowCount > 0) {
+      logger.info('Sequence enrollments stopped', { clientId, contactId, status, count: result.rowCount });
+    }
+
+    return result.rows;
+  }
+
+  /**
+   * Cancel a single enrollment
+   */
+  async cancelEnrollment(clientId, enrollmentId) {
+    const result = await db.query(
+      'SELECT contact_id, status FROM sequence_enrollments WHERE id = $1 AND client_id = $2',
+      [enrollmentId, clientId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+    if (result.rows[0].status !== 'active') {
+      throw new Error(`Cannot cancel an enrollment that is ${result.rows[0].status}`);
+    }
+
+    await this.stopEnrollments(clientId, result.rows[0].contact_id, 'cancelled', enrollmentId);
+    return (await this.getEnrollments(clientId, { contactId: result.rows[0].contact_id }))
+      .find(enrollment => enrollment.id === enrollmentId);
+  }
+
+  /**
+   * Stop every active sequence for the sender of an inbound message
+   */
+  async handleInboundMessage(clientId, from) {
+    try {
+      const result = await db.query(
+        `UPDATE sequence_enrollments e
+         SET status = 'replied', stop_reason = 'replied', stopped_at = NOW(), next_step_at = NULL
+         FROM contacts c
+         WHERE c.id = e.contact_id AND e.client_id = $1 AND c.phone_number = $2 AND e.status = 'active'
+         RETURNING e.id, e.sequence_id`,
+        [clientId, from]
+      );
+
+      if (result.rowCount > 0) {
+        logger.info('Sequences stopped by reply', { clientId, from, count: result.rowCount });
+      }
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Error stopping sequences on reply', { clientId, error: error.message });
+      return [];
+    }
+  }
+
+  // ================================================
+  // STEP DISPATCH
+  // ================================================
+
+  /**
+   * Start polling for due steps (enrollments are in Postgres, so restarts resume them)
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.dispatchDue(), this.pollIntervalMs);
+    logger.info('Sequence runner started', { pollIntervalMs: this.pollIntervalMs });
+    this.dispatchDue();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue every due step
+   */
+  async dispatchDue() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let dispatched = 0;
+
+    try {
+      let batch;
+      do {
+        batch = await db.transaction(client => this._dispatchBatch(client));
+        dispatched += batch;
+      } while (batch === this.batchSize);
+
+      if (dispatched > 0) {
+        logger.info('Sequence steps dispatched', { count: dispatched });
+      }
+    } catch (error) {
+      logger.error('Error dispatching sequence steps', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+
+    return dispatched;
+  }
+
+  /**
+   * Claim due enrollments, enqueue their current step and advance them
+   */
+  async _dispatchBatch(client) {
+    const due = await client.query(
+      `SELECT e.*, c.phone_number, c.name AS contact_name, c.do_not_contact
+       FROM sequence_enrollments e JOIN contacts c ON c.id = e.contact_id
+       WHERE e.status = 'active' AND e.next_step_at <= NOW()
+       ORDER BY e.next_step_at ASC
+       LIMIT $1
+       FOR UPDATE OF e SKIP LOCKED`,
+      [this.batchSize]
+    );
+
+    for (const enrollment of due.rows) {
+      const sequence = this.sequences[enrollment.sequence_id];
+
+      if (!sequence) {
+        await client.query(
+          `UPDATE sequence_enrollments SET status = 'cancelled', stop_reason = 'sequence_removed',
+             stopped_at = NOW(), next_step_at = NULL
+           WHERE id = $1`,
+          [enrollment.id]
+        );
+        continue;
+      }
+
+      if (enrollment.do_not_contact) {
+        await client.query(
+          `UPDATE sequence_enrollments SET status = 'opted_out', stop_reason = 'opted_out',
+             stopped_at = NOW(), next_step_at = NULL
+           WHERE id = $1`,
+          [enrollment.id]
+        );
+        continue;
+      }
+
+      const step = sequence.messages[enrollment.current_step];
+      const body = this.renderStep(step.message, {
+        name: enrollment.contact_name || '',
+        phone: enrollment.phone_number.split('@')[0],
+        ...enrollment.variables
+      });
+
+      const queued = await this.messageQueue.enqueue(enrollment.client_id, {
+        to: enrollment.phone_number,
+        body,
+        metadata: {
+          sequenceId: enrollment.sequence_id,
+          enrollmentId: enrollment.id,
+          step: enrollment.current_step
+        }
+      }, client);
+
+      const nextStep = sequence.messages[enrollment.current_step + 1];
+
+      if (nextStep) {
+        await client.query(
+          `UPDATE sequence_enrollments
+           SET current_step = current_step + 1, last_step_sent_at = NOW(), last_message_id = $2,
+             next_step_at = enrolled_at + INTERVAL '1 millisecond' * $3
+           WHERE id = $1`,
+          [enrollment.id, queued.id, nextStep.delay]
+        );
+      } else {
+        await client.query(
+          `UPDATE sequence_enrollments
+           SET current_step = current_step + 1, last_step_sent_at = NOW(), last_message_id = $2,
+             status = 'completed', stopped_at = NOW(), next_step_at = NULL
+           WHERE id = $1`,
+          [enrollment.id, queued.id]
+        );
+      }
+    }
+
+    return due.rows.length;
+  }
+
+  /**
+   * Fill {placeholders} in a step message
+   */
+  renderStep(message, variables) {
+    return Object.entries(variables).reduce(
+      (text, [key, value]) => text.replace(new RegExp(`{${key}}`, 'g'), value),
+      message
+    );
+  }
+}
+
+module.exports = SequenceRunner;
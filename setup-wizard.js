@@ -180,15 +180,13 @@ class SetupWizard {
       const recommendedAutomations = this.getRecommendedAutomations(session.businessType);
 
       for (const automationId of recommendedAutomations) {
-        try {
-          this.automationMarketplace.activateAutomation(session.clientId, automationId);
-        } catch (error) {
+        this.automationMarketplace.activateAutomation(session.clientId, automationId).catch(error => {
           this.logger.error('Failed to activate recommended automation', {
             clientId: session.clientId,
             automationId,
             error: error.message
           });
-        }
+        });
       }
 
       session.step = 'test_message';
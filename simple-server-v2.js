@@ -10,12 +10,17 @@
  * - Webhook System (webhook-manager.js)
  * - Team Management (team-manager.js)
  * - Analytics Engine (analytics-manager.js)
+ * - Outbound Message Queue (message-queue.js)
+ * - Delivery & Read Receipts (delivery-tracker.js)
+ * - Scheduled Messages & Reminders (scheduler.js)
+ * - Drip Sequences (sequence-runner.js)
+ * - Contacts (contact-manager.js)
  * - Structured Logging (logger.js)
  */
 
 require('dotenv').config();
 const express = require('express');
-const { Client, LocalAuth, MessageMedia, Events } = require('whatsapp-web.js');
+const { Client, LocalAuth, Events } = require('whatsapp-web.js');
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
@@ -34,6 +39,20 @@ const MediaManager = require('./media-manager');
 const WebhookManager = require('./webhook-manager');
 const TeamManager = require('./team-manager');
 const AnalyticsManager = require('./analytics-manager');
+const MessageQueue = require('./message-queue');
+const DeliveryTracker = require('./delivery-tracker');
+const MessageScheduler = require('./scheduler');
+const SequenceRunner = require('./sequence-runner');
+const ContactManager = require('./contact-manager');
+const ContactImporter = require('./contact-importer');
+const SegmentManager = require('./segment-manager');
+const OptOutManager = require('./opt-out-manager');
+const ConversationManager = require('./conversation-manager');
+const AssignmentManager = require('./assignment-manager');
+const RuleEngine = require('./rule-engine');
+const FlowEngine = require('./flow-engine');
+const BusinessHoursManager = require('./business-hours');
+const { AutomationMarketplace } = require('./automations');
 
 // ============================================================================
 // INITIALIZATION
@@ -49,6 +68,20 @@ let mediaManager;
 let webhookManager;
 let teamManager;
 let analyticsManager;
+let messageQueue;
+let deliveryTracker;
+let messageScheduler;
+let sequenceRunner;
+let contactManager;
+let contactImporter;
+let segmentManager;
+let optOutManager;
+let conversationManager;
+let assignmentManager;
+let ruleEngine;
+let flowEngine;
+let businessHoursManager;
+let automationMarketplace;
 
 // Store active WhatsApp clients
 const clients = new Map();
@@ -140,6 +173,278 @@ const checkOrgAccess = async (req, res, next) => {
   }
 };
 
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check the :clientId in the path is a client of the caller's organization
+ * Other organizations' clients get the same 404 as unknown ones
+ */
+const checkClientAccess = async (req, res, next) => {
+  try {
+    const { clientId } = req.params;
+    const result = UUID.test(clientId) ? await db.query(
+      'SELECT id, organization_id FROM whatsapp_clients WHERE id = $1 AND organization_id = $2',
+      [clientId, req.user.organizationId]
+    ) : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    req.client = result.rows[0];
+    next();
+  } catch (error) {
+    logger.error('Client access check failed:', error);
+    res.status(500).json({ error: 'Authorization error' });
+  }
+};
+
+// ============================================================================
+// OUTBOUND QUEUE WORKERS
+// ============================================================================
+
+/**
+ * Normalize a phone number or chat id to a WhatsApp chat id; null if it isn't one
+ * Group ids are kept as they are
+ */
+function toChatId(to) {
+  if (typeof to === 'string' && /^\d+(-\d+)?@g\.us$/.test(to.trim())) {
+    return to.trim();
+  }
+  return db.normalizePhone(to);
+}
+
+/**
+ * Contact phone number for a chat id; null for groups and broadcasts
+ */
+function toContactPhone(chatId) {
+  return chatId && chatId.endsWith('@c.us') ? db.normalizePhone(chatId) : null;
+}
+
+/**
+ * Store the media of a send request and derive the queued message fields
+ * Returns null when the request carries no media
+ */
+async function prepareOutboundMedia(clientId, organizationId, body) {
+  const { mediaId, mediaUrl, media, mimeType, filename, voice, asDocument } = body;
+  if (!mediaId && !mediaUrl && !media) {
+    return null;
+  }
+
+  const file = await mediaManager.prepareOutboundMedia(clientId, organizationId, {
+    mediaId, mediaUrl, media, mimeType, filename
+  });
+
+  const category = mediaManager.getMediaCategory(file.mime_type);
+  if (voice && category !== 'audio') {
+    throw new Error('Voice notes must be audio files');
+  }
+
+  // WhatsApp-ready copies are built now, so the queue worker only reads stored files when it sends
+  if (!asDocument) {
+    await mediaManager.processFile(file.id, { voice: voice === true, thumbnail: false }).catch(() => null);
+  }
+
+  return {
+    fileId: file.id,
+    type: voice ? 'voice' : asDocument ? 'document' : category,
+    mediaUrl: mediaManager.getDownloadPath(file.id),
+    mediaType: file.mime_type,
+    mediaSize: parseInt(file.file_size),
+    filename: file.original_filename
+  };
+}
+
+/**
+ * Webhook view of a received message's stored media
+ */
+function formatInboundMedia(outcome) {
+  if (!outcome) {
+    return null;
+  }
+  if (outcome.status !== 'stored') {
+    return { status: outcome.status, reason: outcome.reason };
+  }
+
+  const signed = mediaManager.createSignedUrl(outcome.file.id);
+  return {
+    status: 'stored',
+    id: outcome.file.id,
+    url: mediaManager.getDownloadPath(outcome.file.id),
+    downloadUrl: signed.url,
+    downloadUrlExpiresAt: signed.expiresAt,
+    mimeType: outcome.file.mimeType,
+    size: outcome.file.size,
+    filename: outcome.file.originalFilename
+  };
+}
+
+/**
+ * Webhook view of a sent message's media
+ */
+function formatOutboundMedia(row) {
+  if (!row.metadata?.fileId) {
+    return null;
+  }
+
+  const signed = mediaManager.createSignedUrl(row.metadata.fileId);
+  return {
+    id: row.metadata.fileId,
+    url: row.media_url,
+    downloadUrl: signed.url,
+    downloadUrlExpiresAt: signed.expiresAt,
+    mimeType: row.media_type,
+    size: row.media_size ? parseInt(row.media_size) : null,
+    filename: row.metadata.filename || null
+  };
+}
+
+/**
+ * Add a signed download URL to stored messages that carry media
+ */
+function withSignedMedia(message) {
+  const signed = mediaManager.signMessageMedia(message);
+  return {
+    ...message,
+    media_download_url: signed ? signed.url : null,
+    media_download_expires_at: signed ? signed.expiresAt : null
+  };
+}
+
+/**
+ * Status for a rejected upload: 413 over the storage quota, 422 when quarantined,
+ * 503 when the scanner couldn't be reached
+ */
+function mediaErrorStatus(error) {
+  if (error.message.startsWith(MediaManager.QUOTA_EXCEEDED_ERROR)) return 413;
+  if (error.message.startsWith(MediaManager.QUARANTINED_ERROR)) return 422;
+  if (error.message.startsWith(MediaManager.SCAN_FAILED_ERROR)) return 503;
+  return 400;
+}
+
+/**
+ * Queue a message with optional stored media, linking the upload to it
+ */
+async function enqueueWithMedia(clientId, message, attachment) {
+  if (!attachment) {
+    return messageQueue.enqueue(clientId, message);
+  }
+
+  return db.transaction(async (client) => {
+    const queued = await messageQueue.enqueue(clientId, {
+      ...message,
+      type: attachment.type,
+      mediaUrl: attachment.mediaUrl,
+      mediaType: attachment.mediaType,
+      mediaSize: attachment.mediaSize,
+      metadata: { ...message.metadata, fileId: attachment.fileId, filename: attachment.filename }
+    }, client);
+
+    await mediaManager.linkToMessage(attachment.fileId, queued.id, client);
+    return queued;
+  });
+}
+
+/**
+ * Start draining a connected client's persistent outbound queue
+ */
+function startQueueWorker(clientId, clientData) {
+  messageQueue.startWorker(clientId, {
+    send: async (row) => {
+      const wrapper = clients.get(clientId);
+      if (!wrapper) {
+        throw new Error('Client not ready');
+      }
+
+      // Replies quote the original message in WhatsApp
+      const options = {};
+      if (row.reply_to_id) {
+        const quoted = await db.query('SELECT message_id FROM messages WHERE id = $1', [row.reply_to_id]);
+        if (quoted.rows[0]?.message_id) {
+          options.quotedMessageId = quoted.rows[0].message_id;
+        }
+      }
+
+      if (row.metadata?.fileId) {
+        const messageMedia = await mediaManager.toMessageMedia(row.metadata.fileId, {
+          voice: row.message_type === 'voice',
+          asDocument: row.message_type === 'document'
+        });
+
+        return wrapper.instance.sendMessage(row.recipient, messageMedia, {
+          ...options,
+          caption: row.message_body || undefined,
+          sendAudioAsVoice: row.message_type === 'voice',
+          sendMediaAsDocument: row.message_type === 'document'
+        });
+      }
+
+      // Media is only sent from a stored, scanned upload; a bare URL is never fetched here
+      if (row.media_url) {
+        throw new Error('Queued media has no stored upload');
+      }
+
+      return wrapper.instance.sendMessage(row.recipient, row.message_body, options);
+    },
+
+    onSent: async (row) => {
+      await analyticsManager.recordMessageMetric(clientId, {
+        direction: 'outbound',
+        status: 'sent'
+      });
+
+      const contactPhone = toContactPhone(row.recipient);
+      if (contactPhone) {
+        await contactManager.recordMessage(clientData.organization_id, contactPhone, 'outbound');
+      }
+
+      await conversationManager.recordMessage({
+        organizationId: clientData.organization_id,
+        clientId,
+        chatId: row.recipient,
+        messageId: row.id,
+        body: row.message_body,
+        type: row.message_type,
+        direction: 'outbound'
+      });
+
+      await webhookManager.triggerEvent(
+        clientData.organization_id,
+        'message_sent',
+        {
+          messageId: row.id,
+          clientId,
+          to: row.recipient,
+          type: row.message_type,
+          media: formatOutboundMedia(row),
+          timestamp: new Date()
+        }
+      );
+    },
+
+    onFailed: async (row, error) => {
+      await analyticsManager.recordMessageMetric(clientId, {
+        direction: 'outbound',
+        status: 'failed'
+      });
+
+      await antiBanManager.detectSuspiciousActivity(clientId, { failureRate: 1 });
+
+      await webhookManager.triggerEvent(
+        clientData.organization_id,
+        'message_failed',
+        {
+          messageId: row.id,
+          clientId,
+          to: row.recipient,
+          error: error.message,
+          timestamp: new Date()
+        }
+      );
+    }
+  });
+}
+
 // ============================================================================
 // HEALTH CHECK
 // ============================================================================
@@ -297,7 +602,7 @@ app.post('/api/clients', verifyApiKey, checkOrgAccess, async (req, res) => {
  * Get Client Status
  * GET /api/clients/:clientId/status
  */
-app.get('/api/clients/:clientId/status', verifyApiKey, async (req, res) => {
+app.get('/api/clients/:clientId/status', verifyApiKey, checkClientAccess, async (req, res) => {
   try {
     const { clientId } = req.params;
 
@@ -328,7 +633,7 @@ app.get('/api/clients/:clientId/status', verifyApiKey, async (req, res) => {
  * Initialize WhatsApp Session
  * POST /api/clients/:clientId/init
  */
-app.post('/api/clients/:clientId/init', verifyApiKey, async (req, res) => {
+app.post('/api/clients/:clientId/init', verifyApiKey, checkClientAccess, async (req, res) => {
   try {
     const { clientId } = req.params;
 
@@ -388,6 +693,10 @@ app.post('/api/clients/:clientId/init', verifyApiKey, async (req, res) => {
     // Handle client ready
     whatsappClient.on('ready', async () => {
       logger.info(`WhatsApp client ready: ${clientId}`);
+
+      // Resume sending anything queued for this client
+      await antiBanManager.initializeRateLimiter(clientId, clientData.organization_id);
+      startQueueWorker(clientId, clientData);
       
       // Update database
       await db.query(
@@ -405,7 +714,7 @@ app.post('/api/clients/:clientId/init', verifyApiKey, async (req, res) => {
       // Trigger webhook
       await webhookManager.triggerEvent(
         clientData.organization_id,
-        'client.connected',
+        'client_connected',
         { clientId, timestamp: new Date() }
       );
     });
@@ -415,51 +724,182 @@ app.post('/api/clients/:clientId/init', verifyApiKey, async (req, res) => {
       try {
         logger.info(`Message received on ${clientId}: ${msg.body}`);
 
+        const contactPhone = toContactPhone(msg.from);
+
+        // STOP/START keywords; handled before the reply check so STOP ends sequences as opted_out
+        const optOut = contactPhone
+          ? await optOutManager.handleInboundMessage(clientData.organization_id, contactPhone, msg.body)
+          : null;
+
+        // A reply ends any drip sequence the contact is in
+        await sequenceRunner.handleInboundMessage(clientId, msg.from);
+
+        // STOP also ends the chat's chatbot flow, so its timeout message isn't sent to a suppressed contact
+        if (optOut?.action === 'stop') {
+          await flowEngine.endChatSession(clientId, msg.from, 'opted_out');
+        }
+
+        // Link quoted replies to the stored original
+        let replyToId = null;
+        if (msg.hasQuotedMsg) {
+          const quoted = await msg.getQuotedMessage().catch(() => null);
+          replyToId = quoted ? await conversationManager.findMessageId(clientId, quoted.id._serialized) : null;
+        }
+
+        const messageType = msg.type === 'chat' ? 'text' : msg.type;
+
         // Store message in database
         const msgResult = await db.query(
-          `INSERT INTO messages 
-           (organization_id, client_id, contact_id, message_text, direction, status, received_at)
-           VALUES ($1, $2, $3, $4, $5, $6, NOW())
+          `INSERT INTO messages
+           (client_id, recipient, sender, message_body, message_type, direction, status, message_id, reply_to_id)
+           VALUES ($1, $2, $3, $4, $5, 'inbound', 'received', $6, $7)
            RETURNING id`,
           [
-            clientData.organization_id,
             clientId,
+            msg.to,
             msg.from,
             msg.body,
-            'inbound',
-            'received'
+            messageType,
+            msg.id._serialized,
+            replyToId
           ]
         );
 
-        // Record analytics
-        await analyticsManager.recordMessageMetric(
-          clientData.organization_id,
+        // Keep a copy of photos, documents and voice notes before WhatsApp expires them
+        const inboundMedia = msg.hasMedia
+          ? await mediaManager.storeInboundMedia(msg, clientId, clientData.organization_id, msgResult.rows[0].id)
+          : null;
+
+        // Keep the sender's contact record current; a first message counts as a new contact for rules
+        const contact = contactPhone
+          ? await contactManager.recordMessage(clientData.organization_id, contactPhone, 'inbound')
+          : null;
+        if (contact && contact.message_count === 1 && !optOut) {
+          await ruleEngine.handleContactAdded(clientData.organization_id, contact);
+        }
+
+        const conversationId = await conversationManager.recordMessage({
+          organizationId: clientData.organization_id,
           clientId,
-          'message_received'
-        );
+          chatId: msg.from,
+          messageId: msgResult.rows[0].id,
+          body: msg.body,
+          type: messageType,
+          direction: 'inbound',
+          displayName: contactPhone ? msg._data?.notifyName || null : null
+        });
+
+        // Chatbot flows answer first; a message a flow handled isn't also routed or auto-replied to
+        const flowSession = conversationId && contact && !optOut
+          ? await flowEngine.handleInboundMessage({
+            organizationId: clientData.organization_id,
+            clientId,
+            chatId: msg.from,
+            body: msg.body,
+            contact,
+            conversationId
+          })
+          : null;
+
+        // Route new (unassigned) conversations to an available agent
+        if (conversationId && !optOut && !flowSession) {
+          // Outside business hours the contact gets the away message, once until the next opening
+          const awayMessage = contact ? await businessHoursManager.claimAwayReply(clientId, msg.from) : null;
+          if (awayMessage) {
+            await messageQueue.enqueue(clientId, {
+              to: msg.from,
+              body: awayMessage,
+              metadata: { source: 'away_message', conversationId }
+            });
+          }
+
+          const routing = await assignmentManager.getRoutingSettings(clientId);
+          if (routing?.enabled) {
+            await assignmentManager.autoAssign(conversationId, { strategy: routing.strategy });
+          }
+
+          await automationMarketplace.processMessage(clientId, msg, {
+            organizationId: clientData.organization_id,
+            conversationId,
+            sendMessage: async (to, text) => {
+              const queued = await messageQueue.enqueue(clientId, {
+                to,
+                body: text,
+                metadata: { source: 'automation', conversationId }
+              });
+              return queued.id;
+            }
+          });
+        }
+
+        if (!optOut) {
+          await ruleEngine.handleInboundMessage({
+            organizationId: clientData.organization_id,
+            clientId,
+            phone: contactPhone,
+            body: msg.body,
+            type: messageType,
+            conversationId
+          });
+        }
+
+        // Record analytics
+        await analyticsManager.recordMessageMetric(clientId, {
+          direction: 'inbound'
+        });
 
         // Trigger webhook
         await webhookManager.triggerEvent(
           clientData.organization_id,
-          'message.received',
+          'message_received',
           {
             clientId,
             messageId: msgResult.rows[0].id,
             from: msg.from,
             body: msg.body,
+            type: messageType,
+            media: formatInboundMedia(inboundMedia),
             timestamp: new Date()
           }
         );
 
+        if (optOut) {
+          if (optOut.confirmation) {
+            await messageQueue.enqueue(clientId, {
+              to: msg.from,
+              body: optOut.confirmation,
+              metadata: { source: 'opt_out', action: optOut.action }
+            });
+          }
+
+          await webhookManager.triggerEvent(
+            clientData.organization_id,
+            optOut.action === 'stop' ? 'contact_opted_out' : 'contact_opted_in',
+            {
+              clientId,
+              contactId: optOut.contact?.id || null,
+              phone: contactPhone,
+              keyword: optOut.keyword,
+              timestamp: new Date()
+            }
+          );
+        }
+
       } catch (error) {
         logger.error(`Error handling message on ${clientId}:`, error);
       }
     });
 
+    // Track delivery and read receipts for outbound messages
+    whatsappClient.on('message_ack', async (msg, ack) => {
+      await deliveryTracker.handleAck(clientId, clientData.organization_id, msg, ack);
+    });
+
     // Handle errors
     whatsappClient.on('disconnected', async () => {
       logger.warn(`Client disconnected: ${clientId}`);
       clients.delete(clientId);
+      messageQueue.stopWorker(clientId);
 
       // Update database
       await db.query(
@@ -470,7 +910,7 @@ app.post('/api/clients/:clientId/init', verifyApiKey, async (req, res) => {
       // Trigger webhook
       await webhookManager.triggerEvent(
         clientData.organization_id,
-        'client.disconnected',
+        'client_disconnected',
         { clientId, timestamp: new Date() }
       );
     });
@@ -516,122 +956,97 @@ app.post('/api/clients/:clientId/init', verifyApiKey, async (req, res) => {
 /**
  * Send Message
  * POST /api/clients/:clientId/send-message
+ * Body: { to, message?, caption?, mediaId? | mediaUrl? | media? (base64 or data URI),
+ *         mimeType?, filename?, voice?, asDocument?, replyTo? }
+ *
+ * Messages are stored as pending and sent by the client's queue worker,
+ * so the request returns 202 immediately with the stored message id.
+ * URL and base64 media are stored as uploads first; the MIME type is
+ * detected from the file itself and decides the message type.
  */
-app.post('/api/clients/:clientId/send-message', verifyApiKey, async (req, res) => {
+app.post('/api/clients/:clientId/send-message', verifyApiKey, checkClientAccess, async (req, res) => {
   try {
     const { clientId } = req.params;
-    const { to, message, media, mediaUrl } = req.body;
+    const { to, media, mediaId, mediaUrl, replyTo } = req.body;
+    const message = req.body.message || req.body.caption;
 
-    if (!to || (!message && !media && !mediaUrl)) {
+    if (!to || (!message && !media && !mediaId && !mediaUrl)) {
       return res.status(400).json({ error: 'Phone number and message/media required' });
     }
-
-    const clientWrapper = clients.get(clientId);
-    if (!clientWrapper) {
-      return res.status(404).json({ error: 'Client not found or not ready' });
-    }
-
-    const { instance: client, data: clientData, antiban } = clientWrapper;
-
-    // Check rate limits
-    const rateLimitCheck = antiBanManager.canSendMessage(clientId);
-    if (!rateLimitCheck.allowed) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        details: rateLimitCheck
-      });
+    const chatId = toChatId(to);
+    if (!chatId) {
+      return res.status(400).json({ error: 'Invalid phone number' });
     }
 
-    // Apply human behavior simulation
-    await antiban.simulateHumanBehavior();
-
-    let messageId;
-    const sendResult = await db.query(
-      `INSERT INTO messages 
-       (organization_id, client_id, contact_id, message_text, direction, status, sent_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())
-       RETURNING id`,
-      [
-        clientData.organization_id,
-        clientId,
-        to,
-        message || '[Media]',
-        'outbound',
-        'sending'
-      ]
+    const clientResult = await db.query(
+      'SELECT id, organization_id FROM whatsapp_clients WHERE id = $1',
+      [clientId]
     );
 
-    messageId = sendResult.rows[0].id;
-
-    try {
-      // Send media or text
-      if (media || mediaUrl) {
-        let messageMedia;
-        if (media) {
-          const buffer = Buffer.from(media, 'base64');
-          messageMedia = new MessageMedia('image/jpeg', buffer.toString('base64'));
-        } else {
-          messageMedia = await MessageMedia.fromUrl(mediaUrl);
-        }
-        
-        // Use media manager
-        await mediaManager.sendImageMessage(client, to, messageMedia);
-      } else {
-        await client.sendMessage(to + '@c.us', message);
-      }
-
-      // Update message status
-      await db.query(
-        'UPDATE messages SET status = $1, sent_at = NOW() WHERE id = $2',
-        ['sent', messageId]
-      );
-
-      // Record analytics
-      await analyticsManager.recordMessageMetric(
-        clientData.organization_id,
-        clientId,
-        'message_sent'
-      );
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
 
-      // Trigger webhook
-      await webhookManager.triggerEvent(
-        clientData.organization_id,
-        'message.sent',
-        {
-          messageId,
-          clientId,
-          to,
-          timestamp: new Date()
-        }
+    if (replyTo) {
+      const replyResult = await db.query(
+        'SELECT id FROM messages WHERE id = $1 AND client_id = $2',
+        [replyTo, clientId]
       );
+      if (replyResult.rows.length === 0) {
+        return res.status(400).json({ error: 'replyTo message not found' });
+      }
+    }
 
-      logger.info(`Message sent: ${messageId}`);
-      res.json({
-        message: 'Message sent successfully',
-        messageId
-      });
+    let attachment;
+    try {
+      attachment = await prepareOutboundMedia(clientId, clientResult.rows[0].organization_id, req.body);
+    } catch (error) {
+      return res.status(mediaErrorStatus(error)).json({ error: error.message });
+    }
 
-    } catch (sendError) {
-      logger.error(`Failed to send message ${messageId}:`, sendError);
+    if (attachment && message && (attachment.type === 'audio' || attachment.type === 'voice')) {
+      return res.status(400).json({ error: 'Captions are not supported for audio' });
+    }
 
-      // Update status to failed
-      await db.query(
-        'UPDATE messages SET status = $1, error_message = $2 WHERE id = $3',
-        ['failed', sendError.message, messageId]
-      );
+    const queued = await enqueueWithMedia(clientId, {
+      to: chatId,
+      body: message || null,
+      type: 'text',
+      replyToId: replyTo || null,
+      metadata: {}
+    }, attachment);
+
+    res.status(202).json({
+      message: 'Message queued',
+      messageId: queued.id,
+      status: queued.status,
+      media: attachment
+        ? { id: attachment.fileId, type: attachment.type, mimeType: attachment.mediaType, size: attachment.mediaSize }
+        : null,
+      clientReady: clients.has(clientId)
+    });
+  } catch (error) {
+    logger.error('Send message failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Detect suspicious activity
-      await antiban.detectSuspiciousActivity(clientId, 'send_failure');
+/**
+ * Get Queued Message Status
+ * GET /api/clients/:clientId/messages/:messageId
+ */
+app.get('/api/clients/:clientId/messages/:messageId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, messageId } = req.params;
 
-      res.status(500).json({
-        error: 'Failed to send message',
-        details: sendError.message,
-        messageId
-      });
+    const message = await messageQueue.getMessage(clientId, messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
     }
 
+    res.json({ message });
   } catch (error) {
-    logger.error('Send message failed:', error);
+    logger.error('Message status fetch failed:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -640,7 +1055,7 @@ app.post('/api/clients/:clientId/send-message', verifyApiKey, async (req, res) =
  * Get Message History
  * GET /api/clients/:clientId/messages
  */
-app.get('/api/clients/:clientId/messages', verifyApiKey, async (req, res) => {
+app.get('/api/clients/:clientId/messages', verifyApiKey, checkClientAccess, async (req, res) => {
   try {
     const { clientId } = req.params;
     const { limit = 50, offset = 0, contact } = req.query;
@@ -650,8 +1065,12 @@ app.get('/api/clients/:clientId/messages', verifyApiKey, async (req, res) => {
     let paramIndex = 2;
 
     if (contact) {
-      query += ` AND contact_id = $${paramIndex}`;
-      params.push(contact);
+      const chatId = toChatId(contact);
+      if (!chatId) {
+        return res.status(400).json({ error: 'Invalid contact phone number' });
+      }
+      query += ` AND (recipient = $${paramIndex} OR sender = $${paramIndex})`;
+      params.push(chatId);
       paramIndex++;
     }
 
@@ -661,7 +1080,7 @@ app.get('/api/clients/:clientId/messages', verifyApiKey, async (req, res) => {
     const result = await db.query(query, params);
 
     res.json({
-      messages: result.rows,
+      messages: result.rows.map(withSignedMedia),
       count: result.rows.length,
       total: result.rows.length
     });
@@ -672,97 +1091,1850 @@ app.get('/api/clients/:clientId/messages', verifyApiKey, async (req, res) => {
 });
 
 // ============================================================================
-// TEAM MANAGEMENT ENDPOINTS
+// CONVERSATION ENDPOINTS
 // ============================================================================
 
 /**
- * Create Team Member
- * POST /api/team/members
+ * List Conversations (unified inbox), most recent activity first
+ * GET /api/clients/:clientId/conversations?status=open|closed&assignedTo=<userId>|unassigned&unread=true&search=&limit=&offset=
  */
-app.post('/api/team/members', verifyApiKey, checkOrgAccess, async (req, res) => {
+app.get('/api/clients/:clientId/conversations', verifyApiKey, checkClientAccess, async (req, res) => {
   try {
-    const { email, password, name, role } = req.body;
-
-    // Verify user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Only admins can create users' });
-    }
-
-    const user = await teamManager.createUser(
-      email,
-      password,
-      name,
-      req.org_id,
-      role || 'agent'
-    );
+    const { clientId } = req.params;
+    const { status, assignedTo, unread, search, limit = 50, offset = 0 } = req.query;
+
+    const result = await conversationManager.listConversations(clientId, {
+      status,
+      assignedTo,
+      unreadOnly: unread === 'true',
+      search,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    });
 
-    logger.info(`Team member created: ${email}`);
-    res.status(201).json({
-      message: 'Team member created',
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
+    res.json({
+      conversations: result.conversations,
+      count: result.conversations.length,
+      total: result.total
     });
   } catch (error) {
-    logger.error('Team member creation failed:', error);
+    logger.error('Conversations fetch failed:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Assign Client to Team Member
- * POST /api/team/members/:userId/clients/:clientId
+ * Get Conversation
+ * GET /api/clients/:clientId/conversations/:conversationId
  */
-app.post('/api/team/members/:userId/clients/:clientId', verifyApiKey, checkOrgAccess, async (req, res) => {
+app.get('/api/clients/:clientId/conversations/:conversationId', verifyApiKey, checkClientAccess, async (req, res) => {
   try {
-    const { userId, clientId } = req.params;
+    const { clientId, conversationId } = req.params;
 
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    const conversation = await conversationManager.getConversation(clientId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    await teamManager.assignClientToMember(userId, clientId, req.org_id);
-
-    logger.info(`Client ${clientId} assigned to user ${userId}`);
-    res.json({ message: 'Client assigned successfully' });
+    res.json({ conversation });
   } catch (error) {
-    logger.error('Client assignment failed:', error);
+    logger.error('Conversation fetch failed:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Get Audit Logs
- * GET /api/audit-logs
+ * Get Conversation Messages, newest first, with quoted-reply context
+ * GET /api/clients/:clientId/conversations/:conversationId/messages?before=<messageId>&limit=
+ * Pass nextCursor from the previous page as `before` for older messages
  */
-app.get('/api/audit-logs', verifyApiKey, checkOrgAccess, async (req, res) => {
+app.get('/api/clients/:clientId/conversations/:conversationId/messages', verifyApiKey, checkClientAccess, async (req, res) => {
   try {
-    const { limit = 100, offset = 0 } = req.query;
+    const { clientId, conversationId } = req.params;
+    const { before, limit = 50 } = req.query;
 
-    const logs = await teamManager.getAuditLogs(req.org_id, limit, offset);
+    const conversation = await conversationManager.getConversation(clientId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const result = await conversationManager.getMessages(clientId, conversationId, {
+      before,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
 
     res.json({
-      logs,
-      count: logs.length
+      messages: result.messages.map(withSignedMedia),
+      count: result.messages.length,
+      nextCursor: result.nextCursor
     });
   } catch (error) {
-    logger.error('Audit logs fetch failed:', error);
+    logger.error('Conversation messages fetch failed:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============================================================================
-// WEBHOOK ENDPOINTS
-// ============================================================================
-
 /**
- * Register Webhook
- * POST /api/webhooks
+ * Reply in a Conversation
+ * POST /api/clients/:clientId/conversations/:conversationId/messages
+ * Body: { message?, replyTo?, mediaId? | mediaUrl? | media?, mimeType?, filename?, voice?, asDocument? }
+ * (replyTo is a message id from this conversation to quote; media works as in send-message)
  */
-app.post('/api/webhooks', verifyApiKey, checkOrgAccess, async (req, res) => {
+app.post('/api/clients/:clientId/conversations/:conversationId/messages', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, conversationId } = req.params;
+    const { message, replyTo, media, mediaId, mediaUrl } = req.body;
+
+    if (!message && !media && !mediaId && !mediaUrl) {
+      return res.status(400).json({ error: 'message or media required' });
+    }
+
+    const conversation = await conversationManager.getConversation(clientId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    // Replying claims the conversation so two agents don't answer the same customer
+    const claim = await assignmentManager.claim(clientId, conversationId, req.user.id);
+    if (!claim.claimed) {
+      return res.status(409).json({
+        error: 'Conversation is claimed by another agent',
+        claimedBy: claim.claimedBy,
+        claimExpiresAt: claim.claimExpiresAt
+      });
+    }
+
+    if (replyTo) {
+      const replyResult = await db.query(
+        'SELECT id FROM messages WHERE id = $1 AND conversation_id = $2',
+        [replyTo, conversationId]
+      );
+      if (replyResult.rows.length === 0) {
+        return res.status(400).json({ error: 'replyTo message not found in this conversation' });
+      }
+    }
+
+    let attachment;
+    try {
+      const clientResult = await db.query(
+        'SELECT organization_id FROM whatsapp_clients WHERE id = $1',
+        [clientId]
+      );
+      attachment = await prepareOutboundMedia(clientId, clientResult.rows[0].organization_id, req.body);
+    } catch (error) {
+      return res.status(mediaErrorStatus(error)).json({ error: error.message });
+    }
+
+    if (attachment && message && (attachment.type === 'audio' || attachment.type === 'voice')) {
+      return res.status(400).json({ error: 'Captions are not supported for audio' });
+    }
+
+    const queued = await enqueueWithMedia(clientId, {
+      to: conversation.chat_id,
+      body: message || null,
+      replyToId: replyTo || null,
+      metadata: { conversationId, sentBy: req.user.id }
+    }, attachment);
+
+    res.status(202).json({
+      message: 'Message queued',
+      messageId: queued.id,
+      status: queued.status,
+      clientReady: clients.has(clientId)
+    });
+  } catch (error) {
+    logger.error('Conversation reply failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Mark Conversation as read
+ * POST /api/clients/:clientId/conversations/:conversationId/read
+ */
+app.post('/api/clients/:clientId/conversations/:conversationId/read', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, conversationId } = req.params;
+
+    const updated = await conversationManager.markRead(clientId, conversationId);
+    if (!updated) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ message: 'Conversation marked as read' });
+  } catch (error) {
+    logger.error('Conversation read failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Assign, transfer or unassign a Conversation
+ * POST /api/clients/:clientId/conversations/:conversationId/assign
+ * Body: { userId, note? } (userId null unassigns; a note is kept with transfers)
+ */
+app.post('/api/clients/:clientId/conversations/:conversationId/assign', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, conversationId } = req.params;
+    const { userId, note } = req.body;
+
+    if (userId === undefined) {
+      return res.status(400).json({ error: 'userId required (null to unassign)' });
+    }
+
+    let conversation;
+    try {
+      conversation = await assignmentManager.assign(clientId, conversationId, userId, {
+        actorUserId: req.user.id,
+        note: note || null
+      });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ conversation: await conversationManager.getConversation(clientId, conversationId) });
+  } catch (error) {
+    logger.error('Conversation assignment failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Claim a Conversation (lock it to the calling agent for a few minutes; repeat to extend)
+ * POST /api/clients/:clientId/conversations/:conversationId/claim
+ */
+app.post('/api/clients/:clientId/conversations/:conversationId/claim', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, conversationId } = req.params;
+
+    const claim = await assignmentManager.claim(clientId, conversationId, req.user.id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (!claim.claimed) {
+      return res.status(409).json({
+        error: 'Conversation is claimed by another agent',
+        claimedBy: claim.claimedBy,
+        claimExpiresAt: claim.claimExpiresAt
+      });
+    }
+
+    res.json({ conversation: await conversationManager.getConversation(clientId, conversationId) });
+  } catch (error) {
+    logger.error('Conversation claim failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Release a Conversation claim (admins and managers can release anyone's)
+ * POST /api/clients/:clientId/conversations/:conversationId/release
+ */
+app.post('/api/clients/:clientId/conversations/:conversationId/release', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, conversationId } = req.params;
+
+    const result = await assignmentManager.release(clientId, conversationId, req.user.id, {
+      force: req.user.role === 'admin' || req.user.role === 'manager'
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (!result.released) {
+      return res.status(409).json({
+        error: 'Conversation is claimed by another agent',
+        claimedBy: result.claimedBy,
+        claimExpiresAt: result.claimExpiresAt
+      });
+    }
+
+    res.json({ conversation: await conversationManager.getConversation(clientId, conversationId) });
+  } catch (error) {
+    logger.error('Conversation release failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Close or reopen a Conversation
+ * PUT /api/clients/:clientId/conversations/:conversationId/status
+ * Body: { status: 'open' | 'closed' }
+ */
+app.put('/api/clients/:clientId/conversations/:conversationId/status', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, conversationId } = req.params;
+
+    let conversation;
+    try {
+      conversation = await assignmentManager.setStatus(clientId, conversationId, req.body.status, req.user.id);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ conversation: await conversationManager.getConversation(clientId, conversationId) });
+  } catch (error) {
+    logger.error('Conversation status update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Conversation assignment history (assigned, transferred, claimed, closed, ...)
+ * GET /api/clients/:clientId/conversations/:conversationId/events
+ */
+app.get('/api/clients/:clientId/conversations/:conversationId/events', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, conversationId } = req.params;
+
+    const events = await assignmentManager.getEvents(clientId, conversationId);
+
+    res.json({ events, count: events.length });
+  } catch (error) {
+    logger.error('Conversation events fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Conversation routing settings
+ * GET /api/clients/:clientId/routing
+ */
+app.get('/api/clients/:clientId/routing', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const routing = await assignmentManager.getRoutingSettings(req.params.clientId);
+    if (!routing) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json({ routing });
+  } catch (error) {
+    logger.error('Routing settings fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Conversation routing settings
+ * PUT /api/clients/:clientId/routing
+ * Body: { enabled?, strategy?: 'round_robin' | 'least_busy' }
+ */
+app.put('/api/clients/:clientId/routing', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+      return res.status(403).json({ error: 'Only admins and managers can change routing' });
+    }
+
+    let routing;
+    try {
+      routing = await assignmentManager.updateRoutingSettings(req.params.clientId, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (!routing) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json({ message: 'Routing settings updated', routing });
+  } catch (error) {
+    logger.error('Routing settings update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Business hours, and whether the client is open now
+ * GET /api/clients/:clientId/business-hours
+ */
+app.get('/api/clients/:clientId/business-hours', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const settings = await businessHoursManager.getSettings(req.params.clientId);
+    if (!settings) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const { client_id: clientId, ...businessHours } = settings;
+    res.json({ businessHours, status: await businessHoursManager.getStatus(clientId) });
+  } catch (error) {
+    logger.error('Business hours fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Business hours and away message
+ * PUT /api/clients/:clientId/business-hours
+ * Body: { enabled?, timezone?, days?: { mon: [["09:00", "18:00"]], ... }, holidays?: ["2026-12-25", "01-01"], away_message? }
+ */
+app.put('/api/clients/:clientId/business-hours', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+      return res.status(403).json({ error: 'Only admins and managers can change business hours' });
+    }
+
+    let settings;
+    try {
+      settings = await businessHoursManager.updateSettings(req.params.clientId, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (!settings) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const { client_id: clientId, ...businessHours } = settings;
+    res.json({ message: 'Business hours updated', businessHours, status: await businessHoursManager.getStatus(clientId) });
+  } catch (error) {
+    logger.error('Business hours update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// AGENT ENDPOINTS
+// ============================================================================
+
+/**
+ * Set the calling agent's presence; call periodically as a heartbeat while online
+ * PUT /api/agents/presence
+ * Body: { org_id, status?: 'online' | 'away' | 'offline', maxOpenConversations? }
+ */
+app.put('/api/agents/presence', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const { status, maxOpenConversations } = req.body;
+
+    let presence;
+    try {
+      presence = await assignmentManager.setPresence(req.org_id, req.user.id, { status, maxOpenConversations });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    res.json({ presence });
+  } catch (error) {
+    logger.error('Agent presence update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List agents with presence and open conversation load
+ * GET /api/agents?org_id=
+ */
+app.get('/api/agents', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const agents = await assignmentManager.listAgents(req.org_id);
+
+    res.json({ agents, count: agents.length });
+  } catch (error) {
+    logger.error('Agents fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// SCHEDULED MESSAGE ENDPOINTS
+// ============================================================================
+
+/**
+ * Schedule Message
+ * POST /api/clients/:clientId/scheduled-messages
+ * Body: { to, message?, mediaId? | mediaUrl? | media?, mimeType?, filename?, voice?, asDocument?, sendAt, timezone?, metadata? }
+ *
+ * sendAt is an ISO 8601 time; without an offset it is read in `timezone`.
+ * Media is stored now, like an immediate send, so the send only reads the stored upload.
+ */
+app.post('/api/clients/:clientId/scheduled-messages', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { to, message, media, mediaId, mediaUrl, sendAt, timezone } = req.body;
+
+    if (!to || (!message && !media && !mediaId && !mediaUrl) || !sendAt) {
+      return res.status(400).json({ error: 'Phone number, message/media and sendAt required' });
+    }
+    const chatId = toChatId(to);
+    if (!chatId) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const clientResult = await db.query(
+      'SELECT id, organization_id FROM whatsapp_clients WHERE id = $1',
+      [clientId]
+    );
+
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    // Check the send time before storing any media
+    try {
+      if (messageScheduler.resolveSendAt(sendAt, timezone).getTime() <= Date.now()) {
+        return res.status(400).json({ error: 'sendAt must be in the future' });
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Media fields are set from the stored upload only
+    const metadata = { ...req.body.metadata };
+    delete metadata.fileId;
+    delete metadata.filename;
+    delete metadata.media;
+
+    let attachment;
+    try {
+      attachment = await prepareOutboundMedia(clientId, clientResult.rows[0].organization_id, req.body);
+    } catch (error) {
+      return res.status(mediaErrorStatus(error)).json({ error: error.message });
+    }
+
+    if (attachment && message && (attachment.type === 'audio' || attachment.type === 'voice')) {
+      return res.status(400).json({ error: 'Captions are not supported for audio' });
+    }
+
+    let scheduled;
+    try {
+      scheduled = await messageScheduler.scheduleMessage(clientId, {
+        to: chatId,
+        body: message,
+        type: attachment ? attachment.type : 'text',
+        mediaUrl: attachment ? attachment.mediaUrl : null,
+        mediaType: attachment ? attachment.mediaType : null,
+        sendAt,
+        timezone,
+        metadata: attachment ? { ...metadata, fileId: attachment.fileId, filename: attachment.filename } : metadata
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json({ message: 'Message scheduled', scheduledMessage: scheduled });
+  } catch (error) {
+    logger.error('Schedule message failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List Scheduled Messages
+ * GET /api/clients/:clientId/scheduled-messages
+ */
+app.get('/api/clients/:clientId/scheduled-messages', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    const scheduledMessages = await messageScheduler.getScheduledMessages(clientId, { status, limit, offset });
+
+    res.json({ scheduledMessages, count: scheduledMessages.length });
+  } catch (error) {
+    logger.error('Scheduled messages fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Reschedule Message
+ * PATCH /api/clients/:clientId/scheduled-messages/:scheduledId
+ */
+app.patch('/api/clients/:clientId/scheduled-messages/:scheduledId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, scheduledId } = req.params;
+    const { sendAt, timezone } = req.body;
+
+    if (!sendAt) {
+      return res.status(400).json({ error: 'sendAt required' });
+    }
+
+    let scheduled;
+    try {
+      scheduled = await messageScheduler.reschedule(clientId, scheduledId, sendAt, timezone);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!scheduled) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+
+    res.json({ message: 'Message rescheduled', scheduledMessage: scheduled });
+  } catch (error) {
+    logger.error('Reschedule message failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Cancel Scheduled Message
+ * DELETE /api/clients/:clientId/scheduled-messages/:scheduledId
+ */
+app.delete('/api/clients/:clientId/scheduled-messages/:scheduledId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, scheduledId } = req.params;
+
+    let scheduled;
+    try {
+      scheduled = await messageScheduler.cancel(clientId, scheduledId);
+    } catch (error) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    if (!scheduled) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+
+    res.json({ message: 'Scheduled message cancelled', scheduledMessage: scheduled });
+  } catch (error) {
+    logger.error('Cancel scheduled message failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Schedule Reminders from a reminder automation template
+ * POST /api/clients/:clientId/reminders
+ *
+ * templateId is appointment_reminder or payment_reminder; eventTime is the
+ * appointment time or payment due date, read in `timezone` when it has no offset
+ */
+app.post('/api/clients/:clientId/reminders', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { templateId, to, eventTime, timezone, variables, config } = req.body;
+
+    if (!templateId || !to || !eventTime) {
+      return res.status(400).json({ error: 'templateId, phone number and eventTime required' });
+    }
+    const chatId = toChatId(to);
+    if (!chatId) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const clientResult = await db.query(
+      'SELECT id FROM whatsapp_clients WHERE id = $1',
+      [clientId]
+    );
+
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    let result;
+    try {
+      result = await automationMarketplace.scheduleReminders(clientId, templateId, {
+        to: chatId,
+        eventTime,
+        timezone,
+        variables
+      }, config);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json({
+      message: 'Reminders scheduled',
+      scheduledMessages: result.scheduled,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    logger.error('Schedule reminders failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// CONTACT ENDPOINTS
+// ============================================================================
+
+/**
+ * List / Search Contacts
+ * GET /api/contacts?org_id=&search=&tags=vip,lead&tagMode=any|all&limit=&offset=
+ */
+app.get('/api/contacts', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const { search, tags, tagMode, doNotContact, limit = 50, offset = 0 } = req.query;
+
+    const result = await contactManager.listContacts(req.org_id, {
+      search,
+      tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : null,
+      tagMode,
+      doNotContact: doNotContact === undefined ? undefined : doNotContact === 'true',
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      contacts: result.contacts,
+      count: result.contacts.length,
+      total: result.total
+    });
+  } catch (error) {
+    logger.error('Contacts fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Import Contacts from CSV or vCard
+ * POST /api/contacts/imports
+ * Body: { org_id, format: 'csv' | 'vcard', file: <base64>, mapping?, updateExisting?, defaultTags? }
+ * Processed in the background; poll GET /api/contacts/imports/:importId for progress
+ */
+app.post('/api/contacts/imports', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const { format, file, mapping = {}, updateExisting = false, defaultTags = [] } = req.body;
+
+    if (!file) {
+      return res.status(400).json({ error: 'file (base64) required' });
+    }
+    if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return res.status(400).json({ error: 'mapping must be an object of column header to field' });
+    }
+    if (!Array.isArray(defaultTags) || defaultTags.some(tag => typeof tag !== 'string')) {
+      return res.status(400).json({ error: 'defaultTags must be an array of strings' });
+    }
+
+    let job;
+    try {
+      job = await contactImporter.createImport(req.org_id, req.user.id, {
+        format,
+        content: Buffer.from(file, 'base64').toString('utf8'),
+        mapping,
+        updateExisting: updateExisting === true,
+        defaultTags
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(202).json({
+      message: 'Import started',
+      importId: job.id,
+      totalRows: job.total_rows
+    });
+  } catch (error) {
+    logger.error('Contact import failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List Contact Imports
+ * GET /api/contacts/imports?org_id=
+ */
+app.get('/api/contacts/imports', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const imports = await contactImporter.listImports(req.org_id);
+    res.json({ imports, count: imports.length });
+  } catch (error) {
+    logger.error('Contact imports fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Contact Import progress and row-level error report
+ * GET /api/contacts/imports/:importId?org_id=
+ */
+app.get('/api/contacts/imports/:importId', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const job = await contactImporter.getImport(req.org_id, req.params.importId);
+    if (!job) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    res.json({
+      import: job,
+      progress: job.total_rows > 0 ? Math.round((job.processed_rows / job.total_rows) * 100) : 100
+    });
+  } catch (error) {
+    logger.error('Contact import fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Contact
+ * GET /api/contacts/:contactId?org_id=
+ */
+app.get('/api/contacts/:contactId', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const contact = await contactManager.getContact(req.org_id, req.params.contactId);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ contact });
+  } catch (error) {
+    logger.error('Contact fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate contact fields from a request body; returns an error message or null
+ */
+function validateContactBody(body) {
+  if (body.email !== undefined && body.email !== null && !db.validateEmail(body.email)) {
+    return 'Invalid email';
+  }
+  if (body.tags !== undefined && (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string'))) {
+    return 'tags must be an array of strings';
+  }
+  if (body.custom_fields !== undefined && (typeof body.custom_fields !== 'object' || Array.isArray(body.custom_fields))) {
+    return 'custom_fields must be an object';
+  }
+  return null;
+}
+
+/**
+ * Create Contact
+ * POST /api/contacts
+ */
+app.post('/api/contacts', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const phoneNumber = db.normalizePhone(req.body.phone_number);
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Valid phone_number required' });
+    }
+
+    const validationError = validateContactBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const contact = await contactManager.createContact(req.org_id, phoneNumber, req.body);
+    if (!contact) {
+      return res.status(409).json({ error: 'Contact with this phone number already exists' });
+    }
+
+    await ruleEngine.handleContactAdded(req.org_id, contact);
+    await ruleEngine.handleTagsAdded(req.org_id, contact, contact.tags || []);
+
+    res.status(201).json({ message: 'Contact created', contact });
+  } catch (error) {
+    logger.error('Contact creation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Contact (only the fields given are changed)
+ * PUT /api/contacts/:contactId
+ */
+app.put('/api/contacts/:contactId', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const validationError = validateContactBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const previous = await contactManager.getContact(req.org_id, req.params.contactId);
+    const contact = await contactManager.updateContact(req.org_id, req.params.contactId, req.body);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const addedTags = (contact.tags || []).filter(tag => !(previous?.tags || []).includes(tag));
+    await ruleEngine.handleTagsAdded(req.org_id, contact, addedTags);
+
+    res.json({ message: 'Contact updated', contact });
+  } catch (error) {
+    logger.error('Contact update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete Contact
+ * DELETE /api/contacts/:contactId?org_id=
+ */
+app.delete('/api/contacts/:contactId', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const deleted = await contactManager.deleteContact(req.org_id, req.params.contactId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ message: 'Contact deleted' });
+  } catch (error) {
+    logger.error('Contact deletion failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// SEGMENT ENDPOINTS
+// ============================================================================
+
+/**
+ * List Segments
+ * GET /api/segments?org_id=&counts=true
+ */
+app.get('/api/segments', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const segments = await segmentManager.listSegments(req.org_id, { withCounts: req.query.counts === 'true' });
+    res.json({ segments, count: segments.length });
+  } catch (error) {
+    logger.error('Segments fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create Segment
+ * POST /api/segments
+ * Body: { org_id, name, description?, filter_criteria } (filter language in segment-manager.js)
+ */
+app.post('/api/segments', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    let segment;
+    try {
+      segment = await segmentManager.createSegment(req.org_id, req.user.id, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json({ message: 'Segment created', segment });
+  } catch (error) {
+    logger.error('Segment creation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Preview an unsaved filter: size and first members
+ * POST /api/segments/preview
+ * Body: { org_id, filter_criteria, limit? }
+ */
+app.post('/api/segments/preview', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const { filter_criteria: filterCriteria, limit = 20 } = req.body;
+
+    try {
+      SegmentManager.validateFilter(filterCriteria);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const result = await segmentManager.getMembers(req.org_id, filterCriteria, {
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({ total: result.total, contacts: result.contacts });
+  } catch (error) {
+    logger.error('Segment preview failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Segment with its current size
+ * GET /api/segments/:segmentId?org_id=
+ */
+app.get('/api/segments/:segmentId', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const segment = await segmentManager.getSegment(req.org_id, req.params.segmentId);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const stats = await segmentManager.getSegmentStats(req.org_id, segment.filter_criteria);
+    res.json({ segment: { ...segment, ...stats } });
+  } catch (error) {
+    logger.error('Segment fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the contacts currently matching a segment
+ * GET /api/segments/:segmentId/contacts?org_id=&limit=&offset=
+ */
+app.get('/api/segments/:segmentId/contacts', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const segment = await segmentManager.getSegment(req.org_id, req.params.segmentId);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const { limit = 50, offset = 0 } = req.query;
+    const result = await segmentManager.getMembers(req.org_id, segment.filter_criteria, {
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      contacts: result.contacts,
+      count: result.contacts.length,
+      total: result.total
+    });
+  } catch (error) {
+    logger.error('Segment contacts fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Segment
+ * PUT /api/segments/:segmentId
+ */
+app.put('/api/segments/:segmentId', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    let segment;
+    try {
+      segment = await segmentManager.updateSegment(req.org_id, req.params.segmentId, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    res.json({ message: 'Segment updated', segment });
+  } catch (error) {
+    logger.error('Segment update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete Segment
+ * DELETE /api/segments/:segmentId?org_id=
+ */
+app.delete('/api/segments/:segmentId', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const deleted = await segmentManager.deleteSegment(req.org_id, req.params.segmentId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    res.json({ message: 'Segment deleted' });
+  } catch (error) {
+    logger.error('Segment deletion failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// OPT-OUT ENDPOINTS
+// ============================================================================
+
+/**
+ * Get Opt-out keyword settings and the available keyword sets
+ * GET /api/opt-out/settings?org_id=
+ */
+app.get('/api/opt-out/settings', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const settings = await optOutManager.getSettings(req.org_id);
+    res.json({ settings, defaultKeywords: optOutManager.getDefaultKeywords() });
+  } catch (error) {
+    logger.error('Opt-out settings fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Opt-out keyword settings
+ * PUT /api/opt-out/settings
+ * Body: { org_id, enabled?, languages?, stopKeywords?, startKeywords?, confirmations?, sendConfirmation? }
+ */
+app.put('/api/opt-out/settings', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    let settings;
+    try {
+      settings = await optOutManager.updateSettings(req.org_id, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ message: 'Opt-out settings updated', settings });
+  } catch (error) {
+    logger.error('Opt-out settings update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the Suppression list
+ * GET /api/opt-out/suppressed?org_id=&limit=&offset=
+ */
+app.get('/api/opt-out/suppressed', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.query;
+    const result = await optOutManager.listSuppressed(req.org_id, {
+      limit: Math.min(parseInt(limit) || 100, 1000),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      contacts: result.contacts,
+      count: result.contacts.length,
+      total: result.total
+    });
+  } catch (error) {
+    logger.error('Suppression list fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Add a number to the Suppression list
+ * POST /api/opt-out/suppressed
+ * Body: { org_id, phone_number }
+ */
+app.post('/api/opt-out/suppressed', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const phoneNumber = db.normalizePhone(req.body.phone_number);
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Valid phone_number required' });
+    }
+
+    const contact = await optOutManager.suppress(req.org_id, phoneNumber, { source: 'manual' });
+    res.status(201).json({ message: 'Number suppressed', contact });
+  } catch (error) {
+    logger.error('Suppression failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a number from the Suppression list
+ * DELETE /api/opt-out/suppressed/:phoneNumber?org_id=
+ */
+app.delete('/api/opt-out/suppressed/:phoneNumber', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const phoneNumber = db.normalizePhone(req.params.phoneNumber);
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Valid phone number required' });
+    }
+
+    const contact = await optOutManager.unsuppress(req.org_id, phoneNumber, { source: 'manual' });
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ message: 'Number removed from suppression list', contact });
+  } catch (error) {
+    logger.error('Unsuppression failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// AUTOMATION ENDPOINTS
+// ============================================================================
+
+/**
+ * List a client's active marketplace automations
+ * GET /api/clients/:clientId/automations
+ */
+app.get('/api/clients/:clientId/automations', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const automations = automationMarketplace.getClientAutomations(req.params.clientId);
+    res.json({ automations, count: automations.length });
+  } catch (error) {
+    logger.error('Automations fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Activate a marketplace automation template
+ * POST /api/clients/:clientId/automations
+ * Body: { templateId, config? } (config is merged over the template defaults)
+ */
+app.post('/api/clients/:clientId/automations', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { templateId, config } = req.body;
+
+    if (!templateId) {
+      return res.status(400).json({ error: 'templateId required' });
+    }
+
+    const clientResult = await db.query('SELECT id FROM whatsapp_clients WHERE id = $1', [clientId]);
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    let automation;
+    try {
+      automation = await automationMarketplace.activateAutomation(clientId, templateId, config, { userId: req.user.id });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    res.status(201).json({ message: 'Automation activated', automation });
+  } catch (error) {
+    logger.error('Automation activation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Import automations in the pre-database in-memory shape
+ * POST /api/clients/:clientId/automations/import
+ * Body: { automations: [{ id, templateId, config, activatedAt, status, stats }] }
+ * Entries already imported (same id) are skipped, so the import can be re-run
+ */
+app.post('/api/clients/:clientId/automations/import', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { automations } = req.body;
+
+    if (!Array.isArray(automations)) {
+      return res.status(400).json({ error: 'automations array required' });
+    }
+
+    let result;
+    try {
+      result = await automationMarketplace.importAutomations(req.params.clientId, automations);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    res.json({
+      message: 'Automations imported',
+      imported: result.imported.length,
+      skipped: result.skipped,
+      automations: result.imported
+    });
+  } catch (error) {
+    logger.error('Automation import failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update an active automation's config without deactivating it
+ * PUT /api/clients/:clientId/automations/:automationId
+ * Body: { config, replace? } (config is merged into the current one; replace starts from the template defaults)
+ */
+app.put('/api/clients/:clientId/automations/:automationId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, automationId } = req.params;
+    const { config, replace = false } = req.body;
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return res.status(400).json({ error: 'config object required' });
+    }
+
+    const automation = automationMarketplace.getClientAutomations(clientId).find(a => a.id === automationId);
+    if (!automation) {
+      return res.status(404).json({ error: 'Automation not found' });
+    }
+
+    const updated = await automationMarketplace.updateAutomation(automationId, config, { replace });
+    res.json({ message: 'Automation updated', automation: updated });
+  } catch (error) {
+    logger.error('Automation update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Deactivate Automation
+ * DELETE /api/clients/:clientId/automations/:automationId
+ */
+app.delete('/api/clients/:clientId/automations/:automationId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, automationId } = req.params;
+
+    const automation = automationMarketplace.getClientAutomations(clientId).find(a => a.id === automationId);
+    if (!automation) {
+      return res.status(404).json({ error: 'Automation not found' });
+    }
+
+    await automationMarketplace.deactivateAutomation(automationId);
+    res.json({ message: 'Automation deactivated' });
+  } catch (error) {
+    logger.error('Automation deactivation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// AUTOMATION RULE ENDPOINTS
+// ============================================================================
+
+/**
+ * Validate a rule definition without saving it
+ * POST /api/automation-rules/validate
+ * Body: { name, trigger, conditions?, actions } (see rule-engine.js for the rule format)
+ */
+app.post('/api/automation-rules/validate', verifyApiKey, async (req, res) => {
+  try {
+    RuleEngine.validateRule(req.body);
+    res.json({ valid: true });
+  } catch (error) {
+    res.status(400).json({ valid: false, error: error.message });
+  }
+});
+
+/**
+ * Run a webhook-triggered rule (no API key; authenticated by the rule's webhook token)
+ * POST /api/automation-rules/:ruleId/webhook
+ * Headers: X-Automation-Token: <webhook_token>
+ * Body: { phone?, variables? } (variables are available to conditions and as {variables.<key>})
+ */
+app.post('/api/automation-rules/:ruleId/webhook', async (req, res) => {
+  try {
+    const { phone, variables } = req.body;
+
+    let run;
+    try {
+      run = await ruleEngine.handleWebhook(req.params.ruleId, req.headers['x-automation-token'], { phone, variables });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (!run) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.status(202).json({ run });
+  } catch (error) {
+    logger.error('Automation webhook failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List Automation Rules
+ * GET /api/clients/:clientId/automation-rules
+ */
+app.get('/api/clients/:clientId/automation-rules', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const rules = await ruleEngine.listRules(req.params.clientId);
+    res.json({ rules, count: rules.length });
+  } catch (error) {
+    logger.error('Automation rules fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create Automation Rule
+ * POST /api/clients/:clientId/automation-rules
+ * Body: { name, trigger, conditions?, actions, is_active? }
+ */
+app.post('/api/clients/:clientId/automation-rules', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    let rule;
+    try {
+      rule = await ruleEngine.createRule(req.params.clientId, req.user.id, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    res.status(201).json({ message: 'Rule created', rule });
+  } catch (error) {
+    logger.error('Automation rule creation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Dry-run an unsaved rule against a sample message
+ * POST /api/clients/:clientId/automation-rules/dry-run
+ * Body: { rule, message?: { body, type }, contact?: { name, tags, custom_fields, ... }, variables?, now? }
+ */
+app.post('/api/clients/:clientId/automation-rules/dry-run', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { rule, ...sample } = req.body;
+
+    try {
+      res.json(await ruleEngine.dryRun({ name: 'Dry run', ...(rule || {}) }, sample, req.params.clientId));
+    } catch (validationError) {
+      res.status(400).json({ error: validationError.message });
+    }
+  } catch (error) {
+    logger.error('Automation rule dry run failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Automation Rule
+ * GET /api/clients/:clientId/automation-rules/:ruleId
+ */
+app.get('/api/clients/:clientId/automation-rules/:ruleId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const rule = await ruleEngine.getRule(req.params.clientId, req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ rule });
+  } catch (error) {
+    logger.error('Automation rule fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Automation Rule (only the fields given are changed)
+ * PUT /api/clients/:clientId/automation-rules/:ruleId
+ */
+app.put('/api/clients/:clientId/automation-rules/:ruleId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    let rule;
+    try {
+      rule = await ruleEngine.updateRule(req.params.clientId, req.params.ruleId, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule updated', rule });
+  } catch (error) {
+    logger.error('Automation rule update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete Automation Rule
+ * DELETE /api/clients/:clientId/automation-rules/:ruleId
+ */
+app.delete('/api/clients/:clientId/automation-rules/:ruleId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const deleted = await ruleEngine.deleteRule(req.params.clientId, req.params.ruleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule deleted' });
+  } catch (error) {
+    logger.error('Automation rule deletion failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Dry-run a saved rule against a sample message
+ * POST /api/clients/:clientId/automation-rules/:ruleId/dry-run
+ * Body: { message?: { body, type }, contact?, variables?, now? }
+ */
+app.post('/api/clients/:clientId/automation-rules/:ruleId/dry-run', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const rule = await ruleEngine.getRule(req.params.clientId, req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    try {
+      res.json(await ruleEngine.dryRun(rule, req.body, req.params.clientId));
+    } catch (validationError) {
+      res.status(400).json({ error: validationError.message });
+    }
+  } catch (error) {
+    logger.error('Automation rule dry run failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Recent runs of a rule with per-action results
+ * GET /api/clients/:clientId/automation-rules/:ruleId/runs?status=waiting&limit=
+ */
+app.get('/api/clients/:clientId/automation-rules/:ruleId/runs', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const runs = await ruleEngine.getRuns(req.params.clientId, req.params.ruleId, {
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    res.json({ runs, count: runs.length });
+  } catch (error) {
+    logger.error('Automation rule runs fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// CHATBOT FLOW ENDPOINTS
+// ============================================================================
+
+/**
+ * Validate a flow definition without saving it
+ * POST /api/flows/validate
+ * Body: { name, start, nodes, keywords?, ... } (see flow-engine.js for the flow format)
+ */
+app.post('/api/flows/validate', verifyApiKey, async (req, res) => {
+  try {
+    FlowEngine.validateFlow(req.body);
+    res.json({ valid: true });
+  } catch (error) {
+    res.status(400).json({ valid: false, error: error.message });
+  }
+});
+
+/**
+ * List Chatbot Flows
+ * GET /api/clients/:clientId/flows
+ */
+app.get('/api/clients/:clientId/flows', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const flows = await flowEngine.listFlows(req.params.clientId);
+    res.json({ flows, count: flows.length });
+  } catch (error) {
+    logger.error('Flows fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create Chatbot Flow
+ * POST /api/clients/:clientId/flows
+ * Body: { name, start, nodes, keywords?, resume_keywords?, is_default?, session_timeout_minutes?, timeout_message?, is_active? }
+ */
+app.post('/api/clients/:clientId/flows', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    let flow;
+    try {
+      flow = await flowEngine.createFlow(req.params.clientId, req.user.id, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    res.status(201).json({ message: 'Flow created', flow });
+  } catch (error) {
+    logger.error('Flow creation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Simulate an unsaved flow
+ * POST /api/clients/:clientId/flows/simulate
+ * Body: { flow, messages: ["1", "jane@example.com"], contact?: { name, custom_fields, ... }, session? }
+ * Pass the returned session back to continue the conversation in another call
+ */
+app.post('/api/clients/:clientId/flows/simulate', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { flow, ...sample } = req.body;
+
+    try {
+      res.json(await flowEngine.simulate(req.params.clientId, { name: 'Simulation', ...(flow || {}) }, sample));
+    } catch (validationError) {
+      res.status(400).json({ error: validationError.message });
+    }
+  } catch (error) {
+    logger.error('Flow simulation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Chatbot Flow
+ * GET /api/clients/:clientId/flows/:flowId
+ */
+app.get('/api/clients/:clientId/flows/:flowId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const flow = await flowEngine.getFlow(req.params.clientId, req.params.flowId);
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    res.json({ flow });
+  } catch (error) {
+    logger.error('Flow fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Chatbot Flow (only the fields given are changed)
+ * PUT /api/clients/:clientId/flows/:flowId
+ */
+app.put('/api/clients/:clientId/flows/:flowId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    let flow;
+    try {
+      flow = await flowEngine.updateFlow(req.params.clientId, req.params.flowId, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    res.json({ message: 'Flow updated', flow });
+  } catch (error) {
+    logger.error('Flow update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete Chatbot Flow
+ * DELETE /api/clients/:clientId/flows/:flowId
+ */
+app.delete('/api/clients/:clientId/flows/:flowId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const deleted = await flowEngine.deleteFlow(req.params.clientId, req.params.flowId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    res.json({ message: 'Flow deleted' });
+  } catch (error) {
+    logger.error('Flow deletion failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Simulate a saved flow
+ * POST /api/clients/:clientId/flows/:flowId/simulate
+ * Body: { messages, contact?, session? }
+ */
+app.post('/api/clients/:clientId/flows/:flowId/simulate', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const flow = await flowEngine.getFlow(req.params.clientId, req.params.flowId);
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    try {
+      res.json(await flowEngine.simulate(req.params.clientId, flow, req.body));
+    } catch (validationError) {
+      res.status(400).json({ error: validationError.message });
+    }
+  } catch (error) {
+    logger.error('Flow simulation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Flow Sessions
+ * GET /api/clients/:clientId/flows/:flowId/sessions?status=active|completed|handed_off|expired|restarted
+ */
+app.get('/api/clients/:clientId/flows/:flowId/sessions', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const sessions = await flowEngine.getSessions(req.params.clientId, req.params.flowId, {
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    res.json({ sessions, count: sessions.length });
+  } catch (error) {
+    logger.error('Flow sessions fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// SEQUENCE ENDPOINTS
+// ============================================================================
+
+/**
+ * List Drip Sequences
+ * GET /api/sequences
+ */
+app.get('/api/sequences', verifyApiKey, (req, res) => {
+  res.json({ sequences: sequenceRunner.getSequences() });
+});
+
+/**
+ * Enroll Contact in Sequence
+ * POST /api/clients/:clientId/sequences/:sequenceId/enrollments
+ */
+app.post('/api/clients/:clientId/sequences/:sequenceId/enrollments', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, sequenceId } = req.params;
+    const { to, contactId, variables } = req.body;
+
+    if (!to && !contactId) {
+      return res.status(400).json({ error: 'Phone number or contactId required' });
+    }
+    const chatId = to ? toChatId(to) : null;
+    if (to && !chatId) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    let enrollment;
+    try {
+      enrollment = await sequenceRunner.enroll(clientId, sequenceId, {
+        to: chatId,
+        contactId,
+        variables
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json({ message: 'Contact enrolled', enrollment });
+  } catch (error) {
+    logger.error('Sequence enrollment failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List Enrollments (filter by contactId, phone, sequenceId, status)
+ * GET /api/clients/:clientId/enrollments
+ */
+app.get('/api/clients/:clientId/enrollments', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { contactId, phone, sequenceId, status, limit = 50, offset = 0 } = req.query;
+
+    const chatId = phone ? toChatId(phone) : null;
+    if (phone && !chatId) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const enrollments = await sequenceRunner.getEnrollments(clientId, {
+      contactId,
+      phone: chatId,
+      sequenceId,
+      status,
+      limit,
+      offset
+    });
+
+    res.json({ enrollments, count: enrollments.length });
+  } catch (error) {
+    logger.error('Enrollments fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Cancel Enrollment
+ * DELETE /api/clients/:clientId/enrollments/:enrollmentId
+ */
+app.delete('/api/clients/:clientId/enrollments/:enrollmentId', verifyApiKey, checkClientAccess, async (req, res) => {
+  try {
+    const { clientId, enrollmentId } = req.params;
+
+    let enrollment;
+    try {
+      enrollment = await sequenceRunner.cancelEnrollment(clientId, enrollmentId);
+    } catch (error) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+
+    res.json({ message: 'Enrollment cancelled', enrollment });
+  } catch (error) {
+    logger.error('Cancel enrollment failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// TEAM MANAGEMENT ENDPOINTS
+// ============================================================================
+
+/**
+ * Create Team Member
+ * POST /api/team/members
+ */
+app.post('/api/team/members', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const { email, password, name, role } = req.body;
+
+    // Verify user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can create users' });
+    }
+
+    const user = await teamManager.createUser(
+      email,
+      password,
+      name,
+      req.org_id,
+      role || 'agent'
+    );
+
+    logger.info(`Team member created: ${email}`);
+    res.status(201).json({
+      message: 'Team member created',
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    logger.error('Team member creation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Assign Client to Team Member
+ * POST /api/team/members/:userId/clients/:clientId
+ */
+app.post('/api/team/members/:userId/clients/:clientId', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const { userId, clientId } = req.params;
+
+    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    await teamManager.assignClientToMember(userId, clientId, req.org_id);
+
+    logger.info(`Client ${clientId} assigned to user ${userId}`);
+    res.json({ message: 'Client assigned successfully' });
+  } catch (error) {
+    logger.error('Client assignment failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Audit Logs
+ * GET /api/audit-logs
+ */
+app.get('/api/audit-logs', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.query;
+
+    const logs = await teamManager.getAuditLogs(req.org_id, limit, offset);
+
+    res.json({
+      logs,
+      count: logs.length
+    });
+  } catch (error) {
+    logger.error('Audit logs fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// WEBHOOK ENDPOINTS
+// ============================================================================
+
+/**
+ * Register Webhook
+ * POST /api/webhooks
+ */
+app.post('/api/webhooks', verifyApiKey, checkOrgAccess, async (req, res) => {
   try {
     const { url, events } = req.body;
 
@@ -898,19 +3070,38 @@ app.get('/api/analytics/campaigns/:campaignId/export', verifyApiKey, async (req,
 /**
  * Upload Media
  * POST /api/media/upload
+ * Body: { org_id, clientId, file (base64), filename?, mimeType? }
+ *
+ * The returned media id can be sent with send-message as `mediaId`.
  */
 app.post('/api/media/upload', verifyApiKey, checkOrgAccess, async (req, res) => {
   try {
-    const { file, organizationId } = req.body;
+    const { file, clientId, filename, mimeType } = req.body;
 
-    if (!file) {
-      return res.status(400).json({ error: 'File required' });
+    if (!file || !clientId) {
+      return res.status(400).json({ error: 'File and clientId required' });
     }
 
-    const media = await mediaManager.uploadFile(
-      Buffer.from(file, 'base64'),
-      organizationId
+    const clientResult = await db.query(
+      'SELECT id FROM whatsapp_clients WHERE id = $1 AND organization_id = $2',
+      [clientId, req.org_id]
     );
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    let media;
+    try {
+      media = await mediaManager.uploadFile(
+        Buffer.from(file, 'base64'),
+        filename || null,
+        mimeType || null,
+        clientId,
+        req.org_id
+      );
+    } catch (error) {
+      return res.status(mediaErrorStatus(error)).json({ error: error.message });
+    }
 
     logger.info(`Media uploaded: ${media.id}`);
     res.status(201).json({
@@ -923,15 +3114,41 @@ app.post('/api/media/upload', verifyApiKey, checkOrgAccess, async (req, res) =>
   }
 });
 
+/**
+ * Media downloads take either the API key or a pre-signed URL's parameters
+ */
+const verifyMediaAccess = async (req, res, next) => {
+  if (!req.query.signature) {
+    return verifyApiKey(req, res, next);
+  }
+
+  try {
+    const check = await mediaManager.verifySignedUrl(req.params.mediaId, req.query);
+    if (!check.valid) {
+      return res.status(check.status).json({ error: check.error });
+    }
+    next();
+  } catch (error) {
+    logger.error('Signed media URL check failed:', error);
+    res.status(500).json({ error: 'Authorization error' });
+  }
+};
+
 /**
  * Download Media
- * GET /api/media/:mediaId/download
+ * GET /api/media/:mediaId/download[?expires=&signature=&nonce=][&inline=true]
+ *
+ * Supports Range requests; signed URLs come from the signed-url endpoint,
+ * message webhooks and message history.
  */
-app.get('/api/media/:mediaId/download', verifyApiKey, async (req, res) => {
+app.get('/api/media/:mediaId/download', verifyMediaAccess, async (req, res) => {
   try {
     const { mediaId } = req.params;
 
-    await mediaManager.streamFileToResponse(mediaId, res);
+    await mediaManager.streamFileToResponse(mediaId, res, {
+      range: req.headers.range || null,
+      inline: req.query.inline === 'true'
+    });
   } catch (error) {
     logger.error('Media download failed:', error);
     res.status(500).json({ error: error.message });
@@ -939,12 +3156,203 @@ app.get('/api/media/:mediaId/download', verifyApiKey, async (req, res) => {
 });
 
 /**
- * Get Storage Usage
- * GET /api/analytics/storage
+ * Create a Signed download URL
+ * POST /api/media/:mediaId/signed-url
+ * Body: { org_id, expiresIn? (seconds), singleUse? }
+ */
+app.post('/api/media/:mediaId/signed-url', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const file = await mediaManager.getOrganizationFile(req.params.mediaId, req.org_id);
+    if (!file) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const { expiresIn, singleUse } = req.body;
+    if (expiresIn !== undefined && !(parseInt(expiresIn) > 0 && parseInt(expiresIn) <= 7 * 24 * 3600)) {
+      return res.status(400).json({ error: 'expiresIn must be between 1 and 604800 seconds' });
+    }
+
+    res.status(201).json(mediaManager.createSignedUrl(file.id, {
+      expiresIn: expiresIn !== undefined ? parseInt(expiresIn) : undefined,
+      singleUse: singleUse === true
+    }));
+  } catch (error) {
+    logger.error('Signed URL creation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Inbound media settings
+ * GET /api/media/inbound-settings?org_id=
+ */
+app.get('/api/media/inbound-settings', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const settings = await mediaManager.getInboundSettings(req.org_id);
+    res.json({ settings });
+  } catch (error) {
+    logger.error('Inbound media settings fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Inbound media settings
+ * PUT /api/media/inbound-settings
+ * Body: { org_id, enabled?, maxSize?, allowedTypes? } (allowedTypes: categories or MIME types)
+ */
+app.put('/api/media/inbound-settings', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    let settings;
+    try {
+      settings = await mediaManager.updateInboundSettings(req.org_id, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ message: 'Inbound media settings updated', settings });
+  } catch (error) {
+    logger.error('Inbound media settings update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Storage backend settings
+ * GET /api/media/storage-settings?org_id=
+ */
+app.get('/api/media/storage-settings', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const settings = await mediaManager.getStorageSettings(req.org_id);
+    res.json({ settings });
+  } catch (error) {
+    logger.error('Storage settings fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Storage backend settings (applies to new uploads; move existing files with npm run storage:migrate)
+ * PUT /api/media/storage-settings
+ * Body: { org_id, driver }
+ */
+app.put('/api/media/storage-settings', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    let settings;
+    try {
+      settings = await mediaManager.updateStorageSettings(req.org_id, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ message: 'Storage settings updated', settings });
+  } catch (error) {
+    logger.error('Storage settings update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Media lifecycle rules
+ * GET /api/media/lifecycle?org_id=
+ */
+app.get('/api/media/lifecycle', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const settings = await mediaManager.getLifecycleSettings(req.org_id);
+    res.json({ settings });
+  } catch (error) {
+    logger.error('Media lifecycle fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update Media lifecycle rules (days to keep files; null keeps them)
+ * PUT /api/media/lifecycle
+ * Body: { org_id, inboundDays?, outboundDays?, unsentDays? }
+ */
+app.put('/api/media/lifecycle', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    let settings;
+    try {
+      settings = await mediaManager.updateLifecycleSettings(req.org_id, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ message: 'Media lifecycle updated', settings });
+  } catch (error) {
+    logger.error('Media lifecycle update failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Media details with dimensions/duration and derivatives
+ * GET /api/media/:mediaId?org_id=
+ */
+app.get('/api/media/:mediaId', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const file = await mediaManager.getOrganizationFile(req.params.mediaId, req.org_id);
+    if (!file) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const derivatives = await mediaManager.getDerivatives(file.id);
+    res.json({ media: file, derivatives });
+  } catch (error) {
+    logger.error('Media fetch failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Process Media ahead of sending (thumbnail, compression, voice note conversion)
+ * POST /api/media/:mediaId/process
+ * Body: { org_id, voice? }
+ */
+app.post('/api/media/:mediaId/process', verifyApiKey, checkOrgAccess, async (req, res) => {
+  try {
+    const file = await mediaManager.getOrganizationFile(req.params.mediaId, req.org_id);
+    if (!file) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    if (file.scan_status === 'quarantined') {
+      return res.status(422).json({ error: MediaManager.QUARANTINED_ERROR });
+    }
+
+    const result = await mediaManager.processFile(file.id, { voice: req.body.voice === true });
+
+    res.json({
+      message: 'Media processed',
+      media: await mediaManager.getFile(file.id),
+      derivatives: result.derivatives
+    });
+  } catch (error) {
+    logger.error('Media processing failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get Storage Usage against the plan quota, by client and media category
+ * GET /api/analytics/storage?org_id=
  */
 app.get('/api/analytics/storage', verifyApiKey, checkOrgAccess, async (req, res) => {
   try {
-    const usage = await mediaManager.getStorageUsage(req.org_id);
+    const usage = await mediaManager.getStorageBreakdown(req.org_id);
 
     res.json(usage);
   } catch (error) {
@@ -997,10 +3405,53 @@ async function initializeManagers() {
 
     // Initialize managers
     antiBanManager = new AdvancedAntiBanManager();
-    mediaManager = new MediaManager();
     webhookManager = new WebhookManager();
+    mediaManager = new MediaManager(webhookManager);
     teamManager = new TeamManager();
     analyticsManager = new AnalyticsManager();
+    messageQueue = new MessageQueue(antiBanManager);
+    deliveryTracker = new DeliveryTracker(analyticsManager, webhookManager);
+    messageScheduler = new MessageScheduler(messageQueue);
+    automationMarketplace = new AutomationMarketplace(logger);
+    automationMarketplace.setScheduler(messageScheduler);
+    contactManager = new ContactManager();
+    contactImporter = new ContactImporter();
+    segmentManager = new SegmentManager();
+    optOutManager = new OptOutManager();
+    conversationManager = new ConversationManager();
+    assignmentManager = new AssignmentManager();
+    automationMarketplace.setAssignmentManager(assignmentManager);
+    automationMarketplace.setContactManager(contactManager);
+    automationMarketplace.setWebhookManager(webhookManager);
+    businessHoursManager = new BusinessHoursManager();
+    ruleEngine = new RuleEngine(messageQueue, webhookManager, assignmentManager, businessHoursManager);
+    flowEngine = new FlowEngine(messageQueue, webhookManager, assignmentManager);
+    sequenceRunner = new SequenceRunner(messageQueue);
+
+    // Messages claimed by a previous process that never finished go back to pending
+    await messageQueue.recoverStaleMessages();
+    setInterval(() => messageQueue.recoverStaleMessages(), 60 * 1000);
+
+    // Imports run in-process, so any whose instance died can't finish
+    await contactImporter.failInterruptedImports();
+    setInterval(() => contactImporter.failInterruptedImports(), 60 * 1000);
+
+    // Rule runs cut off partway through their actions can't be resumed safely
+    await ruleEngine.failInterruptedRuns();
+    setInterval(() => ruleEngine.failInterruptedRuns(), 60 * 1000);
+
+    // Marketplace automations activated before the restart
+    const automationClients = await db.query('SELECT id FROM whatsapp_clients');
+    for (const row of automationClients.rows) {
+      await automationMarketplace.loadAutomations(row.id);
+    }
+
+    // Picks up anything that came due while the service was down
+    messageScheduler.start();
+    sequenceRunner.start();
+    ruleEngine.start();
+    flowEngine.start();
+    mediaManager.start();
 
     logger.success('All managers initialized');
   } catch (error) {
@@ -1026,6 +3477,14 @@ async function startServer() {
     // Graceful shutdown
     process.on('SIGINT', async () => {
       logger.info('Shutting down gracefully...');
+
+      // Stop queue workers; unsent messages stay pending in the database
+      messageScheduler.stop();
+      sequenceRunner.stop();
+      ruleEngine.stop();
+      flowEngine.stop();
+      mediaManager.stop();
+      messageQueue.stopAll();
       
       // Close all WhatsApp clients
       for (const [clientId, wrapper] of clients.entries()) {
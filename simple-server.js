@@ -11,6 +11,13 @@ const { AutomationMarketplace } = require('./automations');
 const { SetupWizard } = require('./setup-wizard');
 const { AuditLogger } = require('./audit-logger');
 const { MessageTemplates, CampaignManager } = require('./templates');
+const DeliveryTracker = require('./delivery-tracker');
+const { BulkSendManager } = require('./bulk-sender');
+const OptOutManager = require('./opt-out-manager');
+const ContactManager = require('./contact-manager');
+const WebhookManager = require('./webhook-manager');
+const BusinessHoursManager = require('./business-hours');
+const AnalyticsManager = require('./analytics-manager');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -211,6 +218,11 @@ process.on('SIGTERM', () => {
 function createClient(clientId) {
   logger.info('Creating WhatsApp client', { clientId });
 
+  // Activated automations are stored per client; clients not in the database keep none across restarts
+  automationMarketplace.loadAutomations(clientId).catch(error => {
+    logger.error('Failed to load client automations', { clientId, error: error.message });
+  });
+
   const puppeteerOpts = {
     headless: true,
     args: [
@@ -359,6 +371,11 @@ function createClient(clientId) {
     logger.updateMetrics({
       connectedClients: Array.from(clients.values()).filter(c => c.status === 'connected').length
     });
+
+    // Continue campaigns that were running before a disconnect or restart
+    campaignManager.resumeClientCampaigns(clientId, createSendFunction(clientId)).catch(error => {
+      logger.error('Failed to resume campaigns', { clientId, error: error.message });
+    });
   });
 
   client.on('authenticated', () => {
@@ -463,6 +480,47 @@ function createClient(clientId) {
     logger.info('Client loading', { clientId, percent, message });
   });
 
+  // Delivery and read receipts for messages we sent
+  client.on('message_ack', async (message, ack) => {
+    const status = DeliveryTracker.ackToStatus(ack);
+    if (!status || !message.fromMe) return;
+
+    campaignManager.recordAck(message.id.id, status);
+
+    const entry = auditLogger.findMessage(clientId, message.id.id);
+    if (!entry || !DeliveryTracker.isStatusAdvance(entry.status, status)) return;
+
+    const wasDelivered = !!entry.deliveredAt;
+    auditLogger.updateMessageStatus(clientId, message.id.id, status);
+    logger.metric('Message status updated', { clientId, messageId: message.id.id, status });
+
+    if (status === 'delivered') {
+      logger.updateMetrics({ messagesDelivered: logger.metrics.messagesDelivered + 1 });
+    } else if (status === 'read') {
+      // Read receipts can skip the delivered ack
+      logger.updateMetrics({
+        messagesDelivered: logger.metrics.messagesDelivered + (wasDelivered ? 0 : 1),
+        messagesRead: logger.metrics.messagesRead + 1
+      });
+    }
+
+    // Daily metrics and receipt webhooks need the client registered in whatsapp_clients
+    try {
+      const registered = await automationMarketplace.resolveClient(clientId);
+      if (registered) {
+        await deliveryTracker.recordReceipt(registered.id, registered.organization_id, {
+          messageId: null,
+          whatsappMessageId: message.id._serialized,
+          to: message.to,
+          status,
+          skippedDelivered: !wasDelivered
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to record message receipt', { clientId, error: error.message });
+    }
+  });
+
   client.on('message', async (message) => {
     logger.info('Message received', { clientId, from: message.from, body: message.body.substring(0, 100) });
 
@@ -473,18 +531,39 @@ function createClient(clientId) {
       clients.set(clientId, clientData);
     }
 
+    // Quoted replies keep the id of the message they quote
+    const quoted = message.hasQuotedMsg ? await message.getQuotedMessage().catch(() => null) : null;
+
     // Log inbound message
     auditLogger.logMessage(clientId, 'inbound', client.info?.wid?.user || clientId, message.from, message.body, 'received', {
       messageId: message.id.id,
+      serializedId: message.id._serialized,
+      replyTo: quoted ? quoted.id.id : undefined,
+      senderName: message.from.endsWith('@c.us') ? message._data?.notifyName : undefined,
       hasMedia: !!message.hasMedia
     });
 
+    // STOP/START replies only update the suppression list; no automations or campaign triggers
+    if (!message.fromMe && await handleOptOutKeyword(clientId, message)) {
+      return;
+    }
+
+    // Outside business hours the contact gets the away message, once until the next opening
+    if (!message.fromMe && message.from.endsWith('@c.us')) {
+      const awayMessage = await businessHoursManager.claimAwayReply(clientId, message.from);
+      if (awayMessage) {
+        try {
+          await antiBan.queueMessage(clientId, message.from, awayMessage, createSendFunction(clientId));
+        } catch (error) {
+          logger.error('Away message failed', { clientId, to: message.from, error: error.message });
+        }
+      }
+    }
+
     // Process automations
     try {
-      const automationResults = await automationMarketplace.processMessage(clientId, message, {
-        clientData: clients.get(clientId),
-        timestamp: Date.now()
-      });
+      const automationResults = await automationMarketplace.processMessage(clientId, message,
+        await createAutomationContext(clientId));
 
       // Log automation triggers
       if (automationResults.length > 0) {
@@ -498,6 +577,18 @@ function createClient(clientId) {
     } catch (error) {
       logger.error('Automation processing failed', { clientId, error: error.message });
     }
+
+    // Triggered campaigns (welcome series, follow-ups)
+    if (!message.fromMe) {
+      try {
+        await campaignManager.processCampaignMessage(clientId, message, {
+          clientData: clients.get(clientId),
+          sendFunction: createSendFunction(clientId)
+        });
+      } catch (error) {
+        logger.error('Campaign processing failed', { clientId, error: error.message });
+      }
+    }
   });
 
   return client;
@@ -910,12 +1001,17 @@ app.get('/automations/templates/:type/:id', (req, res) => {
   }
 });
 
-app.post('/automations/activate', authenticateClient, (req, res) => {
+app.post('/automations/activate', authenticateClient, async (req, res) => {
   try {
     const { automationId, config } = req.body;
     const clientId = req.clientId;
 
-    const automation = automationMarketplace.activateAutomation(clientId, automationId, config);
+    // Activations are stored in the database, keyed to the client's whatsapp_clients row
+    if (!await automationMarketplace.resolveClient(clientId)) {
+      return res.status(404).json({ success: false, error: 'Client is not registered in the database' });
+    }
+
+    const automation = await automationMarketplace.activateAutomation(clientId, automationId, config);
     res.json({ success: true, automation });
   } catch (error) {
     logger.error('Error activating automation', { clientId: req.clientId, automationId: req.body.automationId, error: error.message });
@@ -923,7 +1019,50 @@ app.post('/automations/activate', authenticateClient, (req, res) => {
   }
 });
 
-app.delete('/automations/:automationId', authenticateClient, (req, res) => {
+// Change an active automation's config in place; set replace to start again from the template defaults
+app.put('/automations/:automationId', authenticateClient, async (req, res) => {
+  try {
+    const { automationId } = req.params;
+    const { config, replace = false } = req.body;
+    const clientId = req.clientId;
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return res.status(400).json({ success: false, error: 'config object required' });
+    }
+
+    // Verify automation belongs to client
+    const automation = automationMarketplace.getClientAutomations(clientId).find(a => a.id === automationId);
+    if (!automation) {
+      return res.status(404).json({ success: false, error: 'Automation not found' });
+    }
+
+    const updated = await automationMarketplace.updateAutomation(automationId, config, { replace });
+    res.json({ success: true, automation: updated });
+  } catch (error) {
+    logger.error('Error updating automation', { clientId: req.clientId, automationId: req.params.automationId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Import automations exported from GET /automations/my before they were stored in the database
+app.post('/automations/import', authenticateClient, async (req, res) => {
+  try {
+    const { automations } = req.body;
+    const clientId = req.clientId;
+
+    if (!Array.isArray(automations)) {
+      return res.status(400).json({ success: false, error: 'automations array required' });
+    }
+
+    const { imported, skipped } = await automationMarketplace.importAutomations(clientId, automations);
+    res.json({ success: true, imported: imported.length, skipped, automations: imported });
+  } catch (error) {
+    logger.error('Error importing automations', { clientId: req.clientId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/automations/:automationId', authenticateClient, async (req, res) => {
   try {
     const { automationId } = req.params;
     const clientId = req.clientId;
@@ -936,7 +1075,7 @@ app.delete('/automations/:automationId', authenticateClient, (req, res) => {
       return res.status(404).json({ success: false, error: 'Automation not found' });
     }
 
-    const success = automationMarketplace.deactivateAutomation(automationId);
+    const success = await automationMarketplace.deactivateAutomation(automationId);
     res.json({ success, message: 'Automation deactivated' });
   } catch (error) {
     logger.error('Error deactivating automation', { error: error.message });
@@ -944,6 +1083,25 @@ app.delete('/automations/:automationId', authenticateClient, (req, res) => {
   }
 });
 
+// Fire a non-message trigger (invoice_created, payment_due, order_status_change, ...) for the client's automations
+app.post('/automations/events', authenticateClient, async (req, res) => {
+  try {
+    const { trigger, to, variables = {} } = req.body;
+    const clientId = req.clientId;
+
+    if (!trigger || !to) {
+      return res.status(400).json({ success: false, error: 'trigger and to required' });
+    }
+
+    const results = await automationMarketplace.processEvent(clientId, trigger, { to, variables },
+      await createAutomationContext(clientId));
+    res.json({ success: true, triggered: results.length, results });
+  } catch (error) {
+    logger.error('Error processing automation event', { clientId: req.clientId, trigger: req.body.trigger, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get('/automations/my', authenticateClient, (req, res) => {
   try {
     const clientId = req.clientId;
@@ -1037,6 +1195,44 @@ app.get('/messages/history', authenticateClient, (req, res) => {
   }
 });
 
+// Conversation threads grouped by chat, most recent activity first
+app.get('/conversations', authenticateClient, (req, res) => {
+  try {
+    const { unread, limit, offset } = req.query;
+
+    const result = auditLogger.getConversations(req.clientId, {
+      unreadOnly: unread === 'true',
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error fetching conversations', { clientId: req.clientId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Messages in one chat, newest first; pass nextCursor as `before` for older ones
+app.get('/conversations/:chatId/messages', authenticateClient, (req, res) => {
+  try {
+    const { before, limit } = req.query;
+
+    const result = auditLogger.getConversationMessages(req.clientId, req.params.chatId, {
+      before,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error fetching conversation messages', { clientId: req.clientId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/conversations/:chatId/read', authenticateClient, (req, res) => {
+  const marked = auditLogger.markConversationRead(req.clientId, req.params.chatId);
+  res.json({ success: true, marked });
+});
+
 app.get('/messages/stats', authenticateClient, (req, res) => {
   try {
     const clientId = req.clientId;
@@ -1157,13 +1353,127 @@ app.post('/templates/render', authenticateClient, (req, res) => {
   }
 });
 
+// Send function for antiBan.queueMessage used by background senders (campaigns)
+function createSendFunction(clientId) {
+  return async (recipient, msg) => {
+    const clientData = clients.get(clientId);
+    const client = clientData?.client;
+
+    if (!client || !client.info || !client.info.wid) {
+      throw new Error('Client not connected');
+    }
+
+    const sendResult = await client.sendMessage(recipient, msg);
+
+    clientData.lastActivity = Date.now();
+    clientData.messageCount = (clientData.messageCount || 0) + 1;
+
+    logger.updateMetrics({
+      messagesSent: logger.metrics.messagesSent + 1
+    });
+
+    auditLogger.logMessage(clientId, 'outbound', recipient, client.info.wid.user, msg, 'sent', {
+      messageId: sendResult.id.id
+    });
+
+    return sendResult;
+  };
+}
+
+// Context automation actions run with: sends go through anti-ban pacing; contact and webhook
+// actions only apply to clients registered in the database
+async function createAutomationContext(clientId) {
+  const sendFunction = createSendFunction(clientId);
+  const organizationId = await optOutManager.getClientOrganization(clientId).catch(() => null);
+
+  return {
+    clientData: clients.get(clientId),
+    timestamp: Date.now(),
+    organizationId,
+    sendMessage: async (to, text) => {
+      const sendResult = await antiBan.queueMessage(clientId, to, text, sendFunction);
+      return sendResult.id.id;
+    }
+  };
+}
+
+// Apply STOP/START keywords for clients registered in the database; returns true if the message was one
+async function handleOptOutKeyword(clientId, message) {
+  if (!message.from.endsWith('@c.us')) return false;
+
+  try {
+    const organizationId = await optOutManager.getClientOrganization(clientId);
+    if (!organizationId) return false;
+
+    const result = await optOutManager.handleInboundMessage(organizationId, message.from, message.body);
+    if (!result) return false;
+
+    auditLogger.logAuditEvent(result.action === 'stop' ? 'contact_opted_out' : 'contact_opted_in', clientId, {
+      from: message.from,
+      keyword: result.keyword
+    });
+
+    if (result.confirmation) {
+      await antiBan.queueMessage(clientId, message.from, result.confirmation, createSendFunction(clientId));
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('Opt-out keyword handling failed', { clientId, error: error.message });
+    return false;
+  }
+}
+
+// Business hours endpoints (clients registered in the database)
+app.get('/business-hours', authenticateClient, async (req, res) => {
+  try {
+    const settings = await businessHoursManager.getSettings(req.clientId);
+    if (!settings) {
+      return res.status(404).json({ success: false, error: 'Client is not registered in the database' });
+    }
+
+    const { client_id: id, ...businessHours } = settings;
+    res.json({ success: true, businessHours, status: await businessHoursManager.getStatus(id) });
+  } catch (error) {
+    logger.error('Error fetching business hours', { clientId: req.clientId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/business-hours', authenticateClient, async (req, res) => {
+  try {
+    let settings;
+    try {
+      settings = await businessHoursManager.updateSettings(req.clientId, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    if (!settings) {
+      return res.status(404).json({ success: false, error: 'Client is not registered in the database' });
+    }
+
+    const { client_id: id, ...businessHours } = settings;
+    res.json({ success: true, businessHours, status: await businessHoursManager.getStatus(id) });
+  } catch (error) {
+    logger.error('Error updating business hours', { clientId: req.clientId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Campaigns endpoints
-app.post('/campaigns', authenticateClient, (req, res) => {
+app.post('/campaigns', authenticateClient, async (req, res) => {
   try {
     const clientId = req.clientId;
     const campaignData = req.body;
 
-    const campaign = campaignManager.createCampaign(clientId, campaignData);
+    try {
+      campaignManager.validateCampaign(clientId, campaignData);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const campaign = await campaignManager.createCampaign(clientId, campaignData);
     res.json({ success: true, campaign });
   } catch (error) {
     logger.error('Error creating campaign', { clientId: req.clientId, error: error.message });
@@ -1171,12 +1481,12 @@ app.post('/campaigns', authenticateClient, (req, res) => {
   }
 });
 
-app.get('/campaigns', authenticateClient, (req, res) => {
+app.get('/campaigns', authenticateClient, async (req, res) => {
   try {
     const clientId = req.clientId;
     const { status } = req.query;
 
-    const campaigns = campaignManager.getClientCampaigns(clientId, status);
+    const campaigns = await campaignManager.getClientCampaigns(clientId, status);
     res.json({ success: true, campaigns });
   } catch (error) {
     logger.error('Error fetching campaigns', { clientId: req.clientId, error: error.message });
@@ -1184,18 +1494,19 @@ app.get('/campaigns', authenticateClient, (req, res) => {
   }
 });
 
-app.post('/campaigns/:campaignId/start', authenticateClient, (req, res) => {
+// Starts a draft campaign or resumes a paused one
+app.post('/campaigns/:campaignId/start', authenticateClient, async (req, res) => {
   try {
     const { campaignId } = req.params;
     const clientId = req.clientId;
 
     // Verify campaign belongs to client
-    const campaign = campaignManager.getCampaign(campaignId);
+    const campaign = await campaignManager.getCampaign(campaignId);
     if (!campaign || campaign.clientId !== clientId) {
       return res.status(404).json({ success: false, error: 'Campaign not found' });
     }
 
-    const updatedCampaign = campaignManager.startCampaign(campaignId);
+    const updatedCampaign = await campaignManager.startCampaign(campaignId, createSendFunction(clientId));
     res.json({ success: true, campaign: updatedCampaign });
   } catch (error) {
     logger.error('Error starting campaign', { campaignId: req.params.campaignId, error: error.message });
@@ -1203,18 +1514,19 @@ app.post('/campaigns/:campaignId/start', authenticateClient, (req, res) => {
   }
 });
 
-app.post('/campaigns/:campaignId/stop', authenticateClient, (req, res) => {
+// Pauses a running campaign; /start resumes it
+app.post('/campaigns/:campaignId/stop', authenticateClient, async (req, res) => {
   try {
     const { campaignId } = req.params;
     const clientId = req.clientId;
 
     // Verify campaign belongs to client
-    const campaign = campaignManager.getCampaign(campaignId);
+    const campaign = await campaignManager.getCampaign(campaignId);
     if (!campaign || campaign.clientId !== clientId) {
       return res.status(404).json({ success: false, error: 'Campaign not found' });
     }
 
-    const updatedCampaign = campaignManager.stopCampaign(campaignId);
+    const updatedCampaign = await campaignManager.pauseCampaign(campaignId);
     res.json({ success: true, campaign: updatedCampaign });
   } catch (error) {
     logger.error('Error stopping campaign', { campaignId: req.params.campaignId, error: error.message });
@@ -1222,12 +1534,31 @@ app.post('/campaigns/:campaignId/stop', authenticateClient, (req, res) => {
   }
 });
 
-app.get('/campaigns/analytics', authenticateClient, (req, res) => {
+app.post('/campaigns/:campaignId/cancel', authenticateClient, async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const clientId = req.clientId;
+
+    // Verify campaign belongs to client
+    const campaign = await campaignManager.getCampaign(campaignId);
+    if (!campaign || campaign.clientId !== clientId) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    const updatedCampaign = await campaignManager.cancelCampaign(campaignId);
+    res.json({ success: true, campaign: updatedCampaign });
+  } catch (error) {
+    logger.error('Error cancelling campaign', { campaignId: req.params.campaignId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/campaigns/analytics', authenticateClient, async (req, res) => {
   try {
     const clientId = req.clientId;
     const { campaignId } = req.query;
 
-    const analytics = campaignManager.getCampaignAnalytics(clientId, campaignId);
+    const analytics = await campaignManager.getCampaignAnalytics(clientId, campaignId);
     res.json({ success: true, analytics });
   } catch (error) {
     logger.error('Error fetching campaign analytics', { clientId: req.clientId, error: error.message });
@@ -1329,13 +1660,19 @@ app.get('/client/my/status', authenticateClient, (req, res) => {
 
 app.post('/client/my/send', authenticateClient, async (req, res) => {
   const clientId = req.clientId;
-  const { to, message } = req.body;
+  const { to, message, replyTo } = req.body;
 
   if (!to || !message) {
     logger.warn('Message send failed: missing parameters', { clientId });
     return res.status(400).json({ success: false, error: 'Recipient and message required' });
   }
 
+  // replyTo is the WhatsApp message id (from history or a conversation) to quote
+  const quoted = replyTo ? auditLogger.findAnyMessage(clientId, replyTo) : null;
+  if (replyTo && !quoted?.metadata?.serializedId) {
+    return res.status(400).json({ success: false, error: 'replyTo message not found' });
+  }
+
   if (!clients.has(clientId)) {
     logger.warn('Message send failed: client not found', { clientId });
     return res.status(404).json({ success: false, error: 'Client not found' });
@@ -1352,7 +1689,7 @@ app.post('/client/my/send', authenticateClient, async (req, res) => {
   try {
     // Use anti-ban protection for message sending
     const result = await antiBan.queueMessage(clientId, to, message, async (recipient, msg) => {
-      const sendResult = await client.sendMessage(recipient, msg);
+      const sendResult = await client.sendMessage(recipient, msg, quoted ? { quotedMessageId: quoted.metadata.serializedId } : {});
 
       // Update client activity and metrics
       clientData.lastActivity = Date.now();
@@ -1365,7 +1702,9 @@ app.post('/client/my/send', authenticateClient, async (req, res) => {
 
       // Log message
       auditLogger.logMessage(clientId, 'outbound', recipient, client.info?.wid?.user || clientId, msg, 'sent', {
-        messageId: sendResult.id.id
+        messageId: sendResult.id.id,
+        serializedId: sendResult.id._serialized,
+        replyTo: replyTo || undefined
       });
 
       return sendResult;
@@ -1382,6 +1721,92 @@ app.post('/client/my/send', authenticateClient, async (req, res) => {
   }
 });
 
+// Bulk send: render one template per recipient and send through anti-ban pacing
+app.post('/client/my/send/bulk', authenticateClient, async (req, res) => {
+  const clientId = req.clientId;
+  const { templateId, businessType, recipients } = req.body;
+
+  if (!templateId || !Array.isArray(recipients) || recipients.length === 0) {
+    return res.status(400).json({ success: false, error: 'Template ID and recipients required' });
+  }
+
+  const clientData = clients.get(clientId);
+  const client = clientData.client;
+
+  if (!client || !client.info || !client.info.wid) {
+    logger.warn('Bulk send failed: client not connected', { clientId });
+    return res.status(400).json({ success: false, error: 'Client not connected' });
+  }
+
+  try {
+    const template = bulkSender.resolveTemplate(clientId, templateId, businessType);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    // Reject the whole batch if any recipient is missing variables
+    const { messages, errors } = bulkSender.prepareBatch(template, recipients);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid recipients', errors });
+    }
+
+    // Opted-out numbers are refused outright rather than silently dropped
+    const suppressed = await bulkSender.findSuppressed(clientId, messages.map(({ to }) => to));
+    if (suppressed.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Recipients have opted out',
+        errors: suppressed.map(to => ({ to, error: OptOutManager.SUPPRESSED_ERROR }))
+      });
+    }
+
+    const batch = bulkSender.createBatch(clientId, templateId, template, messages, async (recipient, msg) => {
+      const sendResult = await client.sendMessage(recipient, msg);
+
+      clientData.lastActivity = Date.now();
+      clientData.messageCount = (clientData.messageCount || 0) + 1;
+
+      logger.updateMetrics({
+        messagesSent: logger.metrics.messagesSent + 1
+      });
+
+      auditLogger.logMessage(clientId, 'outbound', recipient, client.info?.wid?.user || clientId, msg, 'sent', {
+        messageId: sendResult.id.id,
+        batchId: batch.id
+      });
+
+      return sendResult;
+    });
+
+    res.status(202).json({ success: true, batchId: batch.id, total: batch.total, status: batch.status });
+  } catch (error) {
+    logger.error('Error creating bulk send', { clientId, error: error.message });
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/client/my/send/bulk', authenticateClient, (req, res) => {
+  res.json({ success: true, batches: bulkSender.getClientBatches(req.clientId) });
+});
+
+app.get('/client/my/send/bulk/:batchId', authenticateClient, (req, res) => {
+  const batch = bulkSender.getBatch(req.params.batchId);
+  if (!batch || batch.clientId !== req.clientId) {
+    return res.status(404).json({ success: false, error: 'Batch not found' });
+  }
+
+  res.json({ success: true, batch });
+});
+
+app.post('/client/my/send/bulk/:batchId/cancel', authenticateClient, (req, res) => {
+  const batch = bulkSender.getBatch(req.params.batchId);
+  if (!batch || batch.clientId !== req.clientId) {
+    return res.status(404).json({ success: false, error: 'Batch not found' });
+  }
+
+  res.json({ success: true, batch: bulkSender.cancelBatch(batch.id) });
+});
+
 // Static files
 app.use(express.static('public'));
 
@@ -1399,7 +1824,22 @@ const auditLogger = new AuditLogger(logger);
 
 // Initialize message templates and campaign manager
 const messageTemplates = new MessageTemplates(logger);
-const campaignManager = new CampaignManager(logger, auditLogger);
+const businessHoursManager = new BusinessHoursManager();
+const campaignManager = new CampaignManager(logger, auditLogger, antiBan, messageTemplates, businessHoursManager);
+
+// Sends left behind by a crashed instance fail once their lease runs out
+setInterval(() => campaignManager.failInterruptedRecipients(), 60 * 1000);
+
+// Initialize opt-out handling and bulk sender
+const optOutManager = new OptOutManager();
+// Without DB_HOST the service runs from clients-db.json alone, so bulk sends have no suppression list to check
+const bulkSender = new BulkSendManager(logger, antiBan, auditLogger, messageTemplates, process.env.DB_HOST ? optOutManager : null);
+
+// Automation contact and webhook actions, receipt metrics and webhooks use the database
+const webhookManager = new WebhookManager();
+const deliveryTracker = new DeliveryTracker(new AnalyticsManager(), webhookManager);
+automationMarketplace.setContactManager(new ContactManager());
+automationMarketplace.setWebhookManager(webhookManager);
 
 // Load existing clients on startup
 logger.info('Loading existing clients from database');
@@ -1411,7 +1851,7 @@ setInterval(() => {
   logger.cleanOldLogs();
   setupWizard.cleanupOldSessions();
   auditLogger.cleanOldHistory();
-  campaignManager.cleanupOldCampaigns();
+  bulkSender.cleanupOldBatches();
 }, 24 * 60 * 60 * 1000); // Daily
 
 // Start server
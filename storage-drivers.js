@@ -0,0 +1,286 @@
+// ================================================
+// MEDIA STORAGE DRIVERS
+// ================================================
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/*
+ * Every driver implements the same interface. A "location" is what
+ * file_uploads.storage_path holds for the driver (a file path for local
+ * disk, an object key for S3):
+ *
+ *   locationFor(key)                            -> location for a new object
+ *   put(location, source, { contentType, contentLength })
+ *                                               -> { size }; source is a Buffer or a Readable
+ *   createReadStream(location, { start, end })  -> Readable
+ *   stat(location)                              -> { size } | null
+ *   delete(location)
+ */
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+class LocalStorageDriver {
+  constructor(rootDir = './uploads') {
+    this.name = 'local';
+    this.rootDir = rootDir;
+
+    if (!fs.existsSync(rootDir)) {
+      fs.mkdirSync(rootDir, { recursive: true });
+    }
+  }
+
+  locationFor(key) {
+    return path.join(this.rootDir, ...key.split('/'));
+  }
+
+  /**
+   * Write to a temporary file first so readers never see a partial file
+   */
+  async put(location, source) {
+    await fs.promises.mkdir(path.dirname(location), { recursive: true });
+    const tempPath = `${location}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    try {
+      if (Buffer.isBuffer(source)) {
+        await fs.promises.writeFile(tempPath, source);
+      } else {
+        await pipeline(source, fs.createWriteStream(tempPath));
+      }
+      await fs.promises.rename(tempPath, location);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => null);
+      throw error;
+    }
+
+    return { size: (await fs.promises.stat(location)).size };
+  }
+
+  async createReadStream(location, { start, end } = {}) {
+    const stream = fs.createReadStream(location, { start, end });
+
+    // Surface a missing file here rather than as a later stream error
+    await new Promise((resolve, reject) => {
+      stream.once('open', resolve);
+      stream.once('error', reject);
+    });
+
+    return stream;
+  }
+
+  async stat(location) {
+    try {
+      const stats = await fs.promises.stat(location);
+      return { size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(location) {
+    await fs.promises.unlink(location).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  /**
+   * Path sharp/ffmpeg can read directly
+   */
+  localPath(location) {
+    return location;
+  }
+}
+
+class S3StorageDriver {
+  /**
+   * Works with AWS S3 and S3-compatible stores (MinIO, R2, Spaces);
+   * requests are signed with AWS Signature V4.
+   */
+  constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = false, prefix = '' }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs a bucket, access key id and secret access key');
+    }
+
+    this.name = 's3';
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+    this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+  }
+
+  locationFor(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  async put(location, source, { contentType, contentLength } = {}) {
+    const size = Buffer.isBuffer(source) ? source.length : contentLength;
+    if (size === undefined || size === null) {
+      throw new Error('S3 uploads need the content length');
+    }
+
+    const response = await this._request('PUT', location, {
+      headers: {
+        'Content-Type': contentType || 'application/octet-stream',
+        'Content-Length': String(size)
+      },
+      body: source
+    });
+    await this._expect(response, [200]);
+
+    return { size };
+  }
+
+  async createReadStream(location, { start, end } = {}) {
+    const headers = {};
+    if (start !== undefined || end !== undefined) {
+      headers.Range = `bytes=${start || 0}-${end !== undefined ? end : ''}`;
+    }
+
+    const response = await this._request('GET', location, { headers });
+    await this._expect(response, [200, 206]);
+
+    return response;
+  }
+
+  async stat(location) {
+    const response = await this._request('HEAD', location);
+    response.resume();
+
+    if (response.statusCode === 404) return null;
+    await this._expect(response, [200]);
+
+    return { size: parseInt(response.headers['content-length']) };
+  }
+
+  async delete(location) {
+    const response = await this._request('DELETE', location);
+    await this._expect(response, [200, 204, 404]);
+    response.resume();
+  }
+
+  /**
+   * Send a signed request; resolves with the response once headers arrive
+   */
+  _request(method, location, { headers = {}, body = null } = {}) {
+    const key = location.split('/').map(encodeRfc3986).join('/');
+    const pathStyle = this.forcePathStyle;
+    const host = pathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+    const requestPath = pathStyle ? `${basePath}/${encodeRfc3986(this.bucket)}/${key}` : `${basePath}/${key}`;
+
+    // Streamed bodies can't be hashed up front
+    const payloadHash = method === 'PUT' ? 'UNSIGNED-PAYLOAD' : EMPTY_SHA256;
+    const signed = this._sign(method, host, requestPath, payloadHash);
+    const transport = this.endpoint.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request({
+        method,
+        host: this.endpoint.hostname,
+        port: this.endpoint.port || undefined,
+        path: requestPath,
+        headers: { ...headers, ...signed, Host: host }
+      }, resolve);
+
+      request.setTimeout(60000, () => request.destroy(new Error('S3 request timed out')));
+      request.on('error', reject);
+
+      if (!body) {
+        request.end();
+      } else if (Buffer.isBuffer(body)) {
+        request.end(body);
+      } else {
+        body.on('error', (error) => request.destroy(error));
+        body.pipe(request);
+      }
+    });
+  }
+
+  /**
+   * AWS Signature V4 headers for a request without a query string
+   */
+  _sign(method, host, requestPath, payloadHash) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const canonicalHeaders = `host:${host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`;
+    const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+    const canonicalRequest = [method, requestPath, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      'x-amz-date': amzDate,
+      'x-amz-content-sha256': payloadHash,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * Reject with the S3 error code when the status isn't one we expect
+   */
+  async _expect(response, statuses) {
+    if (statuses.includes(response.statusCode)) return;
+
+    let body = '';
+    for await (const chunk of response) {
+      body += chunk;
+      if (body.length > 4096) break;
+    }
+    const code = /<Code>([^<]+)<\/Code>/.exec(body);
+    throw new Error(`S3 request failed with ${response.statusCode}${code ? ` (${code[1]})` : ''}`);
+  }
+}
+
+/**
+ * Percent-encode a path segment the way SigV4 expects
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Drivers configured from the environment, keyed by name
+ * Local disk is always available; S3 when S3_BUCKET is set.
+ */
+function createStorageDrivers(storageDir = './uploads', env = process.env) {
+  const drivers = { local: new LocalStorageDriver(storageDir) };
+
+  if (env.S3_BUCKET) {
+    drivers.s3 = new S3StorageDriver({
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || 'us-east-1',
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: env.S3_PREFIX || ''
+    });
+  }
+
+  return drivers;
+}
+
+module.exports = {
+  LocalStorageDriver,
+  S3StorageDriver,
+  createStorageDrivers
+};
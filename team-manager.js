@@ -486,8 +486,10 @@ class TeamManager {
   async verifyApiKey(keyToVerify) {
     try {
       const result = await db.query(
-        `SELECT id, user_id, permissions, is_active, expires_at FROM api_keys 
-         WHERE is_active = true`,
+        `SELECT k.id, k.user_id, k.key_hash, k.permissions, k.is_active, k.expires_at,
+                u.organization_id, u.role
+         FROM api_keys k JOIN users u ON u.id = k.user_id
+         WHERE k.is_active = true AND u.status = 'active'`,
         []
       );
 
@@ -506,8 +508,11 @@ class TeamManager {
           );
 
           return {
+            id: row.user_id,
             userId: row.user_id,
-            permissions: JSON.parse(row.permissions)
+            organizationId: row.organization_id,
+            role: row.role,
+            permissions: row.permissions
           };
         }
       }
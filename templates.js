@@ -1,5 +1,10 @@
 const fs = require('fs');
 const path = require('path');
+const db = require('./db');
+const SegmentManager = require('./segment-manager');
+const OptOutManager = require('./opt-out-manager');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 class MessageTemplates {
   constructor(logger) {
@@ -254,115 +259,722 @@ class MessageTemplates {
   }
 }
 
+// Statuses a recipient may be in before reaching each receipt status
+const RECIPIENT_PREVIOUS_STATUSES = {
+  delivered: ['sent'],
+  read: ['sent', 'delivered']
+};
+
 class CampaignManager {
-  constructor(logger, auditLogger) {
+  constructor(logger, auditLogger, antiBan, messageTemplates, businessHours = null) {
     this.logger = logger;
     this.auditLogger = auditLogger;
-    this.campaigns = new Map(); // campaignId -> campaign data
-    this.activeCampaigns = new Map(); // clientId -> active campaigns
+    this.antiBan = antiBan;
+    this.messageTemplates = messageTemplates;
+    this.businessHours = businessHours; // holds promotional sends outside the client's business hours
+    this.runners = new Map(); // campaignId -> running send loop
+    this.maxRateLimitRetries = 20;
+    this.holdCheckMs = 60 * 1000;
+    this.leaseSeconds = 120;
+    this.sending = new Set(); // recipient ids this process is sending to
+    this.heartbeatTimer = null;
   }
 
-  // Create a new campaign
-  createCampaign(clientId, campaignData) {
-    const campaign = {
-      id: `camp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      clientId,
-      ...campaignData,
-      status: 'draft',
-      createdAt: Date.now(),
+  // Look up the database row for a service client id
+  async resolveClient(clientId) {
+    const result = await db.query(
+      'SELECT id, organization_id FROM whatsapp_clients WHERE client_id = $1',
+      [clientId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Client is not registered in the database');
+    }
+
+    return result.rows[0];
+  }
+
+  // Shape a campaigns row for API responses
+  formatCampaign(row) {
+    const metadata = row.metadata || {};
+
+    return {
+      id: row.id,
+      clientId: row.client_key,
+      name: row.name,
+      type: metadata.type || 'broadcast',
+      promotional: metadata.promotional || false,
+      status: row.status,
+      templateId: metadata.templateId || row.template_id || null,
+      segmentId: metadata.segmentId || null,
+      criteria: metadata.criteria || null,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
       stats: {
-        sent: 0,
-        delivered: 0,
-        responses: 0,
-        conversions: 0
+        recipients: row.recipients_count,
+        sent: row.sent_count,
+        delivered: row.delivered_count,
+        read: row.read_count,
+        failed: row.failed_count
       }
     };
+  }
+
+  // Throw if campaign data is invalid; returns the explicit recipients with normalized numbers, first occurrence
+  // of each number kept
+  validateCampaign(clientId, { name, templateId, businessType, message, recipients } = {}) {
+    if (!name) {
+      throw new Error('Campaign name required');
+    }
+    if (!templateId && !message) {
+      throw new Error('Campaign templateId or message required');
+    }
+    if (templateId && !this.resolveTemplate(clientId, templateId, businessType)) {
+      throw new Error(`Template ${templateId} not found`);
+    }
+    if (recipients !== undefined && recipients !== null && !Array.isArray(recipients)) {
+      throw new Error('recipients must be an array');
+    }
+
+    const byPhone = new Map();
+    for (const [index, recipient] of (recipients || []).entries()) {
+      const phone = db.normalizePhone(recipient?.phone);
+      if (!phone || !phone.endsWith('@c.us')) {
+        throw new Error(`Invalid phone number for recipient ${index + 1}`);
+      }
+      if (!byPhone.has(phone)) {
+        byPhone.set(phone, { phone, variables: recipient.variables || {} });
+      }
+    }
+
+    return Array.from(byPhone.values());
+  }
+
+  // Create a new campaign
+  // campaignData: { name, templateId, businessType, message, variables, recipients, contactIds, segmentId, throttleMs, promotional }
+  // Promotional campaigns only send inside the client's business hours (in each recipient's timezone when known)
+  async createCampaign(clientId, campaignData) {
+    const { name, templateId, businessType, message, variables, contactIds, segmentId, throttleMs } = campaignData;
+    const recipients = this.validateCampaign(clientId, campaignData);
+
+    const client = await this.resolveClient(clientId);
+
+    if (segmentId) {
+      const segment = await db.query(
+        'SELECT id FROM segments WHERE id = $1 AND organization_id = $2',
+        [segmentId, client.organization_id]
+      );
+      if (segment.rows.length === 0) {
+        throw new Error('Segment not found');
+      }
+    }
+
+    const campaign = await db.transaction(async (tx) => {
+      const result = await tx.query(
+        `INSERT INTO campaigns (organization_id, client_id, name, status, metadata)
+         VALUES ($1, $2, $3, 'draft', $4)
+         RETURNING *`,
+        [
+          client.organization_id,
+          client.id,
+          name,
+          JSON.stringify({
+            type: campaignData.type || 'broadcast',
+            criteria: campaignData.criteria || null,
+            templateId: templateId || null,
+            businessType: businessType || 'general',
+            message: message || null,
+            variables: variables || {},
+            segmentId: segmentId || null,
+            throttleMs: throttleMs || 0,
+            promotional: campaignData.promotional === true
+          })
+        ]
+      );
+
+      const row = result.rows[0];
+      let added = 0;
+
+      // Explicit recipients: [{ phone, variables }]
+      for (const recipient of recipients) {
+        const contact = await tx.query(
+          `INSERT INTO contacts (organization_id, phone_number, first_contact_at)
+           VALUES ($1, $2, NOW())
+           ON CONFLICT (organization_id, phone_number) DO UPDATE SET updated_at = NOW()
+           RETURNING id`,
+          [client.organization_id, recipient.phone]
+        );
+
+        await tx.query(
+          `INSERT INTO campaign_recipients (campaign_id, contact_id, variables)
+           VALUES ($1, $2, $3)`,
+          [row.id, contact.rows[0].id, JSON.stringify(recipient.variables || {})]
+        );
+        added++;
+      }
+
+      // Existing contacts by id
+      if (contactIds && contactIds.length > 0) {
+        const inserted = await tx.query(
+          `INSERT INTO campaign_recipients (campaign_id, contact_id)
+           SELECT $1, id FROM contacts
+           WHERE organization_id = $2 AND id = ANY($3::uuid[])`,
+          [row.id, client.organization_id, contactIds]
+        );
+        added += inserted.rowCount;
+      }
+
+      await tx.query('UPDATE campaigns SET recipients_count = $2 WHERE id = $1', [row.id, added]);
+      row.recipients_count = added;
+      row.client_key = clientId;
+
+      return row;
+    });
 
-    this.campaigns.set(campaign.id, campaign);
     this.logger.info('Campaign created', { clientId, campaignId: campaign.id, name: campaign.name });
 
-    return campaign;
+    return this.formatCampaign(campaign);
+  }
+
+  // Get campaign by ID; null for anything that isn't one
+  async getCampaign(campaignId) {
+    if (!UUID.test(String(campaignId))) {
+      return null;
+    }
+
+    const result = await db.query(
+      `SELECT c.*, wc.client_id AS client_key
+       FROM campaigns c JOIN whatsapp_clients wc ON wc.id = c.client_id
+       WHERE c.id = $1`,
+      [campaignId]
+    );
+
+    return result.rows[0] ? this.formatCampaign(result.rows[0]) : null;
+  }
+
+  // Get campaigns for client
+  async getClientCampaigns(clientId, status = null) {
+    const params = [clientId];
+    let query = `SELECT c.*, wc.client_id AS client_key
+       FROM campaigns c JOIN whatsapp_clients wc ON wc.id = c.client_id
+       WHERE wc.client_id = $1`;
+
+    if (status) {
+      params.push(status);
+      query += ' AND c.status = $2';
+    }
+
+    const result = await db.query(query + ' ORDER BY c.created_at DESC', params);
+    return result.rows.map(row => this.formatCampaign(row));
   }
 
-  // Start a campaign
-  startCampaign(campaignId) {
-    const campaign = this.campaigns.get(campaignId);
+  // ================================================
+  // EXECUTION
+  // ================================================
+
+  // Start a draft campaign, or resume a paused one
+  async startCampaign(campaignId, sendFunction) {
+    const campaign = await this.getCampaign(campaignId);
     if (!campaign) {
       throw new Error('Campaign not found');
     }
 
-    campaign.status = 'active';
-    campaign.startedAt = Date.now();
+    if (campaign.status === 'paused') {
+      return this.resumeCampaign(campaignId, sendFunction);
+    }
+    if (campaign.status === 'running') {
+      // Running in the database but not in this process (e.g. after a restart)
+      this.runCampaign(campaign, sendFunction);
+      return campaign;
+    }
+    if (campaign.status !== 'draft') {
+      throw new Error(`Cannot start a campaign that is ${campaign.status}`);
+    }
+
+    const row = await db.query('SELECT metadata, organization_id FROM campaigns WHERE id = $1', [campaignId]);
+    const { metadata, organization_id: organizationId } = row.rows[0];
+
+    if (metadata.segmentId) {
+      await this.addSegmentRecipients(campaignId, organizationId, metadata.segmentId);
+    }
+
+    const result = await db.query(
+      `UPDATE campaigns SET status = 'running', started_at = NOW(),
+         recipients_count = (SELECT COUNT(*) FROM campaign_recipients WHERE campaign_id = $1)
+       WHERE id = $1 AND status = 'draft'
+       RETURNING recipients_count`,
+      [campaignId]
+    );
 
-    // Add to active campaigns
-    if (!this.activeCampaigns.has(campaign.clientId)) {
-      this.activeCampaigns.set(campaign.clientId, []);
+    if (result.rows.length === 0) {
+      throw new Error('Campaign was started by another request');
     }
-    this.activeCampaigns.get(campaign.clientId).push(campaign);
 
-    this.logger.info('Campaign started', { campaignId, clientId: campaign.clientId });
+    this.logger.info('Campaign started', { campaignId, clientId: campaign.clientId, recipients: result.rows[0].recipients_count });
     this.auditLogger.logAuditEvent('campaign_started', campaign.clientId, { campaignId, name: campaign.name });
 
-    return campaign;
+    const started = await this.getCampaign(campaignId);
+    this.runCampaign(started, sendFunction);
+    return started;
   }
 
-  // Stop a campaign
-  stopCampaign(campaignId) {
-    const campaign = this.campaigns.get(campaignId);
+  // Pause a running campaign; pending recipients are kept
+  async pauseCampaign(campaignId) {
+    const campaign = await this.getCampaign(campaignId);
     if (!campaign) {
       throw new Error('Campaign not found');
     }
+    if (campaign.status !== 'running') {
+      throw new Error(`Cannot pause a campaign that is ${campaign.status}`);
+    }
 
-    campaign.status = 'stopped';
-    campaign.stoppedAt = Date.now();
+    await db.query(`UPDATE campaigns SET status = 'paused' WHERE id = $1 AND status = 'running'`, [campaignId]);
+    this.stopRunner(campaignId);
+
+    this.logger.info('Campaign paused', { campaignId, clientId: campaign.clientId });
+    this.auditLogger.logAuditEvent('campaign_paused', campaign.clientId, { campaignId, name: campaign.name });
+
+    return this.getCampaign(campaignId);
+  }
 
-    // Remove from active campaigns
-    const clientCampaigns = this.activeCampaigns.get(campaign.clientId) || [];
-    const index = clientCampaigns.findIndex(c => c.id === campaignId);
-    if (index > -1) {
-      clientCampaigns.splice(index, 1);
+  // Resume a paused campaign
+  async resumeCampaign(campaignId, sendFunction) {
+    const result = await db.query(
+      `UPDATE campaigns SET status = 'running' WHERE id = $1 AND status = 'paused' RETURNING id`,
+      [campaignId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Only paused campaigns can be resumed');
     }
 
-    this.logger.info('Campaign stopped', { campaignId, clientId: campaign.clientId });
-    this.auditLogger.logAuditEvent('campaign_stopped', campaign.clientId, { campaignId, name: campaign.name });
+    const campaign = await this.getCampaign(campaignId);
+    this.logger.info('Campaign resumed', { campaignId, clientId: campaign.clientId });
+    this.auditLogger.logAuditEvent('campaign_resumed', campaign.clientId, { campaignId, name: campaign.name });
 
+    this.runCampaign(campaign, sendFunction);
     return campaign;
   }
 
-  // Get campaigns for client
-  getClientCampaigns(clientId, status = null) {
-    const allCampaigns = Array.from(this.campaigns.values())
-      .filter(campaign => campaign.clientId === clientId);
+  // Cancel a campaign; recipients that were not sent yet are marked cancelled
+  async cancelCampaign(campaignId) {
+    const campaign = await this.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error('Campaign not found');
+    }
+    if (!['draft', 'running', 'paused'].includes(campaign.status)) {
+      throw new Error(`Cannot cancel a campaign that is ${campaign.status}`);
+    }
 
-    if (status) {
-      return allCampaigns.filter(campaign => campaign.status === status);
+    this.stopRunner(campaignId);
+
+    await db.transaction(async (tx) => {
+      await tx.query(
+        `UPDATE campaigns SET status = 'cancelled', completed_at = NOW() WHERE id = $1`,
+        [campaignId]
+      );
+      await tx.query(
+        `UPDATE campaign_recipients SET status = 'cancelled', updated_at = NOW()
+         WHERE campaign_id = $1 AND status = 'pending'`,
+        [campaignId]
+      );
+    });
+
+    this.logger.info('Campaign cancelled', { campaignId, clientId: campaign.clientId });
+    this.auditLogger.logAuditEvent('campaign_cancelled', campaign.clientId, { campaignId, name: campaign.name });
+
+    return this.getCampaign(campaignId);
+  }
+
+  // Restart send loops for a client's running campaigns (called when the client becomes ready)
+  async resumeClientCampaigns(clientId, sendFunction) {
+    const campaigns = await this.getClientCampaigns(clientId, 'running');
+
+    for (const campaign of campaigns) {
+      if (!this.runners.has(campaign.id)) {
+        this.logger.info('Resuming running campaign', { campaignId: campaign.id, clientId });
+        this.runCampaign(campaign, sendFunction);
+      }
     }
 
-    return allCampaigns;
+    return campaigns.length;
   }
 
-  // Get campaign by ID
-  getCampaign(campaignId) {
-    return this.campaigns.get(campaignId) || null;
+  // Stop a campaign's send loop after the message in flight
+  stopRunner(campaignId) {
+    const runner = this.runners.get(campaignId);
+    if (runner) {
+      runner.stopped = true;
+      this.runners.delete(campaignId);
+    }
   }
 
-  // Update campaign stats
-  updateCampaignStats(campaignId, updates) {
-    const campaign = this.campaigns.get(campaignId);
-    if (!campaign) {
-      return false;
+  // Start the send loop in the background
+  // Triggered campaigns (welcome_series, follow_up, ...) send from processCampaignMessage instead
+  runCampaign(campaign, sendFunction) {
+    if (campaign.type !== 'broadcast') {
+      return null;
+    }
+    if (this.runners.has(campaign.id)) {
+      return this.runners.get(campaign.id);
+    }
+
+    const runner = { campaignId: campaign.id, clientId: campaign.clientId, stopped: false };
+    this.runners.set(campaign.id, runner);
+
+    this.processCampaign(runner, sendFunction)
+      .catch(error => {
+        this.logger.error('Campaign processing error', { campaignId: campaign.id, error: error.message });
+      })
+      .finally(() => {
+        if (this.runners.get(campaign.id) === runner) {
+          this.runners.delete(campaign.id);
+        }
+      });
+
+    return runner;
+  }
+
+  // Send to pending recipients one at a time until done, paused or cancelled
+  async processCampaign(runner, sendFunction) {
+    const row = await db.query('SELECT metadata FROM campaigns WHERE id = $1', [runner.campaignId]);
+    const metadata = row.rows[0].metadata;
+    const template = this.buildCampaignTemplate(runner.clientId, metadata);
+
+    // Rows left in 'sending' by a dead instance were interrupted mid-send; don't risk a duplicate message
+    await this.failInterruptedRecipients(runner.campaignId);
+
+    const holdOutsideHours = metadata.promotional && this.businessHours;
+
+    while (!runner.stopped) {
+      const recipient = await this.claimNextRecipient(runner.campaignId);
+      if (!recipient) {
+        // Recipients held for their business-hours window keep the campaign running
+        const heldUntil = await this.nextHeldRecipient(runner.campaignId);
+        if (heldUntil) {
+          await this.waitForHold(runner, heldUntil);
+          continue;
+        }
+
+        await this.completeCampaign(runner);
+        return;
+      }
+
+      if (recipient.do_not_contact) {
+        await this.recordRecipientFailure(runner.campaignId, recipient.id, OptOutManager.SUPPRESSED_ERROR);
+        continue;
+      }
+
+      if (holdOutsideHours) {
+        const holdUntil = await this.businessHours.promotionalHold(runner.clientId, recipient);
+        if (holdUntil) {
+          await this.holdRecipient(recipient.id, holdUntil);
+          continue;
+        }
+      }
+
+      let message;
+      try {
+        message = this.messageTemplates.renderTemplate(template, {
+          name: recipient.name || '',
+          phone: recipient.phone_number.split('@')[0],
+          ...metadata.variables,
+          ...recipient.custom_fields,
+          ...recipient.variables
+        });
+      } catch (error) {
+        await this.recordRecipientFailure(runner.campaignId, recipient.id, error.message);
+        continue;
+      }
+
+      const sent = await this.sendToRecipient(runner, recipient, message, sendFunction);
+      if (!sent) return;
+
+      if (metadata.throttleMs > 0 && !runner.stopped) {
+        await new Promise(resolve => setTimeout(resolve, metadata.throttleMs));
+      }
+    }
+  }
+
+  // Send one recipient through the anti-ban queue; returns false when the loop should stop
+  async sendToRecipient(runner, recipient, message, sendFunction) {
+    this._track(recipient.id);
+    try {
+      return await this._sendToRecipient(runner, recipient, message, sendFunction);
+    } finally {
+      this._untrack(recipient.id);
+    }
+  }
+
+  async _sendToRecipient(runner, recipient, message, sendFunction) {
+    let rateLimitRetries = 0;
+
+    while (true) {
+      try {
+        const sendResult = await this.antiBan.queueMessage(runner.clientId, recipient.phone_number, message, sendFunction);
+
+        await db.transaction(async (tx) => {
+          await tx.query(
+            `UPDATE campaign_recipients SET status = 'sent', whatsapp_message_id = $2, updated_at = NOW()
+             WHERE id = $1`,
+            [recipient.id, sendResult.id.id]
+          );
+          await tx.query('UPDATE campaigns SET sent_count = sent_count + 1 WHERE id = $1', [runner.campaignId]);
+        });
+
+        return true;
+      } catch (error) {
+        if (this.antiBan.isRateLimitError(error) && rateLimitRetries < this.maxRateLimitRetries && !runner.stopped) {
+          rateLimitRetries++;
+          await new Promise(resolve => setTimeout(resolve, this.antiBan.getRetryDelay(runner.clientId, error.message)));
+          continue;
+        }
+
+        // A disconnected client pauses the loop; it resumes when the client is ready again
+        if (error.message === 'Client not connected') {
+          await db.query(
+            `UPDATE campaign_recipients SET status = 'pending', claimed_by = NULL, updated_at = NOW() WHERE id = $1`,
+            [recipient.id]
+          );
+          this.logger.warn('Campaign waiting for client connection', { campaignId: runner.campaignId, clientId: runner.clientId });
+          return false;
+        }
+
+        await this.recordRecipientFailure(runner.campaignId, recipient.id, error.message);
+        return true;
+      }
+    }
+  }
+
+  // Atomically take the next pending recipient that isn't held
+  async claimNextRecipient(campaignId) {
+    const result = await db.query(
+      `UPDATE campaign_recipients cr
+       SET status = 'sending', hold_until = NULL, claimed_by = $2, heartbeat_at = NOW(), updated_at = NOW()
+       FROM contacts c
+       WHERE cr.id = (
+         SELECT id FROM campaign_recipients
+         WHERE campaign_id = $1 AND status = 'pending' AND (hold_until IS NULL OR hold_until <= NOW())
+         ORDER BY created_at ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       AND c.id = cr.contact_id
+       RETURNING cr.id, cr.variables, c.phone_number, c.name, c.custom_fields, c.do_not_contact`,
+      [campaignId, db.instanceId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Put a recipient back until its business-hours window opens
+  async holdRecipient(recipientId, holdUntil) {
+    await db.query(
+      `UPDATE campaign_recipients SET status = 'pending', hold_until = $2, claimed_by = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [recipientId, holdUntil]
+    );
+  }
+
+  // Earliest hold among the campaign's remaining recipients; null when none are held
+  async nextHeldRecipient(campaignId) {
+    const result = await db.query(
+      `SELECT MIN(hold_until) AS hold_until FROM campaign_recipients
+       WHERE campaign_id = $1 AND status = 'pending' AND hold_until IS NOT NULL`,
+      [campaignId]
+    );
+
+    return result.rows[0].hold_until;
+  }
+
+  // Sleep until a hold ends, waking regularly so a paused or cancelled campaign stops promptly
+  async waitForHold(runner, heldUntil) {
+    this.logger.info('Campaign holding sends until business hours', { campaignId: runner.campaignId, until: heldUntil });
+
+    while (!runner.stopped && Date.now() < new Date(heldUntil).getTime()) {
+      const remaining = new Date(heldUntil).getTime() - Date.now();
+      await new Promise(resolve => setTimeout(resolve, Math.min(remaining, this.holdCheckMs)));
+    }
+  }
+
+  // Fail recipients whose sending instance stopped heartbeating (all campaigns, or one)
+  // Sends still in flight on live instances keep a fresh lease and are left alone
+  async failInterruptedRecipients(campaignId = null) {
+    try {
+      const result = await db.query(
+        `UPDATE campaign_recipients SET status = 'failed', failed_reason = 'Interrupted during send', updated_at = NOW()
+         WHERE status = 'sending' AND ($1::uuid IS NULL OR campaign_id = $1)
+         AND COALESCE(heartbeat_at, updated_at) < NOW() - INTERVAL '1 second' * $2
+         RETURNING campaign_id`,
+        [campaignId, this.leaseSeconds]
+      );
+
+      const counts = new Map();
+      for (const row of result.rows) {
+        counts.set(row.campaign_id, (counts.get(row.campaign_id) || 0) + 1);
+      }
+      for (const [id, count] of counts) {
+        await db.query('UPDATE campaigns SET failed_count = failed_count + $2 WHERE id = $1', [id, count]);
+      }
+
+      if (result.rowCount > 0) {
+        this.logger.warn('Marked interrupted campaign recipients as failed', { count: result.rowCount });
+      }
+    } catch (error) {
+      this.logger.error('Error failing interrupted campaign recipients', { error: error.message });
+    }
+  }
+
+  // Heartbeat recipients while this process sends to them
+  _track(recipientId) {
+    this.sending.add(recipientId);
+
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => this._heartbeat(), this.leaseSeconds * 1000 / 3);
+    }
+  }
+
+  _untrack(recipientId) {
+    this.sending.delete(recipientId);
+
+    if (this.sending.size === 0) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  async _heartbeat() {
+    try {
+      await db.query(
+        `UPDATE campaign_recipients SET heartbeat_at = NOW()
+         WHERE id = ANY($1::uuid[]) AND status = 'sending' AND claimed_by = $2`,
+        [Array.from(this.sending), db.instanceId]
+      );
+    } catch (error) {
+      this.logger.error('Error refreshing campaign heartbeat', { error: error.message });
+    }
+  }
+
+  async recordRecipientFailure(campaignId, recipientId, reason) {
+    await db.transaction(async (tx) => {
+      await tx.query(
+        `UPDATE campaign_recipients SET status = 'failed', failed_reason = $2, updated_at = NOW() WHERE id = $1`,
+        [recipientId, reason]
+      );
+      await tx.query('UPDATE campaigns SET failed_count = failed_count + 1 WHERE id = $1', [campaignId]);
+    });
+
+    this.logger.updateMetrics({
+      messagesFailed: this.logger.metrics.messagesFailed + 1
+    });
+  }
+
+  async completeCampaign(runner) {
+    const result = await db.query(
+      `UPDATE campaigns SET status = 'completed', completed_at = NOW()
+       WHERE id = $1 AND status = 'running'
+       RETURNING sent_count, failed_count`,
+      [runner.campaignId]
+    );
+
+    if (result.rows.length > 0) {
+      this.logger.info('Campaign completed', { campaignId: runner.campaignId, ...result.rows[0] });
+      this.auditLogger.logAuditEvent('campaign_completed', runner.clientId, { campaignId: runner.campaignId, ...result.rows[0] });
     }
+  }
 
-    Object.assign(campaign.stats, updates);
-    campaign.lastUpdated = Date.now();
+  // Add every contact matching a segment's filter as a recipient (opted-out contacts excluded)
+  async addSegmentRecipients(campaignId, organizationId, segmentId) {
+    const segment = await db.query(
+      'SELECT filter_criteria FROM segments WHERE id = $1 AND organization_id = $2',
+      [segmentId, organizationId]
+    );
+
+    if (segment.rows.length === 0) {
+      throw new Error('Segment not found');
+    }
 
-    this.logger.metric('Campaign stats updated', { campaignId, stats: campaign.stats });
-    return true;
+    const params = [campaignId];
+    const where = SegmentManager.buildWhere(organizationId, segment.rows[0].filter_criteria, params);
+
+    const result = await db.query(
+      `INSERT INTO campaign_recipients (campaign_id, contact_id)
+       SELECT $1, c.id FROM contacts c
+       WHERE ${where} AND c.do_not_contact = FALSE
+       AND NOT EXISTS (SELECT 1 FROM campaign_recipients cr WHERE cr.campaign_id = $1 AND cr.contact_id = c.id)`,
+      params
+    );
+
+    this.logger.info('Segment recipients added', { campaignId, segmentId, count: result.rowCount });
+    return result.rowCount;
+  }
+
+  // Resolve a template id against the client's custom templates, then the standard ones
+  resolveTemplate(clientId, templateId, businessType = 'general') {
+    const customTemplates = this.messageTemplates.getCustomTemplates(clientId);
+    return customTemplates[templateId] || this.messageTemplates.getTemplate(businessType, templateId);
+  }
+
+  // Template object for renderTemplate from a campaign's stored settings
+  buildCampaignTemplate(clientId, metadata) {
+    if (metadata.templateId) {
+      const template = this.resolveTemplate(clientId, metadata.templateId, metadata.businessType);
+      if (!template) {
+        throw new Error(`Template ${metadata.templateId} not found`);
+      }
+      return template;
+    }
+
+    const variables = (metadata.message.match(/{(\w+)}/g) || []).map(match => match.slice(1, -1));
+    return { template: metadata.message, variables };
+  }
+
+  // ================================================
+  // RECEIPTS & ANALYTICS
+  // ================================================
+
+  // Apply a delivery/read receipt to the campaign recipient that sent it
+  async recordAck(whatsappMessageId, status) {
+    const previousStatuses = RECIPIENT_PREVIOUS_STATUSES[status];
+    if (!previousStatuses) return null;
+
+    try {
+      const result = await db.query(
+        `UPDATE campaign_recipients cr SET status = $2, updated_at = NOW()
+         FROM (
+           SELECT id, status AS previous_status FROM campaign_recipients
+           WHERE whatsapp_message_id = $1 AND status = ANY($3::text[])
+           FOR UPDATE
+         ) prev
+         WHERE cr.id = prev.id
+         RETURNING cr.campaign_id, prev.previous_status`,
+        [whatsappMessageId, status, previousStatuses]
+      );
+
+      const updated = result.rows[0];
+      if (!updated) return null;
+
+      // A read receipt can arrive without a separate delivery receipt
+      const delivered = status === 'delivered' || updated.previous_status !== 'delivered' ? 1 : 0;
+      const read = status === 'read' ? 1 : 0;
+
+      await db.query(
+        `UPDATE campaigns SET delivered_count = delivered_count + $2, read_count = read_count + $3
+         WHERE id = $1`,
+        [updated.campaign_id, delivered, read]
+      );
+
+      return updated;
+    } catch (error) {
+      this.logger.error('Error recording campaign receipt', { whatsappMessageId, status, error: error.message });
+      return null;
+    }
   }
 
   // Process campaign messages (called by automation system)
   async processCampaignMessage(clientId, message, context) {
-    const activeCampaigns = this.activeCampaigns.get(clientId) || [];
+    const activeCampaigns = await this.getClientCampaigns(clientId, 'running');
 
     for (const campaign of activeCampaigns) {
       // Check if message matches campaign criteria
@@ -396,14 +1008,58 @@ class CampaignManager {
     }
   }
 
-  // Execute campaign action
+  // Execute campaign action: send the campaign message once to the contact that triggered it
   async executeCampaignAction(campaign, message, context) {
-    // This would integrate with the message sending system
-    // For now, just log the action
+    if (!context.sendFunction) {
+      return;
+    }
+
+    // Groups and broadcasts aren't contacts; contacts are stored by normalized number
+    const phoneNumber = message.from?.endsWith('@c.us') ? db.normalizePhone(message.from) : null;
+    if (!phoneNumber) {
+      return;
+    }
+
+    const row = await db.query('SELECT organization_id, metadata FROM campaigns WHERE id = $1', [campaign.id]);
+    const { organization_id: organizationId, metadata } = row.rows[0];
+
+    // Claim the contact for this campaign; a contact only receives a triggered campaign once
+    const recipient = await db.transaction(async (tx) => {
+      const contact = await tx.query(
+        `INSERT INTO contacts (organization_id, phone_number, first_contact_at)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (organization_id, phone_number) DO UPDATE SET updated_at = NOW()
+         RETURNING id, name, phone_number, custom_fields, do_not_contact`,
+        [organizationId, phoneNumber]
+      );
+
+      const existing = await tx.query(
+        'SELECT id FROM campaign_recipients WHERE campaign_id = $1 AND contact_id = $2',
+        [campaign.id, contact.rows[0].id]
+      );
+      if (existing.rows.length > 0 || contact.rows[0].do_not_contact) {
+        return null;
+      }
+
+      const inserted = await tx.query(
+        `INSERT INTO campaign_recipients (campaign_id, contact_id, status, claimed_by, heartbeat_at)
+         VALUES ($1, $2, 'sending', $3, NOW())
+         RETURNING id`,
+        [campaign.id, contact.rows[0].id, db.instanceId]
+      );
+      await tx.query('UPDATE campaigns SET recipients_count = recipients_count + 1 WHERE id = $1', [campaign.id]);
+
+      return { id: inserted.rows[0].id, ...contact.rows[0] };
+    });
+
+    if (!recipient) {
+      return;
+    }
+
     this.logger.info('Campaign action triggered', {
       campaignId: campaign.id,
       clientId: campaign.clientId,
-      action: campaign.action
+      type: campaign.type
     });
 
     this.auditLogger.logAutomationEvent(campaign.clientId, campaign.id, 'campaign_triggered', {
@@ -411,13 +1067,26 @@ class CampaignManager {
       campaignName: campaign.name
     });
 
-    // Update campaign stats
-    this.updateCampaignStats(campaign.id, { triggers: (campaign.stats.triggers || 0) + 1 });
+    let text;
+    try {
+      text = this.messageTemplates.renderTemplate(this.buildCampaignTemplate(campaign.clientId, metadata), {
+        name: recipient.name || '',
+        phone: recipient.phone_number.split('@')[0],
+        ...metadata.variables,
+        ...recipient.custom_fields
+      });
+    } catch (error) {
+      await this.recordRecipientFailure(campaign.id, recipient.id, error.message);
+      return;
+    }
+
+    const runner = { campaignId: campaign.id, clientId: campaign.clientId, stopped: false };
+    await this.sendToRecipient(runner, recipient, text, context.sendFunction);
   }
 
   // Get campaign analytics
-  getCampaignAnalytics(clientId, campaignId = null) {
-    let campaigns = this.getClientCampaigns(clientId);
+  async getCampaignAnalytics(clientId, campaignId = null) {
+    let campaigns = await this.getClientCampaigns(clientId);
 
     if (campaignId) {
       campaigns = campaigns.filter(c => c.id === campaignId);
@@ -425,10 +1094,12 @@ class CampaignManager {
 
     const analytics = {
       totalCampaigns: campaigns.length,
-      activeCampaigns: campaigns.filter(c => c.status === 'active').length,
+      activeCampaigns: campaigns.filter(c => c.status === 'running').length,
       completedCampaigns: campaigns.filter(c => c.status === 'completed').length,
       totalMessages: campaigns.reduce((sum, c) => sum + (c.stats.sent || 0), 0),
-      totalResponses: campaigns.reduce((sum, c) => sum + (c.stats.responses || 0), 0),
+      totalDelivered: campaigns.reduce((sum, c) => sum + (c.stats.delivered || 0), 0),
+      totalRead: campaigns.reduce((sum, c) => sum + (c.stats.read || 0), 0),
+      totalFailed: campaigns.reduce((sum, c) => sum + (c.stats.failed || 0), 0),
       campaigns: campaigns.map(c => ({
         id: c.id,
         name: c.name,
@@ -441,20 +1112,6 @@ class CampaignManager {
 
     return analytics;
   }
-
-  // Clean up old campaigns
-  cleanupOldCampaigns() {
-    const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-
-    for (const [campaignId, campaign] of this.campaigns.entries()) {
-      // Remove campaigns older than 30 days that are completed/stopped
-      if (campaign.createdAt < thirtyDaysAgo &&
-          ['completed', 'stopped'].includes(campaign.status)) {
-        this.campaigns.delete(campaignId);
-        this.logger.info('Cleaned up old campaign', { campaignId });
-      }
-    }
-  }
 }
 
 module.exports = {
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { ClamAVScanner, ContainerScanner, listZipEntries, createMediaScanners } = require('../media-scanners');
+const { buildZip } = require('./zip');
+
+/**
+ * Fake clamd: parses the INSTREAM framing and answers with reply(payload)
+ * Resolves with { port, sessions, close }; each session records the
+ * command, the chunk lengths and the reassembled payload.
+ */
+function startFakeClamd(reply, listenOn = 0) {
+  const sessions = [];
+
+  const server = net.createServer((socket) => {
+    const session = { command: null, chunks: [], payload: null };
+    sessions.push(session);
+    let pending = Buffer.alloc(0);
+
+    socket.on('data', (data) => {
+      pending = Buffer.concat([pending, data]);
+
+      if (session.command === null) {
+        const end = pending.indexOf(0);
+        if (end === -1) return;
+        session.command = pending.subarray(0, end).toString();
+        pending = pending.subarray(end + 1);
+      }
+
+      while (pending.length >= 4) {
+        const length = pending.readUInt32BE(0);
+        if (pending.length < 4 + length) return;
+
+        if (length === 0) {
+          session.payload = Buffer.concat(session.chunks.map(chunk => chunk.data));
+          const answer = reply(session.payload);
+          if (answer !== null) socket.end(`${answer}\0`);
+          return;
+        }
+        session.chunks.push({ length, data: pending.subarray(4, 4 + length) });
+        pending = pending.subarray(4 + length);
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(listenOn, () => {
+      resolve({
+        port: server.address().port,
+        sessions,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('ClamAVScanner', () => {
+  let clamd;
+
+  afterEach(() => clamd && clamd.close());
+
+  test('streams the file as length-prefixed chunks ending with a zero-length one', async () => {
+    clamd = await startFakeClamd(() => 'stream: OK');
+    const scanner = new ClamAVScanner({ host: '127.0.0.1', port: clamd.port, chunkSize: 4 });
+
+    await scanner.scan(Buffer.from('0123456789'));
+
+    const [session] = clamd.sessions;
+    expect(session.command).toBe('zINSTREAM');
+    expect(session.chunks.map(chunk => chunk.length)).toEqual([4, 4, 2]);
+    expect(session.payload.toString()).toBe('0123456789');
+  });
+
+  test('reports a clean file', async () => {
+    clamd = await startFakeClamd(() => 'stream: OK');
+    const scanner = new ClamAVScanner({ port: clamd.port });
+
+    await expect(scanner.scan(Buffer.from('hello'))).resolves.toEqual({ infected: false, signature: null });
+  });
+
+  test('reports the signature of an infected file', async () => {
+    clamd = await startFakeClamd(payload => (payload.includes('EICAR') ? 'stream: Eicar-Test-Signature FOUND' : 'stream: OK'));
+    const scanner = new ClamAVScanner({ port: clamd.port });
+
+    await expect(scanner.scan(Buffer.from('X5O!P%@AP EICAR-STANDARD-ANTIVIRUS-TEST-FILE')))
+      .resolves.toEqual({ infected: true, signature: 'Eicar-Test-Signature' });
+  });
+
+  test('fails on an ERROR reply instead of passing the file', async () => {
+    clamd = await startFakeClamd(() => 'INSTREAM size limit exceeded. ERROR');
+    const scanner = new ClamAVScanner({ port: clamd.port });
+
+    await expect(scanner.scan(Buffer.from('big'))).rejects.toThrow('ClamAV scan failed: INSTREAM size limit exceeded.');
+  });
+
+  test('fails when the daemon hangs up without a reply', async () => {
+    clamd = await startFakeClamd(() => '');
+    const scanner = new ClamAVScanner({ port: clamd.port });
+
+    await expect(scanner.scan(Buffer.from('data'))).rejects.toThrow('ClamAV scan failed: no reply');
+  });
+
+  test('times out when the daemon never answers', async () => {
+    clamd = await startFakeClamd(() => null);
+    const scanner = new ClamAVScanner({ port: clamd.port, timeoutMs: 50 });
+
+    await expect(scanner.scan(Buffer.from('data'))).rejects.toThrow('ClamAV scan timed out');
+  });
+
+  test('fails when the daemon is unreachable', async () => {
+    clamd = await startFakeClamd(() => 'stream: OK');
+    const { port } = clamd;
+    await clamd.close();
+    clamd = null;
+
+    await expect(new ClamAVScanner({ port }).scan(Buffer.from('data'))).rejects.toThrow(/ECONNREFUSED/);
+  });
+
+  test('talks to a Unix socket', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'clamd-test-'));
+    const socketPath = path.join(dir, 'clamd.sock');
+    clamd = await startFakeClamd(() => 'stream: OK', socketPath);
+
+    try {
+      await expect(new ClamAVScanner({ socketPath }).scan(Buffer.from('data'))).resolves.toEqual({ infected: false, signature: null });
+    } finally {
+      await clamd.close();
+      clamd = null;
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('ContainerScanner', () => {
+  const scanner = new ContainerScanner();
+
+  test('passes a plain document', async () => {
+    const docx = buildZip({ '[Content_Types].xml': '<Types/>', 'word/document.xml': '<w:document/>' });
+
+    await expect(scanner.scan(docx)).resolves.toEqual({ infected: false, signature: null });
+  });
+
+  test('flags an Office Open XML document carrying macros', async () => {
+    const docm = buildZip({ '[Content_Types].xml': '<Types/>', 'word/vbaProject.bin': 'macro' });
+
+    await expect(scanner.scan(docm)).resolves.toEqual({ infected: true, signature: 'Container.Macro' });
+  });
+
+  test('flags an archive carrying an executable', async () => {
+    const zip = buildZip({ 'readme.txt': 'hi', 'tools/Setup.EXE': 'MZ' });
+
+    await expect(scanner.scan(zip)).resolves.toEqual({ infected: true, signature: 'Container.Executable (tools/Setup.EXE)' });
+  });
+
+  test('flags a legacy OLE document with a VBA project', async () => {
+    const header = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+    const withMacro = Buffer.concat([header, Buffer.alloc(64), Buffer.from('_VBA_PROJECT', 'utf16le')]);
+    const withoutMacro = Buffer.concat([header, Buffer.alloc(64)]);
+
+    await expect(scanner.scan(withMacro)).resolves.toEqual({ infected: true, signature: 'Container.Macro' });
+    await expect(scanner.scan(withoutMacro)).resolves.toEqual({ infected: false, signature: null });
+  });
+
+  test('passes files that are not containers', async () => {
+    await expect(scanner.scan(Buffer.from('%PDF-1.4'))).resolves.toEqual({ infected: false, signature: null });
+  });
+});
+
+describe('listZipEntries', () => {
+  test('lists the entry names from the central directory', () => {
+    const zip = buildZip({ '[Content_Types].xml': '<Types/>', 'xl/workbook.xml': '<workbook/>' });
+
+    expect(listZipEntries(zip)).toEqual(['[Content_Types].xml', 'xl/workbook.xml']);
+  });
+
+  test('finds the directory behind an archive comment', () => {
+    expect(listZipEntries(buildZip({ 'a.txt': 'a' }, { comment: 'made by tests' }))).toEqual(['a.txt']);
+  });
+
+  test('returns null for anything that is not a readable ZIP', () => {
+    const zip = buildZip({ 'a.txt': 'a' });
+
+    expect(listZipEntries(Buffer.from('not a zip at all, just text'))).toBeNull();
+    expect(listZipEntries(zip.subarray(0, zip.length - 10))).toBeNull();
+
+    // Directory offset pointing at a local header instead of the central directory
+    const corrupt = Buffer.from(zip);
+    corrupt.writeUInt32LE(0, corrupt.length - 6);
+    expect(listZipEntries(corrupt)).toBeNull();
+  });
+});
+
+describe('createMediaScanners', () => {
+  test('runs the container check by default', () => {
+    expect(createMediaScanners({}).map(scanner => scanner.name)).toEqual(['container']);
+  });
+
+  test('adds ClamAV when a host or socket is configured', () => {
+    const scanners = createMediaScanners({ MEDIA_SCAN_CONTAINERS: 'false', CLAMAV_HOST: 'clamav', CLAMAV_PORT: '3311', CLAMAV_TIMEOUT: '5000' });
+
+    expect(scanners).toHaveLength(1);
+    expect(scanners[0]).toMatchObject({ name: 'clamav', host: 'clamav', port: 3311, timeoutMs: 5000, socketPath: null });
+    expect(createMediaScanners({ CLAMAV_SOCKET: '/run/clamd.sock' })[1].socketPath).toBe('/run/clamd.sock');
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const MediaManager = require('../media-manager');
+const { buildZip } = require('./zip');
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Box header: 32-bit size, then the box type; ftyp carries the major brand
+const isoMedia = brand => Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`), Buffer.alloc(12)]);
+const riff = form => Buffer.concat([Buffer.from('RIFF'), Buffer.from([0x24, 0, 0, 0]), Buffer.from(form), Buffer.alloc(16)]);
+
+const samples = {
+  mp4: isoMedia('isom'),
+  quicktime: isoMedia('qt  '),
+  webp: riff('WEBP'),
+  wav: riff('WAVE'),
+  ogg: Buffer.concat([Buffer.from('OggS'), Buffer.alloc(24)]),
+  docx: buildZip({ '[Content_Types].xml': '<Types/>', 'word/document.xml': '<w:document/>' }),
+  xlsx: buildZip({ '[Content_Types].xml': '<Types/>', 'xl/workbook.xml': '<workbook/>' }),
+  zip: buildZip({ 'notes.txt': 'hello' })
+};
+
+describe('MediaManager file signatures', () => {
+  let rootDir;
+  let manager;
+
+  beforeAll(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'signatures-test-'));
+    manager = new MediaManager(null, rootDir);
+  });
+
+  afterAll(() => fs.promises.rm(rootDir, { recursive: true, force: true }));
+
+  describe('detectMimeType', () => {
+    test.each([
+      ['mp4', 'video/mp4'],
+      ['quicktime', 'video/quicktime'],
+      ['webp', 'image/webp'],
+      ['wav', 'audio/wav'],
+      ['ogg', 'audio/ogg'],
+      ['docx', DOCX],
+      ['xlsx', XLSX],
+      ['zip', 'application/zip']
+    ])('recognizes %s from its bytes', (sample, expected) => {
+      expect(manager.detectMimeType(samples[sample])).toBe(expected);
+    });
+
+    test('trusts the bytes over a declared type or filename', () => {
+      expect(manager.detectMimeType(samples.xlsx, DOCX, 'report.docx')).toBe(XLSX);
+      expect(manager.detectMimeType(samples.webp, 'image/jpeg', 'photo.jpg')).toBe('image/webp');
+    });
+
+    test('falls back to the hint when the bytes say nothing', () => {
+      expect(manager.detectMimeType(Buffer.from('plain text'), null, 'notes.txt')).toBe('text/plain');
+      expect(manager.detectMimeType(Buffer.from('plain text'))).toBe('application/octet-stream');
+    });
+  });
+
+  describe('file validation', () => {
+    test.each([
+      ['mp4', 'video/mp4'],
+      ['quicktime', 'video/quicktime'],
+      ['webp', 'image/webp'],
+      ['ogg', 'audio/ogg'],
+      ['docx', DOCX],
+      ['xlsx', XLSX]
+    ])('accepts a real %s', (sample, mimeType) => {
+      expect(() => manager._validateFile(samples[sample], mimeType)).not.toThrow();
+    });
+
+    test.each([
+      ['a QuickTime movie as MP4', 'quicktime', 'video/mp4'],
+      ['a WAV file as WebP', 'wav', 'image/webp'],
+      ['a WebP image as OGG', 'webp', 'audio/ogg'],
+      ['a workbook as a Word document', 'xlsx', DOCX],
+      ['a document as a workbook', 'docx', XLSX],
+      ['a renamed ZIP as a Word document', 'zip', DOCX]
+    ])('rejects %s', (label, sample, mimeType) => {
+      expect(() => manager._validateFile(samples[sample], mimeType)).toThrow('Invalid file format');
+    });
+
+    test('rejects types that are not allowed at all', () => {
+      expect(() => manager._validateFile(samples.zip, 'application/zip')).toThrow('MIME type application/zip is not allowed');
+    });
+  });
+});
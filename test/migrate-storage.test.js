@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const db = require('../db');
+const MediaManager = require('../media-manager');
+const { S3StorageDriver } = require('../storage-drivers');
+const { startS3Stub } = require('./s3-stub');
+
+const ORG_ID = '11111111-1111-1111-1111-111111111111';
+const CLIENT_ID = '22222222-2222-2222-2222-222222222222';
+
+describe('MediaManager.migrateStorage', () => {
+  let stub;
+  let rootDir;
+  let manager;
+  let local;
+  let rows;
+  let updates;
+
+  beforeEach(async () => {
+    stub = await startS3Stub();
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'migrate-test-'));
+
+    manager = new MediaManager(null, rootDir);
+    manager.drivers.s3 = new S3StorageDriver({
+      endpoint: stub.endpoint,
+      bucket: 'media',
+      accessKeyId: 'key',
+      secretAccessKey: 'secret',
+      forcePathStyle: true
+    });
+    local = manager.getDriver('local');
+
+    // A shared object and a file stored before deduplication
+    const blobPath = local.locationFor(`${ORG_ID}/sha256/abc-1234.jpg`);
+    const filePath = local.locationFor(`${ORG_ID}/${CLIENT_ID}/report.pdf`);
+    await local.put(blobPath, Buffer.from('jpeg bytes'));
+    await local.put(filePath, Buffer.from('%PDF-1.4 report'));
+
+    rows = [
+      { id: 'blob-1', is_blob: true, organization_id: ORG_ID, client_id: null, storage_path: blobPath, mime_type: 'image/jpeg' },
+      { id: 'file-1', is_blob: false, organization_id: ORG_ID, client_id: CLIENT_ID, storage_path: filePath, mime_type: 'application/pdf' }
+    ];
+    db.query.mockResolvedValue({ rows });
+
+    updates = [];
+    db.transaction.mockImplementation(async (callback) => callback({
+      query: jest.fn(async (sql, params) => {
+        updates.push({ sql, params });
+        return { rowCount: 1 };
+      })
+    }));
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await stub.close();
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  test('copies every object, repoints its rows and keeps the source', async () => {
+    const progress = [];
+    const summary = await manager.migrateStorage({ from: 'local', to: 's3', onProgress: event => progress.push(event.status) });
+
+    expect(summary).toEqual({ migrated: 2, failed: 0, bytes: 25, total: 2 });
+    expect(progress).toEqual(['migrated', 'migrated']);
+
+    expect(stub.objects.get(`/media/${ORG_ID}/sha256/abc-1234.jpg`).body.toString()).toBe('jpeg bytes');
+    expect(stub.objects.get(`/media/${ORG_ID}/${CLIENT_ID}/report.pdf`).body.toString()).toBe('%PDF-1.4 report');
+    expect(stub.objects.get(`/media/${ORG_ID}/${CLIENT_ID}/report.pdf`).contentType).toBe('application/pdf');
+
+    // The blob and every upload sharing it, then the standalone upload
+    expect(updates.map(update => update.sql.match(/UPDATE (\w+)/)[1])).toEqual(['media_blobs', 'file_uploads', 'file_uploads']);
+    expect(updates[0].params).toEqual(['blob-1', 's3', `${ORG_ID}/sha256/abc-1234.jpg`, rows[0].storage_path]);
+    expect(updates[2].params).toEqual(['file-1', 's3', `${ORG_ID}/${CLIENT_ID}/report.pdf`, rows[1].storage_path]);
+
+    await expect(local.stat(rows[0].storage_path)).resolves.toEqual({ size: 10 });
+  });
+
+  test('removes the source objects when asked', async () => {
+    await manager.migrateStorage({ from: 'local', to: 's3', deleteSource: true });
+
+    await expect(local.stat(rows[0].storage_path)).resolves.toBeNull();
+    await expect(local.stat(rows[1].storage_path)).resolves.toBeNull();
+  });
+
+  test('a dry run only checks the sources', async () => {
+    const summary = await manager.migrateStorage({ from: 'local', to: 's3', dryRun: true });
+
+    expect(summary).toEqual({ migrated: 2, failed: 0, bytes: 25, total: 2 });
+    expect(stub.requests).toHaveLength(0);
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+
+  test('drops the copy of a file that changed during the migration', async () => {
+    db.transaction.mockImplementation(async (callback) => callback({
+      query: jest.fn(async () => ({ rowCount: 0 }))
+    }));
+
+    const summary = await manager.migrateStorage({ from: 'local', to: 's3', deleteSource: true });
+
+    expect(summary).toMatchObject({ migrated: 0, failed: 2 });
+    expect(stub.objects.size).toBe(0);
+    await expect(local.stat(rows[0].storage_path)).resolves.toEqual({ size: 10 });
+  });
+
+  test('counts a missing source as failed and carries on', async () => {
+    await local.delete(rows[0].storage_path);
+    const progress = [];
+
+    const summary = await manager.migrateStorage({ from: 'local', to: 's3', onProgress: event => progress.push(event) });
+
+    expect(summary).toMatchObject({ migrated: 1, failed: 1 });
+    expect(progress[0]).toMatchObject({ status: 'failed', error: 'Source file missing' });
+  });
+
+  test('refuses to migrate a backend onto itself', async () => {
+    await expect(manager.migrateStorage({ from: 'local', to: 'local' })).rejects.toThrow('Source and target storage must differ');
+  });
+});
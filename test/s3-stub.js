@@ -0,0 +1,96 @@
+// ================================================
+// STUB S3 SERVER FOR TESTS
+// ================================================
+
+const http = require('http');
+
+/**
+ * In-memory object store speaking the subset of the S3 REST API the
+ * storage driver uses: PUT, GET (with Range), HEAD and DELETE on a key
+ *
+ * Objects are keyed by request path, so path-style requests land under
+ * /<bucket>/<key>. Every request is recorded for assertions.
+ */
+function startS3Stub() {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+      const stored = objects.get(req.url);
+      const notFound = () => {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code></Error>');
+      };
+
+      switch (req.method) {
+        case 'PUT':
+          objects.set(req.url, { body, contentType: req.headers['content-type'] });
+          res.writeHead(200);
+          return res.end();
+
+        case 'HEAD':
+          if (!stored) return notFound();
+          res.writeHead(200, { 'Content-Length': stored.body.length, 'Content-Type': stored.contentType });
+          return res.end();
+
+        case 'GET': {
+          if (!stored) return notFound();
+          const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+          if (!range) {
+            res.writeHead(200, { 'Content-Length': stored.body.length });
+            return res.end(stored.body);
+          }
+          const start = parseInt(range[1]);
+          const end = range[2] ? parseInt(range[2]) : stored.body.length - 1;
+          res.writeHead(206, {
+            'Content-Length': end - start + 1,
+            'Content-Range': `bytes ${start}-${end}/${stored.body.length}`
+          });
+          return res.end(stored.body.subarray(start, end + 1));
+        }
+
+        case 'DELETE':
+          objects.delete(req.url);
+          res.writeHead(204);
+          return res.end();
+
+        default:
+          res.writeHead(405);
+          return res.end();
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Read a stream to the end
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  startS3Stub,
+  readAll
+};
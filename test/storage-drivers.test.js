@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { LocalStorageDriver, S3StorageDriver, createStorageDrivers } = require('../storage-drivers');
+const { startS3Stub, readAll } = require('./s3-stub');
+
+describe('S3StorageDriver', () => {
+  let stub;
+  let driver;
+
+  beforeEach(async () => {
+    stub = await startS3Stub();
+    driver = new S3StorageDriver({
+      endpoint: stub.endpoint,
+      bucket: 'media',
+      accessKeyId: 'AKIDEXAMPLE',
+      secretAccessKey: 'secret',
+      forcePathStyle: true,
+      prefix: '/uploads/'
+    });
+  });
+
+  afterEach(() => stub.close());
+
+  test('prefixes object keys', () => {
+    expect(driver.locationFor('org/sha256/abc.jpg')).toBe('uploads/org/sha256/abc.jpg');
+  });
+
+  test('puts a buffer with its type and length, signed with SigV4', async () => {
+    const body = Buffer.from('hello world');
+    await expect(driver.put('uploads/a b.txt', body, { contentType: 'text/plain' })).resolves.toEqual({ size: 11 });
+
+    const [request] = stub.requests;
+    expect(request.method).toBe('PUT');
+    expect(request.path).toBe('/media/uploads/a%20b.txt');
+    expect(request.headers['content-type']).toBe('text/plain');
+    expect(request.headers['content-length']).toBe('11');
+    expect(request.headers['x-amz-content-sha256']).toBe('UNSIGNED-PAYLOAD');
+    expect(request.headers.authorization).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+    );
+    expect(stub.objects.get('/media/uploads/a%20b.txt').body).toEqual(body);
+  });
+
+  test('streams a Readable when the length is given', async () => {
+    await driver.put('uploads/stream.bin', Readable.from([Buffer.from('abc'), Buffer.from('def')]), { contentLength: 6 });
+
+    expect(stub.objects.get('/media/uploads/stream.bin').body.toString()).toBe('abcdef');
+  });
+
+  test('refuses a stream without a content length', async () => {
+    await expect(driver.put('uploads/stream.bin', Readable.from([Buffer.from('abc')])))
+      .rejects.toThrow('S3 uploads need the content length');
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  test('reads a whole object or a byte range', async () => {
+    await driver.put('uploads/video.mp4', Buffer.from('0123456789'));
+
+    expect((await readAll(await driver.createReadStream('uploads/video.mp4'))).toString()).toBe('0123456789');
+    expect((await readAll(await driver.createReadStream('uploads/video.mp4', { start: 2, end: 5 }))).toString()).toBe('2345');
+    expect((await readAll(await driver.createReadStream('uploads/video.mp4', { start: 7 }))).toString()).toBe('789');
+
+    expect(stub.requests.filter(request => request.method === 'GET').map(request => request.headers.range))
+      .toEqual([undefined, 'bytes=2-5', 'bytes=7-']);
+  });
+
+  test('reports the S3 error code for a missing object', async () => {
+    await expect(driver.createReadStream('uploads/missing.jpg')).rejects.toThrow('S3 request failed with 404 (NoSuchKey)');
+  });
+
+  test('stats an object, or returns null when it is missing', async () => {
+    await driver.put('uploads/a.txt', Buffer.from('12345'));
+
+    await expect(driver.stat('uploads/a.txt')).resolves.toEqual({ size: 5 });
+    await expect(driver.stat('uploads/missing.txt')).resolves.toBeNull();
+  });
+
+  test('deletes an object, and treats a missing one as deleted', async () => {
+    await driver.put('uploads/a.txt', Buffer.from('12345'));
+
+    await driver.delete('uploads/a.txt');
+    expect(stub.objects.has('/media/uploads/a.txt')).toBe(false);
+    await expect(driver.delete('uploads/a.txt')).resolves.toBeUndefined();
+  });
+
+  test('addresses the bucket as a subdomain unless path style is forced', async () => {
+    const virtualHosted = new S3StorageDriver({
+      endpoint: stub.endpoint,
+      bucket: 'media',
+      accessKeyId: 'AKIDEXAMPLE',
+      secretAccessKey: 'secret'
+    });
+
+    await virtualHosted.put('a.txt', Buffer.from('x'));
+
+    const [request] = stub.requests;
+    expect(request.path).toBe('/a.txt');
+    expect(request.headers.host).toBe(`media.${new URL(stub.endpoint).host}`);
+  });
+
+  test('needs a bucket and credentials', () => {
+    expect(() => new S3StorageDriver({ bucket: 'media' })).toThrow('S3 storage needs a bucket');
+  });
+});
+
+describe('LocalStorageDriver', () => {
+  let rootDir;
+  let driver;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    driver = new LocalStorageDriver(rootDir);
+  });
+
+  afterEach(() => fs.promises.rm(rootDir, { recursive: true, force: true }));
+
+  test('writes buffers and streams without leaving temporary files', async () => {
+    const location = driver.locationFor('org/client/a.txt');
+    expect(location).toBe(path.join(rootDir, 'org', 'client', 'a.txt'));
+
+    await expect(driver.put(location, Buffer.from('hello'))).resolves.toEqual({ size: 5 });
+    await driver.put(location, Readable.from([Buffer.from('hello '), Buffer.from('again')]));
+
+    expect(await fs.promises.readFile(location, 'utf8')).toBe('hello again');
+    expect(await fs.promises.readdir(path.dirname(location))).toEqual(['a.txt']);
+  });
+
+  test('reads a byte range and rejects a missing file up front', async () => {
+    const location = driver.locationFor('a.txt');
+    await driver.put(location, Buffer.from('0123456789'));
+
+    expect((await readAll(await driver.createReadStream(location, { start: 3, end: 6 }))).toString()).toBe('3456');
+    await expect(driver.createReadStream(driver.locationFor('missing.txt'))).rejects.toThrow(/ENOENT/);
+  });
+
+  test('stats and deletes files', async () => {
+    const location = driver.locationFor('a.txt');
+    await driver.put(location, Buffer.from('abc'));
+
+    await expect(driver.stat(location)).resolves.toEqual({ size: 3 });
+    await driver.delete(location);
+    await expect(driver.stat(location)).resolves.toBeNull();
+    await expect(driver.delete(location)).resolves.toBeUndefined();
+  });
+});
+
+describe('createStorageDrivers', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  afterEach(() => fs.promises.rm(rootDir, { recursive: true, force: true }));
+
+  test('always has local disk, and S3 when a bucket is configured', () => {
+    expect(Object.keys(createStorageDrivers(rootDir, {}))).toEqual(['local']);
+
+    const drivers = createStorageDrivers(rootDir, {
+      S3_BUCKET: 'media',
+      S3_ENDPOINT: 'http://localhost:9000',
+      S3_ACCESS_KEY_ID: 'key',
+      S3_SECRET_ACCESS_KEY: 'secret',
+      S3_FORCE_PATH_STYLE: 'true',
+      S3_PREFIX: 'tenant'
+    });
+    expect(drivers.s3.forcePathStyle).toBe(true);
+    expect(drivers.s3.locationFor('a.txt')).toBe('tenant/a.txt');
+  });
+});
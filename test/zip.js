@@ -0,0 +1,54 @@
+// ================================================
+// ZIP FIXTURES FOR TESTS
+// ================================================
+
+/**
+ * Minimal ZIP archive with stored (uncompressed) entries
+ * entries: { name: contents }; CRCs are left zero, which the readers under test ignore
+ */
+function buildZip(entries, { comment = '' } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(entries)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(contents);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const commentBuffer = Buffer.from(comment);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(Object.keys(entries).length, 8);
+  end.writeUInt16LE(Object.keys(entries).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(commentBuffer.length, 20);
+
+  return Buffer.concat([...locals, directory, end, commentBuffer]);
+}
+
+module.exports = {
+  buildZip
+};
@@ -40,7 +40,12 @@ class WebhookManager {
         'automation_triggered',
         'contact_added',
         'contact_updated',
-        'contact_removed'
+        'contact_removed',
+        'contact_opted_out',
+        'contact_opted_in',
+        'flow_completed',
+        'flow_handoff',
+        'media_quarantined'
       ];
 
       const invalidEvents = events.filter(e => !validEvents.includes(e));